@@ -0,0 +1,164 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - AUDITORIA
+ * ============================================================
+ * Encadeamento dos audit_logs e exportação em CSV:
+ * - hash_conteudo: SHA-256 dos campos do registro (como gravados no banco)
+ * - hash: SHA-256 do hash do registro anterior + hash_conteudo
+ *
+ * Editar um registro quebra o hash_conteudo; apagar um registro quebra
+ * o encadeamento do seguinte (e deixa um buraco nos ids AUTOINCREMENT).
+ * Quem reescrever a cadeia inteira só é pego comparando o último hash
+ * com uma cópia guardada fora do banco (npm run auditoria:verificar o exibe).
+ * Registros anonimizados (LGPD) ou com CPF e telefone cifrados depois de
+ * gravados (migração 006, cripto:rotacionar) não conferem com o hash_conteudo,
+ * mas continuam encadeados e são aceitos se o registro da anonimização ou
+ * da criptografia os listar. Esse registro só vale se estiver íntegro (não
+ * reescrito) e só para ids anteriores ao dele: um registro forjado ou
+ * editado não libera nada, nem a si mesmo.
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { idsAnonimizados } = require('./lgpd');
+
+const HASH_INICIAL = '0'.repeat(64);
+
+// Registros de criptografia que reescrevem audit_logs (migração 006 e cripto:rotacionar)
+const REGISTROS_CRIPTOGRAFIA = ['migracao', 'rotacao', 'reversao'];
+
+// Campos cobertos pelo hash, nesta ordem (mudar a lista invalida a cadeia existente)
+const CAMPOS_HASH = [
+    'uuid', 'tabela', 'registro_id', 'acao', 'dados_anteriores', 'dados_novos',
+    'usuario_id', 'ip_address', 'user_agent', 'endpoint', 'metodo_http', 'criado_em'
+];
+
+const COLUNAS_CSV = [
+    'id', 'criado_em', 'tabela', 'registro_id', 'acao', 'usuario_id', 'usuario_email',
+    'ip_address', 'user_agent', 'endpoint', 'metodo_http', 'dados_anteriores', 'dados_novos', 'hash'
+];
+
+// ============================================================
+// ENCADEAMENTO
+// ============================================================
+
+function sha256(texto) {
+    return crypto.createHash('sha256').update(texto).digest('hex');
+}
+
+/**
+ * Hash dos campos de uma linha de audit_logs
+ */
+function hashConteudo(linha) {
+    return sha256(JSON.stringify(CAMPOS_HASH.map(campo => (linha[campo] === undefined ? null : linha[campo]))));
+}
+
+function encadear(hashAnterior, conteudo) {
+    return sha256(`${hashAnterior || HASH_INICIAL}${conteudo}`);
+}
+
+/**
+ * Ids de audit_logs que um registro declara ter reescrito: os anonimizados (ver lgpd.js)
+ * ou os que tiveram cpf e telefone cifrados ({ criptografia, audit_logs } em dados_novos)
+ */
+function idsReescritos(linha) {
+    const anonimizados = idsAnonimizados(linha);
+    if (anonimizados.length > 0 || linha.tabela !== 'usuarios' || linha.acao !== 'UPDATE' || !linha.dados_novos) return anonimizados;
+    try {
+        const dados = JSON.parse(linha.dados_novos);
+        return dados && REGISTROS_CRIPTOGRAFIA.includes(dados.criptografia) && Array.isArray(dados.audit_logs) ? dados.audit_logs : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Confere a cadeia inteira
+ * @param {Iterable} linhas - audit_logs em ordem de id
+ * @param {number} ultimoIdEmitido - Maior id já gerado pela tabela (sqlite_sequence)
+ * @returns {{ total: number, anonimizados: number, ultimo_hash: string|null, problemas: Array<{ id, tipo, detalhe }> }}
+ *          tipos: alterado, encadeamento, removido, sem_hash
+ */
+function verificarCadeia(linhas, ultimoIdEmitido = 0) {
+    const problemas = [];
+    const liberados = new Set(); // Ids listados por registros de anonimização ou criptografia
+    const anonimizados = []; // Registros com anonimizado_em cujo conteúdo mudou
+    let anterior = null;
+    let total = 0;
+
+    for (const linha of linhas) {
+        total++;
+        const idEsperado = anterior ? anterior.id + 1 : 1;
+        const buraco = linha.id !== idEsperado;
+        if (buraco) {
+            problemas.push({ id: linha.id, tipo: 'removido', detalhe: `${linha.id - idEsperado} registro(s) removido(s) antes do id ${linha.id}` });
+        }
+
+        const confere = Boolean(linha.hash) && hashConteudo(linha) === linha.hash_conteudo;
+        if (!linha.hash) {
+            problemas.push({ id: linha.id, tipo: 'sem_hash', detalhe: 'Registro gravado fora do logAudit' });
+        } else {
+            if (!confere) {
+                if (linha.anonimizado_em) anonimizados.push(linha.id);
+                else problemas.push({ id: linha.id, tipo: 'alterado', detalhe: 'Conteúdo não confere com o hash gravado' });
+            }
+            if (!buraco && encadear(anterior && anterior.hash, linha.hash_conteudo) !== linha.hash) {
+                problemas.push({ id: linha.id, tipo: 'encadeamento', detalhe: 'Hash não confere com o registro anterior' });
+            }
+        }
+        if (confere && !linha.anonimizado_em) {
+            idsReescritos(linha).filter(id => Number.isInteger(id) && id < linha.id).forEach(id => liberados.add(id));
+        }
+        anterior = linha;
+    }
+
+    // O registro da anonimização vem depois dos que ele altera: só dá para conferir no final
+    anonimizados.filter(id => !liberados.has(id)).forEach((id) => {
+        problemas.push({ id, tipo: 'alterado', detalhe: 'Marcado como reescrito, sem registro de anonimização ou criptografia que o inclua' });
+    });
+
+    const ultimoId = anterior ? anterior.id : 0;
+    if (ultimoIdEmitido > ultimoId) {
+        problemas.push({ id: null, tipo: 'removido', detalhe: `${ultimoIdEmitido - ultimoId} registro(s) removido(s) do final (último id emitido: ${ultimoIdEmitido})` });
+    }
+
+    problemas.sort((a, b) => (a.id === null) - (b.id === null) || a.id - b.id);
+    return {
+        total,
+        anonimizados: anonimizados.filter(id => liberados.has(id)).length,
+        ultimo_hash: anterior ? anterior.hash : null,
+        problemas
+    };
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+/**
+ * Célula CSV (RFC 4180). Texto que começa com = + - @ ganha um apóstrofo
+ * para a planilha não executá-lo como fórmula (user agent e dados vêm do cliente)
+ */
+function celulaCsv(valor) {
+    if (valor === null || valor === undefined) return '';
+    let texto = String(valor);
+    if (typeof valor === 'string' && /^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function linhaCsv(valores) {
+    return `${valores.map(celulaCsv).join(',')}\r\n`;
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    hashConteudo,
+    encadear,
+    verificarCadeia,
+    linhaCsv,
+    HASH_INICIAL,
+    COLUNAS_CSV
+};
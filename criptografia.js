@@ -0,0 +1,246 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - CRIPTOGRAFIA DE CAMPOS
+ * ============================================================
+ * Colunas sensíveis (usuarios.cpf e usuarios.telefone) ficam cifradas
+ * no banco com AES-256-GCM, no formato
+ *   v1:<id da chave>:<iv>:<tag>:<texto cifrado>   (base64url)
+ *
+ * - CRIPTO_CHAVE: chave atual (32 bytes em base64), cifra tudo o que é gravado
+ * - CRIPTO_CHAVES_ANTERIORES: chaves antigas (separadas por vírgula), só para
+ *   decifrar até npm run cripto:rotacionar regravar tudo com a atual
+ * - CRIPTO_CHAVE_INDICE: chave do índice cego (HMAC-SHA256), que permite
+ *   buscar por CPF e garantir a unicidade sem decifrar
+ *
+ * O id da chave vem do SHA-256 dela, e o nome da coluna entra como dado
+ * autenticado: um valor copiado para outra coluna não decifra. As cópias
+ * dessas colunas nos JSON de audit_logs são cifradas do mesmo jeito.
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { ANONIMIZADO } = require('./lgpd');
+
+const VERSAO = 'v1';
+const ALGORITMO = 'aes-256-gcm';
+const TAMANHO_CHAVE = 32;
+const TAMANHO_IV = 12;
+
+// Colunas cifradas e o nome usado como dado autenticado
+const COLUNAS_CIFRADAS = {
+    usuarios: ['cpf', 'telefone']
+};
+
+let chaves = null;
+let variaveisChaves = null; // Valores das variáveis de onde chaves foi lido
+
+// ============================================================
+// CHAVES
+// ============================================================
+
+function lerChave(texto, variavel) {
+    const chave = Buffer.from(String(texto).trim(), 'base64');
+    if (chave.length !== TAMANHO_CHAVE) {
+        throw new Error(`${variavel} inválida: use ${TAMANHO_CHAVE} bytes em base64 (npm run cripto:chave gera uma)`);
+    }
+    return chave;
+}
+
+function idChave(chave) {
+    return crypto.createHash('sha256').update(chave).digest('hex').slice(0, 8);
+}
+
+/**
+ * Chaves do ambiente, lidas na primeira vez que são usadas (e de novo se as variáveis mudarem)
+ * @returns {{ atual: { id, chave }, porId: Map<string, Buffer>, indice: Buffer }}
+ */
+function carregarChaves() {
+    const variaveis = [process.env.CRIPTO_CHAVE, process.env.CRIPTO_CHAVES_ANTERIORES, process.env.CRIPTO_CHAVE_INDICE].join('|');
+    if (chaves && variaveis === variaveisChaves) return chaves;
+
+    if (!process.env.CRIPTO_CHAVE) throw new Error('CRIPTO_CHAVE não configurada (npm run cripto:chave gera uma)');
+    if (!process.env.CRIPTO_CHAVE_INDICE) throw new Error('CRIPTO_CHAVE_INDICE não configurada (npm run cripto:chave gera uma)');
+
+    const atual = lerChave(process.env.CRIPTO_CHAVE, 'CRIPTO_CHAVE');
+    const anteriores = (process.env.CRIPTO_CHAVES_ANTERIORES || '').split(',').filter(texto => texto.trim())
+        .map(texto => lerChave(texto, 'CRIPTO_CHAVES_ANTERIORES'));
+    const indice = lerChave(process.env.CRIPTO_CHAVE_INDICE, 'CRIPTO_CHAVE_INDICE');
+    if (indice.equals(atual)) throw new Error('CRIPTO_CHAVE_INDICE deve ser diferente de CRIPTO_CHAVE');
+
+    const porId = new Map([...anteriores, atual].map(chave => [idChave(chave), chave]));
+    chaves = { atual: { id: idChave(atual), chave: atual }, porId, indice };
+    variaveisChaves = variaveis;
+    return chaves;
+}
+
+/**
+ * Confere a configuração na inicialização (lança erro se faltar ou sobrar algo)
+ */
+function verificarConfiguracao() {
+    const { atual, porId } = carregarChaves();
+    return { chave_atual: atual.id, chaves: [...porId.keys()] };
+}
+
+function gerarChave() {
+    return crypto.randomBytes(TAMANHO_CHAVE).toString('base64');
+}
+
+// ============================================================
+// CIFRA
+// ============================================================
+
+/**
+ * Cifra o valor com a chave atual (nulo continua nulo)
+ * @param {string} coluna - Ex.: 'usuarios.cpf'
+ */
+function cifrar(valor, coluna) {
+    if (valor === null || valor === undefined) return null;
+    const { atual } = carregarChaves();
+    const iv = crypto.randomBytes(TAMANHO_IV);
+    const cifra = crypto.createCipheriv(ALGORITMO, atual.chave, iv);
+    cifra.setAAD(Buffer.from(coluna));
+    const texto = Buffer.concat([cifra.update(String(valor), 'utf8'), cifra.final()]);
+    return [VERSAO, atual.id, iv.toString('base64url'), cifra.getAuthTag().toString('base64url'), texto.toString('base64url')].join(':');
+}
+
+function partes(valor) {
+    const [versao, id, iv, tag, texto, ...resto] = String(valor).split(':');
+    if (versao !== VERSAO || !id || !iv || !tag || texto === undefined || resto.length > 0) return null;
+    return { id, iv, tag, texto };
+}
+
+function estaCifrado(valor) {
+    return valor !== null && valor !== undefined && partes(valor) !== null;
+}
+
+/**
+ * Id da chave que cifrou o valor (null se não estiver cifrado)
+ */
+function chaveDoValor(valor) {
+    const p = estaCifrado(valor) ? partes(valor) : null;
+    return p ? p.id : null;
+}
+
+function decifrar(valor, coluna) {
+    if (valor === null || valor === undefined) return null;
+    const p = partes(valor);
+    if (!p) throw new Error(`Valor de ${coluna} não está cifrado`);
+
+    const chave = carregarChaves().porId.get(p.id);
+    if (!chave) throw new Error(`Chave ${p.id} de ${coluna} não configurada (inclua-a em CRIPTO_CHAVES_ANTERIORES)`);
+    try {
+        const decifra = crypto.createDecipheriv(ALGORITMO, chave, Buffer.from(p.iv, 'base64url'));
+        decifra.setAAD(Buffer.from(coluna));
+        decifra.setAuthTag(Buffer.from(p.tag, 'base64url'));
+        return Buffer.concat([decifra.update(Buffer.from(p.texto, 'base64url')), decifra.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error(`Não foi possível decifrar ${coluna} (valor alterado ou de outra coluna)`);
+    }
+}
+
+/**
+ * Índice cego: HMAC determinístico do valor, para busca por igualdade e índices únicos
+ */
+function indiceCego(valor, coluna) {
+    if (valor === null || valor === undefined) return null;
+    return crypto.createHmac('sha256', carregarChaves().indice).update(`${coluna}:${valor}`).digest('hex');
+}
+
+// ============================================================
+// LINHAS
+// ============================================================
+
+/**
+ * Decifra as colunas cifradas de uma linha
+ * @param {Object} campos - Campo da linha → coluna (ex.: { cliente_cpf: 'usuarios.cpf' })
+ */
+function decifrarCampos(linha, campos) {
+    if (!linha) return linha;
+    const copia = { ...linha };
+    Object.entries(campos)
+        .filter(([campo]) => campo in copia)
+        .forEach(([campo, coluna]) => { copia[campo] = decifrar(copia[campo], coluna); });
+    return copia;
+}
+
+/**
+ * Campos cifrados de uma tabela, no formato de decifrarCampos
+ */
+function camposCifrados(tabela) {
+    return Object.fromEntries((COLUNAS_CIFRADAS[tabela] || []).map(coluna => [coluna, `${tabela}.${coluna}`]));
+}
+
+// ============================================================
+// AUDITORIA
+// ============================================================
+
+/**
+ * Cifra com a chave atual as colunas cifradas copiadas para o JSON de audit_logs
+ * (texto puro de antes da migração 006 ou valor de uma chave anterior)
+ * @returns {string} - O mesmo texto se nada mudou
+ */
+function cifrarDadosAuditoria(tabela, texto) {
+    const campos = Object.entries(camposCifrados(tabela));
+    if (!texto || campos.length === 0) return texto;
+    let dados;
+    try {
+        dados = JSON.parse(texto);
+    } catch (error) {
+        return texto;
+    }
+    if (!dados || typeof dados !== 'object') return texto;
+
+    const { atual } = carregarChaves();
+    const pendentes = campos.filter(([campo]) => (
+        typeof dados[campo] === 'string' && dados[campo] !== ANONIMIZADO && chaveDoValor(dados[campo]) !== atual.id
+    ));
+    if (pendentes.length === 0) return texto;
+    pendentes.forEach(([campo, coluna]) => {
+        dados[campo] = cifrar(estaCifrado(dados[campo]) ? decifrar(dados[campo], coluna) : dados[campo], coluna);
+    });
+    return JSON.stringify(dados);
+}
+
+/**
+ * Decifra as colunas cifradas no JSON de audit_logs (exportação LGPD). Valores cifrados
+ * com uma chave já descartada ficam como estão
+ */
+function decifrarDadosAuditoria(tabela, texto) {
+    const campos = Object.entries(camposCifrados(tabela));
+    if (!texto || campos.length === 0) return texto;
+    try {
+        const dados = JSON.parse(texto);
+        const cifrados = campos.filter(([campo]) => estaCifrado(dados[campo]));
+        if (cifrados.length === 0) return texto;
+        cifrados.forEach(([campo, coluna]) => {
+            try {
+                dados[campo] = decifrar(dados[campo], coluna);
+            } catch (error) {
+                // Chave descartada: o valor cifrado vai como está
+            }
+        });
+        return JSON.stringify(dados);
+    } catch (error) {
+        return texto;
+    }
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    cifrar,
+    decifrar,
+    estaCifrado,
+    chaveDoValor,
+    indiceCego,
+    decifrarCampos,
+    camposCifrados,
+    cifrarDadosAuditoria,
+    decifrarDadosAuditoria,
+    verificarConfiguracao,
+    carregarChaves,
+    gerarChave,
+    COLUNAS_CIFRADAS
+};
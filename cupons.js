@@ -0,0 +1,85 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - CUPONS
+ * ============================================================
+ * Regras dos cupons de desconto:
+ * - percentual: % sobre o subtotal
+ * - valor_fixo: valor em reais abatido do subtotal (nunca o deixa negativo)
+ * - frete_gratis: zera o frete do serviço escolhido
+ * - Pedido mínimo (subtotal), janela de validade e limites de uso
+ *   total e por cliente (pedidos cancelados devolvem o uso)
+ * ============================================================
+ */
+
+const { toCentavos, toReais } = require('./pricing');
+
+const TIPOS_CUPOM = ['percentual', 'valor_fixo', 'frete_gratis'];
+
+// ============================================================
+// FUNÇÕES AUXILIARES
+// ============================================================
+
+function normalizarCodigo(codigo) {
+    return String(codigo || '').trim().toUpperCase();
+}
+
+function formatarReais(valor) {
+    return `R$ ${Number(valor).toFixed(2).replace('.', ',')}`;
+}
+
+// ============================================================
+// VALIDAÇÃO E DESCONTO
+// ============================================================
+
+/**
+ * Confere se o cupom pode ser usado no pedido (lança erro com a mensagem para o cliente)
+ * @param {Repository} repo - Repositório (dentro da transação do checkout)
+ * @param {string} codigo - Código digitado pelo cliente
+ * @param {Object} pedido - { subtotal, usuario_id } (sem usuário, o limite por cliente não é verificado)
+ * @returns {Object} - Registro do cupom
+ */
+function validarCupom(repo, codigo, { subtotal, usuario_id = null, agora = new Date() }) {
+    const cupom = repo.getCouponByCode(normalizarCodigo(codigo));
+    if (!cupom || !cupom.ativo) throw new Error('Cupom inválido');
+    if (cupom.valido_de && new Date(cupom.valido_de) > agora) throw new Error('Cupom ainda não está disponível');
+    if (cupom.valido_ate && new Date(cupom.valido_ate) < agora) throw new Error('Cupom expirado');
+
+    if (cupom.limite_uso_total !== null && repo.countCouponUses(cupom.id) >= cupom.limite_uso_total) {
+        throw new Error('Cupom esgotado');
+    }
+    if (usuario_id && cupom.limite_uso_cliente !== null && repo.countCouponUses(cupom.id, usuario_id) >= cupom.limite_uso_cliente) {
+        throw new Error('Cupom já utilizado por este cliente');
+    }
+    if (toCentavos(subtotal) < toCentavos(cupom.pedido_minimo)) {
+        throw new Error(`Cupom válido para pedidos a partir de ${formatarReais(cupom.pedido_minimo)}`);
+    }
+
+    return cupom;
+}
+
+/**
+ * Desconto do cupom sobre o subtotal
+ * @returns {{ desconto: number, frete_gratis: boolean }} - desconto em reais
+ */
+function calcularDesconto(cupom, subtotal) {
+    const subtotalCentavos = toCentavos(subtotal);
+
+    if (cupom.tipo === 'percentual') {
+        return { desconto: toReais(Math.round(subtotalCentavos * Number(cupom.valor) / 100)), frete_gratis: false };
+    }
+    if (cupom.tipo === 'valor_fixo') {
+        return { desconto: toReais(Math.min(toCentavos(cupom.valor), subtotalCentavos)), frete_gratis: false };
+    }
+    return { desconto: 0, frete_gratis: true };
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    validarCupom,
+    calcularDesconto,
+    normalizarCodigo,
+    TIPOS_CUPOM
+};
@@ -7,23 +7,52 @@
  * - Índices otimizados para consultas frequentes
  * - Soft delete (auditoria completa)
  * - Transações ACID
- * - Logs de auditoria
+ * - Logs de auditoria (mutações do Repository auditadas automaticamente)
+ * - CPF e telefone cifrados, com índice cego para buscar por CPF (criptografia.js)
+ * - Schema versionado em migrations/ (npm run db:migrate)
  * ============================================================
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { migrar, statusMigracoes } = require('./migrations');
+const { hashConteudo, encadear } = require('./auditoria');
+const {
+    cifrar, decifrar, chaveDoValor, indiceCego, decifrarCampos, camposCifrados, carregarChaves,
+    cifrarDadosAuditoria, decifrarDadosAuditoria, COLUNAS_CIFRADAS
+} = require('./criptografia');
+const {
+    identificadoresAnonimos, anonimizarJson, ANONIMIZADO, STATUS_PEDIDO_EM_ANDAMENTO, STATUS_REEMBOLSO_EM_ANDAMENTO
+} = require('./lgpd');
 
 // ============================================================
 // CONFIGURAÇÃO
 // ============================================================
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'database.sqlite');
+const CARRINHO_TTL_DIAS = parseInt(process.env.CARRINHO_TTL_DIAS, 10) || 30;
+const SESSAO_TTL_MINUTOS = parseInt(process.env.SESSAO_TTL_MINUTOS, 10) || 60; // Validade do token de acesso
+const SESSAO_REFRESH_DIAS = parseInt(process.env.SESSAO_REFRESH_DIAS, 10) || 30; // Validade do refresh token
+const RESET_SENHA_TTL_MINUTOS = parseInt(process.env.RESET_SENHA_TTL_MINUTOS, 10) || 60; // Validade do link de redefinição
+const OUTBOX_MAX_TENTATIVAS = parseInt(process.env.OUTBOX_MAX_TENTATIVAS, 10) || 8; // Depois disso o evento vai para a fila de falhas
+const OUTBOX_BACKOFF_SEGUNDOS = parseInt(process.env.OUTBOX_BACKOFF_SEGUNDOS, 10) || 30; // Espera base entre tentativas (dobra a cada falha)
+const RESERVA_ESTOQUE_TTL_MINUTOS = parseInt(process.env.RESERVA_ESTOQUE_TTL_MINUTOS, 10) || 60; // Prazo para pagar o pedido
+const PEDIDO_PREFIXO = process.env.PEDIDO_PREFIXO || 'BSP'; // Prefixo do número do pedido (BSP-YYYYMMDD-0001)
+const PEDIDO_NUMERO_TENTATIVAS = 5; // Novas tentativas de createOrder se o número gerado já existir
+const DB_MIGRAR_AO_INICIAR = process.env.DB_MIGRAR_AO_INICIAR !== 'false'; // Aplica migrações pendentes ao carregar o módulo
 const DB_OPTIONS = {
     verbose: process.env.NODE_ENV === 'development' ? console.log : null,
     fileMustExist: false,
+    // Espera pelo lock de escrita de outra conexão/processo antes de falhar com SQLITE_BUSY
+    timeout: parseInt(process.env.DB_BUSY_TIMEOUT_MS, 10) || 5000
 };
 
+if (!/^[A-Z0-9]{1,10}$/.test(PEDIDO_PREFIXO)) {
+    console.error(`[DB] ❌ PEDIDO_PREFIXO inválido ("${PEDIDO_PREFIXO}"): use de 1 a 10 letras maiúsculas ou números`);
+    process.exit(1);
+}
+
 // ============================================================
 // CONEXÃO COM O BANCO
 // ============================================================
@@ -41,298 +70,28 @@ try {
 }
 
 // ============================================================
-// SCHEMA - CRIAÇÃO DAS TABELAS
+// STATUS DE PEDIDO (MÁQUINA DE ESTADOS)
 // ============================================================
 
-const SCHEMA = {
-    // Tabela de configurações do sistema
-    config: `
-        CREATE TABLE IF NOT EXISTS config (
-            chave TEXT PRIMARY KEY,
-            valor TEXT NOT NULL,
-            descricao TEXT,
-            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `,
-
-    // Tabela de produtos
-    produtos: `
-        CREATE TABLE IF NOT EXISTS produtos (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            sku TEXT UNIQUE NOT NULL,
-            nome TEXT NOT NULL,
-            descricao TEXT,
-            preco_unitario REAL NOT NULL CHECK (preco_unitario >= 0),
-            estoque INTEGER DEFAULT 0 CHECK (estoque >= 0),
-            ativo INTEGER DEFAULT 1 CHECK (ativo IN (0, 1)),
-            imagem_url TEXT,
-            especificacoes TEXT, -- JSON com especificações técnicas
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            deletado_em DATETIME -- Soft delete
-        )
-    `,
-
-    // Tabela de usuários (clientes)
-    usuarios: `
-        CREATE TABLE IF NOT EXISTS usuarios (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            uuid TEXT UNIQUE NOT NULL, -- UUID público para referências externas
-            nome TEXT NOT NULL,
-            email TEXT UNIQUE NOT NULL,
-            cpf TEXT UNIQUE NOT NULL,
-            senha_hash TEXT NOT NULL,
-            telefone TEXT,
-            data_nascimento DATE,
-            genero TEXT CHECK (genero IN ('M', 'F', 'O', 'N')),
-            
-            -- Status da conta
-            status TEXT DEFAULT 'ativo' CHECK (status IN ('ativo', 'inativo', 'bloqueado', 'pendente')),
-            email_verificado INTEGER DEFAULT 0 CHECK (email_verificado IN (0, 1)),
-            
-            -- Campos de auditoria
-            ultimo_login DATETIME,
-            tentativas_login INTEGER DEFAULT 0,
-            
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            deletado_em DATETIME -- Soft delete
-        )
-    `,
-
-    // Tabela de endereços (normalização - um usuário pode ter vários endereços)
-    enderecos: `
-        CREATE TABLE IF NOT EXISTS enderecos (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            usuario_id INTEGER NOT NULL,
-            
-            -- Dados do endereço
-            cep TEXT NOT NULL,
-            logradouro TEXT NOT NULL,
-            numero TEXT NOT NULL,
-            complemento TEXT,
-            bairro TEXT NOT NULL,
-            cidade TEXT NOT NULL,
-            estado TEXT NOT NULL,
-            pais TEXT DEFAULT 'BR',
-            
-            -- Tipo e preferência
-            tipo TEXT DEFAULT 'entrega' CHECK (tipo IN ('entrega', 'cobranca', 'ambos')),
-            padrao INTEGER DEFAULT 0 CHECK (padrao IN (0, 1)),
-            
-            -- Validação
-            validado INTEGER DEFAULT 0 CHECK (validado IN (0, 1)),
-            
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            deletado_em DATETIME,
-            
-            FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
-        )
-    `,
-
-    // Tabela de pedidos
-    pedidos: `
-        CREATE TABLE IF NOT EXISTS pedidos (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            numero_pedido TEXT UNIQUE NOT NULL, -- Número legível (ex: BSP-20250222-0001)
-            
-            -- Relacionamentos
-            usuario_id INTEGER NOT NULL,
-            endereco_id INTEGER NOT NULL,
-            
-            -- Valores
-            subtotal REAL NOT NULL CHECK (subtotal >= 0),
-            frete REAL NOT NULL DEFAULT 0 CHECK (frete >= 0),
-            desconto REAL NOT NULL DEFAULT 0 CHECK (desconto >= 0),
-            total REAL NOT NULL CHECK (total >= 0),
-            
-            -- Status do pedido
-            status TEXT DEFAULT 'pendente' CHECK (status IN (
-                'pendente', 'aguardando_pagamento', 'pago', 'processando', 
-                'enviado', 'entregue', 'cancelado', 'reembolsado'
-            )),
-            
-            -- Pagamento
-            metodo_pagamento TEXT CHECK (metodo_pagamento IN (
-                'cartao_credito', 'cartao_debito', 'boleto', 'pix', 'transferencia'
-            )),
-            pagamento_status TEXT DEFAULT 'pendente' CHECK (pagamento_status IN (
-                'pendente', 'aprovado', 'recusado', 'estornado'
-            )),
-            pagamento_data DATETIME,
-            pagamento_transacao_id TEXT, -- ID da transação no gateway
-            
-            -- Envio
-            codigo_rastreio TEXT,
-            envio_data DATETIME,
-            entrega_prevista DATE,
-            entrega_realizada DATETIME,
-            
-            -- Observações
-            observacoes_cliente TEXT,
-            observacoes_internas TEXT,
-            
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            
-            FOREIGN KEY (usuario_id) REFERENCES usuarios(id),
-            FOREIGN KEY (endereco_id) REFERENCES enderecos(id)
-        )
-    `,
-
-    // Tabela de itens do pedido
-    pedido_itens: `
-        CREATE TABLE IF NOT EXISTS pedido_itens (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            pedido_id INTEGER NOT NULL,
-            produto_id INTEGER NOT NULL,
-            
-            -- Dados do item (snapshot no momento da compra)
-            sku TEXT NOT NULL,
-            nome TEXT NOT NULL,
-            quantidade INTEGER NOT NULL CHECK (quantidade > 0),
-            preco_unitario REAL NOT NULL CHECK (preco_unitario >= 0),
-            subtotal REAL NOT NULL CHECK (subtotal >= 0),
-            
-            -- Especificações
-            variacao TEXT, -- cor, tamanho, etc
-            
-            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE,
-            FOREIGN KEY (produto_id) REFERENCES produtos(id)
-        )
-    `,
-
-    // Tabela de histórico de status dos pedidos
-    pedido_historico: `
-        CREATE TABLE IF NOT EXISTS pedido_historico (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            pedido_id INTEGER NOT NULL,
-            status_anterior TEXT,
-            status_novo TEXT NOT NULL,
-            observacao TEXT,
-            usuario_responsavel_id INTEGER, -- NULL se for sistema
-            ip_address TEXT,
-            user_agent TEXT,
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            
-            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE
-        )
-    `,
-
-    // Tabela de logs de auditoria
-    audit_logs: `
-        CREATE TABLE IF NOT EXISTS audit_logs (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            
-            -- Identificação
-            uuid TEXT UNIQUE NOT NULL,
-            tabela TEXT NOT NULL,
-            registro_id INTEGER,
-            acao TEXT NOT NULL CHECK (acao IN ('INSERT', 'UPDATE', 'DELETE', 'SELECT', 'LOGIN', 'LOGOUT', 'ERROR')),
-            
-            -- Dados
-            dados_anteriores TEXT, -- JSON
-            dados_novos TEXT, -- JSON
-            
-            -- Contexto
-            usuario_id INTEGER,
-            ip_address TEXT,
-            user_agent TEXT,
-            endpoint TEXT,
-            metodo_http TEXT,
-            
-            -- Timestamp
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            
-            FOREIGN KEY (usuario_id) REFERENCES usuarios(id)
-        )
-    `,
-
-    // Tabela de sessões (para controle de login)
-    sessoes: `
-        CREATE TABLE IF NOT EXISTS sessoes (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            usuario_id INTEGER NOT NULL,
-            token TEXT UNIQUE NOT NULL,
-            refresh_token TEXT UNIQUE,
-            
-            -- Dispositivo/Contexto
-            ip_address TEXT,
-            user_agent TEXT,
-            dispositivo TEXT,
-            
-            -- Validade
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            expira_em DATETIME NOT NULL,
-            ultima_atividade DATETIME DEFAULT CURRENT_TIMESTAMP,
-            
-            -- Status
-            ativo INTEGER DEFAULT 1 CHECK (ativo IN (0, 1)),
-            encerrado_em DATETIME,
-            motivo_encerramento TEXT CHECK (motivo_encerramento IN ('logout', 'expirado', 'revogado', 'troca_senha')),
-            
-            FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
-        )
-    `,
-
-    // Tabela de tokens de recuperação de senha
-    password_resets: `
-        CREATE TABLE IF NOT EXISTS password_resets (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            usuario_id INTEGER NOT NULL,
-            token TEXT UNIQUE NOT NULL,
-            expira_em DATETIME NOT NULL,
-            utilizado INTEGER DEFAULT 0 CHECK (utilizado IN (0, 1)),
-            utilizado_em DATETIME,
-            ip_address TEXT,
-            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
-            
-            FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
-        )
-    `
+/**
+ * Transições permitidas a partir de cada status
+ * Fluxo normal: pendente → aguardando_pagamento → pago → processando → enviado → entregue
+ * (o pagamento pode chegar antes do pedido sair de 'pendente')
+ */
+const ORDER_STATUS_TRANSITIONS = {
+    pendente: ['aguardando_pagamento', 'pago', 'cancelado'],
+    aguardando_pagamento: ['pago', 'cancelado'],
+    pago: ['processando', 'cancelado', 'reembolsado'],
+    processando: ['enviado', 'cancelado', 'reembolsado'],
+    enviado: ['entregue', 'reembolsado'],
+    entregue: ['reembolsado'],
+    cancelado: [],
+    reembolsado: []
 };
 
-// ============================================================
-// ÍNDICES PARA PERFORMANCE
-// ============================================================
-
-const INDEXES = [
-    // Usuários
-    `CREATE INDEX IF NOT EXISTS idx_usuarios_email ON usuarios(email) WHERE deletado_em IS NULL`,
-    `CREATE INDEX IF NOT EXISTS idx_usuarios_cpf ON usuarios(cpf) WHERE deletado_em IS NULL`,
-    `CREATE INDEX IF NOT EXISTS idx_usuarios_status ON usuarios(status) WHERE deletado_em IS NULL`,
-    `CREATE INDEX IF NOT EXISTS idx_usuarios_criado ON usuarios(criado_em)`,
-    
-    // Endereços
-    `CREATE INDEX IF NOT EXISTS idx_enderecos_usuario ON enderecos(usuario_id) WHERE deletado_em IS NULL`,
-    `CREATE INDEX IF NOT EXISTS idx_enderecos_cep ON enderecos(cep)`,
-    `CREATE INDEX IF NOT EXISTS idx_enderecos_padrao ON enderecos(usuario_id, padrao) WHERE padrao = 1`,
-    
-    // Pedidos
-    `CREATE INDEX IF NOT EXISTS idx_pedidos_usuario ON pedidos(usuario_id)`,
-    `CREATE INDEX IF NOT EXISTS idx_pedidos_numero ON pedidos(numero_pedido)`,
-    `CREATE INDEX IF NOT EXISTS idx_pedidos_status ON pedidos(status)`,
-    `CREATE INDEX IF NOT EXISTS idx_pedidos_criado ON pedidos(criado_em)`,
-    `CREATE INDEX IF NOT EXISTS idx_pedidos_status_data ON pedidos(status, criado_em)`,
-    
-    // Itens do pedido
-    `CREATE INDEX IF NOT EXISTS idx_pedido_itens_pedido ON pedido_itens(pedido_id)`,
-    `CREATE INDEX IF NOT EXISTS idx_pedido_itens_produto ON pedido_itens(produto_id)`,
-    
-    // Histórico
-    `CREATE INDEX IF NOT EXISTS idx_pedido_historico_pedido ON pedido_historico(pedido_id, criado_em)`,
-    
-    // Logs de auditoria
-    `CREATE INDEX IF NOT EXISTS idx_audit_tabela ON audit_logs(tabela, registro_id)`,
-    `CREATE INDEX IF NOT EXISTS idx_audit_usuario ON audit_logs(usuario_id)`,
-    `CREATE INDEX IF NOT EXISTS idx_audit_criado ON audit_logs(criado_em)`,
-    
-    // Sessões
-    `CREATE INDEX IF NOT EXISTS idx_sessoes_token ON sessoes(token)`,
-    `CREATE INDEX IF NOT EXISTS idx_sessoes_usuario ON sessoes(usuario_id, ativo)`,
-    `CREATE INDEX IF NOT EXISTS idx_sessoes_expira ON sessoes(expira_em) WHERE ativo = 1`
-];
+function canTransitionOrderStatus(statusAtual, novoStatus) {
+    return (ORDER_STATUS_TRANSITIONS[statusAtual] || []).includes(novoStatus);
+}
 
 // ============================================================
 // FUNÇÕES AUXILIARES
@@ -346,29 +105,65 @@ function generateUUID() {
 }
 
 /**
- * Gera número de pedido único
- * Formato: BSP-YYYYMMDD-XXXX
+ * Gera um token aleatório (hex) para identificadores não adivinháveis
  */
+function generateToken(bytes = 24) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hash SHA-256 de tokens de sessão (o banco nunca guarda o token em texto puro)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Expressão SQL do estoque disponível (estoque físico menos as reservas ativas)
+ * @param {string} alias - Alias da tabela produtos na consulta
+ */
+function estoqueDisponivelSql(alias = 'produtos') {
+    return `(${alias}.estoque - COALESCE((
+        SELECT SUM(r.quantidade) FROM reservas_estoque r WHERE r.produto_id = ${alias}.id AND r.status = 'ativa'
+    ), 0))`;
+}
+
+function dataPedido(date = new Date()) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
 /**
  * Gera número de pedido único e SEQUENCIAL
- * Formato: BSP-YYYYMMDD-0001
+ * Formato: PEDIDO_PREFIXO-YYYYMMDD-0001
+ * O contador do dia é incrementado em um único comando (upsert), então
+ * conexões e processos concorrentes nunca recebem o mesmo número.
  */
 function generateOrderNumber() {
-    const date = new Date();
-    // Pega a data de hoje no formato YYYYMMDD
-    const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-    
-    // Conta quantos pedidos já foram feitos HOJE no banco de dados
-    const result = db.prepare(`
-        SELECT COUNT(*) as total 
-        FROM pedidos 
-        WHERE numero_pedido LIKE ?
-    `).get(`BSP-${dateStr}-%`);
+    const dateStr = dataPedido();
+    const { ultimo } = db.prepare(`
+        INSERT INTO pedido_sequencias (prefixo, data, ultimo) VALUES (?, ?, 1)
+        ON CONFLICT (prefixo, data) DO UPDATE SET ultimo = ultimo + 1
+        RETURNING ultimo
+    `).get(PEDIDO_PREFIXO, dateStr);
     
-    // Pega o total de hoje, soma 1, e coloca zeros à esquerda (ex: 0001, 0002, 0015)
-    const sequencial = String(result.total + 1).padStart(4, '0');
+    // Zeros à esquerda (ex: 0001, 0002, 0015)
+    return `${PEDIDO_PREFIXO}-${dateStr}-${String(ultimo).padStart(4, '0')}`;
+}
+
+/**
+ * Alinha o contador de hoje com pedidos numerados antes da tabela pedido_sequencias existir
+ */
+function syncOrderSequence() {
+    const dateStr = dataPedido();
+    const maior = db.prepare('SELECT numero_pedido FROM pedidos WHERE numero_pedido LIKE ?')
+        .all(`${PEDIDO_PREFIXO}-${dateStr}-%`)
+        .reduce((max, { numero_pedido }) => Math.max(max, parseInt(numero_pedido.split('-').pop(), 10) || 0), 0);
+    if (maior === 0) return;
     
-    return `BSP-${dateStr}-${sequencial}`;
+    db.prepare(`
+        INSERT INTO pedido_sequencias (prefixo, data, ultimo) VALUES (?, ?, ?)
+        ON CONFLICT (prefixo, data) DO UPDATE SET ultimo = MAX(ultimo, excluded.ultimo)
+    `).run(PEDIDO_PREFIXO, dateStr, maior);
 }
 /**
  * Atualiza o timestamp de atualização
@@ -378,6 +173,41 @@ function updateTimestamp(table, id) {
     stmt.run(id);
 }
 
+/**
+ * WHERE dos filtros de auditoria (tabela, registro_id, usuario_id, acao, de, ate)
+ */
+function filtroAuditoria({ tabela, registro_id, usuario_id, acao, de, ate }) {
+    const where = [];
+    const params = [];
+    
+    if (tabela) {
+        where.push('a.tabela = ?');
+        params.push(tabela);
+    }
+    if (registro_id !== undefined) {
+        where.push('a.registro_id = ?');
+        params.push(registro_id);
+    }
+    if (usuario_id !== undefined) {
+        where.push('a.usuario_id = ?');
+        params.push(usuario_id);
+    }
+    if (acao) {
+        where.push('a.acao = ?');
+        params.push(acao);
+    }
+    if (de) {
+        where.push('DATE(a.criado_em) >= DATE(?)');
+        params.push(de);
+    }
+    if (ate) {
+        where.push('DATE(a.criado_em) <= DATE(?)');
+        params.push(ate);
+    }
+    
+    return { whereSql: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
 // ============================================================
 // INICIALIZAÇÃO DO BANCO
 // ============================================================
@@ -386,56 +216,21 @@ function initializeDatabase() {
     console.log('[DB] 🚀 Inicializando schema...');
     
     try {
-        // Criar tabelas
-        Object.entries(SCHEMA).forEach(([name, sql]) => {
-            db.exec(sql);
-            console.log(`[DB]   ✓ Tabela: ${name}`);
-        });
+        // CLIs de migração (npm run db:*) desligam a migração automática para controlar cada passo
+        if (DB_MIGRAR_AO_INICIAR) migrar(db);
         
-        // Criar índices
-        INDEXES.forEach(sql => {
-            db.exec(sql);
+        const status = statusMigracoes(db);
+        status.filter(m => m.status === 'alterada' || m.status === 'ausente').forEach((m) => {
+            console.warn(`[DB] ⚠️ Migração ${m.nome} ${m.status === 'alterada' ? 'foi editada depois de aplicada' : 'está aplicada, mas o arquivo não existe'}`);
         });
-        console.log(`[DB]   ✓ ${INDEXES.length} índices criados`);
-        
-        // Inserir produto padrão se não existir
-        const produtoPadrao = db.prepare('SELECT id FROM produtos WHERE sku = ?').get('BLUESHIELD-PRO-001');
-        if (!produtoPadrao) {
-            const insertProduto = db.prepare(`
-                INSERT INTO produtos (sku, nome, descricao, preco_unitario, estoque, especificacoes)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `);
-            insertProduto.run(
-                'BLUESHIELD-PRO-001',
-                'BlueShield Pro',
-                'Óculos bloqueador de luz azul para profissionais de alta performance',
-                269.00,
-                1000,
-                JSON.stringify({
-                    peso: '22g',
-                    material_armacao: 'TR90',
-                    material_lente: 'Policarbonato',
-                    protecao: 'UV400',
-                    largura: '143mm',
-                    altura_lente: '47mm',
-                    ponte_nasal: '48mm'
-                })
-            );
-            console.log('[DB]   ✓ Produto padrão inserido');
+        
+        const pendentes = status.filter(m => m.status === 'pendente');
+        if (pendentes.length > 0) {
+            console.warn(`[DB] ⚠️ ${pendentes.length} migração(ões) pendente(s): ${pendentes.map(m => m.nome).join(', ')} (npm run db:migrate)`);
+            return;
         }
         
-        // Inserir configurações padrão
-        const configs = [
-            ['preco_default', '269.00', 'Preço padrão do produto'],
-            ['frete_gratis', 'true', 'Frete grátis ativado'],
-            ['estoque_minimo', '10', 'Alerta de estoque baixo'],
-            ['versao_db', '1.0.0', 'Versão do schema do banco']
-        ];
-        
-        const insertConfig = db.prepare('INSERT OR IGNORE INTO config (chave, valor, descricao) VALUES (?, ?, ?)');
-        configs.forEach(([chave, valor, descricao]) => {
-            insertConfig.run(chave, valor, descricao);
-        });
+        syncOrderSequence();
         
         console.log('[DB] ✅ Banco de dados inicializado com sucesso!\n');
         
@@ -461,30 +256,35 @@ class Repository {
         const uuid = generateUUID();
         
         const stmt = this.db.prepare(`
-            INSERT INTO usuarios (uuid, nome, email, cpf, senha_hash, telefone)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO usuarios (uuid, nome, email, cpf, cpf_indice, senha_hash, telefone)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
         `);
         
-        const result = stmt.run(uuid, nome, email, cpf, senha_hash, telefone);
+        const result = stmt.run(
+            uuid, nome, email, cifrar(cpf, 'usuarios.cpf'), indiceCego(cpf, 'usuarios.cpf'), senha_hash, cifrar(telefone, 'usuarios.telefone')
+        );
         return { id: result.lastInsertRowid, uuid };
     }
     
     getUserByEmail(email, incluirDeletados = false) {
         let sql = 'SELECT * FROM usuarios WHERE email = ?';
         if (!incluirDeletados) sql += ' AND deletado_em IS NULL';
-        return this.db.prepare(sql).get(email);
+        return decifrarCampos(this.db.prepare(sql).get(email), camposCifrados('usuarios'));
     }
     
+    /**
+     * Busca pelo índice cego do CPF/CNPJ (só dígitos, como gravado no cadastro)
+     */
     getUserByCPF(cpf, incluirDeletados = false) {
-        let sql = 'SELECT * FROM usuarios WHERE cpf = ?';
+        let sql = 'SELECT * FROM usuarios WHERE cpf_indice = ?';
         if (!incluirDeletados) sql += ' AND deletado_em IS NULL';
-        return this.db.prepare(sql).get(cpf);
+        return decifrarCampos(this.db.prepare(sql).get(indiceCego(cpf, 'usuarios.cpf')), camposCifrados('usuarios'));
     }
     
     getUserById(id, incluirDeletados = false) {
         let sql = 'SELECT * FROM usuarios WHERE id = ?';
         if (!incluirDeletados) sql += ' AND deletado_em IS NULL';
-        return this.db.prepare(sql).get(id);
+        return decifrarCampos(this.db.prepare(sql).get(id), camposCifrados('usuarios'));
     }
     
     updateUserLogin(userId) {
@@ -516,9 +316,7 @@ class Repository {
         const { usuario_id, cep, logradouro, numero, complemento, bairro, cidade, estado, tipo = 'entrega', padrao = 0 } = dados;
         
         // Se for endereço padrão, remove o padrão dos outros
-        if (padrao) {
-            this.db.prepare('UPDATE enderecos SET padrao = 0 WHERE usuario_id = ?').run(usuario_id);
-        }
+        if (padrao) this.clearDefaultAddresses(usuario_id);
         
         const stmt = this.db.prepare(`
             INSERT INTO enderecos (usuario_id, cep, logradouro, numero, complemento, bairro, cidade, estado, tipo, padrao)
@@ -544,19 +342,112 @@ class Repository {
         `).get(userId);
     }
     
+    getAddressById(id, userId) {
+        return this.db.prepare(`
+            SELECT * FROM enderecos WHERE id = ? AND usuario_id = ? AND deletado_em IS NULL
+        `).get(id, userId);
+    }
+    
+    /**
+     * Procura um endereço idêntico já cadastrado (evita duplicar a cada compra)
+     */
+    findAddress(userId, dados) {
+        const { cep, logradouro, numero, complemento } = dados;
+        return this.db.prepare(`
+            SELECT * FROM enderecos
+            WHERE usuario_id = ? AND cep = ? AND logradouro = ? AND numero = ? AND IFNULL(complemento, '') = ? AND deletado_em IS NULL
+        `).get(userId, cep, logradouro, numero, complemento || '');
+    }
+    
+    /**
+     * Tira o padrão dos outros endereços do usuário, um por vez (cada um fica na auditoria)
+     * @param {number|null} exceto - Endereço que mantém o padrão
+     */
+    clearDefaultAddresses(userId, exceto = null) {
+        this.db.prepare('SELECT id FROM enderecos WHERE usuario_id = ? AND padrao = 1 AND id IS NOT ?')
+            .all(userId, exceto)
+            .forEach(({ id }) => this.unsetDefaultAddress(id));
+    }
+    
+    unsetDefaultAddress(id) {
+        this.db.prepare('UPDATE enderecos SET padrao = 0 WHERE id = ?').run(id);
+    }
+    
+    setDefaultAddress(id, userId) {
+        this.clearDefaultAddresses(userId, id);
+        this.db.prepare('UPDATE enderecos SET padrao = 1, atualizado_em = CURRENT_TIMESTAMP WHERE id = ? AND usuario_id = ?').run(id, userId);
+    }
+    
+    /**
+     * Atualiza um endereço. Se ele já foi usado em algum pedido, o original é mantido
+     * (soft delete) e uma nova linha é criada, preservando o endereço de entrega dos pedidos.
+     * @returns {{ id: number }} - Id do endereço atualizado (pode ser novo)
+     */
+    updateAddress(id, userId, dados) {
+        const atual = this.getAddressById(id, userId);
+        if (!atual) throw new Error('Endereço não encontrado');
+        
+        const { cep, logradouro, numero, complemento, bairro, cidade, estado } = dados;
+        const padrao = dados.padrao !== undefined ? (dados.padrao ? 1 : 0) : atual.padrao;
+        const usadoEmPedido = this.db.prepare('SELECT 1 FROM pedidos WHERE endereco_id = ? LIMIT 1').get(id);
+        
+        if (usadoEmPedido) {
+            this.db.prepare('UPDATE enderecos SET deletado_em = CURRENT_TIMESTAMP, padrao = 0 WHERE id = ?').run(id);
+            return this.createAddress({ usuario_id: userId, cep, logradouro, numero, complemento, bairro, cidade, estado, tipo: atual.tipo, padrao });
+        }
+        
+        if (padrao) this.clearDefaultAddresses(userId, id);
+        this.db.prepare(`
+            UPDATE enderecos
+            SET cep = ?, logradouro = ?, numero = ?, complemento = ?, bairro = ?, cidade = ?, estado = ?, padrao = ?, atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(cep, logradouro, numero, complemento, bairro, cidade, estado, padrao, id);
+        return { id };
+    }
+    
+    /**
+     * Soft delete; se era o padrão, o endereço mais recente passa a ser o padrão
+     */
+    softDeleteAddress(id, userId) {
+        const endereco = this.getAddressById(id, userId);
+        if (!endereco) return false;
+        
+        this.db.prepare('UPDATE enderecos SET deletado_em = CURRENT_TIMESTAMP, padrao = 0 WHERE id = ?').run(id);
+        
+        if (endereco.padrao) {
+            const proximo = this.db.prepare(`
+                SELECT id FROM enderecos WHERE usuario_id = ? AND deletado_em IS NULL ORDER BY criado_em DESC, id DESC LIMIT 1
+            `).get(userId);
+            if (proximo) this.setDefaultAddress(proximo.id, userId);
+        }
+        return true;
+    }
+    
     // ==================== PEDIDOS ====================
     
     createOrder(dados) {
-        const { usuario_id, endereco_id, subtotal, frete = 0, desconto = 0, total, metodo_pagamento, observacoes_cliente } = dados;
-        const numero_pedido = generateOrderNumber();
-        
+        const {
+            usuario_id, endereco_id, subtotal, frete = 0, desconto = 0, total, metodo_pagamento, observacoes_cliente,
+            frete_servico = null, entrega_prevista = null
+        } = dados;
         const stmt = this.db.prepare(`
-            INSERT INTO pedidos (numero_pedido, usuario_id, endereco_id, subtotal, frete, desconto, total, metodo_pagamento, observacoes_cliente)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO pedidos (numero_pedido, usuario_id, endereco_id, subtotal, frete, desconto, total, metodo_pagamento, observacoes_cliente, frete_servico, entrega_prevista)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
-        const result = stmt.run(numero_pedido, usuario_id, endereco_id, subtotal, frete, desconto, total, metodo_pagamento, observacoes_cliente);
-        return { id: result.lastInsertRowid, numero_pedido };
+        // Um número já usado (ex.: pedido inserido fora da sequência) não derruba o checkout:
+        // a falha desfaz só este INSERT e o próximo número do contador é tentado
+        for (let tentativa = 1; ; tentativa++) {
+            const numero_pedido = generateOrderNumber();
+            try {
+                const result = stmt.run(numero_pedido, usuario_id, endereco_id, subtotal, frete, desconto, total, metodo_pagamento, observacoes_cliente, frete_servico, entrega_prevista);
+                return { id: result.lastInsertRowid, numero_pedido };
+            } catch (error) {
+                const duplicado = error.code === 'SQLITE_CONSTRAINT_UNIQUE' && error.message.includes('pedidos.numero_pedido');
+                if (!duplicado || tentativa >= PEDIDO_NUMERO_TENTATIVAS) throw error;
+                console.warn(`[DB] ⚠️ Número de pedido ${numero_pedido} já existe; gerando outro (tentativa ${tentativa + 1})`);
+            }
+        }
     }
     
     addOrderItem(dados) {
@@ -572,23 +463,117 @@ class Repository {
     }
     
     getOrderById(orderId) {
-        return this.db.prepare(`
+        const pedido = this.db.prepare(`
             SELECT p.*, u.nome as cliente_nome, u.email as cliente_email, u.telefone as cliente_telefone
             FROM pedidos p
             JOIN usuarios u ON p.usuario_id = u.id
             WHERE p.id = ?
         `).get(orderId);
+        return decifrarCampos(pedido, { cliente_telefone: 'usuarios.telefone' });
     }
     
     getOrderItems(orderId) {
         return this.db.prepare('SELECT * FROM pedido_itens WHERE pedido_id = ?').all(orderId);
     }
     
-    updateOrderStatus(orderId, novoStatus, observacao = null, usuarioResponsavelId = null) {
+    getOrderByNumber(numeroPedido) {
+        const pedido = this.db.prepare(`
+            SELECT p.*, u.nome as cliente_nome, u.email as cliente_email, u.telefone as cliente_telefone, u.cpf as cliente_cpf,
+                   e.cep, e.logradouro, e.numero, e.complemento, e.bairro, e.cidade, e.estado
+            FROM pedidos p
+            JOIN usuarios u ON p.usuario_id = u.id
+            JOIN enderecos e ON p.endereco_id = e.id
+            WHERE p.numero_pedido = ?
+        `).get(numeroPedido);
+        return decifrarCampos(pedido, { cliente_telefone: 'usuarios.telefone', cliente_cpf: 'usuarios.cpf' });
+    }
+    
+    getOrderHistory(orderId) {
+        return this.db.prepare(`
+            SELECT h.*, u.nome as usuario_responsavel_nome
+            FROM pedido_historico h
+            LEFT JOIN usuarios u ON h.usuario_responsavel_id = u.id
+            WHERE h.pedido_id = ?
+            ORDER BY h.criado_em DESC, h.id DESC
+        `).all(orderId);
+    }
+    
+    /**
+     * Pedidos do cliente (área Minha Conta)
+     * @returns {{ pedidos: Object[], total: number }}
+     */
+    getOrdersByUser(userId, { pagina = 1, limite = 10 } = {}) {
+        const total = this.db.prepare('SELECT COUNT(*) as total FROM pedidos WHERE usuario_id = ?').get(userId).total;
+        const pedidos = this.db.prepare(`
+            SELECT id, numero_pedido, status, pagamento_status, subtotal, frete, desconto, total,
+                   frete_servico, codigo_rastreio, entrega_prevista, entrega_realizada, criado_em, atualizado_em
+            FROM pedidos
+            WHERE usuario_id = ?
+            ORDER BY criado_em DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(userId, limite, (pagina - 1) * limite);
+        
+        return { pedidos, total };
+    }
+    
+    /**
+     * Lista pedidos com filtros (painel administrativo)
+     * @param {Object} filtros - status, de, ate (YYYY-MM-DD), cliente (nome/email/CPF), pagina, limite
+     * @returns {{ pedidos: Object[], total: number }}
+     */
+    listOrders(filtros = {}) {
+        const { status, de, ate, cliente, pagina = 1, limite = 20 } = filtros;
+        const where = [];
+        const params = [];
+        
+        if (status) {
+            where.push('p.status = ?');
+            params.push(status);
+        }
+        if (de) {
+            where.push('DATE(p.criado_em) >= DATE(?)');
+            params.push(de);
+        }
+        if (ate) {
+            where.push('DATE(p.criado_em) <= DATE(?)');
+            params.push(ate);
+        }
+        if (cliente) {
+            where.push('(u.nome LIKE ? OR u.email LIKE ? OR u.cpf_indice = ?)');
+            params.push(`%${cliente}%`, `%${cliente}%`, indiceCego(cliente.replace(/\D/g, ''), 'usuarios.cpf'));
+        }
+        
+        const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        const total = this.db.prepare(`
+            SELECT COUNT(*) as total FROM pedidos p JOIN usuarios u ON p.usuario_id = u.id ${whereSql}
+        `).get(...params).total;
+        
+        const pedidos = this.db.prepare(`
+            SELECT p.id, p.numero_pedido, p.status, p.pagamento_status, p.subtotal, p.frete, p.desconto, p.total,
+                   p.criado_em, p.atualizado_em, u.nome as cliente_nome, u.email as cliente_email
+            FROM pedidos p
+            JOIN usuarios u ON p.usuario_id = u.id
+            ${whereSql}
+            ORDER BY p.criado_em DESC, p.id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limite, (pagina - 1) * limite);
+        
+        return { pedidos, total };
+    }
+    
+    /**
+     * Altera o status respeitando a máquina de estados (ORDER_STATUS_TRANSITIONS)
+     * e registra a mudança em pedido_historico
+     * @param {Object} contexto - { ip_address, user_agent } de quem fez a alteração
+     */
+    updateOrderStatus(orderId, novoStatus, observacao = null, usuarioResponsavelId = null, contexto = {}) {
         const pedido = this.getOrderById(orderId);
         if (!pedido) throw new Error('Pedido não encontrado');
         
         const statusAnterior = pedido.status;
+        if (!canTransitionOrderStatus(statusAnterior, novoStatus)) {
+            throw new Error(`Transição de status inválida: ${statusAnterior} → ${novoStatus}`);
+        }
         
         // Atualiza status
         const stmt = this.db.prepare(`
@@ -598,20 +583,108 @@ class Repository {
         
         // Registra no histórico
         const histStmt = this.db.prepare(`
-            INSERT INTO pedido_historico (pedido_id, status_anterior, status_novo, observacao, usuario_responsavel_id)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO pedido_historico (pedido_id, status_anterior, status_novo, observacao, usuario_responsavel_id, ip_address, user_agent)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
         `);
-        histStmt.run(orderId, statusAnterior, novoStatus, observacao, usuarioResponsavelId);
+        histStmt.run(orderId, statusAnterior, novoStatus, observacao, usuarioResponsavelId, contexto.ip_address || null, contexto.user_agent || null);
+        
+        // Pagamento efetiva a baixa do estoque reservado; cancelamento devolve o estoque
+        if (novoStatus === 'pago') this.confirmStockReservations(orderId);
+        if (novoStatus === 'cancelado') this.releaseStockReservations(orderId);
+        
+        // Datas do ciclo de entrega (mantém as já informadas pela operação)
+        if (novoStatus === 'enviado') {
+            this.db.prepare('UPDATE pedidos SET envio_data = COALESCE(envio_data, CURRENT_TIMESTAMP) WHERE id = ?').run(orderId);
+        }
+        if (novoStatus === 'entregue') {
+            this.db.prepare('UPDATE pedidos SET entrega_realizada = COALESCE(entrega_realizada, CURRENT_TIMESTAMP) WHERE id = ?').run(orderId);
+        }
         
         return { statusAnterior, novoStatus };
     }
     
+    /**
+     * Grava transportadora, código de rastreio e, se informada, uma nova previsão de entrega
+     */
+    registerShipment(orderId, { transportadora, codigo_rastreio, entrega_prevista = null }) {
+        this.db.prepare(`
+            UPDATE pedidos
+            SET transportadora = ?, codigo_rastreio = ?, entrega_prevista = COALESCE(?, entrega_prevista), atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(transportadora, codigo_rastreio, entrega_prevista, orderId);
+    }
+    
+    /**
+     * Grava a data em que o pedido foi entregue (antes de mudar o status para 'entregue')
+     */
+    registerDelivery(orderId, entregueEm) {
+        this.db.prepare(`
+            UPDATE pedidos SET entrega_realizada = ?, atualizado_em = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(entregueEm, orderId);
+    }
+    
     // ==================== PRODUTOS ====================
     
     getProductBySku(sku) {
-        return this.db.prepare('SELECT * FROM produtos WHERE sku = ? AND deletado_em IS NULL AND ativo = 1').get(sku);
+        return this.db.prepare(`
+            SELECT *, ${estoqueDisponivelSql()} as estoque_disponivel
+            FROM produtos WHERE sku = ? AND deletado_em IS NULL AND ativo = 1
+        `).get(sku);
     }
-    
+
+    /**
+     * Lista produtos ativos com filtros, ordenação e paginação
+     * @param {Object} filtros - busca, preco_min, preco_max, em_estoque, especificacoes, ordenar, ordem, pagina, limite
+     * @returns {{ produtos: Object[], total: number }}
+     */
+    listProducts(filtros = {}) {
+        const {
+            busca, preco_min, preco_max, em_estoque = false, especificacoes = {},
+            ordenar = 'nome', ordem = 'asc', pagina = 1, limite = 12
+        } = filtros;
+
+        const where = ['deletado_em IS NULL', 'ativo = 1'];
+        const params = [];
+
+        if (busca) {
+            where.push('(nome LIKE ? OR descricao LIKE ? OR sku LIKE ?)');
+            const termo = `%${busca}%`;
+            params.push(termo, termo, termo);
+        }
+        if (preco_min !== undefined) {
+            where.push('preco_unitario >= ?');
+            params.push(preco_min);
+        }
+        if (preco_max !== undefined) {
+            where.push('preco_unitario <= ?');
+            params.push(preco_max);
+        }
+        if (em_estoque) where.push(`${estoqueDisponivelSql()} > 0`);
+
+        // Filtros sobre o JSON de especificações (ex: material_armacao, material_lente)
+        Object.entries(especificacoes).forEach(([campo, valor]) => {
+            where.push('json_extract(especificacoes, ?) = ?');
+            params.push(`$.${campo}`, valor);
+        });
+
+        // Colunas de ordenação permitidas (evita SQL injection no ORDER BY)
+        const colunasOrdenacao = { nome: 'nome', preco: 'preco_unitario', estoque: 'estoque_disponivel', criado_em: 'criado_em' };
+        const coluna = colunasOrdenacao[ordenar] || 'nome';
+        const direcao = String(ordem).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+
+        const whereSql = where.join(' AND ');
+        const total = this.db.prepare(`SELECT COUNT(*) as total FROM produtos WHERE ${whereSql}`).get(...params).total;
+
+        const produtos = this.db.prepare(`
+            SELECT *, ${estoqueDisponivelSql()} as estoque_disponivel FROM produtos
+            WHERE ${whereSql}
+            ORDER BY ${coluna} ${direcao}, id ASC
+            LIMIT ? OFFSET ?
+        `).all(...params, limite, (pagina - 1) * limite);
+
+        return { produtos, total };
+    }
+
     updateStock(productId, quantidade) {
         const stmt = this.db.prepare(`
             UPDATE produtos SET estoque = estoque - ?, atualizado_em = CURRENT_TIMESTAMP WHERE id = ?
@@ -619,23 +692,1085 @@ class Repository {
         return stmt.run(quantidade, productId);
     }
     
+    // ==================== RESERVAS DE ESTOQUE ====================
+    
+    /**
+     * Separa estoque para o pedido até o pagamento (ou até expirar)
+     */
+    reserveStock(pedidoId, produtoId, quantidade) {
+        const produto = this.db.prepare(`
+            SELECT sku, ${estoqueDisponivelSql()} as estoque_disponivel FROM produtos WHERE id = ?
+        `).get(produtoId);
+        if (!produto) throw new Error('Produto não encontrado');
+        if (produto.estoque_disponivel < quantidade) throw new Error(`Estoque insuficiente: ${produto.sku}`);
+        
+        return this.db.prepare(`
+            INSERT INTO reservas_estoque (pedido_id, produto_id, quantidade, expira_em)
+            VALUES (?, ?, ?, datetime('now', ?))
+        `).run(pedidoId, produtoId, quantidade, `+${RESERVA_ESTOQUE_TTL_MINUTOS} minutes`);
+    }
+    
+    getStockReservations(pedidoId) {
+        return this.db.prepare(`
+            SELECT r.id, r.quantidade, r.status, r.expira_em, r.criado_em, r.finalizada_em, p.sku, p.nome
+            FROM reservas_estoque r
+            JOIN produtos p ON r.produto_id = p.id
+            WHERE r.pedido_id = ?
+            ORDER BY r.id
+        `).all(pedidoId);
+    }
+    
+    /**
+     * Pedido pago: dá baixa em produtos.estoque e encerra as reservas
+     */
+    confirmStockReservations(pedidoId) {
+        const reservas = this.db.prepare(`
+            SELECT id, produto_id, quantidade FROM reservas_estoque WHERE pedido_id = ? AND status = 'ativa'
+        `).all(pedidoId);
+        
+        reservas.forEach(reserva => {
+            this.updateStock(reserva.produto_id, reserva.quantidade);
+            this.db.prepare(`
+                UPDATE reservas_estoque SET status = 'confirmada', finalizada_em = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(reserva.id);
+        });
+        
+        return reservas.length;
+    }
+    
+    /**
+     * Pedido cancelado/expirado: libera as reservas ativas e devolve ao estoque o que já tinha sido baixado
+     * @param {string} status - 'liberada' (cancelamento) ou 'expirada' (prazo de pagamento vencido)
+     */
+    releaseStockReservations(pedidoId, status = 'liberada') {
+        const reservas = this.db.prepare(`
+            SELECT id, produto_id, quantidade, status FROM reservas_estoque WHERE pedido_id = ? AND status IN ('ativa', 'confirmada')
+        `).all(pedidoId);
+        const repostas = this.getRestockedQuantities(pedidoId);
+        
+        reservas.forEach(reserva => {
+            // Unidades já devolvidas por um reembolso parcial não voltam ao estoque de novo
+            if (reserva.status === 'confirmada') this.updateStock(reserva.produto_id, -(reserva.quantidade - (repostas[reserva.produto_id] || 0)));
+            this.db.prepare(`
+                UPDATE reservas_estoque SET status = ?, finalizada_em = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(status, reserva.id);
+        });
+        
+        return reservas.length;
+    }
+    
+    /**
+     * Pedidos ainda sem pagamento cujo prazo venceu
+     * (pela reserva; pedidos sem reserva usam a data de criação + RESERVA_ESTOQUE_TTL_MINUTOS)
+     */
+    getExpiredUnpaidOrders(limite = 100) {
+        return this.db.prepare(`
+            SELECT p.id, p.numero_pedido, p.status
+            FROM pedidos p
+            WHERE p.status IN ('pendente', 'aguardando_pagamento')
+              AND COALESCE(
+                  (SELECT MIN(r.expira_em) FROM reservas_estoque r WHERE r.pedido_id = p.id AND r.status = 'ativa'),
+                  datetime(p.criado_em, ?)
+              ) <= datetime('now')
+            ORDER BY p.id
+            LIMIT ?
+        `).all(`+${RESERVA_ESTOQUE_TTL_MINUTOS} minutes`, limite);
+    }
+    
+    // ==================== OUTBOX ====================
+    
+    /**
+     * Enfileira um efeito colateral (chamar dentro da mesma transação que o originou)
+     * @returns {number} id do evento
+     */
+    enqueueOutbox(tipo, payload, { pedido_id = null, max_tentativas = OUTBOX_MAX_TENTATIVAS } = {}) {
+        const result = this.db.prepare(`
+            INSERT INTO outbox (tipo, payload, pedido_id, max_tentativas) VALUES (?, ?, ?, ?)
+        `).run(tipo, JSON.stringify(payload), pedido_id, max_tentativas);
+        return result.lastInsertRowid;
+    }
+    
+    getOutboxEvent(id) {
+        return this.db.prepare('SELECT * FROM outbox WHERE id = ?').get(id);
+    }
+    
+    /**
+     * Marca o evento como 'processando' se ele estiver disponível
+     * (pendente e no horário, ou preso em 'processando' há mais de 10 minutos)
+     * @returns {boolean} true se este processo ficou com o evento
+     */
+    claimOutboxEvent(id) {
+        const result = this.db.prepare(`
+            UPDATE outbox SET status = 'processando', bloqueado_em = CURRENT_TIMESTAMP, tentativas = tentativas + 1
+            WHERE id = ?
+              AND ((status = 'pendente' AND proxima_tentativa_em <= datetime('now'))
+                OR (status = 'processando' AND bloqueado_em <= datetime('now', '-10 minutes')))
+        `).run(id);
+        return result.changes > 0;
+    }
+    
+    getDueOutboxEvents(limite = 20) {
+        return this.db.prepare(`
+            SELECT id FROM outbox
+            WHERE (status = 'pendente' AND proxima_tentativa_em <= datetime('now'))
+               OR (status = 'processando' AND bloqueado_em <= datetime('now', '-10 minutes'))
+            ORDER BY proxima_tentativa_em, id
+            LIMIT ?
+        `).all(limite).map(row => row.id);
+    }
+    
+    completeOutboxEvent(id) {
+        this.db.prepare(`
+            UPDATE outbox SET status = 'concluido', ultimo_erro = NULL, bloqueado_em = NULL, processado_em = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(id);
+    }
+    
+    /**
+     * Registra a falha e agenda nova tentativa com backoff exponencial (limite de 1 hora)
+     * ou move o evento para 'falhou' quando as tentativas acabam
+     * @returns {{ status: string, proxima_tentativa_em: string|null }}
+     */
+    failOutboxEvent(id, erro) {
+        const evento = this.getOutboxEvent(id);
+        if (!evento) throw new Error('Evento não encontrado');
+        
+        if (evento.tentativas >= evento.max_tentativas) {
+            this.db.prepare(`
+                UPDATE outbox SET status = 'falhou', ultimo_erro = ?, bloqueado_em = NULL, processado_em = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(erro, id);
+            return { status: 'falhou', proxima_tentativa_em: null };
+        }
+        
+        const esperaSegundos = Math.min(OUTBOX_BACKOFF_SEGUNDOS * 2 ** (evento.tentativas - 1), 3600);
+        this.db.prepare(`
+            UPDATE outbox SET status = 'pendente', ultimo_erro = ?, bloqueado_em = NULL, proxima_tentativa_em = datetime('now', ?) WHERE id = ?
+        `).run(erro, `+${esperaSegundos} seconds`, id);
+        return { status: 'pendente', proxima_tentativa_em: this.getOutboxEvent(id).proxima_tentativa_em };
+    }
+    
+    /**
+     * Devolve um evento da fila de falhas para a fila (reprocessamento manual)
+     */
+    retryOutboxEvent(id) {
+        const result = this.db.prepare(`
+            UPDATE outbox SET status = 'pendente', tentativas = 0, proxima_tentativa_em = CURRENT_TIMESTAMP, processado_em = NULL
+            WHERE id = ? AND status = 'falhou'
+        `).run(id);
+        return result.changes > 0;
+    }
+    
+    /**
+     * Lista eventos da outbox (painel administrativo)
+     * @param {Object} filtros - status, tipo, pagina, limite
+     * @returns {{ eventos: Object[], total: number, resumo: Object }}
+     */
+    listOutbox(filtros = {}) {
+        const { status, tipo, pagina = 1, limite = 20 } = filtros;
+        const where = [];
+        const params = [];
+        
+        if (status) {
+            where.push('status = ?');
+            params.push(status);
+        }
+        if (tipo) {
+            where.push('tipo = ?');
+            params.push(tipo);
+        }
+        
+        const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        const total = this.db.prepare(`SELECT COUNT(*) as total FROM outbox ${whereSql}`).get(...params).total;
+        const eventos = this.db.prepare(`
+            SELECT id, tipo, pedido_id, status, tentativas, max_tentativas, proxima_tentativa_em, ultimo_erro, criado_em, processado_em
+            FROM outbox
+            ${whereSql}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limite, (pagina - 1) * limite);
+        
+        // Contagem por status (sempre da fila inteira)
+        const resumo = { pendente: 0, processando: 0, concluido: 0, falhou: 0 };
+        this.db.prepare('SELECT status, COUNT(*) as total FROM outbox GROUP BY status').all()
+            .forEach(linha => { resumo[linha.status] = linha.total; });
+        
+        return { eventos, total, resumo };
+    }
+    
+    // ==================== CUPONS ====================
+    
+    createCoupon(dados) {
+        const {
+            codigo, descricao = null, tipo, valor = 0, pedido_minimo = 0, valido_de = null, valido_ate = null,
+            limite_uso_total = null, limite_uso_cliente = 1
+        } = dados;
+        const result = this.db.prepare(`
+            INSERT INTO cupons (codigo, descricao, tipo, valor, pedido_minimo, valido_de, valido_ate, limite_uso_total, limite_uso_cliente)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(codigo, descricao, tipo, valor, pedido_minimo, valido_de, valido_ate, limite_uso_total, limite_uso_cliente);
+        return this.getCouponById(result.lastInsertRowid);
+    }
+    
+    getCouponById(id) {
+        return this.db.prepare('SELECT * FROM cupons WHERE id = ?').get(id);
+    }
+    
+    getCouponByCode(codigo) {
+        return this.db.prepare('SELECT * FROM cupons WHERE codigo = ?').get(codigo);
+    }
+    
+    /**
+     * Atualiza apenas os campos informados
+     */
+    updateCoupon(id, dados) {
+        const campos = ['descricao', 'valor', 'pedido_minimo', 'valido_de', 'valido_ate', 'limite_uso_total', 'limite_uso_cliente', 'ativo']
+            .filter(campo => dados[campo] !== undefined);
+        if (campos.length === 0) return this.getCouponById(id);
+        
+        const valores = campos.map(campo => (typeof dados[campo] === 'boolean' ? (dados[campo] ? 1 : 0) : dados[campo]));
+        this.db.prepare(`
+            UPDATE cupons SET ${campos.map(campo => `${campo} = ?`).join(', ')}, atualizado_em = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(...valores, id);
+        return this.getCouponById(id);
+    }
+    
+    /**
+     * Cupons com a quantidade de usos (pedidos cancelados não contam)
+     */
+    listCoupons() {
+        return this.db.prepare(`
+            SELECT c.*, (
+                SELECT COUNT(*) FROM cupom_usos cu JOIN pedidos p ON p.id = cu.pedido_id
+                WHERE cu.cupom_id = c.id AND p.status != 'cancelado'
+            ) as usos
+            FROM cupons c
+            ORDER BY c.criado_em DESC, c.id DESC
+        `).all();
+    }
+    
+    /**
+     * Usos do cupom (de um cliente, se informado); pedidos cancelados devolvem o uso
+     */
+    countCouponUses(cupomId, usuarioId = null) {
+        return this.db.prepare(`
+            SELECT COUNT(*) as total FROM cupom_usos cu
+            JOIN pedidos p ON p.id = cu.pedido_id
+            WHERE cu.cupom_id = ? AND p.status != 'cancelado' AND (? IS NULL OR cu.usuario_id = ?)
+        `).get(cupomId, usuarioId, usuarioId).total;
+    }
+    
+    recordCouponUse(dados) {
+        const { cupom_id, pedido_id, usuario_id, valor_desconto } = dados;
+        return this.db.prepare(`
+            INSERT INTO cupom_usos (cupom_id, pedido_id, usuario_id, valor_desconto) VALUES (?, ?, ?, ?)
+        `).run(cupom_id, pedido_id, usuario_id, valor_desconto);
+    }
+    
+    getCouponUseByOrder(pedidoId) {
+        return this.db.prepare(`
+            SELECT c.codigo, c.tipo, c.descricao, cu.valor_desconto, cu.criado_em
+            FROM cupom_usos cu JOIN cupons c ON c.id = cu.cupom_id
+            WHERE cu.pedido_id = ?
+        `).get(pedidoId) || null;
+    }
+    
+    // ==================== REEMBOLSOS ====================
+    
+    /**
+     * Registra um reembolso com as linhas de pedido_itens devolvidas
+     * @param {Object} dados - { pedido_id, origem, status, valor, valor_frete, motivo, repor_estoque, solicitado_por, analisado_por,
+     *                          linhas: [{ pedido_item_id, quantidade, valor }] }
+     */
+    createRefund(dados) {
+        const {
+            pedido_id, origem, status = 'processando', valor, valor_frete = 0, motivo = null,
+            repor_estoque = true, solicitado_por = null, analisado_por = null, linhas
+        } = dados;
+        
+        const result = this.db.prepare(`
+            INSERT INTO reembolsos (pedido_id, origem, status, valor, valor_frete, motivo, repor_estoque, solicitado_por, analisado_por)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(pedido_id, origem, status, valor, valor_frete, motivo, repor_estoque ? 1 : 0, solicitado_por, analisado_por);
+        
+        const insertItem = this.db.prepare(`
+            INSERT INTO reembolso_itens (reembolso_id, pedido_item_id, quantidade, valor) VALUES (?, ?, ?, ?)
+        `);
+        linhas.forEach(linha => insertItem.run(result.lastInsertRowid, linha.pedido_item_id, linha.quantidade, linha.valor));
+        
+        return { id: result.lastInsertRowid };
+    }
+    
+    getRefundById(id) {
+        return this.db.prepare(`
+            SELECT r.*, p.numero_pedido FROM reembolsos r JOIN pedidos p ON p.id = r.pedido_id WHERE r.id = ?
+        `).get(id);
+    }
+    
+    getRefundItems(reembolsoId) {
+        return this.db.prepare(`
+            SELECT ri.pedido_item_id, ri.quantidade, ri.valor, pi.produto_id, pi.sku, pi.nome
+            FROM reembolso_itens ri JOIN pedido_itens pi ON pi.id = ri.pedido_item_id
+            WHERE ri.reembolso_id = ?
+            ORDER BY ri.id
+        `).all(reembolsoId);
+    }
+    
+    getRefundsByOrder(pedidoId) {
+        return this.db.prepare('SELECT * FROM reembolsos WHERE pedido_id = ? ORDER BY id')
+            .all(pedidoId)
+            .map(reembolso => ({ ...reembolso, itens: this.getRefundItems(reembolso.id) }));
+    }
+    
+    /**
+     * Reembolsos para o painel, mais antigos primeiro (fila de análise)
+     */
+    listRefunds({ status, pagina = 1, limite = 20 } = {}) {
+        const where = status ? 'WHERE r.status = ?' : '';
+        const params = status ? [status] : [];
+        
+        const reembolsos = this.db.prepare(`
+            SELECT r.id, r.origem, r.status, r.valor, r.valor_frete, r.motivo, r.criado_em, r.processado_em,
+                   p.numero_pedido, p.status as pedido_status, u.nome as cliente_nome, u.email as cliente_email
+            FROM reembolsos r
+            JOIN pedidos p ON p.id = r.pedido_id
+            JOIN usuarios u ON u.id = p.usuario_id
+            ${where}
+            ORDER BY r.criado_em, r.id
+            LIMIT ? OFFSET ?
+        `).all(...params, limite, (pagina - 1) * limite);
+        const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM reembolsos r ${where}`).get(...params);
+        
+        return { reembolsos, total };
+    }
+    
+    /**
+     * Quantidades por linha, frete e valor já comprometidos em reembolsos do pedido (recusados não contam)
+     */
+    getRefundTotals(pedidoId) {
+        const quantidades = {};
+        this.db.prepare(`
+            SELECT ri.pedido_item_id, SUM(ri.quantidade) as quantidade
+            FROM reembolso_itens ri JOIN reembolsos r ON r.id = ri.reembolso_id
+            WHERE r.pedido_id = ? AND r.status != 'recusado'
+            GROUP BY ri.pedido_item_id
+        `).all(pedidoId).forEach(linha => { quantidades[linha.pedido_item_id] = linha.quantidade; });
+        
+        const totais = this.db.prepare(`
+            SELECT COALESCE(SUM(valor), 0) as valor, COALESCE(MAX(valor_frete > 0), 0) as frete
+            FROM reembolsos WHERE pedido_id = ? AND status != 'recusado'
+        `).get(pedidoId);
+        
+        return { quantidades, frete: Boolean(totais.frete), valor: totais.valor };
+    }
+    
+    getOpenRefundRequest(pedidoId) {
+        return this.db.prepare("SELECT * FROM reembolsos WHERE pedido_id = ? AND status = 'solicitado'").get(pedidoId) || null;
+    }
+    
+    /**
+     * Análise do administrador de um pedido de reembolso do cliente ('processando' ou 'recusado')
+     * @returns {boolean} - false se o reembolso não estava mais aguardando análise
+     */
+    reviewRefund(id, { status, analisado_por, resposta = null, repor_estoque }) {
+        return this.db.prepare(`
+            UPDATE reembolsos
+            SET status = ?, analisado_por = ?, resposta = ?, repor_estoque = COALESCE(?, repor_estoque), atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'solicitado'
+        `).run(status, analisado_por, resposta, repor_estoque === undefined ? null : (repor_estoque ? 1 : 0), id).changes > 0;
+    }
+    
+    /**
+     * Resultado do provedor de pagamento ('concluido' ou 'manual')
+     */
+    finishRefund(id, { status, provedor, provedor_reembolso_id = null }) {
+        return this.db.prepare(`
+            UPDATE reembolsos
+            SET status = ?, provedor = ?, provedor_reembolso_id = ?, processado_em = CURRENT_TIMESTAMP, atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'processando'
+        `).run(status, provedor, provedor_reembolso_id, id).changes > 0;
+    }
+    
+    /**
+     * Devolve ao produtos.estoque as unidades do reembolso (uma única vez)
+     */
+    restockRefund(id) {
+        const reembolso = this.db.prepare('SELECT repor_estoque, estoque_reposto FROM reembolsos WHERE id = ?').get(id);
+        if (!reembolso || !reembolso.repor_estoque || reembolso.estoque_reposto) return 0;
+        
+        const itens = this.getRefundItems(id);
+        itens.forEach(item => this.updateStock(item.produto_id, -item.quantidade));
+        this.db.prepare('UPDATE reembolsos SET estoque_reposto = 1 WHERE id = ?').run(id);
+        return itens.length;
+    }
+    
+    /**
+     * Unidades por produto que reembolsos do pedido já devolveram ao estoque
+     */
+    getRestockedQuantities(pedidoId) {
+        const quantidades = {};
+        this.db.prepare(`
+            SELECT pi.produto_id, SUM(ri.quantidade) as quantidade
+            FROM reembolso_itens ri
+            JOIN reembolsos r ON r.id = ri.reembolso_id
+            JOIN pedido_itens pi ON pi.id = ri.pedido_item_id
+            WHERE r.pedido_id = ? AND r.estoque_reposto = 1
+            GROUP BY pi.produto_id
+        `).all(pedidoId).forEach(linha => { quantidades[linha.produto_id] = linha.quantidade; });
+        return quantidades;
+    }
+    
+    // ==================== EMAILS ENVIADOS ====================
+    
+    recordEmailSent(dados) {
+        const { outbox_id = null, pedido_id = null, transporte, destinatario, assunto, status, message_id = null, erro = null } = dados;
+        return this.db.prepare(`
+            INSERT INTO emails_enviados (outbox_id, pedido_id, transporte, destinatario, assunto, status, message_id, erro)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(outbox_id, pedido_id, transporte, destinatario, assunto, status, message_id, erro);
+    }
+    
+    getEmailsByOrder(pedidoId) {
+        return this.db.prepare(`
+            SELECT id, transporte, destinatario, assunto, status, message_id, erro, criado_em
+            FROM emails_enviados WHERE pedido_id = ? ORDER BY id
+        `).all(pedidoId);
+    }
+    
+    // ==================== PAGAMENTOS ====================
+    
+    /**
+     * Grava a notificação do gateway. Reenvios da mesma transação não são gravados de novo.
+     * @returns {{ id: number|null, duplicado: boolean }}
+     */
+    recordPaymentEvent(dados) {
+        const { provedor = 'infinitepay', transaction_nsu, order_nsu, valor_centavos, payload, ip_address } = dados;
+        const result = this.db.prepare(`
+            INSERT INTO pagamentos_eventos (provedor, transaction_nsu, order_nsu, valor_centavos, payload, ip_address)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(transaction_nsu) DO NOTHING
+        `).run(provedor, transaction_nsu, order_nsu, valor_centavos, payload, ip_address);
+        
+        return result.changes > 0
+            ? { id: result.lastInsertRowid, duplicado: false }
+            : { id: null, duplicado: true };
+    }
+    
+    finishPaymentEvent(eventoId, { status, motivo = null, pedido_id = null }) {
+        this.db.prepare(`
+            UPDATE pagamentos_eventos SET status = ?, motivo = ?, pedido_id = ?, processado_em = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(status, motivo, pedido_id, eventoId);
+    }
+    
+    /**
+     * Registra no pedido o resultado do pagamento ('aprovado' ou 'recusado')
+     */
+    registerPayment(pedidoId, { status = 'aprovado', transacao_id, metodo_pagamento = null }) {
+        this.db.prepare(`
+            UPDATE pedidos
+            SET pagamento_status = ?, pagamento_transacao_id = ?,
+                pagamento_data = CASE WHEN ? = 'aprovado' THEN CURRENT_TIMESTAMP ELSE pagamento_data END,
+                metodo_pagamento = COALESCE(?, metodo_pagamento), atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(status, transacao_id, status, metodo_pagamento, pedidoId);
+    }
+    
+    setPaymentStatus(pedidoId, status) {
+        this.db.prepare('UPDATE pedidos SET pagamento_status = ?, atualizado_em = CURRENT_TIMESTAMP WHERE id = ?').run(status, pedidoId);
+    }
+    
+    // ==================== CARRINHO ====================
+    
+    createCart(usuarioId = null) {
+        const token = generateToken();
+        const result = this.db.prepare(`
+            INSERT INTO carrinhos (token, usuario_id, expira_em)
+            VALUES (?, ?, datetime('now', ?))
+        `).run(token, usuarioId, `+${CARRINHO_TTL_DIAS} days`);
+        
+        return { id: result.lastInsertRowid, token };
+    }
+    
+    getCartByToken(token) {
+        return this.db.prepare(`
+            SELECT * FROM carrinhos 
+            WHERE token = ? AND status = 'ativo' AND expira_em > CURRENT_TIMESTAMP
+        `).get(token);
+    }
+    
+    getCartItems(cartId) {
+        return this.db.prepare(`
+            SELECT ci.id, ci.carrinho_id, ci.produto_id, ci.quantidade,
+                   p.sku, p.nome, p.preco_unitario, p.estoque, ${estoqueDisponivelSql('p')} as estoque_disponivel, p.imagem_url,
+                   (p.ativo = 1 AND p.deletado_em IS NULL) as disponivel
+            FROM carrinho_itens ci
+            JOIN produtos p ON ci.produto_id = p.id
+            WHERE ci.carrinho_id = ?
+            ORDER BY ci.criado_em, ci.id
+        `).all(cartId);
+    }
+    
+    /**
+     * Adiciona quantidade ao item (soma se o produto já estiver no carrinho)
+     */
+    addCartItem(cartId, produtoId, quantidade) {
+        this.db.prepare(`
+            INSERT INTO carrinho_itens (carrinho_id, produto_id, quantidade)
+            VALUES (?, ?, ?)
+            ON CONFLICT (carrinho_id, produto_id) 
+            DO UPDATE SET quantidade = quantidade + excluded.quantidade, atualizado_em = CURRENT_TIMESTAMP
+        `).run(cartId, produtoId, quantidade);
+        this.touchCart(cartId);
+    }
+    
+    setCartItemQuantity(cartId, produtoId, quantidade) {
+        const result = this.db.prepare(`
+            UPDATE carrinho_itens SET quantidade = ?, atualizado_em = CURRENT_TIMESTAMP
+            WHERE carrinho_id = ? AND produto_id = ?
+        `).run(quantidade, cartId, produtoId);
+        this.touchCart(cartId);
+        return result;
+    }
+    
+    removeCartItem(cartId, produtoId) {
+        const result = this.db.prepare('DELETE FROM carrinho_itens WHERE carrinho_id = ? AND produto_id = ?').run(cartId, produtoId);
+        this.touchCart(cartId);
+        return result;
+    }
+    
+    clearCart(cartId) {
+        this.db.prepare('DELETE FROM carrinho_itens WHERE carrinho_id = ?').run(cartId);
+        this.touchCart(cartId);
+    }
+    
+    /**
+     * Renova a validade do carrinho a cada alteração
+     */
+    touchCart(cartId) {
+        this.db.prepare(`
+            UPDATE carrinhos SET atualizado_em = CURRENT_TIMESTAMP, expira_em = datetime('now', ?) WHERE id = ?
+        `).run(`+${CARRINHO_TTL_DIAS} days`, cartId);
+    }
+    
+    markCartConverted(cartId, pedidoId, usuarioId) {
+        this.db.prepare(`
+            UPDATE carrinhos 
+            SET status = 'convertido', pedido_id = ?, usuario_id = COALESCE(usuario_id, ?), atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(pedidoId, usuarioId, cartId);
+    }
+    
+    // ==================== SESSÕES ====================
+    
+    /**
+     * Cria uma sessão e devolve os tokens em texto puro (só existem nesta resposta;
+     * o banco guarda apenas o hash SHA-256)
+     */
+    createSession(usuarioId, contexto = {}) {
+        const token = generateToken(32);
+        const refreshToken = generateToken(32);
+        
+        const result = this.db.prepare(`
+            INSERT INTO sessoes (usuario_id, token, refresh_token, ip_address, user_agent, dispositivo, expira_em, refresh_expira_em)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?), datetime('now', ?))
+        `).run(
+            usuarioId, hashToken(token), hashToken(refreshToken),
+            contexto.ip_address || null, contexto.user_agent || null, contexto.dispositivo || null,
+            `+${SESSAO_TTL_MINUTOS} minutes`, `+${SESSAO_REFRESH_DIAS} days`
+        );
+        
+        const sessao = this.db.prepare('SELECT id, expira_em, refresh_expira_em FROM sessoes WHERE id = ?').get(result.lastInsertRowid);
+        return { ...sessao, token, refresh_token: refreshToken };
+    }
+    
+    /**
+     * Sessão ativa (token de acesso válido) com os dados do usuário
+     */
+    getSessionByToken(token) {
+        return this.db.prepare(`
+            SELECT s.id, s.usuario_id, s.expira_em, s.refresh_expira_em, s.criado_em,
+                   u.uuid as usuario_uuid, u.nome as usuario_nome, u.email as usuario_email
+            FROM sessoes s
+            JOIN usuarios u ON s.usuario_id = u.id
+            WHERE s.token = ? AND s.ativo = 1 AND s.expira_em > CURRENT_TIMESTAMP
+              AND u.status = 'ativo' AND u.deletado_em IS NULL
+        `).get(hashToken(token));
+    }
+    
+    touchSession(sessaoId) {
+        this.db.prepare('UPDATE sessoes SET ultima_atividade = CURRENT_TIMESTAMP WHERE id = ?').run(sessaoId);
+    }
+    
+    /**
+     * Troca o refresh token por um novo par de tokens (rotação: o refresh antigo deixa de valer)
+     * @returns {Object|null} - Nova sessão ou null se o refresh token for inválido/expirado
+     */
+    refreshSession(refreshToken) {
+        const sessao = this.db.prepare(`
+            SELECT s.id, s.usuario_id
+            FROM sessoes s
+            JOIN usuarios u ON s.usuario_id = u.id
+            WHERE s.refresh_token = ? AND s.ativo = 1 AND s.refresh_expira_em > CURRENT_TIMESTAMP
+              AND u.status = 'ativo' AND u.deletado_em IS NULL
+        `).get(hashToken(refreshToken));
+        if (!sessao) return null;
+        
+        const token = generateToken(32);
+        const novoRefreshToken = generateToken(32);
+        this.db.prepare(`
+            UPDATE sessoes
+            SET token = ?, refresh_token = ?, expira_em = datetime('now', ?), ultima_atividade = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(hashToken(token), hashToken(novoRefreshToken), `+${SESSAO_TTL_MINUTOS} minutes`, sessao.id);
+        
+        const atualizada = this.db.prepare('SELECT id, usuario_id, expira_em, refresh_expira_em FROM sessoes WHERE id = ?').get(sessao.id);
+        return { ...atualizada, token, refresh_token: novoRefreshToken };
+    }
+    
+    getSessionsByUser(usuarioId) {
+        return this.db.prepare(`
+            SELECT id, ip_address, user_agent, dispositivo, criado_em, ultima_atividade, expira_em, refresh_expira_em
+            FROM sessoes
+            WHERE usuario_id = ? AND ativo = 1 AND refresh_expira_em > CURRENT_TIMESTAMP
+            ORDER BY ultima_atividade DESC
+        `).all(usuarioId);
+    }
+    
+    /**
+     * Encerra uma sessão (logout/revogação). Com usuarioId, só encerra se a sessão for dele.
+     */
+    endSession(sessaoId, motivo, usuarioId = null) {
+        let sql = `UPDATE sessoes SET ativo = 0, encerrado_em = CURRENT_TIMESTAMP, motivo_encerramento = ? WHERE id = ? AND ativo = 1`;
+        const params = [motivo, sessaoId];
+        if (usuarioId !== null) {
+            sql += ' AND usuario_id = ?';
+            params.push(usuarioId);
+        }
+        return this.db.prepare(sql).run(...params).changes > 0;
+    }
+    
+    /**
+     * Encerra todas as sessões ativas do usuário (opcionalmente mantendo uma)
+     */
+    endUserSessions(usuarioId, motivo, excetoSessaoId = null) {
+        return this.db.prepare(`
+            UPDATE sessoes SET ativo = 0, encerrado_em = CURRENT_TIMESTAMP, motivo_encerramento = ?
+            WHERE usuario_id = ? AND ativo = 1 AND id IS NOT ?
+        `).run(motivo, usuarioId, excetoSessaoId).changes;
+    }
+    
+    /**
+     * Marca como 'expirado' as sessões cujo refresh token já venceu
+     * @returns {number} - Quantidade de sessões encerradas
+     */
+    expireSessions() {
+        return this.db.prepare(`
+            UPDATE sessoes SET ativo = 0, encerrado_em = CURRENT_TIMESTAMP, motivo_encerramento = 'expirado'
+            WHERE ativo = 1 AND COALESCE(refresh_expira_em, expira_em) <= CURRENT_TIMESTAMP
+        `).run().changes;
+    }
+    
+    // ==================== REDEFINIÇÃO DE SENHA ====================
+    
+    /**
+     * Cria um token de redefinição (uso único) e invalida os anteriores ainda não usados
+     * @returns {string} - Token em texto puro (o banco guarda apenas o hash)
+     */
+    createPasswordReset(usuarioId, ipAddress = null) {
+        this.db.prepare(`
+            UPDATE password_resets SET expira_em = CURRENT_TIMESTAMP
+            WHERE usuario_id = ? AND utilizado = 0 AND expira_em > CURRENT_TIMESTAMP
+        `).run(usuarioId);
+        
+        const token = generateToken(32);
+        this.db.prepare(`
+            INSERT INTO password_resets (usuario_id, token, expira_em, ip_address)
+            VALUES (?, ?, datetime('now', ?), ?)
+        `).run(usuarioId, hashToken(token), `+${RESET_SENHA_TTL_MINUTOS} minutes`, ipAddress);
+        
+        return token;
+    }
+    
+    getValidPasswordReset(token) {
+        return this.db.prepare(`
+            SELECT pr.* FROM password_resets pr
+            JOIN usuarios u ON pr.usuario_id = u.id
+            WHERE pr.token = ? AND pr.utilizado = 0 AND pr.expira_em > CURRENT_TIMESTAMP AND u.deletado_em IS NULL
+        `).get(hashToken(token));
+    }
+    
+    /**
+     * Marca o token como usado. Retorna false se outro pedido já o consumiu.
+     */
+    markPasswordResetUsed(resetId) {
+        return this.db.prepare(`
+            UPDATE password_resets SET utilizado = 1, utilizado_em = CURRENT_TIMESTAMP WHERE id = ? AND utilizado = 0
+        `).run(resetId).changes > 0;
+    }
+    
+    /**
+     * Troca a senha, zera as tentativas de login e desbloqueia a conta
+     */
+    updateUserPassword(userId, senhaHash) {
+        this.db.prepare(`
+            UPDATE usuarios
+            SET senha_hash = ?, tentativas_login = 0,
+                status = CASE WHEN status = 'bloqueado' THEN 'ativo' ELSE status END,
+                atualizado_em = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(senhaHash, userId);
+    }
+    
+    // ==================== CONFIGURAÇÕES ====================
+    
+    getConfig(chave, padrao = null) {
+        const linha = this.db.prepare('SELECT valor FROM config WHERE chave = ?').get(chave);
+        return linha ? linha.valor : padrao;
+    }
+    
     // ==================== AUDITORIA ====================
     
+    /**
+     * Grava um log de auditoria encadeado ao anterior (hash_conteudo + hash, ver auditoria.js).
+     * Fora de uma transação abre uma IMMEDIATE: dois processos não encadeiam no mesmo registro
+     */
     logAudit(dados) {
         const { tabela, registro_id, acao, dados_anteriores, dados_novos, usuario_id, ip_address, user_agent, endpoint, metodo_http } = dados;
         const uuid = generateUUID();
         
-        const stmt = this.db.prepare(`
-            INSERT INTO audit_logs (uuid, tabela, registro_id, acao, dados_anteriores, dados_novos, usuario_id, ip_address, user_agent, endpoint, metodo_http)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        const registrar = () => {
+            const result = this.db.prepare(`
+                INSERT INTO audit_logs (uuid, tabela, registro_id, acao, dados_anteriores, dados_novos, usuario_id, ip_address, user_agent, endpoint, metodo_http)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                uuid, tabela, registro_id, acao,
+                dados_anteriores ? JSON.stringify(dados_anteriores) : null,
+                dados_novos ? JSON.stringify(dados_novos) : null,
+                usuario_id, ip_address, user_agent, endpoint, metodo_http
+            );
+            
+            // O hash usa a linha como ficou gravada (tipos já convertidos pelo SQLite)
+            const linha = this.db.prepare('SELECT * FROM audit_logs WHERE id = ?').get(result.lastInsertRowid);
+            const anterior = this.db.prepare('SELECT hash FROM audit_logs WHERE id < ? ORDER BY id DESC LIMIT 1').get(linha.id);
+            const conteudo = hashConteudo(linha);
+            this.db.prepare('UPDATE audit_logs SET hash_conteudo = ?, hash = ? WHERE id = ?')
+                .run(conteudo, encadear(anterior && anterior.hash, conteudo), linha.id);
+            return result;
+        };
+        
+        return this.db.inTransaction ? registrar() : this.db.transaction(registrar).immediate();
+    }
+    
+    /**
+     * Busca nos logs de auditoria (mais recentes primeiro)
+     * @param {Object} filtros - tabela, registro_id, usuario_id, acao, de, ate (YYYY-MM-DD), pagina, limite
+     * @returns {{ logs: Object[], total: number }}
+     */
+    searchAuditLogs(filtros = {}) {
+        const { pagina = 1, limite = 50 } = filtros;
+        const { whereSql, params } = filtroAuditoria(filtros);
+        
+        const logs = this.db.prepare(`
+            SELECT a.*, u.email as usuario_email
+            FROM audit_logs a
+            LEFT JOIN usuarios u ON u.id = a.usuario_id
+            ${whereSql}
+            ORDER BY a.id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limite, (pagina - 1) * limite);
+        
+        return { logs, total: this.countAuditLogs(filtros) };
+    }
+    
+    countAuditLogs(filtros = {}) {
+        const { whereSql, params } = filtroAuditoria(filtros);
+        return this.db.prepare(`SELECT COUNT(*) as total FROM audit_logs a ${whereSql}`).get(...params).total;
+    }
+    
+    /**
+     * Mesmos filtros de searchAuditLogs, sem paginação e em ordem cronológica (exportação CSV)
+     */
+    iterateAuditLogs(filtros = {}) {
+        const { whereSql, params } = filtroAuditoria(filtros);
+        return this.db.prepare(`
+            SELECT a.*, u.email as usuario_email
+            FROM audit_logs a
+            LEFT JOIN usuarios u ON u.id = a.usuario_id
+            ${whereSql}
+            ORDER BY a.id
+        `).iterate(...params);
+    }
+    
+    /**
+     * Cadeia completa para verificação e o maior id já emitido (AUTOINCREMENT não reutiliza ids)
+     */
+    getAuditChain() {
+        const sequencia = this.db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'audit_logs'").get();
+        return {
+            linhas: this.db.prepare('SELECT * FROM audit_logs ORDER BY id').iterate(),
+            ultimoIdEmitido: sequencia ? sequencia.seq : 0
+        };
+    }
+    
+    // ==================== CRIPTOGRAFIA ====================
+    
+    /**
+     * Quantos valores de cada coluna cifrada estão com cada chave (id da chave ou 'sem_criptografia')
+     * @returns {Object} - Ex.: { 'usuarios.cpf': { '1a2b3c4d': 120 }, 'usuarios.telefone': { ... } }
+     */
+    getEncryptionKeyUsage() {
+        const campos = Object.entries(camposCifrados('usuarios'));
+        const uso = Object.fromEntries(campos.map(([, coluna]) => [coluna, {}]));
+        for (const linha of this.db.prepare('SELECT cpf, telefone FROM usuarios').iterate()) {
+            campos.filter(([campo]) => linha[campo] !== null).forEach(([campo, coluna]) => {
+                const chave = chaveDoValor(linha[campo]) || 'sem_criptografia';
+                uso[coluna][chave] = (uso[coluna][chave] || 0) + 1;
+            });
+        }
+        return uso;
+    }
+    
+    /**
+     * Regrava cpf, telefone e cpf_indice de todos os usuários com as chaves atuais (rotação de
+     * CRIPTO_CHAVE ou de CRIPTO_CHAVE_INDICE), e as cópias de cpf e telefone nos audit_logs.
+     * Cada lote é uma transação: se for interrompida, basta rodar de novo (as linhas já
+     * regravadas são puladas)
+     * @returns {{ usuarios: number, regravados: number, audit_logs: number, chave: string }}
+     */
+    reencryptUsers(lote = 500) {
+        const { atual } = carregarChaves();
+        const buscar = this.db.prepare('SELECT id, cpf, cpf_indice, telefone FROM usuarios WHERE id > ? ORDER BY id LIMIT ?');
+        const atualizar = this.db.prepare('UPDATE usuarios SET cpf = ?, cpf_indice = ?, telefone = ? WHERE id = ?');
+        const resultado = { usuarios: 0, regravados: 0, audit_logs: 0, chave: atual.id };
+        
+        const regravarLote = this.db.transaction((aPartirDe) => {
+            const linhas = buscar.all(aPartirDe, lote);
+            linhas.forEach((linha) => {
+                const cpf = decifrar(linha.cpf, 'usuarios.cpf');
+                const indice = indiceCego(cpf, 'usuarios.cpf');
+                const comChaveAtual = [linha.cpf, linha.telefone].every(valor => valor === null || chaveDoValor(valor) === atual.id);
+                if (comChaveAtual && linha.cpf_indice === indice) return;
+                
+                const telefone = decifrar(linha.telefone, 'usuarios.telefone');
+                atualizar.run(cifrar(cpf, 'usuarios.cpf'), indice, cifrar(telefone, 'usuarios.telefone'), linha.id);
+                resultado.regravados++;
+            });
+            resultado.usuarios += linhas.length;
+            return linhas.length > 0 ? linhas[linhas.length - 1].id : null;
+        });
+        
+        let ultimoId = regravarLote.immediate(0);
+        while (ultimoId !== null) ultimoId = regravarLote.immediate(ultimoId);
+        
+        const tabelas = Object.keys(COLUNAS_CIFRADAS);
+        const buscarLogs = this.db.prepare(`
+            SELECT id, tabela, dados_anteriores, dados_novos FROM audit_logs
+            WHERE tabela IN (${tabelas.map(() => '?').join(', ')}) AND id > ? ORDER BY id LIMIT ?
+        `);
+        const atualizarLog = this.db.prepare(`
+            UPDATE audit_logs SET dados_anteriores = ?, dados_novos = ?, anonimizado_em = CURRENT_TIMESTAMP WHERE id = ?
         `);
+        const regravarLogs = this.db.transaction((aPartirDe) => {
+            const logs = buscarLogs.all(...tabelas, aPartirDe, lote);
+            const auditLogs = [];
+            logs.forEach((log) => {
+                const anteriores = cifrarDadosAuditoria(log.tabela, log.dados_anteriores);
+                const novos = cifrarDadosAuditoria(log.tabela, log.dados_novos);
+                if (anteriores === log.dados_anteriores && novos === log.dados_novos) return;
+                atualizarLog.run(anteriores, novos, log.id);
+                auditLogs.push(log.id);
+            });
+            // Como na anonimização: o registro que lista os logs alterados vai na mesma transação,
+            // para verificarCadeia aceitá-los mesmo se a rotação parar no meio
+            if (auditLogs.length > 0) {
+                this.logAudit({
+                    tabela: 'usuarios', registro_id: null, acao: 'UPDATE',
+                    dados_anteriores: null, dados_novos: { criptografia: 'rotacao', chave: atual.id, audit_logs: auditLogs },
+                    usuario_id: null, ip_address: null, user_agent: null, endpoint: null, metodo_http: null
+                });
+            }
+            resultado.audit_logs += auditLogs.length;
+            return logs.length > 0 ? logs[logs.length - 1].id : null;
+        });
         
-        return stmt.run(
-            uuid, tabela, registro_id, acao,
-            dados_anteriores ? JSON.stringify(dados_anteriores) : null,
-            dados_novos ? JSON.stringify(dados_novos) : null,
-            usuario_id, ip_address, user_agent, endpoint, metodo_http
-        );
+        ultimoId = regravarLogs.immediate(0);
+        while (ultimoId !== null) ultimoId = regravarLogs.immediate(ultimoId);
+        
+        // Um registro para a rotação inteira (as linhas não passam pela auditoria automática)
+        if (resultado.regravados > 0) {
+            this.logAudit({
+                tabela: 'usuarios', registro_id: null, acao: 'UPDATE',
+                dados_anteriores: null, dados_novos: { criptografia: 'rotacao', chave: atual.id, usuarios: resultado.regravados },
+                usuario_id: null, ip_address: null, user_agent: null, endpoint: null, metodo_http: null
+            });
+        }
+        return resultado;
+    }
+    
+    // ==================== LGPD ====================
+    
+    /**
+     * Tudo o que está ligado ao usuário (inclusive endereços e sessões encerradas), sem
+     * senha, tokens nem anotações internas da loja
+     */
+    exportUserData(usuarioId) {
+        const usuario = decifrarCampos(this.db.prepare(`
+            SELECT uuid, nome, email, cpf, telefone, data_nascimento, genero, status, email_verificado,
+                   ultimo_login, criado_em, atualizado_em, deletado_em, anonimizado_em
+            FROM usuarios WHERE id = ?
+        `).get(usuarioId), camposCifrados('usuarios'));
+        if (!usuario) throw new Error('Usuário não encontrado');
+        
+        const pedidos = this.db.prepare(`
+            SELECT id, numero_pedido, status, pagamento_status, metodo_pagamento, pagamento_data, subtotal, frete, desconto, total,
+                   frete_servico, transportadora, codigo_rastreio, envio_data, entrega_prevista, entrega_realizada,
+                   endereco_id, observacoes_cliente, criado_em, atualizado_em
+            FROM pedidos WHERE usuario_id = ? ORDER BY id
+        `).all(usuarioId).map(({ id, ...pedido }) => ({
+            ...pedido,
+            itens: this.db.prepare('SELECT sku, nome, quantidade, preco_unitario, subtotal FROM pedido_itens WHERE pedido_id = ? ORDER BY id').all(id),
+            historico: this.db.prepare('SELECT status_anterior, status_novo, criado_em FROM pedido_historico WHERE pedido_id = ? ORDER BY id').all(id),
+            cupom: this.db.prepare(`
+                SELECT c.codigo, cu.valor_desconto FROM cupom_usos cu JOIN cupons c ON c.id = cu.cupom_id WHERE cu.pedido_id = ?
+            `).get(id) || null,
+            reembolsos: this.db.prepare(`
+                SELECT id, origem, status, valor, valor_frete, motivo, resposta, criado_em, processado_em FROM reembolsos WHERE pedido_id = ? ORDER BY id
+            `).all(id).map(({ id: reembolsoId, ...reembolso }) => ({
+                ...reembolso,
+                itens: this.getRefundItems(reembolsoId).map(({ sku, nome, quantidade, valor }) => ({ sku, nome, quantidade, valor }))
+            }))
+        }));
+        
+        return {
+            usuario,
+            enderecos: this.db.prepare(`
+                SELECT id, cep, logradouro, numero, complemento, bairro, cidade, estado, pais, tipo, padrao, criado_em, atualizado_em, deletado_em
+                FROM enderecos WHERE usuario_id = ? ORDER BY id
+            `).all(usuarioId),
+            pedidos,
+            sessoes: this.db.prepare(`
+                SELECT criado_em, ultima_atividade, encerrado_em, motivo_encerramento, ip_address, user_agent
+                FROM sessoes WHERE usuario_id = ? ORDER BY id
+            `).all(usuarioId),
+            redefinicoes_senha: this.db.prepare(`
+                SELECT criado_em, utilizado_em, ip_address FROM password_resets WHERE usuario_id = ? ORDER BY id
+            `).all(usuarioId),
+            emails: this.db.prepare(`
+                SELECT assunto, status, criado_em FROM emails_enviados WHERE destinatario = ? ORDER BY id
+            `).all(usuario.email),
+            // Ações do próprio usuário e mudanças no cadastro (sem o IP de administradores)
+            auditoria: this.db.prepare(`
+                SELECT id, criado_em, tabela, registro_id, acao, endpoint, metodo_http,
+                       CASE WHEN usuario_id IS NULL OR usuario_id = ? THEN ip_address END as ip_address,
+                       CASE WHEN usuario_id IS NULL OR usuario_id = ? THEN user_agent END as user_agent,
+                       dados_anteriores, dados_novos
+                FROM audit_logs WHERE usuario_id = ? OR (tabela = 'usuarios' AND registro_id = ?) ORDER BY id
+            `).all(usuarioId, usuarioId, usuarioId, usuarioId).map(log => ({
+                ...log,
+                dados_anteriores: decifrarDadosAuditoria(log.tabela, log.dados_anteriores),
+                dados_novos: decifrarDadosAuditoria(log.tabela, log.dados_novos)
+            }))
+        };
+    }
+    
+    /**
+     * Anonimiza o usuário (LGPD): troca os dados pessoais de usuarios, enderecos e audit_logs
+     * (e o que mais os repete: sessões, emails enviados, outbox), encerra a conta e mantém
+     * pedidos e reembolsos com os valores. Os audit_logs alterados ganham anonimizado_em.
+     * @returns {{ audit_logs: number[], enderecos: number, pedidos: number, sessoes: number, emails: number }}
+     */
+    anonymizeUser(usuarioId) {
+        const anonimizar = () => {
+            const usuario = this.getUserById(usuarioId, true);
+            if (!usuario) throw new Error('Usuário não encontrado');
+            if (usuario.anonimizado_em) throw new Error('Usuário já anonimizado');
+            
+            const emAndamento = this.db.prepare(`
+                SELECT numero_pedido FROM pedidos p
+                WHERE p.usuario_id = ? AND (p.status IN (${STATUS_PEDIDO_EM_ANDAMENTO.map(() => '?').join(', ')})
+                    OR EXISTS (SELECT 1 FROM reembolsos r WHERE r.pedido_id = p.id AND r.status IN (${STATUS_REEMBOLSO_EM_ANDAMENTO.map(() => '?').join(', ')})))
+            `).all(usuarioId, ...STATUS_PEDIDO_EM_ANDAMENTO, ...STATUS_REEMBOLSO_EM_ANDAMENTO).map(p => p.numero_pedido);
+            if (emAndamento.length > 0) throw new Error(`Pedidos em andamento: ${emAndamento.join(', ')}`);
+            
+            // Registros do titular nos logs: o cadastro, os endereços, os pedidos e reembolsos, e o que ele mesmo fez
+            const logs = this.db.prepare(`
+                SELECT id, tabela, usuario_id, dados_anteriores, dados_novos, ip_address, user_agent FROM audit_logs
+                WHERE usuario_id = ?
+                   OR (tabela = 'usuarios' AND registro_id = ?)
+                   OR (tabela = 'enderecos' AND registro_id IN (SELECT id FROM enderecos WHERE usuario_id = ?))
+                   OR (tabela = 'pedidos' AND registro_id IN (SELECT id FROM pedidos WHERE usuario_id = ?))
+                   OR (tabela = 'reembolsos' AND registro_id IN (
+                       SELECT r.id FROM reembolsos r JOIN pedidos p ON p.id = r.pedido_id WHERE p.usuario_id = ?
+                   ))
+                ORDER BY id
+            `).all(usuarioId, usuarioId, usuarioId, usuarioId, usuarioId);
+            
+            const atualizarLog = this.db.prepare(`
+                UPDATE audit_logs SET dados_anteriores = ?, dados_novos = ?, ip_address = ?, user_agent = ?, anonimizado_em = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `);
+            const auditLogs = [];
+            logs.forEach((log) => {
+                // IP e user agent são do titular nas ações dele e nas anônimas (checkout de visitante);
+                // nas de administradores, do administrador
+                const doTitular = log.usuario_id === usuarioId || log.usuario_id === null;
+                const novo = {
+                    dados_anteriores: anonimizarJson(log.tabela, log.dados_anteriores),
+                    dados_novos: anonimizarJson(log.tabela, log.dados_novos),
+                    ip_address: doTitular ? null : log.ip_address,
+                    user_agent: doTitular ? null : log.user_agent
+                };
+                if (Object.keys(novo).every(campo => novo[campo] === log[campo])) return;
+                atualizarLog.run(novo.dados_anteriores, novo.dados_novos, novo.ip_address, novo.user_agent, log.id);
+                auditLogs.push(log.id);
+            });
+            
+            const { email, cpf } = identificadoresAnonimos(usuarioId);
+            this.db.prepare(`
+                UPDATE usuarios
+                SET nome = ?, email = ?, cpf = ?, cpf_indice = ?, senha_hash = '!', telefone = NULL, data_nascimento = NULL, genero = NULL,
+                    status = 'inativo', ultimo_login = NULL, tentativas_login = 0,
+                    deletado_em = COALESCE(deletado_em, CURRENT_TIMESTAMP), anonimizado_em = CURRENT_TIMESTAMP, atualizado_em = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(ANONIMIZADO, email, cifrar(cpf, 'usuarios.cpf'), indiceCego(cpf, 'usuarios.cpf'), usuarioId);
+            
+            // Cidade e estado ficam (ver lgpd.js)
+            const enderecos = this.db.prepare(`
+                UPDATE enderecos
+                SET cep = ?, logradouro = ?, numero = ?, complemento = NULL, bairro = ?, padrao = 0,
+                    deletado_em = COALESCE(deletado_em, CURRENT_TIMESTAMP), atualizado_em = CURRENT_TIMESTAMP
+                WHERE usuario_id = ?
+            `).run(ANONIMIZADO, ANONIMIZADO, ANONIMIZADO, ANONIMIZADO, usuarioId).changes;
+            
+            this.db.prepare(`
+                UPDATE pedidos SET observacoes_cliente = NULL WHERE usuario_id = ? AND observacoes_cliente IS NOT NULL
+            `).run(usuarioId);
+            this.db.prepare(`
+                UPDATE reembolsos SET motivo = ? WHERE motivo IS NOT NULL AND pedido_id IN (SELECT id FROM pedidos WHERE usuario_id = ?)
+            `).run(ANONIMIZADO, usuarioId);
+            this.db.prepare(`
+                UPDATE pedido_historico SET ip_address = NULL, user_agent = NULL WHERE usuario_responsavel_id = ?
+            `).run(usuarioId);
+            
+            const sessoes = this.db.prepare(`
+                UPDATE sessoes
+                SET ativo = 0, encerrado_em = COALESCE(encerrado_em, CURRENT_TIMESTAMP),
+                    motivo_encerramento = COALESCE(motivo_encerramento, 'revogado'), ip_address = NULL, user_agent = NULL, dispositivo = NULL
+                WHERE usuario_id = ?
+            `).run(usuarioId).changes;
+            this.db.prepare('DELETE FROM password_resets WHERE usuario_id = ?').run(usuarioId);
+            
+            const emails = this.db.prepare('UPDATE emails_enviados SET destinatario = ? WHERE destinatario = ?').run(email, usuario.email).changes;
+            // Eventos já entregues guardam o email renderizado (nome, endereço); os pendentes ainda precisam dele
+            this.db.prepare(`
+                UPDATE outbox SET payload = '{}'
+                WHERE status IN ('concluido', 'falhou')
+                  AND (pedido_id IN (SELECT id FROM pedidos WHERE usuario_id = ?) OR instr(payload, ?) > 0)
+            `).run(usuarioId, JSON.stringify(usuario.email));
+            
+            const pedidos = this.db.prepare('SELECT COUNT(*) as total FROM pedidos WHERE usuario_id = ?').get(usuarioId).total;
+            return { audit_logs: auditLogs, enderecos, pedidos, sessoes, emails };
+        };
+        
+        return this.db.inTransaction ? anonimizar() : this.db.transaction(anonimizar).immediate();
     }
     
     // ==================== ESTATÍSTICAS ====================
@@ -672,6 +1807,117 @@ class Repository {
     }
 }
 
+// ============================================================
+// AUDITORIA AUTOMÁTICA
+// ============================================================
+
+// Contexto da requisição (usuário, IP, user agent, endpoint) visto pelo Repository sem
+// passar por parâmetro; no worker da outbox, nos jobs e nos scripts fica vazio (sistema)
+const contextoAuditoria = new AsyncLocalStorage();
+
+// Colunas que não vão para o log: aparecem só como '[oculto]' ou '[alterado]'
+const CAMPOS_OCULTOS = ['senha_hash'];
+
+/**
+ * Mutações auditadas: método do Repository → tabela e ação
+ * - id(args): registro alterado (padrão: primeiro argumento); INSERT usa o id retornado
+ * - ler(repo, id): linha gravada no log (padrão: SELECT * da tabela)
+ * Carrinhos, sessões, reservas, outbox, emails e eventos de pagamento ficam de fora (operacionais,
+ * alto volume); login, logout e revogação de sessão continuam registrados nas rotas
+ */
+const AUDITORIA_AUTOMATICA = {
+    createUser: { tabela: 'usuarios', acao: 'INSERT' },
+    updateUserPassword: { tabela: 'usuarios', acao: 'UPDATE' },
+    softDeleteUser: { tabela: 'usuarios', acao: 'DELETE' },
+    
+    createAddress: { tabela: 'enderecos', acao: 'INSERT' },
+    updateAddress: { tabela: 'enderecos', acao: 'UPDATE' },
+    setDefaultAddress: { tabela: 'enderecos', acao: 'UPDATE' },
+    unsetDefaultAddress: { tabela: 'enderecos', acao: 'UPDATE' },
+    softDeleteAddress: { tabela: 'enderecos', acao: 'DELETE' },
+    
+    createOrder: { tabela: 'pedidos', acao: 'INSERT' },
+    addOrderItem: { tabela: 'pedido_itens', acao: 'INSERT' },
+    updateOrderStatus: { tabela: 'pedidos', acao: 'UPDATE' },
+    registerShipment: { tabela: 'pedidos', acao: 'UPDATE' },
+    registerDelivery: { tabela: 'pedidos', acao: 'UPDATE' },
+    registerPayment: { tabela: 'pedidos', acao: 'UPDATE' },
+    setPaymentStatus: { tabela: 'pedidos', acao: 'UPDATE' },
+    
+    updateStock: { tabela: 'produtos', acao: 'UPDATE' },
+    
+    createCoupon: { tabela: 'cupons', acao: 'INSERT' },
+    updateCoupon: { tabela: 'cupons', acao: 'UPDATE' },
+    recordCouponUse: { tabela: 'cupom_usos', acao: 'INSERT' },
+    
+    createRefund: {
+        tabela: 'reembolsos', acao: 'INSERT',
+        ler: (repo, id) => ({ ...repo.db.prepare('SELECT * FROM reembolsos WHERE id = ?').get(id), itens: repo.getRefundItems(id) })
+    },
+    reviewRefund: { tabela: 'reembolsos', acao: 'UPDATE' },
+    finishRefund: { tabela: 'reembolsos', acao: 'UPDATE' },
+    restockRefund: { tabela: 'reembolsos', acao: 'UPDATE' }
+};
+
+/**
+ * Executa fn com o contexto de auditoria da requisição
+ * @param {Object} contexto - ip_address, user_agent, endpoint, metodo_http, usuario_id
+ */
+function comContextoAuditoria(contexto, fn) {
+    return contextoAuditoria.run({ ...contexto }, fn);
+}
+
+/**
+ * Usuário responsável pelas próximas mutações da requisição (depois da autenticação)
+ */
+function definirUsuarioAuditoria(usuarioId) {
+    const contexto = contextoAuditoria.getStore();
+    if (contexto) contexto.usuario_id = usuarioId;
+}
+
+function ocultarCampos(linha, anterior = null) {
+    if (!linha) return null;
+    const copia = { ...linha };
+    CAMPOS_OCULTOS.filter(campo => campo in copia).forEach((campo) => {
+        copia[campo] = anterior && anterior[campo] !== linha[campo] ? '[alterado]' : '[oculto]';
+    });
+    return copia;
+}
+
+/**
+ * Envolve o método: lê a linha antes e depois da mutação e grava o log na mesma transação
+ * (mutação sem efeito, como um id de outro usuário, não gera log)
+ */
+function auditarMutacao(metodo, { tabela, acao, id = args => args[0], ler }) {
+    const original = Repository.prototype[metodo];
+    const lerLinha = ler || ((repo, registroId) => repo.db.prepare(`SELECT * FROM ${tabela} WHERE id = ?`).get(registroId));
+    
+    Repository.prototype[metodo] = function auditado(...args) {
+        const executar = () => {
+            const registroId = acao === 'INSERT' ? null : id(args);
+            const antes = registroId === null ? null : lerLinha(this, registroId) || null;
+            const resultado = original.apply(this, args);
+            
+            const idFinal = acao === 'INSERT' ? (resultado.id !== undefined ? resultado.id : resultado.lastInsertRowid) : registroId;
+            const depois = lerLinha(this, idFinal) || null;
+            if (JSON.stringify(antes) !== JSON.stringify(depois)) {
+                const contexto = contextoAuditoria.getStore() || {};
+                this.logAudit({
+                    tabela, registro_id: idFinal, acao,
+                    dados_anteriores: ocultarCampos(antes), dados_novos: ocultarCampos(depois, antes),
+                    usuario_id: contexto.usuario_id || null, ip_address: contexto.ip_address || null,
+                    user_agent: contexto.user_agent || null, endpoint: contexto.endpoint || null, metodo_http: contexto.metodo_http || null
+                });
+            }
+            return resultado;
+        };
+        
+        return this.db.inTransaction ? executar() : this.db.transaction(executar).immediate();
+    };
+}
+
+Object.entries(AUDITORIA_AUTOMATICA).forEach(([metodo, regra]) => auditarMutacao(metodo, regra));
+
 // ============================================================
 // TRANSAÇÕES
 // ============================================================
@@ -686,7 +1932,9 @@ function withTransaction(operations) {
         return operations(repo);
     });
     
-    return transaction(new Repository(db));
+    // BEGIN IMMEDIATE: o lock de escrita é obtido no início (respeitando o timeout),
+    // em vez de falhar com SQLITE_BUSY ao tentar promover uma transação de leitura
+    return transaction.immediate(new Repository(db));
 }
 
 // ============================================================
@@ -703,7 +1951,13 @@ module.exports = {
     db,
     Repository,
     withTransaction,
+    comContextoAuditoria,
+    definirUsuarioAuditoria,
+    ORDER_STATUS_TRANSITIONS,
+    canTransitionOrderStatus,
     generateUUID,
+    generateToken,
+    hashToken,
     generateOrderNumber,
     updateTimestamp
 };
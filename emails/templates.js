@@ -0,0 +1,611 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - TEMPLATES DE EMAIL
+ * ============================================================
+ * Emails transacionais com versão HTML e texto puro:
+ * - Todo valor interpolado no HTML é escapado (tag html``)
+ * - Textos em pt-BR (padrão) e en, escolhidos por EMAIL_IDIOMA ou pela opção idioma
+ * - renderEmail(template, dados) devolve { assunto, html, texto }
+ * ============================================================
+ */
+
+const IDIOMA_PADRAO = process.env.EMAIL_IDIOMA || 'pt-BR';
+const COR_PRIMARIA = '#0ea5e9';
+const COR_BOTAO = '#f97316';
+
+// ============================================================
+// ESCAPE DE HTML
+// ============================================================
+
+/**
+ * Trecho de HTML já escapado (não é escapado de novo ao ser interpolado)
+ */
+class HtmlSeguro {
+    constructor(valor) {
+        this.valor = valor;
+    }
+
+    toString() {
+        return this.valor;
+    }
+}
+
+function escapeHtml(valor) {
+    return String(valor)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function interpolar(valor) {
+    if (valor instanceof HtmlSeguro) return valor.valor;
+    if (Array.isArray(valor)) return valor.map(interpolar).join('');
+    if (valor === null || valor === undefined || valor === false) return '';
+    return escapeHtml(valor);
+}
+
+/**
+ * Tag de template: escapa os valores interpolados, exceto outros trechos html``
+ */
+function html(partes, ...valores) {
+    return new HtmlSeguro(partes.reduce((saida, parte, i) => saida + parte + (i < valores.length ? interpolar(valores[i]) : ''), ''));
+}
+
+// ============================================================
+// TEXTOS POR IDIOMA
+// ============================================================
+
+const MENSAGENS = {
+    'pt-BR': {
+        saudacao: nome => `Olá, ${nome}!`,
+        pedido: 'Pedido',
+        resumo: 'Resumo do seu pedido',
+        subtotal: 'Subtotal',
+        frete: 'Frete',
+        frete_gratis: 'Grátis',
+        desconto: 'Desconto',
+        total: 'Total',
+        acompanhar: 'Acompanhar meus pedidos',
+        rodape: 'BlueShield Pro · Dúvidas? Responda este email.',
+        nao_informado: 'Não informado',
+
+        pedido_recebido: {
+            assunto: numero => `Pedido Recebido - ${numero}`,
+            destaque: 'Pagamento em análise.',
+            intro: 'O envio será realizado assim que a transação for aprovada na plataforma de pagamento.',
+            pagar: 'Pagar agora',
+            atualizacoes: 'Você receberá novas atualizações por email assim que o pagamento for confirmado e o seu pedido for despachado.',
+            conta_nova: 'Criamos uma conta para você acompanhar seus pedidos.',
+            definir_senha: 'Defina sua senha aqui'
+        },
+        pagamento_aprovado: {
+            assunto: numero => `Pagamento aprovado - ${numero}`,
+            intro: 'Recebemos o pagamento do seu pedido. Agora vamos separar e enviar seus produtos.'
+        },
+        pedido_enviado: {
+            assunto: numero => `Pedido enviado - ${numero}`,
+            intro: 'Seu pedido saiu para entrega!',
+            transportadora: 'Transportadora',
+            rastreio: 'Código de rastreio',
+            sem_rastreio: 'O código de rastreio será informado em breve.',
+            previsao: 'Previsão de entrega',
+            rastrear: 'Rastrear pedido'
+        },
+        pedido_entregue: {
+            assunto: numero => `Pedido entregue - ${numero}`,
+            intro: 'Seu pedido foi entregue. Esperamos que aproveite o seu BlueShield Pro!'
+        },
+        pedido_cancelado: {
+            assunto: numero => `Pedido cancelado - ${numero}`,
+            intro: 'Seu pedido foi cancelado.',
+            motivo: 'Motivo',
+            estorno: 'Se o pagamento já tinha sido aprovado, o valor será estornado pela mesma forma de pagamento.'
+        },
+        reembolso: {
+            itens: 'Itens reembolsados',
+            frete: 'Frete',
+            valor: 'Valor do reembolso',
+            motivo: 'Motivo'
+        },
+        reembolso_processado: {
+            assunto: numero => `Reembolso aprovado - ${numero}`,
+            intro: valor => `Aprovamos o reembolso de ${valor} do seu pedido.`,
+            prazo: 'O valor volta pela mesma forma de pagamento; o prazo para aparecer no extrato depende do seu banco ou da operadora do cartão.'
+        },
+        reembolso_solicitado: {
+            assunto: numero => `Pedido de reembolso recebido - ${numero}`,
+            intro: 'Recebemos o seu pedido de reembolso. Vamos analisar e responder por email.'
+        },
+        reembolso_recusado: {
+            assunto: numero => `Pedido de reembolso não aprovado - ${numero}`,
+            intro: 'Não foi possível aprovar o reembolso que você solicitou.',
+            resposta: 'Justificativa'
+        },
+        reembolso_admin: {
+            assunto: {
+                solicitado: numero => `Reembolso solicitado - ${numero}`,
+                manual: numero => `Estorno manual pendente - ${numero}`,
+                processado: numero => `Reembolso processado - ${numero}`,
+                pago_apos_cancelamento: numero => `Pagamento após cancelamento - ${numero}`
+            },
+            titulo: {
+                solicitado: 'O cliente pediu reembolso. Aprove ou recuse no painel.',
+                manual: 'O provedor de pagamento não estorna pela API: devolva o valor pelo painel dele.',
+                processado: 'Reembolso estornado pelo provedor de pagamento.',
+                pago_apos_cancelamento: 'O pagamento foi aprovado depois que o pedido foi cancelado (ex.: prazo de pagamento expirado). O valor está sendo estornado ao cliente e o pedido continua cancelado.'
+            },
+            cliente: 'Cliente'
+        },
+        redefinicao_senha: {
+            assunto: () => 'Redefinição de senha - BlueShield Pro',
+            intro: 'Recebemos um pedido para definir uma nova senha na sua conta BlueShield Pro.',
+            botao: 'Definir nova senha',
+            validade: minutos => `O link vale por ${minutos} minutos e só pode ser usado uma vez. Se você não fez esse pedido, ignore este email.`
+        },
+        nova_venda: {
+            assunto: numero => `Nova Venda - ${numero}`,
+            titulo: 'Nova venda',
+            data: 'Data',
+            cliente: 'Cliente',
+            nome: 'Nome',
+            email: 'Email',
+            telefone: 'Telefone',
+            documento: 'CPF/CNPJ',
+            endereco: 'Endereço de entrega',
+            produtos: 'Produtos',
+            cliente_novo: 'Novo cliente cadastrado',
+            cliente_existente: 'Cliente existente'
+        }
+    },
+    en: {
+        saudacao: nome => `Hi, ${nome}!`,
+        pedido: 'Order',
+        resumo: 'Order summary',
+        subtotal: 'Subtotal',
+        frete: 'Shipping',
+        frete_gratis: 'Free',
+        desconto: 'Discount',
+        total: 'Total',
+        acompanhar: 'Track my orders',
+        rodape: 'BlueShield Pro · Questions? Just reply to this email.',
+        nao_informado: 'Not provided',
+
+        pedido_recebido: {
+            assunto: numero => `Order Received - ${numero}`,
+            destaque: 'Payment under review.',
+            intro: 'Your order will ship as soon as the payment platform approves the transaction.',
+            pagar: 'Pay now',
+            atualizacoes: 'We will email you again once the payment is confirmed and your order ships.',
+            conta_nova: 'We created an account so you can track your orders.',
+            definir_senha: 'Set your password here'
+        },
+        pagamento_aprovado: {
+            assunto: numero => `Payment approved - ${numero}`,
+            intro: 'We received your payment. We are now packing and shipping your products.'
+        },
+        pedido_enviado: {
+            assunto: numero => `Order shipped - ${numero}`,
+            intro: 'Your order is on its way!',
+            transportadora: 'Carrier',
+            rastreio: 'Tracking code',
+            sem_rastreio: 'The tracking code will be sent soon.',
+            previsao: 'Estimated delivery',
+            rastrear: 'Track order'
+        },
+        pedido_entregue: {
+            assunto: numero => `Order delivered - ${numero}`,
+            intro: 'Your order was delivered. We hope you enjoy your BlueShield Pro!'
+        },
+        pedido_cancelado: {
+            assunto: numero => `Order cancelled - ${numero}`,
+            intro: 'Your order was cancelled.',
+            motivo: 'Reason',
+            estorno: 'If the payment had already been approved, it will be refunded to the same payment method.'
+        },
+        reembolso: {
+            itens: 'Refunded items',
+            frete: 'Shipping',
+            valor: 'Refund amount',
+            motivo: 'Reason'
+        },
+        reembolso_processado: {
+            assunto: numero => `Refund approved - ${numero}`,
+            intro: valor => `We approved a refund of ${valor} for your order.`,
+            prazo: 'The amount goes back to the same payment method; how long it takes to show up depends on your bank or card issuer.'
+        },
+        reembolso_solicitado: {
+            assunto: numero => `Refund request received - ${numero}`,
+            intro: 'We received your refund request. We will review it and reply by email.'
+        },
+        reembolso_recusado: {
+            assunto: numero => `Refund request not approved - ${numero}`,
+            intro: 'We could not approve the refund you requested.',
+            resposta: 'Explanation'
+        },
+        reembolso_admin: {
+            assunto: {
+                solicitado: numero => `Refund requested - ${numero}`,
+                manual: numero => `Manual refund pending - ${numero}`,
+                processado: numero => `Refund processed - ${numero}`,
+                pago_apos_cancelamento: numero => `Payment after cancellation - ${numero}`
+            },
+            titulo: {
+                solicitado: 'The customer requested a refund. Approve or reject it in the admin panel.',
+                manual: 'The payment provider does not refund through the API: return the amount in its dashboard.',
+                processado: 'Refund issued by the payment provider.',
+                pago_apos_cancelamento: 'The payment was approved after the order was cancelled (e.g. payment deadline expired). The amount is being refunded to the customer and the order stays cancelled.'
+            },
+            cliente: 'Customer'
+        },
+        redefinicao_senha: {
+            assunto: () => 'Password reset - BlueShield Pro',
+            intro: 'We received a request to set a new password for your BlueShield Pro account.',
+            botao: 'Set new password',
+            validade: minutos => `The link is valid for ${minutos} minutes and can only be used once. If you did not request it, ignore this email.`
+        },
+        nova_venda: {
+            assunto: numero => `New Sale - ${numero}`,
+            titulo: 'New sale',
+            data: 'Date',
+            cliente: 'Customer',
+            nome: 'Name',
+            email: 'Email',
+            telefone: 'Phone',
+            documento: 'Tax ID',
+            endereco: 'Shipping address',
+            produtos: 'Products',
+            cliente_novo: 'New customer registered',
+            cliente_existente: 'Returning customer'
+        }
+    }
+};
+
+const IDIOMAS = Object.keys(MENSAGENS);
+
+// ============================================================
+// FORMATAÇÃO
+// ============================================================
+
+function urlSite(caminho = '') {
+    return `${process.env.BASE_URL || 'http://localhost:3000'}${caminho}`;
+}
+
+function formatarMoeda(valor, idioma) {
+    return new Intl.NumberFormat(idioma, { style: 'currency', currency: 'BRL' }).format(valor || 0);
+}
+
+/**
+ * Datas do SQLite (UTC, "YYYY-MM-DD HH:MM:SS") exibidas no fuso de São Paulo
+ */
+function formatarData(valor, idioma, comHora = true) {
+    if (!valor) return '';
+    const texto = String(valor);
+    const data = /^\d{4}-\d{2}-\d{2}$/.test(texto) ? new Date(`${texto}T12:00:00Z`) : new Date(`${texto.replace(' ', 'T')}Z`);
+    return new Intl.DateTimeFormat(idioma, {
+        dateStyle: 'short', timeStyle: comHora ? 'short' : undefined, timeZone: 'America/Sao_Paulo'
+    }).format(data);
+}
+
+function primeiroNome(nome) {
+    return String(nome || '').trim().split(/\s+/)[0];
+}
+
+// ============================================================
+// BLOCOS COMUNS
+// ============================================================
+
+function layout(corpo, t) {
+    return html`<!DOCTYPE html>
+<html>
+<body style="margin: 0; padding: 24px; background: #f1f5f9;">
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333; background: #fff; padding: 32px; border-radius: 12px;">
+        ${corpo}
+        <p style="font-size: 12px; color: #94a3b8; margin-top: 32px;">${t.rodape}</p>
+    </div>
+</body>
+</html>`.toString();
+}
+
+function botao(href, rotulo) {
+    return html`<p style="margin: 28px 0;"><a href="${href}" style="background: ${COR_BOTAO}; color: #fff; padding: 14px 24px; border-radius: 8px; text-decoration: none; font-weight: bold;">${rotulo}</a></p>`;
+}
+
+function resumoHtml(pedido, itens, t, idioma) {
+    return html`
+        <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #e2e8f0;">
+            <h3 style="margin-top: 0; color: ${COR_PRIMARIA};">${t.resumo}</h3>
+            <p><strong>${t.pedido}:</strong> ${pedido.numero_pedido}</p>
+            ${itens.map(item => html`<p>${item.nome} x ${item.quantidade} — ${formatarMoeda(item.preco_unitario * item.quantidade, idioma)}</p>`)}
+            <p>${t.subtotal}: ${formatarMoeda(pedido.subtotal, idioma)}</p>
+            <p>${t.frete}: ${pedido.frete > 0 ? formatarMoeda(pedido.frete, idioma) : t.frete_gratis}</p>
+            ${pedido.desconto > 0 ? html`<p>${t.desconto}: -${formatarMoeda(pedido.desconto, idioma)}</p>` : ''}
+            <p><strong>${t.total}: ${formatarMoeda(pedido.total, idioma)}</strong></p>
+        </div>`;
+}
+
+function resumoTexto(pedido, itens, t, idioma) {
+    return [
+        `${t.resumo.toUpperCase()}`,
+        `${t.pedido}: ${pedido.numero_pedido}`,
+        ...itens.map(item => `- ${item.nome} x ${item.quantidade}: ${formatarMoeda(item.preco_unitario * item.quantidade, idioma)}`),
+        `${t.subtotal}: ${formatarMoeda(pedido.subtotal, idioma)}`,
+        `${t.frete}: ${pedido.frete > 0 ? formatarMoeda(pedido.frete, idioma) : t.frete_gratis}`,
+        pedido.desconto > 0 ? `${t.desconto}: -${formatarMoeda(pedido.desconto, idioma)}` : null,
+        `${t.total}: ${formatarMoeda(pedido.total, idioma)}`
+    ].filter(linha => linha !== null).join('\n');
+}
+
+/**
+ * Linhas e valor de um reembolso ({ valor, valor_frete, motivo, itens: [{ nome, quantidade, valor }] })
+ */
+function reembolsoHtml(reembolso, t, idioma) {
+    const m = t.reembolso;
+    return html`
+        <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #e2e8f0;">
+            <h3 style="margin-top: 0; color: ${COR_PRIMARIA};">${m.itens}</h3>
+            ${reembolso.itens.map(item => html`<p>${item.nome} x ${item.quantidade} — ${formatarMoeda(item.valor, idioma)}</p>`)}
+            ${reembolso.valor_frete > 0 ? html`<p>${m.frete}: ${formatarMoeda(reembolso.valor_frete, idioma)}</p>` : ''}
+            <p><strong>${m.valor}: ${formatarMoeda(reembolso.valor, idioma)}</strong></p>
+            ${reembolso.motivo ? html`<p>${m.motivo}: ${reembolso.motivo}</p>` : ''}
+        </div>`;
+}
+
+function reembolsoTexto(reembolso, t, idioma) {
+    const m = t.reembolso;
+    return [
+        m.itens.toUpperCase(),
+        ...reembolso.itens.map(item => `- ${item.nome} x ${item.quantidade}: ${formatarMoeda(item.valor, idioma)}`),
+        reembolso.valor_frete > 0 ? `${m.frete}: ${formatarMoeda(reembolso.valor_frete, idioma)}` : null,
+        `${m.valor}: ${formatarMoeda(reembolso.valor, idioma)}`,
+        reembolso.motivo ? `${m.motivo}: ${reembolso.motivo}` : null
+    ].filter(linha => linha !== null);
+}
+
+/**
+ * Email simples de atualização do pedido: saudação, parágrafos, resumo e link para a conta
+ */
+function emailStatusPedido({ pedido, itens }, t, idioma, mensagens, extras = { html: '', texto: [] }) {
+    const saudacao = t.saudacao(primeiroNome(pedido.cliente_nome));
+    return {
+        assunto: mensagens.assunto(pedido.numero_pedido),
+        html: layout(html`
+            <h2 style="color: ${COR_PRIMARIA};">${saudacao}</h2>
+            <p style="font-size: 16px; line-height: 1.5;">${mensagens.intro}</p>
+            ${extras.html}
+            ${resumoHtml(pedido, itens, t, idioma)}
+            ${botao(urlSite('/minha-conta'), t.acompanhar)}`, t),
+        texto: [saudacao, '', mensagens.intro, ...extras.texto, '', resumoTexto(pedido, itens, t, idioma), '', `${t.acompanhar}: ${urlSite('/minha-conta')}`].join('\n')
+    };
+}
+
+// ============================================================
+// TEMPLATES
+// ============================================================
+
+/**
+ * Cada template recebe (dados, t, idioma) e devolve { assunto, html, texto }
+ * dados.pedido segue o formato de repo.getOrderByNumber e dados.itens o de repo.getOrderItems
+ */
+const TEMPLATES = {
+    pedido_recebido({ pedido, itens, linkPagamento, usuarioNovo }, t, idioma) {
+        const m = t.pedido_recebido;
+        const saudacao = t.saudacao(primeiroNome(pedido.cliente_nome));
+        const linkSenha = urlSite('/redefinir-senha');
+        return {
+            assunto: m.assunto(pedido.numero_pedido),
+            html: layout(html`
+                <h2 style="color: ${COR_PRIMARIA};">${saudacao}</h2>
+                <p style="font-size: 16px; line-height: 1.5;"><strong>${m.destaque}</strong> ${m.intro}</p>
+                ${resumoHtml(pedido, itens, t, idioma)}
+                ${linkPagamento ? botao(linkPagamento, m.pagar) : ''}
+                <p>${m.atualizacoes}</p>
+                ${usuarioNovo ? html`<p>${m.conta_nova} <a href="${linkSenha}" style="color: ${COR_PRIMARIA};">${m.definir_senha}</a>.</p>` : ''}`, t),
+            texto: [
+                saudacao, '', `${m.destaque} ${m.intro}`, '', resumoTexto(pedido, itens, t, idioma),
+                linkPagamento ? `\n${m.pagar}: ${linkPagamento}` : null,
+                '', m.atualizacoes,
+                usuarioNovo ? `\n${m.conta_nova} ${m.definir_senha}: ${linkSenha}` : null
+            ].filter(linha => linha !== null).join('\n')
+        };
+    },
+
+    pagamento_aprovado(dados, t, idioma) {
+        return emailStatusPedido(dados, t, idioma, t.pagamento_aprovado);
+    },
+
+    pedido_enviado(dados, t, idioma) {
+        const m = t.pedido_enviado;
+        const { numero_pedido, transportadora, codigo_rastreio, entrega_prevista } = dados.pedido;
+        const previsao = entrega_prevista ? formatarData(entrega_prevista, idioma, false) : null;
+        // O servidor envia o link com a chave do pedido; sem ela, a página pede o email da compra
+        const linkRastreio = dados.linkRastreio || urlSite(`/rastreio?pedido=${encodeURIComponent(numero_pedido)}`);
+        return emailStatusPedido(dados, t, idioma, m, {
+            html: html`
+                ${transportadora ? html`<p>${m.transportadora}: ${transportadora}</p>` : ''}
+                <p style="font-size: 16px;">${codigo_rastreio ? html`${m.rastreio}: <strong>${codigo_rastreio}</strong>` : m.sem_rastreio}</p>
+                ${previsao ? html`<p>${m.previsao}: ${previsao}</p>` : ''}
+                ${codigo_rastreio ? botao(linkRastreio, m.rastrear) : ''}`,
+            texto: [
+                ...(transportadora ? [`${m.transportadora}: ${transportadora}`] : []),
+                codigo_rastreio ? `${m.rastreio}: ${codigo_rastreio}` : m.sem_rastreio,
+                ...(previsao ? [`${m.previsao}: ${previsao}`] : []),
+                ...(codigo_rastreio ? [`${m.rastrear}: ${linkRastreio}`] : [])
+            ]
+        });
+    },
+
+    pedido_entregue(dados, t, idioma) {
+        return emailStatusPedido(dados, t, idioma, t.pedido_entregue);
+    },
+
+    pedido_cancelado(dados, t, idioma) {
+        const m = t.pedido_cancelado;
+        return emailStatusPedido(dados, t, idioma, m, {
+            html: html`
+                ${dados.motivo ? html`<p>${m.motivo}: ${dados.motivo}</p>` : ''}
+                <p style="font-size: 14px; color: #64748b;">${m.estorno}</p>`,
+            texto: [...(dados.motivo ? [`${m.motivo}: ${dados.motivo}`] : []), m.estorno]
+        });
+    },
+
+    reembolso_processado(dados, t, idioma) {
+        const m = t.reembolso_processado;
+        const { reembolso } = dados;
+        return emailStatusPedido(dados, t, idioma, { assunto: m.assunto, intro: m.intro(formatarMoeda(reembolso.valor, idioma)) }, {
+            html: html`
+                ${reembolsoHtml(reembolso, t, idioma)}
+                <p style="font-size: 14px; color: #64748b;">${m.prazo}</p>`,
+            texto: ['', ...reembolsoTexto(reembolso, t, idioma), '', m.prazo]
+        });
+    },
+
+    reembolso_solicitado(dados, t, idioma) {
+        return emailStatusPedido(dados, t, idioma, t.reembolso_solicitado, {
+            html: reembolsoHtml(dados.reembolso, t, idioma),
+            texto: ['', ...reembolsoTexto(dados.reembolso, t, idioma)]
+        });
+    },
+
+    reembolso_recusado(dados, t, idioma) {
+        const m = t.reembolso_recusado;
+        const { resposta } = dados.reembolso;
+        return emailStatusPedido(dados, t, idioma, m, {
+            html: resposta ? html`<p>${m.resposta}: ${resposta}</p>` : '',
+            texto: resposta ? [`${m.resposta}: ${resposta}`] : []
+        });
+    },
+
+    // Aviso ao administrador (tipo: solicitado, manual, processado ou pago_apos_cancelamento); instrucao vem do provedor de pagamento
+    reembolso_admin({ pedido, reembolso, tipo, instrucao }, t, idioma) {
+        const m = t.reembolso_admin;
+        const cliente = `${pedido.cliente_nome} <${pedido.cliente_email}>`;
+        return {
+            assunto: m.assunto[tipo](pedido.numero_pedido),
+            html: layout(html`
+                <h2 style="color: ${COR_PRIMARIA};">${t.pedido} ${pedido.numero_pedido}</h2>
+                <p style="font-size: 16px; line-height: 1.5;">${m.titulo[tipo]}</p>
+                ${instrucao ? html`<p><strong>${instrucao}</strong></p>` : ''}
+                <p><strong>${m.cliente}:</strong> ${cliente}</p>
+                ${reembolsoHtml(reembolso, t, idioma)}`, t),
+            texto: [
+                `${t.pedido} ${pedido.numero_pedido}`, '', m.titulo[tipo],
+                ...(instrucao ? [instrucao] : []),
+                `${m.cliente}: ${cliente}`, '', ...reembolsoTexto(reembolso, t, idioma)
+            ].join('\n')
+        };
+    },
+
+    redefinicao_senha({ nome, link, validadeMinutos }, t) {
+        const m = t.redefinicao_senha;
+        const saudacao = t.saudacao(primeiroNome(nome));
+        return {
+            assunto: m.assunto(),
+            html: layout(html`
+                <h2 style="color: ${COR_PRIMARIA};">${saudacao}</h2>
+                <p style="font-size: 16px; line-height: 1.5;">${m.intro}</p>
+                ${botao(link, m.botao)}
+                <p style="font-size: 14px; color: #64748b;">${m.validade(validadeMinutos)}</p>`, t),
+            texto: [saudacao, '', m.intro, '', `${m.botao}: ${link}`, '', m.validade(validadeMinutos)].join('\n')
+        };
+    },
+
+    // Aviso ao administrador: dados do cliente vêm do formulário de checkout e são sempre escapados
+    nova_venda({ pedido, itens, usuarioNovo }, t, idioma) {
+        const m = t.nova_venda;
+        const campos = [
+            [m.data, formatarData(pedido.criado_em, idioma)],
+            [m.nome, pedido.cliente_nome],
+            [m.email, pedido.cliente_email],
+            [m.telefone, pedido.cliente_telefone || t.nao_informado],
+            [m.documento, pedido.cliente_cpf]
+        ];
+        const endereco = [
+            `${pedido.logradouro}, ${pedido.numero}${pedido.complemento ? ` - ${pedido.complemento}` : ''}`,
+            `${pedido.bairro || t.nao_informado} - ${pedido.cidade}/${pedido.estado}`,
+            `CEP ${pedido.cep}`
+        ];
+        const situacaoCliente = usuarioNovo ? `⚠️ ${m.cliente_novo}` : `✓ ${m.cliente_existente}`;
+        return {
+            assunto: m.assunto(pedido.numero_pedido),
+            html: layout(html`
+                <h2 style="color: ${COR_PRIMARIA};">${m.titulo}: ${pedido.numero_pedido}</h2>
+                <h3>${m.cliente}</h3>
+                ${campos.map(([rotulo, valor]) => html`<p style="margin: 4px 0;"><strong>${rotulo}:</strong> ${valor}</p>`)}
+                <h3>${m.endereco}</h3>
+                ${endereco.map(linha => html`<p style="margin: 4px 0;">${linha}</p>`)}
+                ${resumoHtml(pedido, itens, t, idioma)}
+                <p><strong>${situacaoCliente}</strong></p>`, t),
+            texto: [
+                `${m.titulo.toUpperCase()}: ${pedido.numero_pedido}`, '',
+                `${m.cliente.toUpperCase()}`, ...campos.map(([rotulo, valor]) => `${rotulo}: ${valor}`), '',
+                `${m.endereco.toUpperCase()}`, ...endereco, '',
+                `${m.produtos.toUpperCase()}`, ...itens.map(item => `${item.nome} (${item.sku}) x ${item.quantidade}`), '',
+                `${t.total}: ${formatarMoeda(pedido.total, idioma)}`, '',
+                situacaoCliente
+            ].join('\n')
+        };
+    }
+};
+
+/**
+ * @param {string} template - Nome do template (chave de TEMPLATES)
+ * @param {Object} dados - Dados do template
+ * @param {Object} opcoes - { idioma } ('pt-BR' ou 'en'; padrão EMAIL_IDIOMA)
+ * @returns {{ assunto: string, html: string, texto: string }}
+ */
+function renderEmail(template, dados, { idioma = IDIOMA_PADRAO } = {}) {
+    const render = TEMPLATES[template];
+    if (!render) throw new Error(`Template de email desconhecido: ${template}`);
+    const idiomaFinal = MENSAGENS[idioma] ? idioma : 'pt-BR';
+    return render(dados, MENSAGENS[idiomaFinal], idiomaFinal);
+}
+
+// ============================================================
+// DADOS DE EXEMPLO (pré-visualização em desenvolvimento)
+// ============================================================
+
+const PEDIDO_EXEMPLO = {
+    numero_pedido: 'BSP-20250222-0001',
+    cliente_nome: 'Maria <b>Silva</b>',
+    cliente_email: 'maria@email.com',
+    cliente_telefone: '(11) 98765-4321',
+    cliente_cpf: '52998224725',
+    logradouro: 'Rua Augusta', numero: '100', complemento: 'Apto 42 <script>alert(1)</script>',
+    bairro: 'Consolação', cidade: 'São Paulo', estado: 'SP', cep: '01001000',
+    subtotal: 538, frete: 0, desconto: 0, total: 538,
+    transportadora: 'Correios', codigo_rastreio: 'BR123456789BR', entrega_prevista: '2025-03-01',
+    criado_em: '2025-02-22 14:30:00'
+};
+
+const ITENS_EXEMPLO = [
+    { sku: 'BLUESHIELD-PRO-001', nome: 'BlueShield Pro', quantidade: 2, preco_unitario: 269 }
+];
+
+const REEMBOLSO_EXEMPLO = {
+    valor: 269, valor_frete: 0, motivo: 'Armação <i>arranhada</i>',
+    itens: [{ nome: 'BlueShield Pro', quantidade: 1, valor: 269 }]
+};
+
+const EXEMPLOS = {
+    pedido_recebido: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO, linkPagamento: 'https://checkout.exemplo/abc', usuarioNovo: true },
+    pagamento_aprovado: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO },
+    pedido_enviado: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO },
+    pedido_entregue: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO },
+    pedido_cancelado: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO, motivo: 'Prazo de pagamento expirado' },
+    reembolso_processado: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO, reembolso: REEMBOLSO_EXEMPLO },
+    reembolso_solicitado: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO, reembolso: REEMBOLSO_EXEMPLO },
+    reembolso_recusado: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO, reembolso: { ...REEMBOLSO_EXEMPLO, resposta: 'Prazo de 7 dias após a entrega encerrado' } },
+    reembolso_admin: { pedido: PEDIDO_EXEMPLO, reembolso: REEMBOLSO_EXEMPLO, tipo: 'manual', instrucao: 'Estornar 269.00 da transação abc123 pelo painel da InfinitePay.' },
+    redefinicao_senha: { nome: 'Maria Silva', link: urlSite('/redefinir-senha?token=exemplo'), validadeMinutos: 60 },
+    nova_venda: { pedido: PEDIDO_EXEMPLO, itens: ITENS_EXEMPLO, usuarioNovo: true }
+};
+
+module.exports = {
+    renderEmail,
+    escapeHtml,
+    TEMPLATES: Object.keys(TEMPLATES),
+    IDIOMAS,
+    EXEMPLOS
+};
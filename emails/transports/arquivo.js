@@ -0,0 +1,46 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - TRANSPORTE ARQUIVO (desenvolvimento/testes)
+ * ============================================================
+ * Nada sai pela rede: cada email vira um arquivo .eml (RFC 822) em
+ * EMAIL_ARQUIVO_DIR, que pode ser aberto em qualquer cliente de email.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { EmailTransport } = require('./transport');
+
+class ArquivoTransport extends EmailTransport {
+    constructor() {
+        super('arquivo');
+        this.diretorio = path.resolve(process.env.EMAIL_ARQUIVO_DIR || path.join(__dirname, '..', '..', 'emails-enviados'));
+        // streamTransport só monta a mensagem; o arquivo é gravado aqui
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    
+    async send({ para, assunto, html, texto }) {
+        const remetente = this.remetente();
+        const info = await this.transporter.sendMail({
+            from: { name: remetente.nome, address: remetente.email || 'nao-responda@localhost' },
+            to: para,
+            subject: assunto,
+            html,
+            text: texto || undefined
+        });
+        
+        await fs.promises.mkdir(this.diretorio, { recursive: true });
+        const destinatario = String(para).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        // Sufixo aleatório: emails para o mesmo destinatário no mesmo milissegundo não se sobrescrevem
+        const sufixo = crypto.randomBytes(3).toString('hex');
+        const arquivo = path.join(this.diretorio, `${new Date().toISOString().replace(/[:.]/g, '-')}-${sufixo}-${destinatario}.eml`);
+        await fs.promises.writeFile(arquivo, info.message);
+        
+        console.log(`[EMAIL] 📁 Email gravado em ${arquivo}`);
+        return { message_id: info.messageId || null };
+    }
+}
+
+module.exports = ArquivoTransport;
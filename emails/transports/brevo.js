@@ -0,0 +1,47 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - TRANSPORTE BREVO (API HTTP)
+ * ============================================================
+ */
+
+const { EmailTransport } = require('./transport');
+
+const API_URL = 'https://api.brevo.com/v3/smtp/email';
+
+class BrevoTransport extends EmailTransport {
+    constructor() {
+        super('brevo');
+        this.apiKey = process.env.BREVO_API_KEY;
+    }
+    
+    async send({ para, assunto, html, texto }) {
+        if (!this.apiKey) throw new Error('Chave BREVO_API_KEY não configurada no .env/Render');
+        
+        const remetente = this.remetente();
+        const response = await fetch(API_URL, {
+            method: 'POST',
+            headers: {
+                'accept': 'application/json',
+                'api-key': this.apiKey,
+                'content-type': 'application/json'
+            },
+            body: JSON.stringify({
+                sender: { name: remetente.nome, email: remetente.email },
+                to: [{ email: para }],
+                subject: assunto,
+                htmlContent: html,
+                ...(texto ? { textContent: texto } : {})
+            })
+        });
+        
+        if (!response.ok) {
+            const err = await response.text();
+            throw new Error(`Brevo respondeu ${response.status}: ${err}`);
+        }
+        
+        const data = await response.json().catch(() => ({}));
+        return { message_id: data.messageId || null };
+    }
+}
+
+module.exports = BrevoTransport;
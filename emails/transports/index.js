@@ -0,0 +1,39 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - TRANSPORTES DE EMAIL
+ * ============================================================
+ * Seleciona o transporte pela variável EMAIL_TRANSPORT
+ * (brevo | smtp | arquivo). Padrão: brevo.
+ * ============================================================
+ */
+
+const { EmailTransport } = require('./transport');
+const BrevoTransport = require('./brevo');
+const SmtpTransport = require('./smtp');
+const ArquivoTransport = require('./arquivo');
+
+const TRANSPORTS = {
+    brevo: BrevoTransport,
+    smtp: SmtpTransport,
+    arquivo: ArquivoTransport
+};
+
+let instancia = null;
+
+/**
+ * Transporte ativo (instância única por processo)
+ */
+function getEmailTransport() {
+    if (!instancia) {
+        const nome = process.env.EMAIL_TRANSPORT || 'brevo';
+        const Transport = TRANSPORTS[nome];
+        if (!Transport) throw new Error(`EMAIL_TRANSPORT inválido: ${nome} (use: ${Object.keys(TRANSPORTS).join(', ')})`);
+        instancia = new Transport();
+    }
+    return instancia;
+}
+
+module.exports = {
+    EmailTransport,
+    getEmailTransport
+};
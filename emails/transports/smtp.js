@@ -0,0 +1,38 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - TRANSPORTE SMTP (nodemailer)
+ * ============================================================
+ * Usa SMTP_HOST/SMTP_PORT/SMTP_SECURE e as credenciais EMAIL_USER/EMAIL_PASS.
+ * Padrão: Gmail (smtp.gmail.com:465 com senha de app).
+ * ============================================================
+ */
+
+const nodemailer = require('nodemailer');
+const { EmailTransport } = require('./transport');
+
+class SmtpTransport extends EmailTransport {
+    constructor() {
+        super('smtp');
+        const porta = parseInt(process.env.SMTP_PORT, 10) || 465;
+        this.transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'smtp.gmail.com',
+            port: porta,
+            secure: process.env.SMTP_SECURE !== undefined ? process.env.SMTP_SECURE === 'true' : porta === 465,
+            auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+        });
+    }
+    
+    async send({ para, assunto, html, texto }) {
+        const remetente = this.remetente();
+        const info = await this.transporter.sendMail({
+            from: { name: remetente.nome, address: remetente.email },
+            to: para,
+            subject: assunto,
+            html,
+            text: texto || undefined
+        });
+        return { message_id: info.messageId || null };
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,36 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - EMAIL TRANSPORT (interface)
+ * ============================================================
+ * Contrato comum aos meios de envio de email.
+ * Cada transporte estende EmailTransport e implementa send().
+ * ============================================================
+ */
+
+class EmailTransport {
+    /**
+     * @param {string} nome - Identificador usado em EMAIL_TRANSPORT e gravado em emails_enviados
+     */
+    constructor(nome) {
+        this.nome = nome;
+    }
+    
+    /**
+     * Remetente padrão de todos os emails
+     * @returns {{ nome: string, email: string }}
+     */
+    remetente() {
+        return { nome: 'BlueShield Pro', email: process.env.EMAIL_FROM || process.env.EMAIL_USER };
+    }
+    
+    /**
+     * Envia o email. Deve lançar erro em caso de falha (a outbox tenta de novo)
+     * @param {Object} mensagem - { para, assunto, html, texto }
+     * @returns {Promise<{ message_id: string|null }>}
+     */
+    async send(mensagem) {
+        throw new Error(`send não implementado no transporte ${this.nome}`);
+    }
+}
+
+module.exports = { EmailTransport };
@@ -0,0 +1,262 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - FRETE
+ * ============================================================
+ * Cotação de entrega a partir do CEP de destino:
+ * - CEP → UF pelas faixas dos Correios → região da tabela de preços
+ * - Peso somado de produtos.especificacoes.peso + embalagem
+ * - Frete grátis no serviço econômico acima de config.frete_gratis_minimo
+ *   (desligado quando config.frete_gratis = 'false')
+ * - Previsão de entrega em dias úteis (sem sábados e domingos)
+ * - Link de rastreio no site das transportadoras conhecidas
+ * ============================================================
+ */
+
+const { toCentavos, toReais } = require('./pricing');
+
+// ============================================================
+// CONFIGURAÇÃO
+// ============================================================
+
+const EMBALAGEM_GRAMAS = 150; // Caixa + proteção de cada pedido
+const PESO_PADRAO_GRAMAS = 100; // Produto sem peso nas especificações
+const PRAZO_POSTAGEM_DIAS = 1; // Dias úteis para separar e postar
+const SERVICO_PADRAO = 'economico';
+
+const SERVICOS = {
+    economico: 'Econômico',
+    expresso: 'Expresso'
+};
+
+/**
+ * Faixas de CEP por UF (5 primeiros dígitos, inclusivo)
+ */
+const FAIXAS_CEP_UF = [
+    ['SP', 1000, 19999], ['RJ', 20000, 28999], ['ES', 29000, 29999], ['MG', 30000, 39999],
+    ['BA', 40000, 48999], ['SE', 49000, 49999], ['PE', 50000, 56999], ['AL', 57000, 57999],
+    ['PB', 58000, 58999], ['RN', 59000, 59999], ['CE', 60000, 63999], ['PI', 64000, 64999],
+    ['MA', 65000, 65999], ['PA', 66000, 68899], ['AP', 68900, 68999], ['AM', 69000, 69299],
+    ['RR', 69300, 69399], ['AM', 69400, 69899], ['AC', 69900, 69999], ['DF', 70000, 72799],
+    ['GO', 72800, 72999], ['DF', 73000, 73699], ['GO', 73700, 76799], ['RO', 76800, 76999],
+    ['TO', 77000, 77999], ['MT', 78000, 78899], ['MS', 79000, 79999], ['PR', 80000, 87999],
+    ['SC', 88000, 89999], ['RS', 90000, 99999]
+];
+
+/**
+ * Faixas de CEP com tabela própria (avaliadas antes da UF)
+ */
+const FAIXAS_CEP_ESPECIAIS = [
+    ['capital_sp', 1000, 5999],
+    ['capital_sp', 8000, 8499]
+];
+
+const REGIOES_POR_UF = {
+    SP: 'sp',
+    RJ: 'sudeste', ES: 'sudeste', MG: 'sudeste',
+    PR: 'sul', SC: 'sul', RS: 'sul',
+    DF: 'centro_oeste', GO: 'centro_oeste', MT: 'centro_oeste', MS: 'centro_oeste',
+    BA: 'nordeste', SE: 'nordeste', PE: 'nordeste', AL: 'nordeste', PB: 'nordeste',
+    RN: 'nordeste', CE: 'nordeste', PI: 'nordeste', MA: 'nordeste',
+    PA: 'norte', AP: 'norte', AM: 'norte', RR: 'norte', AC: 'norte', TO: 'norte', RO: 'norte'
+};
+
+/**
+ * Tabela de preços por região e serviço (valores em reais)
+ * base: até 300g · adicional: a cada 500g (ou fração) acima disso · prazo: dias úteis após a postagem
+ */
+const TABELA_FRETE = {
+    capital_sp:   { economico: { base: 12.90, adicional: 3.00, prazo: 2 },  expresso: { base: 19.90, adicional: 4.50, prazo: 1 } },
+    sp:           { economico: { base: 16.90, adicional: 3.50, prazo: 4 },  expresso: { base: 26.90, adicional: 5.50, prazo: 2 } },
+    sudeste:      { economico: { base: 19.90, adicional: 4.00, prazo: 5 },  expresso: { base: 32.90, adicional: 6.50, prazo: 2 } },
+    sul:          { economico: { base: 22.90, adicional: 4.50, prazo: 6 },  expresso: { base: 36.90, adicional: 7.00, prazo: 3 } },
+    centro_oeste: { economico: { base: 24.90, adicional: 5.00, prazo: 7 },  expresso: { base: 39.90, adicional: 7.50, prazo: 3 } },
+    nordeste:     { economico: { base: 27.90, adicional: 5.50, prazo: 9 },  expresso: { base: 44.90, adicional: 8.50, prazo: 4 } },
+    norte:        { economico: { base: 32.90, adicional: 6.50, prazo: 12 }, expresso: { base: 52.90, adicional: 9.50, prazo: 5 } }
+};
+
+const PESO_BASE_GRAMAS = 300;
+const PESO_ADICIONAL_GRAMAS = 500;
+
+/**
+ * Transportadoras com página de rastreio conhecida (chave = nome em minúsculas, sem acentos)
+ */
+const TRANSPORTADORAS = {
+    correios: { nome: 'Correios', rastreio: codigo => `https://rastreamento.correios.com.br/app/index.php?objetos=${codigo}` },
+    jadlog: { nome: 'Jadlog', rastreio: codigo => `https://www.jadlog.com.br/jadlog/tracking?cte=${codigo}` },
+    loggi: { nome: 'Loggi', rastreio: codigo => `https://www.loggi.com/rastreador/${codigo}` }
+};
+
+const CODIGO_RASTREIO_CORREIOS = /^[A-Z]{2}\d{9}[A-Z]{2}$/;
+
+// ============================================================
+// FUNÇÕES AUXILIARES
+// ============================================================
+
+function limparCep(cep) {
+    return String(cep || '').replace(/\D/g, '');
+}
+
+function buscarFaixa(faixas, prefixo) {
+    const faixa = faixas.find(([, inicio, fim]) => prefixo >= inicio && prefixo <= fim);
+    return faixa ? faixa[0] : null;
+}
+
+/**
+ * UF do CEP (null se o CEP for inválido ou não pertencer a nenhuma faixa)
+ */
+function ufPorCep(cep) {
+    const digitos = limparCep(cep);
+    if (digitos.length !== 8) return null;
+    return buscarFaixa(FAIXAS_CEP_UF, parseInt(digitos.slice(0, 5), 10));
+}
+
+function regiaoPorCep(cep) {
+    const prefixo = parseInt(limparCep(cep).slice(0, 5), 10);
+    return buscarFaixa(FAIXAS_CEP_ESPECIAIS, prefixo) || REGIOES_POR_UF[ufPorCep(cep)] || null;
+}
+
+/**
+ * Converte o peso das especificações ("22g", "0,3 kg") em gramas
+ */
+function parsePesoGramas(peso) {
+    const match = String(peso || '').trim().toLowerCase().match(/^(\d+(?:[.,]\d+)?)\s*(kg|g)?$/);
+    if (!match) return null;
+    const valor = parseFloat(match[1].replace(',', '.'));
+    return Math.round(match[2] === 'kg' ? valor * 1000 : valor);
+}
+
+function pesoProdutoGramas(produto) {
+    let especificacoes = {};
+    try {
+        especificacoes = produto.especificacoes ? JSON.parse(produto.especificacoes) : {};
+    } catch (error) {
+        especificacoes = {};
+    }
+    return parsePesoGramas(especificacoes.peso) || PESO_PADRAO_GRAMAS;
+}
+
+/**
+ * Peso total do pedido com embalagem
+ * @param {Array<{produto: Object, quantidade: number}>} linhas - Linhas de calcularCotacao
+ */
+function pesoPedidoGramas(linhas) {
+    return linhas.reduce((soma, linha) => soma + pesoProdutoGramas(linha.produto) * linha.quantidade, EMBALAGEM_GRAMAS);
+}
+
+/**
+ * Soma dias úteis a partir de hoje
+ * @returns {string} Data no formato YYYY-MM-DD
+ */
+function somarDiasUteis(dias, inicio = new Date()) {
+    const data = new Date(inicio);
+    let restantes = dias;
+    while (restantes > 0) {
+        data.setDate(data.getDate() + 1);
+        const diaSemana = data.getDay();
+        if (diaSemana !== 0 && diaSemana !== 6) restantes--;
+    }
+    return data.toISOString().slice(0, 10);
+}
+
+// ============================================================
+// COTAÇÃO
+// ============================================================
+
+/**
+ * Opções de entrega para o CEP
+ * @param {Object} dados - { cep, linhas (de calcularCotacao), subtotal, config: { frete_gratis, frete_gratis_minimo } }
+ * @returns {Object} - { cep, uf, regiao, peso_gramas, frete_gratis_minimo, opcoes: [{ servico, nome, valor, gratis, prazo_dias_uteis, entrega_prevista }] }
+ */
+function cotarFrete({ cep, linhas, subtotal, config = {} }) {
+    const cepLimpo = limparCep(cep);
+    if (cepLimpo.length !== 8) throw new Error('CEP inválido');
+
+    const uf = ufPorCep(cepLimpo);
+    const regiao = regiaoPorCep(cepLimpo);
+    if (!uf || !regiao) throw new Error('CEP fora da área de entrega');
+
+    const pesoGramas = pesoPedidoGramas(linhas);
+    const faixasAdicionais = Math.max(0, Math.ceil((pesoGramas - PESO_BASE_GRAMAS) / PESO_ADICIONAL_GRAMAS));
+    const freteGratisMinimo = config.frete_gratis ? config.frete_gratis_minimo : null;
+    const atingiuFreteGratis = freteGratisMinimo !== null && toCentavos(subtotal) >= toCentavos(freteGratisMinimo);
+
+    const opcoes = Object.entries(TABELA_FRETE[regiao]).map(([servico, tarifa]) => {
+        const gratis = servico === SERVICO_PADRAO && atingiuFreteGratis;
+        const valorCentavos = gratis ? 0 : toCentavos(tarifa.base) + faixasAdicionais * toCentavos(tarifa.adicional);
+        const prazo = PRAZO_POSTAGEM_DIAS + tarifa.prazo;
+        return {
+            servico,
+            nome: SERVICOS[servico],
+            valor: toReais(valorCentavos),
+            gratis,
+            prazo_dias_uteis: prazo,
+            entrega_prevista: somarDiasUteis(prazo)
+        };
+    });
+
+    return {
+        cep: cepLimpo,
+        uf,
+        regiao,
+        peso_gramas: pesoGramas,
+        frete_gratis_minimo: freteGratisMinimo,
+        opcoes
+    };
+}
+
+/**
+ * Opção do serviço escolhido (lança erro se o serviço não existir)
+ */
+function escolherServico(cotacaoFrete, servico = SERVICO_PADRAO) {
+    const opcao = cotacaoFrete.opcoes.find(o => o.servico === servico);
+    if (!opcao) throw new Error(`Serviço de frete indisponível: ${servico}`);
+    return opcao;
+}
+
+// ============================================================
+// RASTREIO
+// ============================================================
+
+function chaveTransportadora(transportadora) {
+    return String(transportadora || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Nome padronizado da transportadora (nomes desconhecidos são mantidos como vieram)
+ */
+function nomeTransportadora(transportadora) {
+    const conhecida = TRANSPORTADORAS[chaveTransportadora(transportadora)];
+    return conhecida ? conhecida.nome : String(transportadora || '').trim();
+}
+
+/**
+ * Confere o formato do código de rastreio (apenas Correios tem formato fixo: AA123456789BR)
+ */
+function validarCodigoRastreio(transportadora, codigo) {
+    if (chaveTransportadora(transportadora) === 'correios') return CODIGO_RASTREIO_CORREIOS.test(codigo);
+    return /^[A-Za-z0-9-]{4,40}$/.test(codigo);
+}
+
+/**
+ * Link de rastreio no site da transportadora (null se ela não for conhecida)
+ */
+function urlRastreio(transportadora, codigo) {
+    const conhecida = TRANSPORTADORAS[chaveTransportadora(transportadora)];
+    return conhecida && codigo ? conhecida.rastreio(encodeURIComponent(codigo)) : null;
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    cotarFrete,
+    escolherServico,
+    ufPorCep,
+    parsePesoGramas,
+    nomeTransportadora,
+    validarCodigoRastreio,
+    urlRastreio,
+    SERVICOS,
+    SERVICO_PADRAO
+};
@@ -0,0 +1,95 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - LGPD
+ * ============================================================
+ * Direitos do titular (Lei 13.709/2018, art. 18):
+ * - Exportação: tudo o que está ligado a um usuário, em JSON
+ * - Anonimização: dados pessoais trocados por marcadores; valores de
+ *   pedidos e reembolsos ficam (obrigação contábil e fiscal)
+ *
+ * Nos audit_logs só mudam os campos pessoais de dados_anteriores/dados_novos
+ * e o IP/user agent; o hash_conteudo original fica gravado e o registro da
+ * anonimização lista os ids alterados (ver verificarCadeia em auditoria.js)
+ * ============================================================
+ */
+
+const ANONIMIZADO = '[anonimizado]';
+
+// Pedidos e reembolsos ainda em curso impedem a anonimização (entrega, estorno)
+const STATUS_PEDIDO_EM_ANDAMENTO = ['pendente', 'aguardando_pagamento', 'pago', 'processando', 'enviado'];
+const STATUS_REEMBOLSO_EM_ANDAMENTO = ['solicitado', 'processando'];
+
+// Campos pessoais por tabela (linhas e dados dos audit_logs). Cidade e estado
+// dos endereços ficam: não identificam o titular e entram na apuração de impostos
+const CAMPOS_PESSOAIS = {
+    usuarios: ['nome', 'email', 'cpf', 'cpf_indice', 'telefone', 'data_nascimento', 'genero'],
+    enderecos: ['cep', 'logradouro', 'numero', 'complemento', 'bairro'],
+    pedidos: ['observacoes_cliente'],
+    reembolsos: ['motivo']
+};
+
+// ============================================================
+// ANONIMIZAÇÃO
+// ============================================================
+
+/**
+ * Email e CPF de um titular anonimizado (únicos, para não colidir entre contas)
+ */
+function identificadoresAnonimos(usuarioId) {
+    return {
+        email: `anonimizado-${usuarioId}@anonimizado.invalid`,
+        cpf: `anonimizado-${usuarioId}`
+    };
+}
+
+/**
+ * Troca os campos pessoais de uma linha da tabela (os nulos continuam nulos)
+ */
+function anonimizarDados(tabela, dados) {
+    if (!dados || typeof dados !== 'object') return dados;
+    const copia = { ...dados };
+    (CAMPOS_PESSOAIS[tabela] || [])
+        .filter(campo => copia[campo] !== undefined && copia[campo] !== null)
+        .forEach((campo) => { copia[campo] = ANONIMIZADO; });
+    return copia;
+}
+
+/**
+ * Mesmo que anonimizarDados, para o JSON gravado em audit_logs
+ */
+function anonimizarJson(tabela, texto) {
+    if (!texto) return texto;
+    try {
+        return JSON.stringify(anonimizarDados(tabela, JSON.parse(texto)));
+    } catch (error) {
+        return texto;
+    }
+}
+
+/**
+ * Ids de audit_logs anonimizados que um registro de auditoria declara (vazio se não for uma anonimização)
+ */
+function idsAnonimizados(linha) {
+    if (linha.tabela !== 'usuarios' || linha.acao !== 'UPDATE' || !linha.dados_novos) return [];
+    try {
+        const dados = JSON.parse(linha.dados_novos);
+        return dados && dados.lgpd === 'anonimizacao' && Array.isArray(dados.audit_logs) ? dados.audit_logs : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    identificadoresAnonimos,
+    anonimizarDados,
+    anonimizarJson,
+    idsAnonimizados,
+    ANONIMIZADO,
+    CAMPOS_PESSOAIS,
+    STATUS_PEDIDO_EM_ANDAMENTO,
+    STATUS_REEMBOLSO_EM_ANDAMENTO
+};
@@ -0,0 +1,509 @@
+/**
+ * ============================================================
+ * 001 - SCHEMA INICIAL
+ * ============================================================
+ * Todas as tabelas e índices existentes quando as migrações foram
+ * introduzidas. Usa IF NOT EXISTS e ensureColumn para adotar bancos
+ * criados antes (como o database.sqlite do repositório) sem recriar nada.
+ * ============================================================
+ */
+
+const { ensureColumn } = require('./index');
+
+// ============================================================
+// TABELAS
+// ============================================================
+
+const SCHEMA = {
+    // Tabela de configurações do sistema
+    config: `
+        CREATE TABLE IF NOT EXISTS config (
+            chave TEXT PRIMARY KEY,
+            valor TEXT NOT NULL,
+            descricao TEXT,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+
+    // Tabela de produtos
+    produtos: `
+        CREATE TABLE IF NOT EXISTS produtos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sku TEXT UNIQUE NOT NULL,
+            nome TEXT NOT NULL,
+            descricao TEXT,
+            preco_unitario REAL NOT NULL CHECK (preco_unitario >= 0),
+            estoque INTEGER DEFAULT 0 CHECK (estoque >= 0),
+            ativo INTEGER DEFAULT 1 CHECK (ativo IN (0, 1)),
+            imagem_url TEXT,
+            especificacoes TEXT, -- JSON com especificações técnicas
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            deletado_em DATETIME -- Soft delete
+        )
+    `,
+
+    // Tabela de usuários (clientes)
+    usuarios: `
+        CREATE TABLE IF NOT EXISTS usuarios (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            uuid TEXT UNIQUE NOT NULL, -- UUID público para referências externas
+            nome TEXT NOT NULL,
+            email TEXT UNIQUE NOT NULL,
+            cpf TEXT UNIQUE NOT NULL,
+            senha_hash TEXT NOT NULL,
+            telefone TEXT,
+            data_nascimento DATE,
+            genero TEXT CHECK (genero IN ('M', 'F', 'O', 'N')),
+            
+            -- Status da conta
+            status TEXT DEFAULT 'ativo' CHECK (status IN ('ativo', 'inativo', 'bloqueado', 'pendente')),
+            email_verificado INTEGER DEFAULT 0 CHECK (email_verificado IN (0, 1)),
+            
+            -- Campos de auditoria
+            ultimo_login DATETIME,
+            tentativas_login INTEGER DEFAULT 0,
+            
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            deletado_em DATETIME -- Soft delete
+        )
+    `,
+
+    // Tabela de endereços (normalização - um usuário pode ter vários endereços)
+    enderecos: `
+        CREATE TABLE IF NOT EXISTS enderecos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            usuario_id INTEGER NOT NULL,
+            
+            -- Dados do endereço
+            cep TEXT NOT NULL,
+            logradouro TEXT NOT NULL,
+            numero TEXT NOT NULL,
+            complemento TEXT,
+            bairro TEXT NOT NULL,
+            cidade TEXT NOT NULL,
+            estado TEXT NOT NULL,
+            pais TEXT DEFAULT 'BR',
+            
+            -- Tipo e preferência
+            tipo TEXT DEFAULT 'entrega' CHECK (tipo IN ('entrega', 'cobranca', 'ambos')),
+            padrao INTEGER DEFAULT 0 CHECK (padrao IN (0, 1)),
+            
+            -- Validação
+            validado INTEGER DEFAULT 0 CHECK (validado IN (0, 1)),
+            
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            deletado_em DATETIME,
+            
+            FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+        )
+    `,
+
+    // Tabela de pedidos
+    pedidos: `
+        CREATE TABLE IF NOT EXISTS pedidos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            numero_pedido TEXT UNIQUE NOT NULL, -- Número legível (ex: BSP-20250222-0001)
+            
+            -- Relacionamentos
+            usuario_id INTEGER NOT NULL,
+            endereco_id INTEGER NOT NULL,
+            
+            -- Valores
+            subtotal REAL NOT NULL CHECK (subtotal >= 0),
+            frete REAL NOT NULL DEFAULT 0 CHECK (frete >= 0),
+            desconto REAL NOT NULL DEFAULT 0 CHECK (desconto >= 0),
+            total REAL NOT NULL CHECK (total >= 0),
+            
+            -- Status do pedido
+            status TEXT DEFAULT 'pendente' CHECK (status IN (
+                'pendente', 'aguardando_pagamento', 'pago', 'processando', 
+                'enviado', 'entregue', 'cancelado', 'reembolsado'
+            )),
+            
+            -- Pagamento
+            metodo_pagamento TEXT CHECK (metodo_pagamento IN (
+                'cartao_credito', 'cartao_debito', 'boleto', 'pix', 'transferencia'
+            )),
+            pagamento_status TEXT DEFAULT 'pendente' CHECK (pagamento_status IN (
+                'pendente', 'aprovado', 'recusado', 'estornado'
+            )),
+            pagamento_data DATETIME,
+            pagamento_transacao_id TEXT, -- ID da transação no gateway
+            
+            -- Envio
+            frete_servico TEXT, -- Serviço escolhido na cotação (economico, expresso)
+            transportadora TEXT,
+            codigo_rastreio TEXT,
+            envio_data DATETIME,
+            entrega_prevista DATE,
+            entrega_realizada DATETIME,
+            
+            -- Observações
+            observacoes_cliente TEXT,
+            observacoes_internas TEXT,
+            
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (usuario_id) REFERENCES usuarios(id),
+            FOREIGN KEY (endereco_id) REFERENCES enderecos(id)
+        )
+    `,
+
+    // Tabela de itens do pedido
+    pedido_itens: `
+        CREATE TABLE IF NOT EXISTS pedido_itens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pedido_id INTEGER NOT NULL,
+            produto_id INTEGER NOT NULL,
+            
+            -- Dados do item (snapshot no momento da compra)
+            sku TEXT NOT NULL,
+            nome TEXT NOT NULL,
+            quantidade INTEGER NOT NULL CHECK (quantidade > 0),
+            preco_unitario REAL NOT NULL CHECK (preco_unitario >= 0),
+            subtotal REAL NOT NULL CHECK (subtotal >= 0),
+            
+            -- Especificações
+            variacao TEXT, -- cor, tamanho, etc
+            
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE,
+            FOREIGN KEY (produto_id) REFERENCES produtos(id)
+        )
+    `,
+
+    // Tabela de histórico de status dos pedidos
+    pedido_historico: `
+        CREATE TABLE IF NOT EXISTS pedido_historico (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pedido_id INTEGER NOT NULL,
+            status_anterior TEXT,
+            status_novo TEXT NOT NULL,
+            observacao TEXT,
+            usuario_responsavel_id INTEGER, -- NULL se for sistema
+            ip_address TEXT,
+            user_agent TEXT,
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE
+        )
+    `,
+
+    // Tabela de logs de auditoria
+    audit_logs: `
+        CREATE TABLE IF NOT EXISTS audit_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            
+            -- Identificação
+            uuid TEXT UNIQUE NOT NULL,
+            tabela TEXT NOT NULL,
+            registro_id INTEGER,
+            acao TEXT NOT NULL CHECK (acao IN ('INSERT', 'UPDATE', 'DELETE', 'SELECT', 'LOGIN', 'LOGOUT', 'ERROR')),
+            
+            -- Dados
+            dados_anteriores TEXT, -- JSON
+            dados_novos TEXT, -- JSON
+            
+            -- Contexto
+            usuario_id INTEGER,
+            ip_address TEXT,
+            user_agent TEXT,
+            endpoint TEXT,
+            metodo_http TEXT,
+            
+            -- Timestamp
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (usuario_id) REFERENCES usuarios(id)
+        )
+    `,
+
+    // Tabela de sessões (para controle de login)
+    sessoes: `
+        CREATE TABLE IF NOT EXISTS sessoes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            usuario_id INTEGER NOT NULL,
+            token TEXT UNIQUE NOT NULL,
+            refresh_token TEXT UNIQUE,
+            
+            -- Dispositivo/Contexto
+            ip_address TEXT,
+            user_agent TEXT,
+            dispositivo TEXT,
+            
+            -- Validade
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expira_em DATETIME NOT NULL, -- Expiração do token de acesso
+            refresh_expira_em DATETIME, -- Expiração do refresh token (fim da sessão)
+            ultima_atividade DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            -- Status
+            ativo INTEGER DEFAULT 1 CHECK (ativo IN (0, 1)),
+            encerrado_em DATETIME,
+            motivo_encerramento TEXT CHECK (motivo_encerramento IN ('logout', 'expirado', 'revogado', 'troca_senha')),
+            
+            FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+        )
+    `,
+
+    // Carrinhos anônimos (identificados por token salvo no navegador)
+    carrinhos: `
+        CREATE TABLE IF NOT EXISTS carrinhos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token TEXT UNIQUE NOT NULL,
+            usuario_id INTEGER, -- NULL enquanto o carrinho for anônimo
+            
+            status TEXT DEFAULT 'ativo' CHECK (status IN ('ativo', 'convertido', 'abandonado')),
+            pedido_id INTEGER, -- Pedido gerado a partir do carrinho
+            
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expira_em DATETIME NOT NULL,
+            
+            FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE SET NULL,
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id)
+        )
+    `,
+
+    // Itens do carrinho (uma linha por produto)
+    carrinho_itens: `
+        CREATE TABLE IF NOT EXISTS carrinho_itens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            carrinho_id INTEGER NOT NULL,
+            produto_id INTEGER NOT NULL,
+            quantidade INTEGER NOT NULL CHECK (quantidade > 0),
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            UNIQUE (carrinho_id, produto_id),
+            FOREIGN KEY (carrinho_id) REFERENCES carrinhos(id) ON DELETE CASCADE,
+            FOREIGN KEY (produto_id) REFERENCES produtos(id)
+        )
+    `,
+
+    // Estoque separado para pedidos aguardando pagamento
+    // (disponível = produtos.estoque - reservas ativas; a baixa em produtos.estoque só acontece no pagamento)
+    reservas_estoque: `
+        CREATE TABLE IF NOT EXISTS reservas_estoque (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pedido_id INTEGER NOT NULL,
+            produto_id INTEGER NOT NULL,
+            quantidade INTEGER NOT NULL CHECK (quantidade > 0),
+            
+            status TEXT NOT NULL DEFAULT 'ativa' CHECK (status IN ('ativa', 'confirmada', 'liberada', 'expirada')),
+            expira_em DATETIME NOT NULL,
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finalizada_em DATETIME, -- Confirmação (pagamento) ou liberação (cancelamento/expiração)
+            
+            UNIQUE (pedido_id, produto_id),
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE,
+            FOREIGN KEY (produto_id) REFERENCES produtos(id)
+        )
+    `,
+
+    // Efeitos colaterais (emails, link de pagamento) gravados na mesma transação que os originou
+    // e entregues por um worker com novas tentativas
+    outbox: `
+        CREATE TABLE IF NOT EXISTS outbox (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tipo TEXT NOT NULL, -- Ex: email, pagamento.link
+            payload TEXT NOT NULL, -- JSON com os dados do handler
+            pedido_id INTEGER,
+            
+            status TEXT NOT NULL DEFAULT 'pendente' CHECK (status IN ('pendente', 'processando', 'concluido', 'falhou')),
+            tentativas INTEGER NOT NULL DEFAULT 0,
+            max_tentativas INTEGER NOT NULL DEFAULT 8,
+            proxima_tentativa_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            bloqueado_em DATETIME, -- Início do processamento (libera eventos presos se o processo cair)
+            ultimo_erro TEXT,
+            
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            processado_em DATETIME,
+            
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE SET NULL
+        )
+    `,
+
+    // Registro de cada tentativa de envio de email (uma linha por envio)
+    emails_enviados: `
+        CREATE TABLE IF NOT EXISTS emails_enviados (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            outbox_id INTEGER, -- Evento da outbox que originou o envio
+            pedido_id INTEGER,
+            transporte TEXT NOT NULL, -- brevo, smtp ou arquivo
+            destinatario TEXT NOT NULL,
+            assunto TEXT NOT NULL,
+            
+            status TEXT NOT NULL CHECK (status IN ('enviado', 'falhou')),
+            message_id TEXT, -- Identificador devolvido pelo transporte
+            erro TEXT,
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (outbox_id) REFERENCES outbox(id) ON DELETE SET NULL,
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE SET NULL
+        )
+    `,
+
+    // Notificações recebidas do gateway de pagamento (uma linha por transação)
+    pagamentos_eventos: `
+        CREATE TABLE IF NOT EXISTS pagamentos_eventos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            provedor TEXT NOT NULL DEFAULT 'infinitepay',
+            transaction_nsu TEXT UNIQUE, -- Deduplicação de reenvios do gateway
+            order_nsu TEXT,
+            pedido_id INTEGER,
+            valor_centavos INTEGER, -- Valor pago informado pelo gateway
+            payload TEXT NOT NULL, -- Corpo bruto da notificação
+            
+            status TEXT NOT NULL DEFAULT 'recebido' CHECK (status IN ('recebido', 'processado', 'rejeitado', 'ignorado')),
+            motivo TEXT,
+            ip_address TEXT,
+            recebido_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            processado_em DATETIME,
+            
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id)
+        )
+    `,
+
+    // Último número de pedido emitido por prefixo e dia (incrementado atomicamente)
+    pedido_sequencias: `
+        CREATE TABLE IF NOT EXISTS pedido_sequencias (
+            prefixo TEXT NOT NULL,
+            data TEXT NOT NULL, -- YYYYMMDD (UTC)
+            ultimo INTEGER NOT NULL,
+            
+            PRIMARY KEY (prefixo, data)
+        )
+    `,
+
+    // Cupons de desconto
+    cupons: `
+        CREATE TABLE IF NOT EXISTS cupons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            codigo TEXT UNIQUE NOT NULL, -- Sempre em maiúsculas
+            descricao TEXT,
+            
+            tipo TEXT NOT NULL CHECK (tipo IN ('percentual', 'valor_fixo', 'frete_gratis')),
+            valor DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (valor >= 0), -- % (percentual) ou R$ (valor_fixo)
+            pedido_minimo DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (pedido_minimo >= 0), -- Subtotal mínimo
+            
+            valido_de DATETIME, -- NULL = desde a criação
+            valido_ate DATETIME, -- NULL = sem data de término
+            limite_uso_total INTEGER CHECK (limite_uso_total > 0), -- NULL = ilimitado
+            limite_uso_cliente INTEGER DEFAULT 1 CHECK (limite_uso_cliente > 0), -- NULL = ilimitado
+            
+            ativo BOOLEAN DEFAULT 1,
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `,
+    
+    // Uso de cupom por pedido (base dos limites de uso)
+    cupom_usos: `
+        CREATE TABLE IF NOT EXISTS cupom_usos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            cupom_id INTEGER NOT NULL,
+            pedido_id INTEGER UNIQUE NOT NULL, -- Um cupom por pedido
+            usuario_id INTEGER NOT NULL,
+            valor_desconto DECIMAL(10,2) NOT NULL, -- Desconto no subtotal + frete deixado de cobrar
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (cupom_id) REFERENCES cupons(id),
+            FOREIGN KEY (pedido_id) REFERENCES pedidos(id) ON DELETE CASCADE,
+            FOREIGN KEY (usuario_id) REFERENCES usuarios(id)
+        )
+    `,
+
+    // Tabela de tokens de recuperação de senha
+    password_resets: `
+        CREATE TABLE IF NOT EXISTS password_resets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            usuario_id INTEGER NOT NULL,
+            token TEXT UNIQUE NOT NULL,
+            expira_em DATETIME NOT NULL,
+            utilizado INTEGER DEFAULT 0 CHECK (utilizado IN (0, 1)),
+            utilizado_em DATETIME,
+            ip_address TEXT,
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            
+            FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+        )
+    `
+};
+
+// ============================================================
+// ÍNDICES PARA PERFORMANCE
+// ============================================================
+
+const INDEXES = [
+    // Usuários
+    `CREATE INDEX IF NOT EXISTS idx_usuarios_email ON usuarios(email) WHERE deletado_em IS NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_usuarios_cpf ON usuarios(cpf) WHERE deletado_em IS NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_usuarios_status ON usuarios(status) WHERE deletado_em IS NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_usuarios_criado ON usuarios(criado_em)`,
+    
+    // Endereços
+    `CREATE INDEX IF NOT EXISTS idx_enderecos_usuario ON enderecos(usuario_id) WHERE deletado_em IS NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_enderecos_cep ON enderecos(cep)`,
+    `CREATE INDEX IF NOT EXISTS idx_enderecos_padrao ON enderecos(usuario_id, padrao) WHERE padrao = 1`,
+    
+    // Pedidos
+    `CREATE INDEX IF NOT EXISTS idx_pedidos_usuario ON pedidos(usuario_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_pedidos_numero ON pedidos(numero_pedido)`,
+    `CREATE INDEX IF NOT EXISTS idx_pedidos_status ON pedidos(status)`,
+    `CREATE INDEX IF NOT EXISTS idx_pedidos_criado ON pedidos(criado_em)`,
+    `CREATE INDEX IF NOT EXISTS idx_pedidos_status_data ON pedidos(status, criado_em)`,
+    
+    // Itens do pedido
+    `CREATE INDEX IF NOT EXISTS idx_pedido_itens_pedido ON pedido_itens(pedido_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_pedido_itens_produto ON pedido_itens(produto_id)`,
+    
+    // Histórico
+    `CREATE INDEX IF NOT EXISTS idx_pedido_historico_pedido ON pedido_historico(pedido_id, criado_em)`,
+    
+    // Logs de auditoria
+    `CREATE INDEX IF NOT EXISTS idx_audit_tabela ON audit_logs(tabela, registro_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_audit_usuario ON audit_logs(usuario_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_audit_criado ON audit_logs(criado_em)`,
+    
+    // Sessões
+    `CREATE INDEX IF NOT EXISTS idx_sessoes_token ON sessoes(token)`,
+    `CREATE INDEX IF NOT EXISTS idx_sessoes_usuario ON sessoes(usuario_id, ativo)`,
+    `CREATE INDEX IF NOT EXISTS idx_sessoes_expira ON sessoes(expira_em) WHERE ativo = 1`,
+    `CREATE INDEX IF NOT EXISTS idx_reservas_estoque_produto ON reservas_estoque(produto_id) WHERE status = 'ativa'`,
+    `CREATE INDEX IF NOT EXISTS idx_reservas_estoque_expira ON reservas_estoque(expira_em) WHERE status = 'ativa'`,
+    `CREATE INDEX IF NOT EXISTS idx_outbox_fila ON outbox(status, proxima_tentativa_em)`,
+    `CREATE INDEX IF NOT EXISTS idx_outbox_pedido ON outbox(pedido_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_emails_enviados_destinatario ON emails_enviados(destinatario, criado_em)`,
+    `CREATE INDEX IF NOT EXISTS idx_emails_enviados_pedido ON emails_enviados(pedido_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_pagamentos_eventos_pedido ON pagamentos_eventos(pedido_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_cupom_usos_cupom ON cupom_usos(cupom_id, usuario_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_password_resets_usuario ON password_resets(usuario_id) WHERE utilizado = 0`,
+    
+    // Carrinhos
+    `CREATE INDEX IF NOT EXISTS idx_carrinhos_token ON carrinhos(token) WHERE status = 'ativo'`,
+    `CREATE INDEX IF NOT EXISTS idx_carrinho_itens_carrinho ON carrinho_itens(carrinho_id)`
+];
+
+module.exports = {
+    descricao: 'Tabelas e índices iniciais',
+
+    up(db) {
+        Object.values(SCHEMA).forEach(sql => db.exec(sql));
+        
+        // Colunas adicionadas antes das migrações, ausentes em bancos mais antigos
+        ensureColumn(db, 'sessoes', 'refresh_expira_em', 'DATETIME');
+        ensureColumn(db, 'pedidos', 'frete_servico', 'TEXT');
+        ensureColumn(db, 'pedidos', 'transportadora', 'TEXT');
+        
+        INDEXES.forEach(sql => db.exec(sql));
+    },
+
+    down(db) {
+        // Ordem inversa: tabelas filhas antes das referenciadas
+        Object.keys(SCHEMA).reverse().forEach(tabela => db.exec(`DROP TABLE IF EXISTS ${tabela}`));
+    }
+};
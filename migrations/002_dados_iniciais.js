@@ -0,0 +1,59 @@
+/**
+ * ============================================================
+ * 002 - DADOS INICIAIS
+ * ============================================================
+ * Produto padrão e configurações da loja
+ * (preços vivem apenas em produtos.preco_unitario - não há preço em config)
+ * ============================================================
+ */
+
+const SKU_PADRAO = 'BLUESHIELD-PRO-001';
+
+const CONFIGS = [
+    ['frete_gratis', 'true', 'Frete grátis ativado'],
+    ['frete_gratis_minimo', '199.00', 'Subtotal mínimo para frete grátis no serviço econômico'],
+    ['estoque_minimo', '10', 'Alerta de estoque baixo']
+];
+
+module.exports = {
+    descricao: 'Produto padrão e configurações da loja',
+
+    up(db) {
+        db.prepare(`
+            INSERT OR IGNORE INTO produtos (sku, nome, descricao, preco_unitario, estoque, especificacoes)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            SKU_PADRAO,
+            'BlueShield Pro',
+            'Óculos bloqueador de luz azul para profissionais de alta performance',
+            269.00,
+            1000,
+            JSON.stringify({
+                peso: '22g',
+                material_armacao: 'TR90',
+                material_lente: 'Policarbonato',
+                protecao: 'UV400',
+                largura: '143mm',
+                altura_lente: '47mm',
+                ponte_nasal: '48mm'
+            })
+        );
+
+        const insertConfig = db.prepare('INSERT OR IGNORE INTO config (chave, valor, descricao) VALUES (?, ?, ?)');
+        CONFIGS.forEach(([chave, valor, descricao]) => insertConfig.run(chave, valor, descricao));
+
+        // Chaves legadas: preço centralizado em produtos e versão do schema agora em schema_migrations
+        db.prepare("DELETE FROM config WHERE chave IN ('preco_default', 'versao_db')").run();
+    },
+
+    down(db) {
+        db.prepare(`DELETE FROM config WHERE chave IN (${CONFIGS.map(() => '?').join(', ')})`).run(...CONFIGS.map(([chave]) => chave));
+
+        // O produto só sai se nunca foi vendido nem colocado em carrinho
+        db.prepare(`
+            DELETE FROM produtos WHERE sku = ?
+              AND id NOT IN (SELECT produto_id FROM pedido_itens)
+              AND id NOT IN (SELECT produto_id FROM carrinho_itens)
+        `).run(SKU_PADRAO);
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * ============================================================
+ * 003 - REEMBOLSOS
+ * ============================================================
+ * Reembolsos (totais ou parciais) e as linhas de pedido_itens
+ * devolvidas em cada um
+ * ============================================================
+ */
+
+module.exports = {
+    descricao: 'Reembolsos e itens reembolsados',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE reembolsos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                pedido_id INTEGER NOT NULL,
+                origem TEXT NOT NULL CHECK (origem IN ('admin', 'cliente')),
+
+                -- solicitado (cliente, aguardando análise) → processando (no provedor) → concluido | manual (estorno fora da API)
+                status TEXT NOT NULL DEFAULT 'processando' CHECK (status IN ('solicitado', 'recusado', 'processando', 'concluido', 'manual')),
+                valor DECIMAL(10,2) NOT NULL CHECK (valor > 0), -- Itens (com o desconto rateado) + frete
+                valor_frete DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (valor_frete >= 0),
+                motivo TEXT,
+                resposta TEXT, -- Justificativa da recusa
+
+                -- Estoque
+                repor_estoque INTEGER NOT NULL DEFAULT 1 CHECK (repor_estoque IN (0, 1)),
+                estoque_reposto INTEGER NOT NULL DEFAULT 0 CHECK (estoque_reposto IN (0, 1)),
+
+                -- Provedor de pagamento
+                provedor TEXT,
+                provedor_reembolso_id TEXT,
+
+                solicitado_por INTEGER,
+                analisado_por INTEGER,
+                criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+                atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+                processado_em DATETIME,
+
+                FOREIGN KEY (pedido_id) REFERENCES pedidos(id),
+                FOREIGN KEY (solicitado_por) REFERENCES usuarios(id),
+                FOREIGN KEY (analisado_por) REFERENCES usuarios(id)
+            );
+
+            CREATE TABLE reembolso_itens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                reembolso_id INTEGER NOT NULL,
+                pedido_item_id INTEGER NOT NULL,
+                quantidade INTEGER NOT NULL CHECK (quantidade > 0),
+                valor DECIMAL(10,2) NOT NULL CHECK (valor >= 0),
+
+                UNIQUE (reembolso_id, pedido_item_id),
+                FOREIGN KEY (reembolso_id) REFERENCES reembolsos(id) ON DELETE CASCADE,
+                FOREIGN KEY (pedido_item_id) REFERENCES pedido_itens(id)
+            );
+
+            CREATE INDEX idx_reembolsos_pedido ON reembolsos(pedido_id);
+            CREATE INDEX idx_reembolsos_status ON reembolsos(status, criado_em);
+            CREATE INDEX idx_reembolso_itens_reembolso ON reembolso_itens(reembolso_id);
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE IF EXISTS reembolso_itens;
+            DROP TABLE IF EXISTS reembolsos;
+        `);
+    }
+};
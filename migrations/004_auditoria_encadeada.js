@@ -0,0 +1,44 @@
+/**
+ * ============================================================
+ * 004 - AUDITORIA ENCADEADA
+ * ============================================================
+ * hash_conteudo e hash em audit_logs (ver auditoria.js); os registros
+ * existentes são encadeados na ordem de id
+ * ============================================================
+ */
+
+const { hashConteudo, encadear } = require('../auditoria');
+
+const LOTE = 1000;
+
+module.exports = {
+    descricao: 'Hash encadeado dos logs de auditoria',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE audit_logs ADD COLUMN hash_conteudo TEXT;
+            ALTER TABLE audit_logs ADD COLUMN hash TEXT;
+        `);
+
+        const lote = db.prepare('SELECT * FROM audit_logs WHERE id > ? ORDER BY id LIMIT ?');
+        const atualizar = db.prepare('UPDATE audit_logs SET hash_conteudo = ?, hash = ? WHERE id = ?');
+        let hashAnterior = null;
+        let ultimoId = 0;
+        let linhas;
+        while ((linhas = lote.all(ultimoId, LOTE)).length > 0) {
+            linhas.forEach((linha) => {
+                const conteudo = hashConteudo(linha);
+                hashAnterior = encadear(hashAnterior, conteudo);
+                atualizar.run(conteudo, hashAnterior, linha.id);
+                ultimoId = linha.id;
+            });
+        }
+    },
+
+    down(db) {
+        db.exec(`
+            ALTER TABLE audit_logs DROP COLUMN hash;
+            ALTER TABLE audit_logs DROP COLUMN hash_conteudo;
+        `);
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * ============================================================
+ * 005 - LGPD
+ * ============================================================
+ * - usuarios recriada sem UNIQUE em email e cpf: a unicidade passa a
+ *   valer só entre contas não excluídas (índices únicos parciais), e o
+ *   mesmo CPF/email pode se cadastrar de novo depois de uma exclusão
+ * - usuarios.anonimizado_em e audit_logs.anonimizado_em (ver lgpd.js)
+ * ============================================================
+ */
+
+const COLUNAS_USUARIOS = [
+    'id', 'uuid', 'nome', 'email', 'cpf', 'senha_hash', 'telefone', 'data_nascimento', 'genero',
+    'status', 'email_verificado', 'ultimo_login', 'tentativas_login', 'criado_em', 'atualizado_em', 'deletado_em'
+].join(', ');
+
+function criarUsuarios(db, { unicoSempre }) {
+    db.exec(`
+        CREATE TABLE usuarios_nova (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            uuid TEXT UNIQUE NOT NULL, -- UUID público para referências externas
+            nome TEXT NOT NULL,
+            email TEXT ${unicoSempre ? 'UNIQUE ' : ''}NOT NULL,
+            cpf TEXT ${unicoSempre ? 'UNIQUE ' : ''}NOT NULL,
+            senha_hash TEXT NOT NULL,
+            telefone TEXT,
+            data_nascimento DATE,
+            genero TEXT CHECK (genero IN ('M', 'F', 'O', 'N')),
+
+            -- Status da conta
+            status TEXT DEFAULT 'ativo' CHECK (status IN ('ativo', 'inativo', 'bloqueado', 'pendente')),
+            email_verificado INTEGER DEFAULT 0 CHECK (email_verificado IN (0, 1)),
+
+            -- Campos de auditoria
+            ultimo_login DATETIME,
+            tentativas_login INTEGER DEFAULT 0,
+
+            criado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            atualizado_em DATETIME DEFAULT CURRENT_TIMESTAMP,
+            deletado_em DATETIME${unicoSempre ? '' : `, -- Soft delete
+            anonimizado_em DATETIME -- Dados pessoais removidos (LGPD)`}
+        );
+
+        INSERT INTO usuarios_nova (${COLUNAS_USUARIOS}) SELECT ${COLUNAS_USUARIOS} FROM usuarios;
+        DROP TABLE usuarios;
+        ALTER TABLE usuarios_nova RENAME TO usuarios;
+
+        CREATE ${unicoSempre ? '' : 'UNIQUE '}INDEX idx_usuarios_email ON usuarios(email) WHERE deletado_em IS NULL;
+        CREATE ${unicoSempre ? '' : 'UNIQUE '}INDEX idx_usuarios_cpf ON usuarios(cpf) WHERE deletado_em IS NULL;
+        CREATE INDEX idx_usuarios_status ON usuarios(status) WHERE deletado_em IS NULL;
+        CREATE INDEX idx_usuarios_criado ON usuarios(criado_em);
+    `);
+}
+
+module.exports = {
+    descricao: 'LGPD: email/CPF únicos só entre contas ativas e marcação de anonimização',
+    desativarChavesEstrangeiras: true,
+
+    up(db) {
+        criarUsuarios(db, { unicoSempre: false });
+        db.exec('ALTER TABLE audit_logs ADD COLUMN anonimizado_em DATETIME');
+    },
+
+    down(db) {
+        // Falha (e nada é desfeito) se uma conta excluída repetir o email ou o CPF de outra.
+        // Sem anonimizado_em, os audit_logs anonimizados passam a aparecer como alterados na verificação
+        criarUsuarios(db, { unicoSempre: true });
+        db.exec('ALTER TABLE audit_logs DROP COLUMN anonimizado_em');
+    }
+};
@@ -0,0 +1,112 @@
+/**
+ * ============================================================
+ * 006 - CRIPTOGRAFIA DE CPF E TELEFONE
+ * ============================================================
+ * usuarios.cpf e usuarios.telefone passam a ser gravados cifrados
+ * (ver criptografia.js) e usuarios.cpf_indice guarda o índice cego do
+ * CPF: a busca e a unicidade entre contas não excluídas usam ele.
+ * As cópias de cpf e telefone nos audit_logs (checkout antigo, auditoria
+ * automática) também são cifradas, com um registro que lista os ids
+ * alterados para a cadeia continuar válida (ver auditoria.js)
+ *
+ * Exige CRIPTO_CHAVE e CRIPTO_CHAVE_INDICE (e, para desfazer, as chaves
+ * que cifraram os valores)
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const {
+    cifrar, decifrar, estaCifrado, indiceCego, cifrarDadosAuditoria, decifrarDadosAuditoria, verificarConfiguracao, COLUNAS_CIFRADAS
+} = require('../criptografia');
+const { hashConteudo, encadear } = require('../auditoria');
+
+const LOTE = 1000;
+
+/**
+ * Regrava cpf e telefone de todos os usuários, em lotes por id
+ */
+function regravar(db, converter) {
+    const lote = db.prepare('SELECT id, cpf, telefone FROM usuarios WHERE id > ? ORDER BY id LIMIT ?');
+    let ultimoId = 0;
+    let linhas;
+    while ((linhas = lote.all(ultimoId, LOTE)).length > 0) {
+        linhas.forEach((linha) => {
+            converter(linha);
+            ultimoId = linha.id;
+        });
+    }
+}
+
+/**
+ * Regrava dados_anteriores e dados_novos dos audit_logs das tabelas cifradas e grava, encadeado
+ * como no logAudit, o registro que lista os ids alterados (eles ganham anonimizado_em)
+ */
+function regravarAuditoria(db, converter, criptografia) {
+    const tabelas = Object.keys(COLUNAS_CIFRADAS);
+    const lote = db.prepare(`
+        SELECT id, tabela, dados_anteriores, dados_novos FROM audit_logs
+        WHERE tabela IN (${tabelas.map(() => '?').join(', ')}) AND id > ? ORDER BY id LIMIT ?
+    `);
+    const atualizar = db.prepare('UPDATE audit_logs SET dados_anteriores = ?, dados_novos = ?, anonimizado_em = CURRENT_TIMESTAMP WHERE id = ?');
+    const alterados = [];
+    let ultimoId = 0;
+    let linhas;
+    while ((linhas = lote.all(...tabelas, ultimoId, LOTE)).length > 0) {
+        linhas.forEach((linha) => {
+            const anteriores = converter(linha.tabela, linha.dados_anteriores);
+            const novos = converter(linha.tabela, linha.dados_novos);
+            if (anteriores !== linha.dados_anteriores || novos !== linha.dados_novos) {
+                atualizar.run(anteriores, novos, linha.id);
+                alterados.push(linha.id);
+            }
+            ultimoId = linha.id;
+        });
+    }
+    if (alterados.length === 0) return;
+
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO audit_logs (uuid, tabela, registro_id, acao, dados_novos) VALUES (?, 'usuarios', NULL, 'UPDATE', ?)
+    `).run(crypto.randomUUID(), JSON.stringify({ ...criptografia, audit_logs: alterados }));
+    const registro = db.prepare('SELECT * FROM audit_logs WHERE id = ?').get(lastInsertRowid);
+    const anterior = db.prepare('SELECT hash FROM audit_logs WHERE id < ? ORDER BY id DESC LIMIT 1').get(registro.id);
+    const conteudo = hashConteudo(registro);
+    db.prepare('UPDATE audit_logs SET hash_conteudo = ?, hash = ? WHERE id = ?')
+        .run(conteudo, encadear(anterior && anterior.hash, conteudo), registro.id);
+}
+
+module.exports = {
+    descricao: 'CPF e telefone cifrados (AES-256-GCM) com índice cego do CPF',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE usuarios ADD COLUMN cpf_indice TEXT;
+            DROP INDEX IF EXISTS idx_usuarios_cpf;
+        `);
+
+        const atualizar = db.prepare('UPDATE usuarios SET cpf = ?, telefone = ?, cpf_indice = ? WHERE id = ?');
+        regravar(db, ({ id, cpf, telefone }) => {
+            if (estaCifrado(cpf)) throw new Error(`usuarios.cpf do usuário ${id} já está cifrado`);
+            atualizar.run(cifrar(cpf, 'usuarios.cpf'), cifrar(telefone, 'usuarios.telefone'), indiceCego(cpf, 'usuarios.cpf'), id);
+        });
+
+        db.exec('CREATE UNIQUE INDEX idx_usuarios_cpf_indice ON usuarios(cpf_indice) WHERE deletado_em IS NULL');
+
+        regravarAuditoria(db, cifrarDadosAuditoria, { criptografia: 'migracao', chave: verificarConfiguracao().chave_atual });
+    },
+
+    down(db) {
+        db.exec('DROP INDEX idx_usuarios_cpf_indice');
+
+        regravarAuditoria(db, decifrarDadosAuditoria, { criptografia: 'reversao' });
+
+        const atualizar = db.prepare('UPDATE usuarios SET cpf = ?, telefone = ? WHERE id = ?');
+        regravar(db, ({ id, cpf, telefone }) => {
+            atualizar.run(decifrar(cpf, 'usuarios.cpf'), decifrar(telefone, 'usuarios.telefone'), id);
+        });
+
+        db.exec(`
+            ALTER TABLE usuarios DROP COLUMN cpf_indice;
+            CREATE UNIQUE INDEX idx_usuarios_cpf ON usuarios(cpf) WHERE deletado_em IS NULL;
+        `);
+    }
+};
@@ -0,0 +1,252 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - MIGRAÇÕES DO SCHEMA
+ * ============================================================
+ * Cada arquivo NNN_descricao.js desta pasta exporta:
+ *   { descricao, up(db), down(db), desativarChavesEstrangeiras? }
+ *
+ * - As migrações aplicadas ficam em schema_migrations (versão, nome, checksum)
+ * - Cada migração roda em uma transação própria: ou aplica inteira, ou nada
+ * - schema_migrations_lock impede dois processos migrando ao mesmo tempo
+ * - desativarChavesEstrangeiras: para recriar tabelas (mudar tipo ou
+ *   CHECK de coluna), com PRAGMA foreign_key_check antes do commit
+ *
+ * Arquivo já aplicado não deve ser editado: crie uma nova migração.
+ * ============================================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRACOES_DIR = __dirname;
+const ARQUIVO_MIGRACAO = /^(\d{3})_[a-z0-9_]+\.js$/;
+const BLOQUEIO_EXPIRA_MINUTOS = 10; // Bloqueio de processo que morreu no meio da migração
+const BLOQUEIO_ESPERA_MS = parseInt(process.env.DB_MIGRACAO_ESPERA_MS, 10) || 30000; // Quanto esperar por outro processo que está migrando
+
+// ============================================================
+// FUNÇÕES AUXILIARES
+// ============================================================
+
+/**
+ * Adiciona uma coluna em bancos criados antes dela existir no CREATE TABLE
+ */
+function ensureColumn(db, tabela, coluna, definicao) {
+    const existe = db.prepare(`PRAGMA table_info(${tabela})`).all().some(c => c.name === coluna);
+    if (!existe) {
+        db.exec(`ALTER TABLE ${tabela} ADD COLUMN ${coluna} ${definicao}`);
+        console.log(`[DB]   ✓ Coluna adicionada: ${tabela}.${coluna}`);
+    }
+}
+
+function aguardar(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function prepararTabelas(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            versao TEXT PRIMARY KEY,
+            nome TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            duracao_ms INTEGER,
+            aplicada_em DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS schema_migrations_lock (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            dono TEXT NOT NULL,
+            bloqueado_em DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+/**
+ * Migrações disponíveis na pasta, em ordem de versão
+ */
+function carregarMigracoes() {
+    const migracoes = fs.readdirSync(MIGRACOES_DIR)
+        .filter(arquivo => ARQUIVO_MIGRACAO.test(arquivo))
+        .sort()
+        .map((arquivo) => {
+            const caminho = path.join(MIGRACOES_DIR, arquivo);
+            const modulo = require(caminho);
+            if (typeof modulo.up !== 'function') throw new Error(`Migração ${arquivo} não exporta up(db)`);
+            return {
+                versao: arquivo.match(ARQUIVO_MIGRACAO)[1],
+                nome: arquivo.replace(/\.js$/, ''),
+                checksum: crypto.createHash('sha256').update(fs.readFileSync(caminho)).digest('hex'),
+                modulo
+            };
+        });
+
+    migracoes.forEach((migracao, i) => {
+        if (i > 0 && migracoes[i - 1].versao === migracao.versao) {
+            throw new Error(`Versão de migração duplicada: ${migracoes[i - 1].nome} e ${migracao.nome}`);
+        }
+    });
+    return migracoes;
+}
+
+function listarAplicadas(db) {
+    return db.prepare('SELECT * FROM schema_migrations ORDER BY versao').all();
+}
+
+// ============================================================
+// BLOQUEIO
+// ============================================================
+
+/**
+ * Executa fn com o bloqueio de migração deste processo.
+ * Outro processo migrando: espera até BLOQUEIO_ESPERA_MS e desiste com erro.
+ */
+function comBloqueio(db, fn) {
+    const dono = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    const obter = db.transaction(() => {
+        db.prepare(`DELETE FROM schema_migrations_lock WHERE bloqueado_em < datetime('now', ?)`).run(`-${BLOQUEIO_EXPIRA_MINUTOS} minutes`);
+        return db.prepare('INSERT OR IGNORE INTO schema_migrations_lock (id, dono) VALUES (1, ?)').run(dono).changes === 1;
+    });
+
+    const limite = Date.now() + BLOQUEIO_ESPERA_MS;
+    while (!obter.immediate()) {
+        if (Date.now() > limite) {
+            const atual = db.prepare('SELECT dono, bloqueado_em FROM schema_migrations_lock WHERE id = 1').get();
+            throw new Error(`Migrações bloqueadas por outro processo (${atual ? `${atual.dono} desde ${atual.bloqueado_em}` : 'desconhecido'})`);
+        }
+        aguardar(250);
+    }
+
+    try {
+        return fn();
+    } finally {
+        db.prepare('DELETE FROM schema_migrations_lock WHERE dono = ?').run(dono);
+    }
+}
+
+// ============================================================
+// EXECUÇÃO
+// ============================================================
+
+function executar(db, migracao, direcao) {
+    const { modulo } = migracao;
+    if (typeof modulo[direcao] !== 'function') {
+        throw new Error(`Migração ${migracao.nome} não pode ser desfeita (sem down)`);
+    }
+
+    const inicio = Date.now();
+    // PRAGMA foreign_keys não muda dentro de transação: desliga antes e religa no final
+    if (modulo.desativarChavesEstrangeiras) db.pragma('foreign_keys = OFF');
+    try {
+        db.transaction(() => {
+            modulo[direcao](db);
+
+            if (modulo.desativarChavesEstrangeiras) {
+                const violacoes = db.pragma('foreign_key_check');
+                if (violacoes.length > 0) {
+                    throw new Error(`Migração ${migracao.nome} deixaria ${violacoes.length} chaves estrangeiras inválidas (ex: ${violacoes[0].table})`);
+                }
+            }
+
+            if (direcao === 'up') {
+                db.prepare('INSERT INTO schema_migrations (versao, nome, checksum, duracao_ms) VALUES (?, ?, ?, ?)')
+                    .run(migracao.versao, migracao.nome, migracao.checksum, Date.now() - inicio);
+            } else {
+                db.prepare('DELETE FROM schema_migrations WHERE versao = ?').run(migracao.versao);
+            }
+        }).immediate();
+    } finally {
+        if (modulo.desativarChavesEstrangeiras) db.pragma('foreign_keys = ON');
+    }
+
+    const acao = direcao === 'up' ? 'aplicada' : 'desfeita';
+    console.log(`[DB]   ✓ Migração ${migracao.nome} ${acao} (${Date.now() - inicio}ms)`);
+}
+
+/**
+ * Situação de cada migração: aplicada, pendente, alterada (arquivo mudou depois
+ * de aplicado) ou ausente (registrada no banco, mas sem arquivo)
+ */
+function statusMigracoes(db) {
+    prepararTabelas(db);
+    const aplicadas = new Map(listarAplicadas(db).map(m => [m.versao, m]));
+    const disponiveis = carregarMigracoes();
+
+    const status = disponiveis.map((migracao) => {
+        const aplicada = aplicadas.get(migracao.versao);
+        aplicadas.delete(migracao.versao);
+        let situacao = 'pendente';
+        if (aplicada) situacao = aplicada.checksum === migracao.checksum ? 'aplicada' : 'alterada';
+        return {
+            versao: migracao.versao,
+            nome: migracao.nome,
+            descricao: migracao.modulo.descricao || '',
+            status: situacao,
+            aplicada_em: aplicada ? aplicada.aplicada_em : null
+        };
+    });
+
+    aplicadas.forEach(aplicada => status.push({
+        versao: aplicada.versao, nome: aplicada.nome, descricao: '', status: 'ausente', aplicada_em: aplicada.aplicada_em
+    }));
+    return status.sort((a, b) => a.versao.localeCompare(b.versao));
+}
+
+/**
+ * Aplica as migrações pendentes em ordem
+ * @returns {Array<string>} - Nomes das migrações aplicadas
+ */
+function migrar(db) {
+    prepararTabelas(db);
+    const pendentes = () => {
+        const aplicadas = new Set(listarAplicadas(db).map(m => m.versao));
+        return carregarMigracoes().filter(m => !aplicadas.has(m.versao));
+    };
+    if (pendentes().length === 0) return [];
+
+    return comBloqueio(db, () => {
+        // Outro processo pode ter migrado enquanto este esperava o bloqueio
+        const migracoes = pendentes();
+        const aplicadas = listarAplicadas(db);
+        const ultimaAplicada = aplicadas.length > 0 ? aplicadas[aplicadas.length - 1].versao : null;
+
+        migracoes.forEach((migracao) => {
+            if (ultimaAplicada && migracao.versao < ultimaAplicada) {
+                console.warn(`[DB] ⚠️ Migração ${migracao.nome} é anterior à última aplicada (${ultimaAplicada}); aplicando fora de ordem`);
+            }
+            executar(db, migracao, 'up');
+        });
+        return migracoes.map(m => m.nome);
+    });
+}
+
+/**
+ * Desfaz as últimas migrações aplicadas
+ * @param {number} passos - Quantas migrações desfazer (padrão: a última)
+ * @returns {Array<string>} - Nomes das migrações desfeitas
+ */
+function reverter(db, passos = 1) {
+    prepararTabelas(db);
+
+    return comBloqueio(db, () => {
+        const disponiveis = new Map(carregarMigracoes().map(m => [m.versao, m]));
+        const alvo = listarAplicadas(db).reverse().slice(0, passos);
+
+        return alvo.map((aplicada) => {
+            const migracao = disponiveis.get(aplicada.versao);
+            if (!migracao) throw new Error(`Migração ${aplicada.nome} não pode ser desfeita: arquivo não encontrado`);
+            executar(db, migracao, 'down');
+            return migracao.nome;
+        });
+    });
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    migrar,
+    reverter,
+    statusMigracoes,
+    ensureColumn
+};
@@ -0,0 +1,99 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - OUTBOX WORKER
+ * ============================================================
+ * Entrega os efeitos colaterais gravados na tabela outbox:
+ * - O evento é gravado na mesma transação que o originou (repo.enqueueOutbox)
+ * - Cada tipo de evento tem um handler registrado pelo servidor
+ * - Falhas geram novas tentativas com backoff exponencial;
+ *   esgotadas as tentativas, o evento fica como 'falhou' para análise
+ * ============================================================
+ */
+
+const { db, Repository } = require('./db');
+
+const OUTBOX_INTERVALO_SEGUNDOS = parseInt(process.env.OUTBOX_INTERVALO_SEGUNDOS, 10) || 10;
+
+const handlers = {};
+let processandoFila = false;
+
+/**
+ * @param {string} tipo - Tipo do evento (ex: 'email')
+ * @param {Function} handler - async (payload, evento) => resultado; deve lançar erro em caso de falha
+ */
+function registrarHandler(tipo, handler) {
+    handlers[tipo] = handler;
+}
+
+/**
+ * Processa um evento, se ele estiver disponível para este processo
+ * @returns {Promise<{ status: string, resultado?: any, erro?: string }>}
+ */
+async function processarEvento(id) {
+    const repo = new Repository(db);
+    if (!repo.claimOutboxEvent(id)) return { status: 'indisponivel' };
+
+    const evento = repo.getOutboxEvent(id);
+    try {
+        const handler = handlers[evento.tipo];
+        if (!handler) throw new Error(`Nenhum handler registrado para '${evento.tipo}'`);
+
+        const resultado = await handler(JSON.parse(evento.payload), evento);
+        repo.completeOutboxEvent(id);
+        return { status: 'concluido', resultado };
+    } catch (error) {
+        const falha = repo.failOutboxEvent(id, error.message);
+        if (falha.status === 'falhou') {
+            console.error(`[OUTBOX] ❌ Evento ${id} (${evento.tipo}) falhou ${evento.tentativas} vez(es) e foi para a fila de falhas: ${error.message}`);
+        } else {
+            console.warn(`[OUTBOX] ⚠️ Evento ${id} (${evento.tipo}) falhou (tentativa ${evento.tentativas}/${evento.max_tentativas}): ${error.message}. Nova tentativa em ${falha.proxima_tentativa_em}`);
+        }
+        return { status: falha.status, erro: error.message };
+    }
+}
+
+/**
+ * Processa em segundo plano eventos recém-gravados, sem esperar o intervalo do worker
+ * (falhas continuam registradas na outbox)
+ */
+function dispararEventos(ids) {
+    ids.forEach(id => {
+        processarEvento(id).catch(error => console.error(`[OUTBOX] Erro ao processar evento ${id}:`, error.message));
+    });
+}
+
+/**
+ * Processa, um de cada vez, os eventos pendentes cujo horário de tentativa já chegou
+ * @returns {Promise<number>} quantidade de eventos processados
+ */
+async function processarPendentes() {
+    if (processandoFila) return 0;
+    processandoFila = true;
+
+    try {
+        const ids = new Repository(db).getDueOutboxEvents();
+        for (const id of ids) {
+            await processarEvento(id);
+        }
+        return ids.length;
+    } finally {
+        processandoFila = false;
+    }
+}
+
+/**
+ * Inicia o worker periódico (unref: não impede o processo de terminar)
+ */
+function iniciarWorker() {
+    setInterval(() => {
+        processarPendentes().catch(error => console.error('[OUTBOX] Erro no worker:', error.message));
+    }, OUTBOX_INTERVALO_SEGUNDOS * 1000).unref();
+}
+
+module.exports = {
+    registrarHandler,
+    processarEvento,
+    dispararEventos,
+    processarPendentes,
+    iniciarWorker
+};
@@ -0,0 +1,118 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - FAKE PAYMENT PROVIDER
+ * ============================================================
+ * Provedor local para desenvolvimento e testes (PAYMENT_PROVIDER=fake).
+ * Não chama nenhuma API externa: após FAKE_PAYMENT_DELAY_MS envia ao
+ * próprio servidor um webhook assinado com o resultado configurado.
+ *
+ * FAKE_PAYMENT_OUTCOME:
+ * - aprovado  (padrão) pagamento aprovado
+ * - recusado  pagamento recusado
+ * - pendente  nenhuma notificação é enviada
+ * - erro      a criação do link e os estornos falham
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { PaymentProvider, baseUrl } = require('./provider');
+const { toCentavos } = require('../pricing');
+
+const RESULTADOS = ['aprovado', 'recusado', 'pendente', 'erro'];
+
+class FakePaymentProvider extends PaymentProvider {
+    constructor() {
+        super('fake');
+        this.resultado = RESULTADOS.includes(process.env.FAKE_PAYMENT_OUTCOME) ? process.env.FAKE_PAYMENT_OUTCOME : 'aprovado';
+        this.atrasoMs = parseInt(process.env.FAKE_PAYMENT_DELAY_MS, 10) || 1500;
+        // Segredo gerado a cada execução: só este processo consegue assinar notificações
+        this.segredo = crypto.randomBytes(32).toString('hex');
+        this.pagamentos = new Map(); // numero_pedido -> { status, transaction_nsu, valor_centavos }
+    }
+    
+    assinar(corpo) {
+        return 'sha256=' + crypto.createHmac('sha256', this.segredo).update(corpo).digest('hex');
+    }
+    
+    async createCheckoutLink({ pedido, total }) {
+        if (this.resultado === 'erro') throw new Error('Falha simulada na criação do link (FAKE_PAYMENT_OUTCOME=erro)');
+        
+        const pagamento = {
+            status: 'pendente',
+            transaction_nsu: `fake-${crypto.randomBytes(6).toString('hex')}`,
+            valor_centavos: toCentavos(total)
+        };
+        this.pagamentos.set(pedido.numero_pedido, pagamento);
+        
+        if (this.resultado !== 'pendente') {
+            setTimeout(() => this.notificar(pedido.numero_pedido, pagamento), this.atrasoMs).unref();
+        }
+        
+        console.log(`[FAKE PAYMENT] Link criado para ${pedido.numero_pedido} (resultado: ${this.resultado}, em ${this.atrasoMs}ms)`);
+        return { url: `${baseUrl()}/?pago=true&pedido=${encodeURIComponent(pedido.numero_pedido)}` };
+    }
+    
+    /**
+     * Envia ao webhook local a notificação simulada
+     */
+    async notificar(numeroPedido, pagamento) {
+        pagamento.status = this.resultado;
+        const corpo = JSON.stringify({
+            order_nsu: numeroPedido,
+            transaction_nsu: pagamento.transaction_nsu,
+            amount: pagamento.valor_centavos,
+            status: pagamento.status,
+            metodo: 'pix'
+        });
+        
+        try {
+            const response = await fetch(`${baseUrl()}/api/webhook/${this.nome}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Webhook-Signature': this.assinar(corpo) },
+                body: corpo
+            });
+            console.log(`[FAKE PAYMENT] Notificação ${pagamento.status} de ${numeroPedido}: HTTP ${response.status}`);
+        } catch (error) {
+            console.error('[FAKE PAYMENT] Erro ao enviar notificação:', error.message);
+        }
+    }
+    
+    parseWebhook(req) {
+        const assinatura = String(req.headers['x-webhook-signature'] || '');
+        const esperada = req.rawBody ? this.assinar(req.rawBody) : '';
+        if (!esperada || assinatura.length !== esperada.length || !crypto.timingSafeEqual(Buffer.from(assinatura), Buffer.from(esperada))) {
+            throw new Error('Assinatura inválida');
+        }
+        
+        const { order_nsu, transaction_nsu, amount, status, metodo } = req.body;
+        if (!order_nsu || !transaction_nsu) throw new Error('Notificação inválida: faltam order_nsu/transaction_nsu');
+        
+        return {
+            order_nsu: String(order_nsu),
+            transaction_nsu: String(transaction_nsu),
+            valor_centavos: Number.isInteger(amount) ? amount : null,
+            aprovado: status === 'aprovado',
+            metodo_pagamento: metodo || null,
+            descricao: `Pagamento simulado (${status}). Transação: ${transaction_nsu}.`
+        };
+    }
+    
+    async refund({ numero_pedido, valor_centavos }) {
+        if (this.resultado === 'erro') throw new Error('Falha simulada no estorno (FAKE_PAYMENT_OUTCOME=erro)');
+        
+        const reembolsoId = `fake-rb-${crypto.randomBytes(6).toString('hex')}`;
+        console.log(`[FAKE PAYMENT] Estorno de ${valor_centavos} centavos do pedido ${numero_pedido}: ${reembolsoId}`);
+        return { status: 'concluido', reembolso_id: reembolsoId, descricao: `Estorno simulado. Reembolso: ${reembolsoId}.` };
+    }
+    
+    async getStatus({ numero_pedido }) {
+        const pagamento = this.pagamentos.get(numero_pedido);
+        return {
+            status: pagamento ? pagamento.status : 'pendente',
+            valor_centavos: pagamento ? pagamento.valor_centavos : null,
+            metodo_pagamento: pagamento ? 'pix' : null
+        };
+    }
+}
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,37 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - PAGAMENTOS
+ * ============================================================
+ * Seleciona o provedor de pagamento pela variável PAYMENT_PROVIDER
+ * (infinitepay | fake). Padrão: infinitepay.
+ * ============================================================
+ */
+
+const { PaymentProvider } = require('./provider');
+const InfinitePayProvider = require('./infinitepay');
+const FakePaymentProvider = require('./fake');
+
+const PROVIDERS = {
+    infinitepay: InfinitePayProvider,
+    fake: FakePaymentProvider
+};
+
+let instancia = null;
+
+/**
+ * Provedor ativo (instância única por processo)
+ */
+function getPaymentProvider() {
+    if (!instancia) {
+        const nome = process.env.PAYMENT_PROVIDER || 'infinitepay';
+        const Provider = PROVIDERS[nome];
+        if (!Provider) throw new Error(`PAYMENT_PROVIDER inválido: ${nome} (use: ${Object.keys(PROVIDERS).join(', ')})`);
+        instancia = new Provider();
+    }
+    return instancia;
+}
+
+module.exports = {
+    PaymentProvider,
+    getPaymentProvider
+};
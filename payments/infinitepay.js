@@ -0,0 +1,151 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - INFINITEPAY
+ * ============================================================
+ * Links de checkout, webhook e consulta de pagamento da InfinitePay.
+ * Variáveis: INFINITEPAY_HANDLE, INFINITEPAY_WEBHOOK_SECRET
+ * (INFINITEPAY_WEBHOOK_SEM_VERIFICACAO=true só para testes locais)
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { PaymentProvider, baseUrl } = require('./provider');
+const { toCentavos } = require('../pricing');
+
+const API_URL = 'https://api.infinitepay.io/invoices/public/checkout';
+
+// Formas de captura da InfinitePay -> pedidos.metodo_pagamento
+const METODOS = { pix: 'pix', credit_card: 'cartao_credito', debit_card: 'cartao_debito' };
+
+function compararSegredo(recebido, esperado) {
+    const a = Buffer.from(String(recebido || ''));
+    const b = Buffer.from(String(esperado));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class InfinitePayProvider extends PaymentProvider {
+    constructor() {
+        super('infinitepay');
+        this.handle = process.env.INFINITEPAY_HANDLE;
+        this.webhookSecret = process.env.INFINITEPAY_WEBHOOK_SECRET || '';
+        this.semVerificacao = process.env.INFINITEPAY_WEBHOOK_SEM_VERIFICACAO === 'true';
+    }
+    
+    /**
+     * URL de notificação enviada na criação do link; leva o segredo compartilhado
+     * para que o webhook possa ser autenticado mesmo sem assinatura
+     */
+    webhookUrl() {
+        const url = `${baseUrl()}/api/webhook/${this.nome}`;
+        return this.webhookSecret ? `${url}?token=${encodeURIComponent(this.webhookSecret)}` : url;
+    }
+    
+    async createCheckoutLink({ pedido, usuario, linhas }) {
+        const apenasNumeros = (usuario.telefone || '').replace(/\D/g, '');
+        const phoneFormatado = apenasNumeros.startsWith('55') ? '+' + apenasNumeros : '+55' + apenasNumeros;
+
+        const payload = {
+            handle: this.handle,
+            order_nsu: pedido.numero_pedido,
+            redirect_url: `${baseUrl()}/?pago=true`,
+            webhook_url: this.webhookUrl(),
+            items: linhas.map(linha => ({
+                quantity: linha.quantidade,
+                price: toCentavos(linha.preco_unitario),
+                description: linha.nome
+            })),
+            customer: {
+                name: usuario.nome,
+                email: usuario.email,
+                phone_number: phoneFormatado
+            }
+        };
+
+        const response = await fetch(`${API_URL}/links`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        
+        const data = await response.json();
+        const url = data.url || data.link || (data.data && data.data.url) || (data.data && data.data.link);
+        
+        if (!url) {
+            console.error('[INFINITEPAY ERROR] Resposta sem link:', JSON.stringify(data));
+            throw new Error('A API não devolveu um link válido');
+        }
+        return { url };
+    }
+    
+    /**
+     * Aceita a assinatura HMAC-SHA256 do corpo bruto (header X-Webhook-Signature: sha256=<hex>)
+     * ou o segredo compartilhado (?token= na URL de notificação)
+     */
+    verificarAssinatura(req) {
+        if (!this.webhookSecret) {
+            // Sem segredo, recusa: aceitar qualquer POST marcaria pedidos como pagos. Pular a verificação
+            // exige pedir explicitamente, e nunca em produção (esquecer NODE_ENV não abre o webhook)
+            if (!this.semVerificacao || process.env.NODE_ENV === 'production') {
+                console.error('[WEBHOOK] ❌ INFINITEPAY_WEBHOOK_SECRET não configurado: notificação recusada');
+                return false;
+            }
+            console.log('[WEBHOOK] ⚠️ INFINITEPAY_WEBHOOK_SEM_VERIFICACAO: notificação aceita sem verificação');
+            return true;
+        }
+        
+        const assinatura = req.headers['x-webhook-signature'];
+        if (assinatura && req.rawBody) {
+            const esperada = 'sha256=' + crypto.createHmac('sha256', this.webhookSecret).update(req.rawBody).digest('hex');
+            return compararSegredo(assinatura, esperada);
+        }
+        return compararSegredo(req.query.token, this.webhookSecret);
+    }
+    
+    parseWebhook(req) {
+        if (!this.verificarAssinatura(req)) throw new Error('Assinatura inválida');
+        
+        const { order_nsu, transaction_nsu, capture_method, amount } = req.body;
+        if (!order_nsu || !transaction_nsu) throw new Error('Notificação inválida: faltam order_nsu/transaction_nsu');
+        
+        // A InfinitePay só notifica pagamentos aprovados.
+        // amount é o valor do pedido em centavos (paid_amount inclui juros de parcelamento)
+        return {
+            order_nsu: String(order_nsu),
+            transaction_nsu: String(transaction_nsu),
+            valor_centavos: Number.isInteger(amount) ? amount : null,
+            aprovado: true,
+            metodo_pagamento: METODOS[capture_method] || null,
+            descricao: `Pago via InfinitePay (${capture_method}). Transação: ${transaction_nsu}.`
+        };
+    }
+    
+    async getStatus({ numero_pedido, transacao_id, slug }) {
+        const response = await fetch(`${API_URL}/payment_check`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ handle: this.handle, order_nsu: numero_pedido, transaction_nsu: transacao_id, slug })
+        });
+        const data = await response.json();
+        if (!response.ok || data.success === false) throw new Error('Falha ao consultar pagamento na InfinitePay');
+        
+        return {
+            status: data.paid ? 'aprovado' : 'pendente',
+            valor_centavos: Number.isInteger(data.amount) ? data.amount : null,
+            metodo_pagamento: METODOS[data.capture_method] || null
+        };
+    }
+    
+    /**
+     * Os links de checkout públicos não têm endpoint de estorno: o valor é devolvido
+     * pelo app/painel da InfinitePay e o administrador é avisado por email
+     */
+    async refund({ transacao_id, valor_centavos }) {
+        return {
+            status: 'manual',
+            reembolso_id: null,
+            descricao: `Estornar ${(valor_centavos / 100).toFixed(2)} da transação ${transacao_id || '(sem NSU)'} pelo painel da InfinitePay.`
+        };
+    }
+}
+
+module.exports = InfinitePayProvider;
@@ -0,0 +1,66 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - PAYMENT PROVIDER (interface)
+ * ============================================================
+ * Contrato comum aos provedores de pagamento (PSPs).
+ * Cada provedor estende PaymentProvider e implementa os quatro métodos.
+ * ============================================================
+ */
+
+class PaymentProvider {
+    /**
+     * @param {string} nome - Identificador usado em PAYMENT_PROVIDER e na rota /api/webhook/:provedor
+     */
+    constructor(nome) {
+        this.nome = nome;
+    }
+    
+    /**
+     * Cria o link de pagamento do pedido
+     * @param {Object} dados - { pedido: {id, numero_pedido}, usuario: {nome, email, telefone}, linhas, total }
+     * @returns {Promise<{ url: string }>}
+     */
+    async createCheckoutLink(dados) {
+        throw new Error(`createCheckoutLink não implementado no provedor ${this.nome}`);
+    }
+    
+    /**
+     * Autentica e interpreta uma notificação recebida no webhook
+     * Lança 'Assinatura inválida' ou 'Notificação inválida'
+     * @param {Object} req - Requisição Express (com req.rawBody)
+     * @returns {{ order_nsu: string, transaction_nsu: string, valor_centavos: number|null,
+     *             aprovado: boolean, metodo_pagamento: string|null, descricao: string }}
+     */
+    parseWebhook(req) {
+        throw new Error(`parseWebhook não implementado no provedor ${this.nome}`);
+    }
+    
+    /**
+     * Consulta a situação do pagamento no provedor
+     * @param {Object} dados - { numero_pedido, transacao_id }
+     * @returns {Promise<{ status: 'pendente'|'aprovado'|'recusado', valor_centavos: number|null, metodo_pagamento: string|null }>}
+     */
+    async getStatus(dados) {
+        throw new Error(`getStatus não implementado no provedor ${this.nome}`);
+    }
+    
+    /**
+     * Estorna (total ou parcialmente) um pagamento aprovado
+     * Lança erro se o provedor recusar ou falhar (a outbox tenta de novo)
+     * @param {Object} dados - { numero_pedido, transacao_id, valor_centavos, motivo, reembolso_id }
+     * @returns {Promise<{ status: 'concluido'|'manual', reembolso_id: string|null, descricao: string }>}
+     *          'manual': o provedor não estorna pela API e o valor deve ser devolvido pelo painel dele
+     */
+    async refund(dados) {
+        throw new Error(`refund não implementado no provedor ${this.nome}`);
+    }
+}
+
+/**
+ * URL pública do site (links e webhooks)
+ */
+function baseUrl() {
+    return process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+}
+
+module.exports = { PaymentProvider, baseUrl };
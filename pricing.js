@@ -0,0 +1,106 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - PRICING MODULE
+ * ============================================================
+ * Única fonte de cálculo de valores do pedido:
+ * - Preço unitário sempre vem de produtos.preco_unitario
+ * - Cálculos feitos em centavos (inteiros) para evitar erros de float
+ * - Usado pelo carrinho, pela cotação e pelo checkout
+ * ============================================================
+ */
+
+// ============================================================
+// FUNÇÕES AUXILIARES
+// ============================================================
+
+function toCentavos(valor) {
+    return Math.round(Number(valor) * 100);
+}
+
+function toReais(centavos) {
+    return centavos / 100;
+}
+
+// ============================================================
+// COTAÇÃO
+// ============================================================
+
+/**
+ * Resolve os produtos de cada linha e calcula os valores
+ * @param {Repository} repo - Repositório (pode estar dentro de uma transação)
+ * @param {Array<{sku: string, quantidade: number}>} itens - Linhas do pedido
+ * @param {Object} ajustes - { frete, desconto } em reais
+ * @returns {Object} - Linhas com produto e totais (subtotal, frete, desconto, total)
+ */
+function calcularCotacao(repo, itens, ajustes = {}) {
+    const linhas = itens.map(({ sku, quantidade }) => {
+        const produto = repo.getProductBySku(sku);
+        if (!produto) throw new Error(`Produto não encontrado: ${sku}`);
+        if (produto.estoque_disponivel < quantidade) throw new Error(`Estoque insuficiente: ${sku}`);
+
+        const precoCentavos = toCentavos(produto.preco_unitario);
+        return {
+            produto,
+            sku: produto.sku,
+            nome: produto.nome,
+            quantidade,
+            preco_unitario: toReais(precoCentavos),
+            subtotal_centavos: precoCentavos * quantidade
+        };
+    });
+
+    const subtotalCentavos = linhas.reduce((soma, linha) => soma + linha.subtotal_centavos, 0);
+    const freteCentavos = toCentavos(ajustes.frete || 0);
+    // O desconto nunca deixa o subtotal negativo
+    const descontoCentavos = Math.min(toCentavos(ajustes.desconto || 0), subtotalCentavos);
+
+    return {
+        linhas: linhas.map(({ subtotal_centavos, ...linha }) => ({ ...linha, subtotal: toReais(subtotal_centavos) })),
+        quantidade_total: linhas.reduce((soma, linha) => soma + linha.quantidade, 0),
+        subtotal: toReais(subtotalCentavos),
+        frete: toReais(freteCentavos),
+        desconto: toReais(descontoCentavos),
+        total: toReais(subtotalCentavos + freteCentavos - descontoCentavos)
+    };
+}
+
+/**
+ * Linhas (sku/quantidade) de um carrinho no formato de calcularCotacao
+ */
+function itensCarrinho(repo, carrinho) {
+    return repo.getCartItems(carrinho.id).map(item => ({ sku: item.sku, quantidade: item.quantidade }));
+}
+
+/**
+ * Cotação de todos os itens de um carrinho
+ */
+function cotarCarrinho(repo, carrinho, ajustes = {}) {
+    return calcularCotacao(repo, itensCarrinho(repo, carrinho), ajustes);
+}
+
+/**
+ * Formato público da cotação (sem o registro completo do produto)
+ */
+function formatCotacao(cotacao) {
+    return {
+        itens: cotacao.linhas.map(({ sku, nome, quantidade, preco_unitario, subtotal }) => ({ sku, nome, quantidade, preco_unitario, subtotal })),
+        quantidade_total: cotacao.quantidade_total,
+        subtotal: cotacao.subtotal,
+        frete: cotacao.frete,
+        desconto: cotacao.desconto,
+        total: cotacao.total
+    };
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    calcularCotacao,
+    itensCarrinho,
+    cotarCarrinho,
+    formatCotacao,
+    toCentavos,
+    toReais
+};
@@ -36,6 +36,21 @@ function maskCPF(v) {
     return v;
 }
 
+/**
+ * Máscara de CPF ou CNPJ (alterna pelo número de dígitos)
+ */
+function maskDocumento(v) {
+    const digitos = v.replace(/\D/g, '');
+    if (digitos.length <= 11) return maskCPF(digitos);
+
+    v = digitos.substring(0, 14);
+    v = v.replace(/^(\d{2})(\d)/, '$1.$2');
+    v = v.replace(/^(\d{2})\.(\d{3})(\d)/, '$1.$2.$3');
+    v = v.replace(/\.(\d{3})(\d)/, '.$1/$2');
+    v = v.replace(/(\d{4})(\d{1,2})$/, '$1-$2');
+    return v;
+}
+
 /**
  * Máscara de telefone
  */
@@ -70,6 +85,109 @@ function applyMask(id, fn) {
     }
 }
 
+// ============================================================
+// VALIDAÇÕES (mesmas regras de Validators no server.js)
+// ============================================================
+
+/**
+ * Dígito verificador módulo 11
+ */
+function digitoVerificador(digitos, pesos) {
+    const soma = pesos.reduce((total, peso, i) => total + Number(digitos[i]) * peso, 0);
+    const resto = soma % 11;
+    return resto < 2 ? 0 : 11 - resto;
+}
+
+function validarCPF(cpf) {
+    const d = cpf.replace(/\D/g, '');
+    if (d.length !== 11 || /^(\d)\1{10}$/.test(d)) return false;
+    return digitoVerificador(d, [10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(d[9])
+        && digitoVerificador(d, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(d[10]);
+}
+
+function validarCNPJ(cnpj) {
+    const d = cnpj.replace(/\D/g, '');
+    if (d.length !== 14 || /^(\d)\1{13}$/.test(d)) return false;
+    return digitoVerificador(d, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(d[12])
+        && digitoVerificador(d, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(d[13]);
+}
+
+function validarDocumento(documento) {
+    return documento.replace(/\D/g, '').length === 14 ? validarCNPJ(documento) : validarCPF(documento);
+}
+
+/**
+ * Valida o formulário de checkout
+ * @returns {Array<{field: string, message: string}>} - Mesmo formato de errors da API
+ */
+function validarCamposCheckout(campos) {
+    const erros = [];
+    if (!campos.nome || campos.nome.length < 3) erros.push({ field: 'nome', message: 'Informe seu nome completo' });
+    if (!campos.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(campos.email)) erros.push({ field: 'email', message: 'Informe um email válido' });
+    if (!campos.cpf || !validarDocumento(campos.cpf)) erros.push({ field: 'cpf', message: 'CPF ou CNPJ inválido' });
+    if (!campos.telefone || campos.telefone.replace(/\D/g, '').length < 10) erros.push({ field: 'telefone', message: 'Informe um telefone válido' });
+    if (!campos.cep || campos.cep.replace(/\D/g, '').length !== 8) erros.push({ field: 'cep', message: 'Informe um CEP válido' });
+    if (!campos.endereco) erros.push({ field: 'endereco', message: 'Informe o endereço' });
+    if (!campos.numero) erros.push({ field: 'numero', message: 'Informe o número' });
+    if (!campos.cidade) erros.push({ field: 'cidade', message: 'Informe a cidade' });
+    if (!campos.estado || campos.estado.length !== 2) erros.push({ field: 'estado', message: 'Informe o estado (UF)' });
+    return erros;
+}
+
+// Campos ignorados quando o cliente escolhe um endereço salvo
+const CAMPOS_ENDERECO = ['cep', 'endereco', 'numero', 'cidade', 'estado'];
+
+// Campo da API -> id do input no formulário
+const CAMPOS_FORMULARIO = {
+    nome: 'co-nome', email: 'co-email', cpf: 'co-cpf', telefone: 'co-tel', cep: 'co-cep',
+    endereco: 'co-endereco', numero: 'co-numero', bairro: 'co-bairro', cidade: 'co-cidade', estado: 'co-estado',
+    cupom: 'co-cupom'
+};
+
+/**
+ * Exibe a mensagem de erro abaixo do campo
+ */
+function setErroCampo(input, mensagem) {
+    const field = input.closest('.co-field');
+    if (!field) return;
+
+    let msg = field.querySelector('.field-error');
+    if (!mensagem) {
+        field.classList.remove('has-error');
+        if (msg) msg.remove();
+        return;
+    }
+
+    if (!msg) {
+        msg = document.createElement('small');
+        msg.className = 'field-error';
+        field.appendChild(msg);
+    }
+    msg.textContent = mensagem;
+    field.classList.add('has-error');
+}
+
+function limparErrosCampos(form) {
+    form.querySelectorAll('.co-field.has-error input').forEach(input => setErroCampo(input, null));
+}
+
+/**
+ * Marca os campos com erro (validação local ou errors da API) e foca o primeiro
+ * @param {Object} mapaCampos - Campo da API -> id do input (padrão: formulário de checkout)
+ */
+function mostrarErrosCampos(erros, mapaCampos = CAMPOS_FORMULARIO) {
+    let primeiro = null;
+    erros.forEach(({ field, message }) => {
+        const input = document.getElementById(mapaCampos[field]);
+        if (!input) return;
+        setErroCampo(input, message);
+        if (!primeiro) primeiro = input;
+    });
+
+    if (primeiro) primeiro.focus();
+    else if (erros.length > 0) showToast(erros[0].message, 'error');
+}
+
 /**
  * Formata valor monetário
  */
@@ -122,49 +240,641 @@ document.addEventListener('DOMContentLoaded', () => {
             if (btn.tagName !== 'A') {
                 e.preventDefault();
             }
-            window.location.href = '/pagamento.html';
+            irParaCheckout(btn.dataset.sku);
         });
     });
 });
 
+// ============================================================
+// CATÁLOGO (GET /api/produtos)
+// ============================================================
+
+const SKU_PADRAO = 'BLUESHIELD-PRO-001';
+
+// Ícone e rótulo de cada especificação exibida na landing page
+const SPEC_LABELS = {
+    largura: ['📐', 'Largura Total'],
+    altura_lente: ['↕', 'Altura da Lente'],
+    ponte_nasal: ['👃', 'Ponte Nasal'],
+    material_lente: ['🔬', 'Material da Lente'],
+    material_armacao: ['🏗', 'Material da Armação'],
+    peso: ['⚖️', 'Peso'],
+    protecao: ['🛡', 'Proteção UV']
+};
+
+/**
+ * Redireciona para o checkout do produto escolhido
+ */
+function irParaCheckout(sku) {
+    window.location.href = sku && sku !== SKU_PADRAO
+        ? `/pagamento?sku=${encodeURIComponent(sku)}`
+        : '/pagamento';
+}
+
+/**
+ * Busca um produto na API
+ */
+async function fetchProduto(sku) {
+    const res = await fetch(`/api/produtos/${encodeURIComponent(sku)}`, { headers: { 'Accept': 'application/json' } });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.message || 'Produto não encontrado');
+    return data.data;
+}
+
+/**
+ * Cria um elemento com classe e texto (sem innerHTML para dados vindos da API)
+ */
+function createEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined && text !== null) el.textContent = text;
+    return el;
+}
+
+/**
+ * Preenche preços e especificações da landing page
+ */
+function renderProdutoLanding(produto) {
+    document.querySelectorAll('[data-produto-preco]').forEach(el => {
+        el.textContent = (el.dataset.prefixo || '') + fmt(produto.preco_unitario);
+    });
+
+    document.querySelectorAll('[data-produto-spec]').forEach(el => {
+        const valor = produto.especificacoes[el.dataset.produtoSpec];
+        if (valor) el.textContent = valor;
+    });
+
+    // Badge de desconto calculado a partir do preço "de"
+    const precoDe = document.querySelector('[data-preco-de]');
+    const badge = document.getElementById('cta-price-badge');
+    if (precoDe && badge) {
+        const de = Number(precoDe.dataset.precoDe);
+        if (de > produto.preco_unitario) {
+            badge.textContent = `${Math.round((1 - produto.preco_unitario / de) * 100)}% OFF`;
+            badge.hidden = false;
+        }
+    }
+
+    const specsData = document.getElementById('specs-data');
+    if (specsData) {
+        specsData.innerHTML = '';
+        Object.entries(SPEC_LABELS).forEach(([campo, [icone, rotulo]]) => {
+            const valor = produto.especificacoes[campo];
+            if (!valor) return;
+
+            const row = createEl('div', 'spec-row');
+            const left = createEl('div', 'spec-left');
+            left.append(createEl('span', 'spec-icon', icone), createEl('span', 'spec-label', rotulo));
+            row.append(left, createEl('span', campo === 'protecao' ? 'spec-value spec-highlight' : 'spec-value', valor));
+            specsData.appendChild(row);
+        });
+    }
+}
+
+/**
+ * Monta a grade de modelos quando há mais de um produto no catálogo
+ */
+function renderCatalogo(produtos) {
+    const section = document.getElementById('modelos');
+    const grid = document.getElementById('catalog-grid');
+    if (!section || !grid || produtos.length < 2) return;
+
+    grid.innerHTML = '';
+    produtos.forEach(produto => {
+        const card = createEl('div', 'catalog-card');
+        const img = createEl('img', 'catalog-img');
+        img.src = produto.imagem_url || 'oculos_perspectiva.png';
+        img.alt = produto.nome;
+
+        const tags = createEl('div', 'product-tags');
+        ['material_armacao', 'material_lente', 'protecao'].forEach(campo => {
+            if (produto.especificacoes[campo]) tags.appendChild(createEl('span', 'ptag', produto.especificacoes[campo]));
+        });
+
+        const btn = createEl('button', 'btn btn-primary', produto.em_estoque ? 'Comprar' : 'Esgotado');
+        btn.dataset.sku = produto.sku;
+        btn.disabled = !produto.em_estoque;
+
+        card.append(
+            img,
+            createEl('h3', null, produto.nome),
+            createEl('p', null, produto.descricao),
+            tags,
+            createEl('strong', 'catalog-price', fmt(produto.preco_unitario)),
+            btn
+        );
+        grid.appendChild(card);
+    });
+
+    grid.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-sku]');
+        if (btn) irParaCheckout(btn.dataset.sku);
+    });
+
+    section.hidden = false;
+}
+
+/**
+ * Carrega os dados da landing page a partir da API
+ */
+async function initLanding() {
+    try {
+        const produto = await fetchProduto(SKU_PADRAO);
+        renderProdutoLanding(produto);
+
+        const res = await fetch('/api/produtos?limite=12&ordenar=preco');
+        const data = await res.json();
+        if (data.success) renderCatalogo(data.data.produtos);
+    } catch (error) {
+        console.error('Erro ao carregar catálogo:', error);
+    }
+}
+
+if (document.getElementById('specs-data')) {
+    initLanding();
+}
+
+// ============================================================
+// SESSÃO DO CLIENTE (token salvo no navegador)
+// ============================================================
+
+const SESSAO_STORAGE_KEY = 'bsp_sessao';
+
+function obterSessao() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSAO_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function salvarSessao(sessao) {
+    localStorage.setItem(SESSAO_STORAGE_KEY, JSON.stringify({ token: sessao.token, refresh_token: sessao.refresh_token }));
+}
+
+function limparSessao() {
+    localStorage.removeItem(SESSAO_STORAGE_KEY);
+}
+
+/**
+ * Troca o refresh token por um novo par; sem sucesso, a sessão local é descartada
+ */
+async function renovarSessao(sessao) {
+    try {
+        const res = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify({ refresh_token: sessao.refresh_token })
+        });
+        const data = await res.json();
+        if (data.success) {
+            salvarSessao(data.data);
+            return data.data;
+        }
+    } catch (error) {
+        console.error('Erro ao renovar sessão:', error);
+    }
+    limparSessao();
+    return null;
+}
+
+/**
+ * Chamada autenticada à API (renova o token uma vez se ele tiver expirado)
+ * Lança erro com a mensagem, o status e os errors da API
+ */
+async function apiConta(path, method = 'GET', body) {
+    let sessao = obterSessao();
+    const enviar = token => fetch(path, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    let res = sessao ? await enviar(sessao.token) : null;
+    if (res && res.status === 401) {
+        sessao = await renovarSessao(sessao);
+        res = sessao ? await enviar(sessao.token) : null;
+    }
+    if (!res) {
+        const error = new Error('Faça login para continuar');
+        error.status = 401;
+        throw error;
+    }
+
+    const data = await res.json();
+    if (!data.success) {
+        const error = new Error(data.message || 'Erro na requisição');
+        error.status = res.status;
+        error.errors = data.errors;
+        throw error;
+    }
+    return data.data;
+}
+
 // ============================================================
 // CHECKOUT PAGE
 // ============================================================
 
-const UNIT_PRICE = 269.00;
-let qty = 1;
+const CARRINHO_STORAGE_KEY = 'bsp_carrinho_token';
+let carrinho = null;
+let cotacao = null; // Valores calculados pelo servidor (GET /api/checkout/quote)
+let freteServico = null; // Serviço de entrega escolhido (null = padrão do servidor)
+let cupomCodigo = null; // Cupom aplicado (revalidado pelo servidor a cada cotação e no checkout)
 
-const qtyEl = document.getElementById('qty');
 const subTotalLabel = document.getElementById('sub-total-label');
+const freteLabel = document.getElementById('frete-label');
+const descontoLabel = document.getElementById('desconto-label');
 const totalLabel = document.getElementById('total-label');
-const btnPlus = document.getElementById('plus');
-const btnMinus = document.getElementById('minus');
+const freteOpcoesEl = document.getElementById('co-frete-opcoes');
+const cartLinesEl = document.getElementById('co-carrinho-itens');
 
-function updatePrices() {
-    const sub = qty * UNIT_PRICE;
-    if (qtyEl) qtyEl.textContent = qty;
-    if (subTotalLabel) subTotalLabel.textContent = fmt(sub);
-    if (totalLabel) totalLabel.textContent = fmt(sub);
+/**
+ * CEP de entrega: do endereço salvo escolhido ou do formulário
+ */
+function cepEntrega() {
+    const select = document.getElementById('co-endereco-salvo');
+    const opcaoSalva = select && select.value ? select.selectedOptions[0] : null;
+    const cep = opcaoSalva ? opcaoSalva.dataset.cep : document.getElementById('co-cep')?.value;
+    const digitos = String(cep || '').replace(/\D/g, '');
+    return digitos.length === 8 ? digitos : null;
 }
 
-if (btnPlus) {
-    btnPlus.addEventListener('click', () => { 
-        qty++; 
-        updatePrices(); 
+/**
+ * Desenha as opções de entrega retornadas por POST /api/frete/cotacao
+ */
+function renderOpcoesFrete(opcoes) {
+    if (!freteOpcoesEl) return;
+    freteOpcoesEl.innerHTML = '';
+    freteOpcoesEl.hidden = opcoes.length === 0;
+
+    if (!opcoes.some(opcao => opcao.servico === freteServico)) freteServico = opcoes.length ? opcoes[0].servico : null;
+
+    opcoes.forEach(opcao => {
+        const label = createEl('label', 'frete-opcao');
+        const radio = createEl('input');
+        radio.type = 'radio';
+        radio.name = 'frete_servico';
+        radio.value = opcao.servico;
+        radio.checked = opcao.servico === freteServico;
+
+        const [ano, mes, dia] = opcao.entrega_prevista.split('-');
+        const info = createEl('span', 'frete-opcao-info');
+        info.appendChild(createEl('span', '', opcao.nome));
+        info.appendChild(createEl('span', 'frete-opcao-prazo', `${opcao.prazo_dias_uteis} dias úteis · chega até ${dia}/${mes}/${ano}`));
+
+        label.appendChild(radio);
+        label.appendChild(info);
+        label.appendChild(createEl('span', opcao.gratis ? 'free-tag' : 'frete-opcao-valor', opcao.gratis ? 'GRÁTIS' : fmt(opcao.valor)));
+        freteOpcoesEl.appendChild(label);
     });
 }
 
-if (btnMinus) {
-    btnMinus.addEventListener('click', () => { 
-        if (qty > 1) { 
-            qty--; 
-            updatePrices(); 
-        } 
+/**
+ * Busca no servidor as opções de entrega para o CEP informado
+ */
+async function cotarFreteCheckout(cep) {
+    const res = await fetch('/api/frete/cotacao', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ cep, carrinho_token: carrinho.token })
     });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.message);
+    return data.data;
+}
+
+/**
+ * Busca no servidor os valores do carrinho (mesmos que serão cobrados)
+ */
+async function updatePrices() {
+    cotacao = null;
+    if (subTotalLabel) subTotalLabel.textContent = '—';
+    if (descontoLabel) descontoLabel.textContent = '—';
+    if (totalLabel) totalLabel.textContent = '—';
+    if (!carrinho || carrinho.itens.length === 0) {
+        renderOpcoesFrete([]);
+        return;
+    }
+
+    const cep = cepEntrega();
+    if (freteLabel) freteLabel.textContent = cep ? '—' : 'Informe o CEP';
+
+    try {
+        const params = new URLSearchParams({ carrinho_token: carrinho.token });
+        if (cep) {
+            const frete = await cotarFreteCheckout(cep);
+            renderOpcoesFrete(frete.opcoes);
+            params.set('cep', cep);
+            if (freteServico) params.set('frete_servico', freteServico);
+        } else {
+            renderOpcoesFrete([]);
+        }
+        if (cupomCodigo) params.set('cupom', cupomCodigo);
+
+        const res = await fetch(`/api/checkout/quote?${params}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const data = await res.json();
+        // Cupom deixou de valer (ex.: carrinho abaixo do pedido mínimo): remove e recalcula sem ele
+        if (!data.success && cupomCodigo && (data.errors || []).some(erro => erro.field === 'cupom')) {
+            removerCupom(data.message);
+            return updatePrices();
+        }
+        if (!data.success) throw new Error(data.message);
+
+        cotacao = data.data;
+        if (subTotalLabel) subTotalLabel.textContent = fmt(cotacao.subtotal);
+        if (freteLabel && cotacao.envio) freteLabel.textContent = cotacao.envio.gratis ? 'Grátis' : fmt(cotacao.frete);
+        if (descontoLabel && cotacao.desconto > 0) descontoLabel.textContent = `- ${fmt(cotacao.desconto)}`;
+        if (totalLabel) totalLabel.textContent = fmt(cotacao.total);
+    } catch (error) {
+        renderOpcoesFrete([]);
+        if (freteLabel) freteLabel.textContent = '—';
+        showToast(error.message || 'Não foi possível calcular o total.', 'error');
+    }
+}
+
+const cupomInput = document.getElementById('co-cupom');
+const btnCupom = document.getElementById('btn-cupom');
+const cupomAplicadoEl = document.getElementById('cupom-aplicado');
+
+/**
+ * Mostra o cupom aplicado (ou limpa) e alterna o botão entre Aplicar e Remover
+ */
+function exibirCupom(cupom) {
+    cupomCodigo = cupom ? cupom.codigo : null;
+    if (cupomInput) cupomInput.readOnly = Boolean(cupom);
+    if (btnCupom) btnCupom.textContent = cupom ? 'Remover' : 'Aplicar';
+    if (cupomAplicadoEl) {
+        cupomAplicadoEl.hidden = !cupom;
+        cupomAplicadoEl.textContent = cupom ? `Cupom ${cupom.codigo} aplicado${cupom.descricao ? ` — ${cupom.descricao}` : ''}` : '';
+    }
+}
+
+function removerCupom(mensagemErro) {
+    exibirCupom(null);
+    if (cupomInput) setErroCampo(cupomInput, mensagemErro || null);
+}
+
+/**
+ * Confere o cupom no servidor e recalcula os valores com o desconto
+ */
+async function aplicarCupom() {
+    const codigo = cupomInput.value.trim();
+    if (!codigo || !carrinho) return;
+
+    btnCupom.disabled = true;
+    try {
+        // Logado, o limite de usos por cliente já vale aqui; visitante só descobre no checkout
+        const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+        const sessao = obterSessao();
+        if (sessao) headers['Authorization'] = `Bearer ${sessao.token}`;
+        
+        const res = await fetch('/api/cupons/validar', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                codigo,
+                carrinho_token: carrinho.token,
+                cep: cepEntrega(),
+                frete_servico: freteServico
+            })
+        });
+        const data = await res.json();
+        if (!data.success) {
+            removerCupom(data.message);
+            return;
+        }
+
+        setErroCampo(cupomInput, null);
+        exibirCupom(data.data.cupom);
+        updatePrices();
+    } catch (error) {
+        showToast('Não foi possível validar o cupom.', 'error');
+    } finally {
+        btnCupom.disabled = false;
+    }
+}
+
+if (btnCupom && cupomInput) {
+    btnCupom.addEventListener('click', () => {
+        if (cupomCodigo) {
+            removerCupom();
+            cupomInput.value = '';
+            updatePrices();
+        } else {
+            aplicarCupom();
+        }
+    });
+    cupomInput.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        if (!cupomCodigo) aplicarCupom();
+    });
+}
+
+if (freteOpcoesEl) {
+    freteOpcoesEl.addEventListener('change', e => {
+        if (e.target.name !== 'frete_servico') return;
+        freteServico = e.target.value;
+        updatePrices();
+    });
+}
+
+/**
+ * Chamada à API do carrinho; lança erro com a mensagem da API
+ */
+async function apiCarrinho(path, method = 'GET', body) {
+    const res = await fetch(`/api/carrinho${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!data.success) {
+        const error = new Error(data.message || 'Erro no carrinho');
+        error.status = res.status;
+        throw error;
+    }
+    return data.data;
+}
+
+/**
+ * Recupera o carrinho salvo no navegador ou cria um novo
+ */
+async function obterCarrinho() {
+    const token = localStorage.getItem(CARRINHO_STORAGE_KEY);
+    if (token) {
+        try {
+            return await apiCarrinho(`/${token}`);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+        }
+    }
+
+    const novo = await apiCarrinho('', 'POST', { itens: [] });
+    localStorage.setItem(CARRINHO_STORAGE_KEY, novo.token);
+    return novo;
+}
+
+/**
+ * Desenha as linhas do carrinho a partir do template da página
+ */
+function renderCarrinho() {
+    if (!cartLinesEl) return;
+    cartLinesEl.innerHTML = '';
+
+    const btnCheckout = document.getElementById('btn-checkout');
+    if (btnCheckout) btnCheckout.disabled = carrinho.itens.length === 0;
+
+    if (carrinho.itens.length === 0) {
+        cartLinesEl.appendChild(createEl('p', 'cart-empty', 'Seu carrinho está vazio.'));
+        updatePrices();
+        return;
+    }
+
+    const tpl = document.getElementById('tpl-cart-line');
+    carrinho.itens.forEach(item => {
+        const line = tpl.content.firstElementChild.cloneNode(true);
+        line.dataset.sku = item.sku;
+
+        const img = line.querySelector('[data-campo="imagem"]');
+        img.src = item.imagem_url || 'oculos_perspectiva.png';
+        img.alt = item.nome;
+        line.querySelector('[data-campo="nome"]').textContent = item.nome;
+        line.querySelector('[data-campo="preco"]').textContent = `${fmt(item.preco_unitario)} cada`;
+        line.querySelector('[data-campo="quantidade"]').textContent = item.quantidade;
+        line.querySelector('[data-campo="aviso"]').hidden = item.disponivel;
+
+        cartLinesEl.appendChild(line);
+    });
+
+    updatePrices();
+}
+
+/**
+ * Altera a quantidade (0 remove) e redesenha o carrinho
+ */
+async function alterarItemCarrinho(sku, quantidade) {
+    try {
+        carrinho = quantidade > 0
+            ? await apiCarrinho(`/${carrinho.token}/itens/${encodeURIComponent(sku)}`, 'PATCH', { quantidade })
+            : await apiCarrinho(`/${carrinho.token}/itens/${encodeURIComponent(sku)}`, 'DELETE');
+        renderCarrinho();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+if (cartLinesEl) {
+    cartLinesEl.addEventListener('click', e => {
+        const btn = e.target.closest('[data-acao]');
+        if (!btn || !carrinho) return;
+
+        const sku = btn.closest('.cart-line').dataset.sku;
+        const item = carrinho.itens.find(i => i.sku === sku);
+        if (!item) return;
+
+        if (btn.dataset.acao === 'aumentar') alterarItemCarrinho(sku, item.quantidade + 1);
+        if (btn.dataset.acao === 'diminuir' && item.quantidade > 1) alterarItemCarrinho(sku, item.quantidade - 1);
+        if (btn.dataset.acao === 'remover') alterarItemCarrinho(sku, 0);
+    });
+}
+
+/**
+ * Carrega o carrinho do checkout, adicionando o produto vindo da landing (?sku=...)
+ */
+async function initCheckoutCarrinho() {
+    try {
+        carrinho = await obterCarrinho();
+
+        const params = new URLSearchParams(window.location.search);
+        const sku = params.get('sku') || (carrinho.itens.length === 0 ? SKU_PADRAO : null);
+        if (sku && !carrinho.itens.some(item => item.sku === sku)) {
+            carrinho = await apiCarrinho(`/${carrinho.token}/itens`, 'POST', { sku, quantidade: 1 });
+        }
+
+        // Remove o ?sku da URL para não readicionar o produto ao recarregar
+        if (params.has('sku')) history.replaceState(null, '', window.location.pathname);
+    } catch (error) {
+        console.error('Erro ao carregar carrinho:', error);
+        showToast(error.message || 'Erro ao carregar carrinho.', 'error');
+        if (!carrinho) return;
+    }
+
+    renderCarrinho();
+}
+
+const enderecoSalvoSelect = document.getElementById('co-endereco-salvo');
+
+/**
+ * Esconde os campos de endereço quando um endereço salvo é escolhido
+ */
+function alternarEnderecoSalvo() {
+    const usandoSalvo = Boolean(enderecoSalvoSelect && enderecoSalvoSelect.value);
+    document.querySelectorAll('#purchase-form [data-endereco]').forEach(el => { el.hidden = usandoSalvo; });
+}
+
+/**
+ * Cliente logado: preenche os dados da conta e oferece os endereços salvos
+ */
+async function initCheckoutConta() {
+    if (!obterSessao()) return;
+
+    try {
+        const conta = await apiConta('/api/conta');
+        const enderecos = await apiConta('/api/conta/enderecos');
+
+        const preencher = (id, valor, somenteLeitura = false) => {
+            const input = document.getElementById(id);
+            if (!input || !valor) return;
+            input.value = valor;
+            input.readOnly = somenteLeitura;
+        };
+        preencher('co-nome', conta.nome);
+        preencher('co-email', conta.email, true);
+        preencher('co-cpf', maskDocumento(conta.cpf), true);
+        preencher('co-tel', conta.telefone);
+
+        document.getElementById('co-sessao-nome').textContent = conta.nome;
+        document.getElementById('co-sessao').hidden = false;
+
+        if (enderecos.length > 0 && enderecoSalvoSelect) {
+            enderecos.forEach(endereco => {
+                const option = createEl('option', '', `${endereco.logradouro}, ${endereco.numero}${endereco.complemento ? ' - ' + endereco.complemento : ''} — ${endereco.cidade}/${endereco.estado}`);
+                option.value = endereco.id;
+                option.dataset.cep = endereco.cep;
+                option.selected = endereco.padrao;
+                enderecoSalvoSelect.appendChild(option);
+            });
+            document.getElementById('co-endereco-salvo-field').hidden = false;
+            enderecoSalvoSelect.addEventListener('change', () => {
+                alternarEnderecoSalvo();
+                updatePrices();
+            });
+            alternarEnderecoSalvo();
+            updatePrices();
+        }
+    } catch (error) {
+        // Sessão expirada: segue como visitante
+        console.error('Erro ao carregar conta:', error);
+    }
 }
 
 // Aplicar máscaras nos campos
-applyMask('co-cpf', maskCPF);
+applyMask('co-cpf', maskDocumento);
+
+// Validação imediata do documento ao sair do campo
+const cpfInput = document.getElementById('co-cpf');
+if (cpfInput) {
+    cpfInput.addEventListener('blur', () => {
+        const valor = cpfInput.value;
+        setErroCampo(cpfInput, valor && !validarDocumento(valor) ? 'CPF ou CNPJ inválido' : null);
+    });
+    cpfInput.addEventListener('input', () => {
+        if (validarDocumento(cpfInput.value)) setErroCampo(cpfInput, null);
+    });
+}
 applyMask('co-tel', maskPhone);
 applyMask('co-cep', maskCEP);
 
@@ -173,6 +883,7 @@ const cepInput = document.getElementById('co-cep');
 if (cepInput) {
     cepInput.addEventListener('blur', async (e) => {
         const cep = e.target.value.replace(/\D/g, '');
+        updatePrices();
         if (cep.length === 8) {
             try {
                 const response = await fetch(`https://viacep.com.br/ws/${cep}/json/`);
@@ -196,6 +907,11 @@ if (cepInput) {
 // Formulário de compra
 const purchaseForm = document.getElementById('purchase-form');
 if (purchaseForm) {
+    // Remove o erro do campo assim que o cliente começa a corrigi-lo
+    purchaseForm.addEventListener('input', e => {
+        if (e.target.id !== 'co-cpf' && e.target.closest('.co-field.has-error')) setErroCampo(e.target, null);
+    });
+    
     purchaseForm.addEventListener('submit', async e => {
         e.preventDefault();
         
@@ -217,49 +933,12 @@ if (purchaseForm) {
             estado: document.getElementById('co-estado')?.value?.trim()
         };
         
-        // Validações básicas
-        if (!campos.nome || campos.nome.length < 3) {
-            showToast('Por favor, informe seu nome completo', 'error');
-            return;
-        }
-        
-        if (!campos.email || !campos.email.includes('@')) {
-            showToast('Por favor, informe um email válido', 'error');
-            return;
-        }
-        
-        if (!campos.cpf || campos.cpf.replace(/\D/g, '').length !== 11) {
-            showToast('Por favor, informe um CPF válido', 'error');
-            return;
-        }
-        
-        if (!campos.telefone || campos.telefone.replace(/\D/g, '').length < 10) {
-            showToast('Por favor, informe um telefone válido', 'error');
-            return;
-        }
-        
-        if (!campos.cep || campos.cep.replace(/\D/g, '').length !== 8) {
-            showToast('Por favor, informe um CEP válido', 'error');
-            return;
-        }
-        
-        if (!campos.endereco) {
-            showToast('Por favor, informe o endereço', 'error');
-            return;
-        }
-        
-        if (!campos.numero) {
-            showToast('Por favor, informe o número', 'error');
-            return;
-        }
-        
-        if (!campos.cidade) {
-            showToast('Por favor, informe a cidade', 'error');
-            return;
-        }
-        
-        if (!campos.estado || campos.estado.length !== 2) {
-            showToast('Por favor, informe o estado (UF)', 'error');
+        // Validações básicas (erros exibidos abaixo de cada campo)
+        const enderecoId = enderecoSalvoSelect ? enderecoSalvoSelect.value : '';
+        const erros = validarCamposCheckout(campos).filter(erro => !enderecoId || !CAMPOS_ENDERECO.includes(erro.field));
+        limparErrosCampos(purchaseForm);
+        if (erros.length > 0) {
+            mostrarErrosCampos(erros);
             return;
         }
         
@@ -284,27 +963,35 @@ if (purchaseForm) {
             bairro: campos.bairro || 'Não informado',
             cidade: campos.cidade,
             estado: campos.estado,
-            quantidade: qty
+            endereco_id: enderecoId || null,
+            frete_servico: freteServico,
+            cupom: cupomCodigo,
+            carrinho_token: carrinho ? carrinho.token : null
         };
         
+        const headers = { 
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+        const sessao = obterSessao();
+        if (sessao) headers['Authorization'] = `Bearer ${sessao.token}`;
+        
         try {
             const res = await fetch('/api/checkout', {
                 method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
+                headers,
                 body: JSON.stringify(payload)
             });
             
             const data = await res.json();
             
             if (data.success) {
-                showToast(`A redirecionar para o ambiente seguro de pagamento...`, 'success');
+                const checkoutUrl = data.data && data.data.checkout_url;
+                showToast(checkoutUrl ? 'A redirecionar para o ambiente seguro de pagamento...' : data.message, 'success');
                 
                 // --- INÍCIO: NOVO CÓDIGO DO GOOGLE ADS QUE ESTAMOS ADICIONANDO ---
                 try {
-                    const valorTotal = qty * UNIT_PRICE;
+                    const valorTotal = cotacao ? cotacao.total : 0;
                     const idTransacao = (data.data && data.data.id) ? data.data.id : new Date().getTime().toString();
                     
                     if (typeof gtag === 'function') {
@@ -321,28 +1008,24 @@ if (purchaseForm) {
                 }
                 // --- FIM: NOVO CÓDIGO DO GOOGLE ADS ---
 
-                // Limpa o formulário
+                // Limpa o formulário (o carrinho foi convertido em pedido)
                 purchaseForm.reset();
-                qty = 1;
-                updatePrices();
+                localStorage.removeItem(CARRINHO_STORAGE_KEY);
                 
-                // Redireciona o cliente para o link gerado pela InfinitePay
-                if (data.data && data.data.checkout_url) {
+                // Redireciona o cliente para o link de pagamento
+                // (sem link, o pedido foi registrado e o link chega por email)
+                if (checkoutUrl) {
                     setTimeout(() => { 
-                        window.location.href = data.data.checkout_url; 
+                        window.location.href = checkoutUrl; 
                     }, 1500);
-                } else {
-                    showToast('Erro: Link de pagamento não encontrado.', 'error');
                 }
+            } else if (data.errors && data.errors.length > 0) {
+                // Erros de validação detalhados do servidor
+                mostrarErrosCampos(data.errors);
             } else {
                 showToast(data.message || 'Erro ao processar pedido.', 'error');
             }
             
-            // Se houver erros de validação detalhados
-            if (data.errors && data.errors.length > 0) {
-                console.error('Erros de validação:', data.errors);
-            }
-            
             btn.disabled = false;
             btn.innerHTML = originalHTML;
 
@@ -365,8 +1048,478 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
-// Inicializar preços
-updatePrices();
+// Inicializar carrinho, preços e dados da conta no checkout
+if (purchaseForm) {
+    initCheckoutCarrinho();
+    initCheckoutConta();
+}
+
+// ============================================================
+// REDEFINIÇÃO DE SENHA (redefinir-senha.html)
+// ============================================================
+
+async function enviarFormularioSenha(form, url, payload) {
+    const btn = form.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        return await res.json();
+    } catch (error) {
+        console.error('Erro na requisição:', error);
+        return { success: false, message: 'Erro de conexão com o servidor. Tente novamente.' };
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+const esqueciSenhaForm = document.getElementById('esqueci-senha-form');
+const redefinirSenhaForm = document.getElementById('redefinir-senha-form');
+
+if (esqueciSenhaForm && redefinirSenhaForm) {
+    const resetToken = new URLSearchParams(window.location.search).get('token');
+    if (resetToken) {
+        document.getElementById('esqueci-senha-card').hidden = true;
+        document.getElementById('redefinir-senha-card').hidden = false;
+    }
+
+    esqueciSenhaForm.addEventListener('submit', async e => {
+        e.preventDefault();
+        const emailInput = document.getElementById('rs-email');
+        const email = emailInput.value.trim();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            setErroCampo(emailInput, 'Email inválido');
+            return;
+        }
+        setErroCampo(emailInput, null);
+
+        const data = await enviarFormularioSenha(esqueciSenhaForm, '/api/auth/esqueci-senha', { email });
+        showToast(data.message, data.success ? 'success' : 'error');
+        if (data.success) esqueciSenhaForm.reset();
+    });
+
+    redefinirSenhaForm.addEventListener('submit', async e => {
+        e.preventDefault();
+        const senhaInput = document.getElementById('rs-senha');
+        const confirmacaoInput = document.getElementById('rs-confirmacao');
+
+        setErroCampo(senhaInput, senhaInput.value.length < 8 ? 'A senha deve ter pelo menos 8 caracteres' : null);
+        setErroCampo(confirmacaoInput, confirmacaoInput.value !== senhaInput.value ? 'As senhas não conferem' : null);
+        if (redefinirSenhaForm.querySelector('.has-error')) return;
+
+        const data = await enviarFormularioSenha(redefinirSenhaForm, '/api/auth/redefinir-senha', { token: resetToken, senha: senhaInput.value });
+        if (data.success) {
+            redefinirSenhaForm.reset();
+            showToast(data.message, 'success');
+            // Remove o token da URL: ele não vale mais
+            window.history.replaceState(null, '', window.location.pathname);
+        } else if (data.errors && data.errors.length > 0) {
+            setErroCampo(senhaInput, data.errors[0].message);
+        } else {
+            showToast(data.message || 'Erro ao redefinir senha.', 'error');
+        }
+    });
+}
+
+// ============================================================
+// MINHA CONTA (minha-conta.html)
+// ============================================================
+
+const STATUS_PEDIDO_LABELS = {
+    pendente: 'Pendente',
+    aguardando_pagamento: 'Aguardando pagamento',
+    pago: 'Pago',
+    processando: 'Em separação',
+    enviado: 'Enviado',
+    entregue: 'Entregue',
+    cancelado: 'Cancelado',
+    reembolsado: 'Reembolsado'
+};
+
+const STATUS_REEMBOLSO_LABELS = {
+    solicitado: 'em análise',
+    recusado: 'recusado',
+    processando: 'em processamento',
+    concluido: 'estornado',
+    manual: 'em processamento'
+};
+
+// Campo da API -> id do input no formulário de endereço
+const CAMPOS_ENDERECO_CONTA = {
+    cep: 'ce-cep', endereco: 'ce-endereco', numero: 'ce-numero', bairro: 'ce-bairro', cidade: 'ce-cidade', estado: 'ce-estado'
+};
+
+const contaLoginEl = document.getElementById('conta-login');
+const contaPainelEl = document.getElementById('conta-painel');
+const enderecoContaForm = document.getElementById('conta-endereco-form');
+let enderecosConta = [];
+
+function mostrarLoginConta() {
+    contaLoginEl.hidden = false;
+    contaPainelEl.hidden = true;
+    document.getElementById('conta-sair').hidden = true;
+}
+
+async function carregarPedidosConta() {
+    const lista = document.getElementById('conta-pedidos');
+    const { pedidos } = await apiConta('/api/conta/pedidos?limite=20');
+    const tpl = document.getElementById('tpl-conta-pedido');
+
+    lista.innerHTML = '';
+    if (pedidos.length === 0) {
+        lista.appendChild(createEl('p', 'cart-empty', 'Você ainda não fez nenhum pedido.'));
+        return;
+    }
+
+    pedidos.forEach(pedido => {
+        const card = tpl.content.firstElementChild.cloneNode(true);
+        card.querySelector('[data-campo="numero"]').textContent = pedido.numero_pedido;
+        card.querySelector('[data-campo="status"]').textContent = STATUS_PEDIDO_LABELS[pedido.status] || pedido.status;
+        card.querySelector('[data-campo="data"]').textContent = new Date(pedido.criado_em.replace(' ', 'T') + 'Z').toLocaleDateString('pt-BR');
+        card.querySelector('[data-campo="total"]').textContent = fmt(pedido.total);
+        card.querySelector('[data-campo="rastreio"]').href = `/rastreio?pedido=${encodeURIComponent(pedido.numero_pedido)}`;
+        const itens = card.querySelector('[data-campo="itens"]');
+        pedido.itens.forEach(item => itens.appendChild(createEl('li', '', `${item.quantidade}x ${item.nome} — ${fmt(item.subtotal)}`)));
+
+        const reembolsos = card.querySelector('[data-campo="reembolsos"]');
+        reembolsos.hidden = pedido.reembolsos.length === 0;
+        pedido.reembolsos.forEach(reembolso => reembolsos.appendChild(
+            createEl('li', '', `Reembolso de ${fmt(reembolso.valor)}: ${STATUS_REEMBOLSO_LABELS[reembolso.status] || reembolso.status}`)
+        ));
+
+        card.dataset.numero = pedido.numero_pedido;
+        card.querySelector('[data-acao="cancelar"]').hidden = !pedido.pode_cancelar;
+        const reembolso = card.querySelector('[data-acao="reembolso"]');
+        reembolso.hidden = !pedido.pode_solicitar_reembolso;
+        if (pedido.prazo_reembolso) reembolso.title = `Até ${new Date(pedido.prazo_reembolso).toLocaleDateString('pt-BR')}`;
+        lista.appendChild(card);
+    });
+}
+
+async function carregarEnderecosConta() {
+    const lista = document.getElementById('conta-enderecos');
+    enderecosConta = await apiConta('/api/conta/enderecos');
+    const tpl = document.getElementById('tpl-conta-endereco');
+
+    lista.innerHTML = '';
+    if (enderecosConta.length === 0) {
+        lista.appendChild(createEl('p', 'cart-empty', 'Nenhum endereço cadastrado.'));
+        return;
+    }
+
+    enderecosConta.forEach(endereco => {
+        const card = tpl.content.firstElementChild.cloneNode(true);
+        card.dataset.id = endereco.id;
+        card.querySelector('[data-campo="linha1"]').textContent = `${endereco.logradouro}, ${endereco.numero}${endereco.complemento ? ' - ' + endereco.complemento : ''}`;
+        card.querySelector('[data-campo="linha2"]').textContent = `${endereco.bairro} · ${endereco.cidade}/${endereco.estado} · CEP ${maskCEP(endereco.cep)}`;
+        card.querySelector('[data-campo="padrao"]').hidden = !endereco.padrao;
+        card.querySelector('[data-acao="padrao"]').hidden = endereco.padrao;
+        lista.appendChild(card);
+    });
+}
+
+/**
+ * Preenche o formulário para editar um endereço (ou limpa para um novo)
+ */
+function editarEnderecoConta(endereco) {
+    enderecoContaForm.reset();
+    limparErrosCampos(enderecoContaForm);
+    document.getElementById('ce-id').value = endereco ? endereco.id : '';
+    document.getElementById('ce-cancelar').hidden = !endereco;
+    document.querySelector('#ce-salvar span').textContent = endereco ? 'Salvar alterações' : 'Adicionar endereço';
+    if (!endereco) return;
+
+    document.getElementById('ce-cep').value = maskCEP(endereco.cep);
+    document.getElementById('ce-endereco').value = endereco.logradouro;
+    document.getElementById('ce-numero').value = endereco.numero;
+    document.getElementById('ce-complemento').value = endereco.complemento || '';
+    document.getElementById('ce-bairro').value = endereco.bairro;
+    document.getElementById('ce-cidade').value = endereco.cidade;
+    document.getElementById('ce-estado').value = endereco.estado;
+    document.getElementById('ce-padrao').checked = endereco.padrao;
+    document.getElementById('ce-cep').focus();
+}
+
+async function initMinhaConta() {
+    if (!obterSessao()) return mostrarLoginConta();
+
+    try {
+        const conta = await apiConta('/api/conta');
+        contaLoginEl.hidden = true;
+        contaPainelEl.hidden = false;
+        const sair = document.getElementById('conta-sair');
+        sair.textContent = `Sair (${conta.nome.split(' ')[0]})`;
+        sair.hidden = false;
+
+        await carregarPedidosConta();
+        await carregarEnderecosConta();
+    } catch (error) {
+        if (error.status === 401) return mostrarLoginConta();
+        showToast(error.message || 'Erro ao carregar sua conta.', 'error');
+    }
+}
+
+if (contaLoginEl && contaPainelEl) {
+    applyMask('ce-cep', maskCEP);
+
+    document.getElementById('conta-login-form').addEventListener('submit', async e => {
+        e.preventDefault();
+        const btn = e.target.querySelector('button[type="submit"]');
+        btn.disabled = true;
+        try {
+            const res = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('cl-email').value.trim(),
+                    senha: document.getElementById('cl-senha').value
+                })
+            });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message);
+
+            salvarSessao(data.data);
+            e.target.reset();
+            await initMinhaConta();
+        } catch (error) {
+            showToast(error.message || 'Erro ao entrar.', 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    });
+
+    document.getElementById('conta-sair').addEventListener('click', async () => {
+        try {
+            await apiConta('/api/auth/logout', 'POST');
+        } catch (error) {
+            console.error('Erro no logout:', error);
+        }
+        limparSessao();
+        mostrarLoginConta();
+    });
+
+    document.getElementById('conta-enderecos').addEventListener('click', async e => {
+        const btn = e.target.closest('[data-acao]');
+        if (!btn) return;
+        const id = Number(btn.closest('.conta-endereco').dataset.id);
+
+        try {
+            if (btn.dataset.acao === 'editar') return editarEnderecoConta(enderecosConta.find(endereco => endereco.id === id));
+            if (btn.dataset.acao === 'padrao') await apiConta(`/api/conta/enderecos/${id}/padrao`, 'PATCH');
+            if (btn.dataset.acao === 'remover') {
+                if (!confirm('Remover este endereço?')) return;
+                await apiConta(`/api/conta/enderecos/${id}`, 'DELETE');
+            }
+            await carregarEnderecosConta();
+        } catch (error) {
+            showToast(error.message || 'Erro ao atualizar endereço.', 'error');
+        }
+    });
+
+    document.getElementById('conta-pedidos').addEventListener('click', async e => {
+        const btn = e.target.closest('[data-acao]');
+        if (!btn) return;
+        const numero = encodeURIComponent(btn.closest('.conta-pedido').dataset.numero);
+
+        try {
+            if (btn.dataset.acao === 'cancelar') {
+                if (!confirm('Cancelar este pedido? Se ele já foi pago, o valor será estornado.')) return;
+                await apiConta(`/api/conta/pedidos/${numero}/cancelamento`, 'POST', {});
+                showToast('Pedido cancelado.', 'success');
+            }
+            if (btn.dataset.acao === 'reembolso') {
+                const motivo = prompt('Conte por que você quer o reembolso:');
+                if (motivo === null) return;
+                await apiConta(`/api/conta/pedidos/${numero}/reembolso`, 'POST', { motivo: motivo.trim() });
+                showToast('Reembolso solicitado. Vamos responder por email.', 'success');
+            }
+            await carregarPedidosConta();
+        } catch (error) {
+            const detalhe = error.errors && error.errors[0] ? error.errors[0].message : null;
+            showToast(detalhe || error.message || 'Erro ao atualizar pedido.', 'error');
+        }
+    });
+
+    document.getElementById('conta-dados-exportar').addEventListener('click', async () => {
+        try {
+            const dados = await apiConta('/api/conta/dados');
+            const link = createEl('a');
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(dados, null, 2)], { type: 'application/json' }));
+            link.download = `meus-dados-blueshield-${dados.gerado_em.slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            showToast(error.message || 'Erro ao exportar seus dados.', 'error');
+        }
+    });
+
+    document.getElementById('conta-dados-excluir').addEventListener('click', async () => {
+        if (!confirm('Encerrar sua conta? Seus dados pessoais serão anonimizados e não será possível recuperá-los.')) return;
+        const senha = prompt('Digite sua senha para confirmar:');
+        if (!senha) return;
+
+        try {
+            await apiConta('/api/conta/anonimizacao', 'POST', { senha });
+            limparSessao();
+            mostrarLoginConta();
+            showToast('Conta encerrada e dados anonimizados.', 'success');
+        } catch (error) {
+            showToast(error.message || 'Erro ao encerrar a conta.', 'error');
+        }
+    });
+
+    document.getElementById('ce-cancelar').addEventListener('click', () => editarEnderecoConta(null));
+
+    enderecoContaForm.addEventListener('submit', async e => {
+        e.preventDefault();
+        limparErrosCampos(enderecoContaForm);
+
+        const id = document.getElementById('ce-id').value;
+        const dados = {
+            cep: document.getElementById('ce-cep').value,
+            endereco: document.getElementById('ce-endereco').value.trim(),
+            numero: document.getElementById('ce-numero').value.trim(),
+            complemento: document.getElementById('ce-complemento').value.trim(),
+            bairro: document.getElementById('ce-bairro').value.trim(),
+            cidade: document.getElementById('ce-cidade').value.trim(),
+            estado: document.getElementById('ce-estado').value.trim(),
+            padrao: document.getElementById('ce-padrao').checked
+        };
+
+        const erros = validarCamposCheckout(dados).filter(erro => CAMPOS_ENDERECO.includes(erro.field));
+        if (erros.length > 0) return mostrarErrosCampos(erros, CAMPOS_ENDERECO_CONTA);
+
+        try {
+            await apiConta(id ? `/api/conta/enderecos/${id}` : '/api/conta/enderecos', id ? 'PUT' : 'POST', dados);
+            showToast(id ? 'Endereço atualizado.' : 'Endereço cadastrado.', 'success');
+            editarEnderecoConta(null);
+            await carregarEnderecosConta();
+        } catch (error) {
+            if (error.errors) mostrarErrosCampos(error.errors, CAMPOS_ENDERECO_CONTA);
+            else showToast(error.message || 'Erro ao salvar endereço.', 'error');
+        }
+    });
+
+    initMinhaConta();
+}
+
+// ============================================================
+// RASTREIO (rastreio.html)
+// ============================================================
+
+const rastreioForm = document.getElementById('rastreio-form');
+const rastreioResultado = document.getElementById('rastreio-resultado');
+
+// Datas do banco (UTC, "AAAA-MM-DD HH:MM:SS") no horário local
+function formatarDataHora(data) {
+    return new Date(data.replace(' ', 'T') + 'Z').toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function formatarDataSimples(data) {
+    const [ano, mes, dia] = data.slice(0, 10).split('-');
+    return `${dia}/${mes}/${ano}`;
+}
+
+/**
+ * Preenche o cartão com a situação do envio e a linha do tempo do pedido
+ */
+function renderRastreio(pedido) {
+    const campo = nome => rastreioResultado.querySelector(`[data-campo="${nome}"]`);
+    const { rastreio } = pedido;
+
+    campo('numero').textContent = pedido.numero_pedido;
+    campo('status').textContent = STATUS_PEDIDO_LABELS[pedido.status] || pedido.status;
+    campo('transportadora').textContent = rastreio.transportadora || '—';
+
+    const codigo = campo('codigo');
+    codigo.innerHTML = '';
+    if (rastreio.codigo_rastreio && rastreio.url) {
+        const link = createEl('a', '', rastreio.codigo_rastreio);
+        link.href = rastreio.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        codigo.appendChild(link);
+    } else {
+        codigo.textContent = rastreio.codigo_rastreio || 'Aguardando envio';
+    }
+
+    campo('entrega-rotulo').textContent = rastreio.entrega_realizada ? 'Entregue em' : 'Previsão de entrega';
+    campo('entrega').textContent = rastreio.entrega_realizada
+        ? formatarDataHora(rastreio.entrega_realizada)
+        : (rastreio.entrega_prevista ? formatarDataSimples(rastreio.entrega_prevista) : '—');
+
+    const timeline = campo('timeline');
+    timeline.innerHTML = '';
+    pedido.linha_do_tempo.forEach((etapa, indice) => {
+        const item = createEl('li', indice === pedido.linha_do_tempo.length - 1 ? 'rastreio-etapa atual' : 'rastreio-etapa');
+        item.appendChild(createEl('strong', '', STATUS_PEDIDO_LABELS[etapa.status] || etapa.status));
+        item.appendChild(createEl('span', 'product-sku', formatarDataHora(etapa.data)));
+        timeline.appendChild(item);
+    });
+
+    rastreioResultado.hidden = false;
+}
+
+/**
+ * Consulta o pedido com a chave do link do email, o email da compra ou a sessão do cliente
+ */
+async function consultarRastreio(numero, { chave, email } = {}) {
+    const btn = rastreioForm.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+        const params = new URLSearchParams();
+        if (chave) params.set('chave', chave);
+        if (email) params.set('email', email);
+
+        const headers = { 'Accept': 'application/json' };
+        const sessao = obterSessao();
+        if (sessao) headers['Authorization'] = `Bearer ${sessao.token}`;
+
+        const res = await fetch(`/api/pedidos/${encodeURIComponent(numero)}?${params}`, { headers });
+        const data = await res.json();
+        if (!data.success) {
+            rastreioResultado.hidden = true;
+            // Sem chave/sessão válida: o cliente confirma pelo email da compra
+            if (res.status === 401) return;
+            showToast(res.status === 404 ? 'Pedido não encontrado. Confira o número e o email.' : data.message, 'error');
+            return;
+        }
+        renderRastreio(data.data);
+    } catch (error) {
+        showToast('Erro de conexão com o servidor. Tente novamente.', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+if (rastreioForm && rastreioResultado) {
+    const numeroInput = document.getElementById('rt-numero');
+    const emailInput = document.getElementById('rt-email');
+
+    rastreioForm.addEventListener('submit', e => {
+        e.preventDefault();
+        const numero = numeroInput.value.trim().toUpperCase();
+        const email = emailInput.value.trim();
+        setErroCampo(numeroInput, numero ? null : 'Informe o número do pedido');
+        setErroCampo(emailInput, /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? null : 'Informe o email usado na compra');
+        if (rastreioForm.querySelector('.has-error')) return;
+
+        history.replaceState(null, '', `${window.location.pathname}?pedido=${encodeURIComponent(numero)}`);
+        consultarRastreio(numero, { email });
+    });
+
+    // Link do email (/rastreio?pedido=BSP-...&chave=...) ou da área Minha Conta (sessão)
+    const params = new URLSearchParams(window.location.search);
+    const numeroUrl = params.get('pedido');
+    if (numeroUrl) {
+        numeroInput.value = numeroUrl;
+        if (params.get('chave') || obterSessao()) consultarRastreio(numeroUrl, { chave: params.get('chave') });
+    }
+}
 
 // ============================================================
 // FUNÇÕES GLOBAIS
@@ -378,12 +1531,4 @@ function checkout() {
 
 // Exportar funções para uso global
 window.showToast = showToast;
-window.checkout = checkout;
-
-// Ativa todos os botões de comprar da página inicial
-document.querySelectorAll('.btn-comprar-trigger').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-        e.preventDefault(); // Impede a tela de piscar/sumir
-        window.location.href = '/pagamento'; // Redireciona para a rota limpa do servidor
-    });
-});
\ No newline at end of file
+window.checkout = checkout;
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - REEMBOLSOS
+ * ============================================================
+ * Regras de cancelamento e reembolso:
+ * - Antes do envio o pedido pode ser cancelado (pago: reembolso total)
+ * - Depois do envio o reembolso é por linha de pedido_itens (parcial ou total),
+ *   com o frete opcional; o desconto do pedido é rateado entre os itens
+ * - O cliente pode pedir reembolso até REEMBOLSO_PRAZO_DIAS após a entrega;
+ *   o pedido do cliente fica 'solicitado' até a análise do administrador
+ * ============================================================
+ */
+
+const { toCentavos, toReais } = require('./pricing');
+
+const REEMBOLSO_PRAZO_DIAS = parseInt(process.env.REEMBOLSO_PRAZO_DIAS, 10) || 7; // Direito de arrependimento (CDC, art. 49)
+
+const STATUS_CANCELAVEIS = ['pendente', 'aguardando_pagamento', 'pago', 'processando'];
+const STATUS_NAO_PAGOS = ['pendente', 'aguardando_pagamento'];
+const STATUS_REEMBOLSAVEIS = ['pago', 'processando', 'enviado', 'entregue'];
+const STATUS_ENVIADOS = ['enviado', 'entregue'];
+
+// ============================================================
+// FUNÇÕES AUXILIARES
+// ============================================================
+
+/**
+ * Datas do SQLite ("YYYY-MM-DD HH:MM:SS", UTC) ou ISO informadas pelo administrador
+ */
+function parseData(valor) {
+    const texto = String(valor);
+    return new Date(texto.includes('T') ? texto : `${texto.replace(' ', 'T')}Z`);
+}
+
+// ============================================================
+// PRAZOS
+// ============================================================
+
+/**
+ * Último dia para o cliente pedir reembolso (null enquanto o pedido não foi entregue)
+ */
+function prazoReembolso(pedido) {
+    if (!pedido.entrega_realizada) return null;
+    const prazo = parseData(pedido.entrega_realizada);
+    prazo.setUTCDate(prazo.getUTCDate() + REEMBOLSO_PRAZO_DIAS);
+    return prazo;
+}
+
+/**
+ * O cliente pode pedir reembolso de um pedido enviado (ou entregue há até REEMBOLSO_PRAZO_DIAS)
+ */
+function clientePodeSolicitar(pedido, agora = new Date()) {
+    if (!STATUS_ENVIADOS.includes(pedido.status)) return false;
+    const prazo = prazoReembolso(pedido);
+    return !prazo || prazo >= agora;
+}
+
+// ============================================================
+// CÁLCULO
+// ============================================================
+
+/**
+ * Linhas e valor de um reembolso
+ * @param {Object} pedido - Registro do pedido (subtotal, frete, desconto, total)
+ * @param {Array} itens - Linhas de repo.getOrderItems
+ * @param {Object} jaReembolsado - repo.getRefundTotals: { quantidades: { [pedido_item_id]: n }, frete: bool, valor }
+ * @param {Object} solicitacao - { itens: [{ sku, quantidade }] (padrão: tudo que resta), incluir_frete }
+ * @returns {{ linhas: Array, valor_frete: number, valor: number, completo: boolean }} - valores em reais
+ */
+function calcularReembolso(pedido, itens, jaReembolsado, solicitacao = {}) {
+    const restante = item => item.quantidade - (jaReembolsado.quantidades[item.id] || 0);
+    const tudo = !solicitacao.itens;
+    const solicitados = tudo
+        ? itens.filter(item => restante(item) > 0).map(item => ({ sku: item.sku, quantidade: restante(item) }))
+        : solicitacao.itens;
+
+    const subtotalCentavos = toCentavos(pedido.subtotal);
+    const descontoCentavos = toCentavos(pedido.desconto);
+
+    const linhas = solicitados.map(({ sku, quantidade }) => {
+        const item = itens.find(i => i.sku === sku);
+        if (!item) throw new Error(`Reembolso inválido: ${sku} não está no pedido`);
+        if (!Number.isInteger(quantidade) || quantidade < 1) throw new Error(`Reembolso inválido: quantidade de ${sku} deve ser um inteiro maior que zero`);
+        if (quantidade > restante(item)) throw new Error(`Reembolso inválido: restam ${restante(item)} unidade(s) de ${sku} para reembolsar`);
+
+        // O desconto do pedido é rateado proporcionalmente ao valor de cada linha
+        const brutoCentavos = toCentavos(item.preco_unitario) * quantidade;
+        const liquidoCentavos = subtotalCentavos > 0
+            ? Math.round(brutoCentavos * (subtotalCentavos - descontoCentavos) / subtotalCentavos)
+            : 0;
+        return { pedido_item_id: item.id, produto_id: item.produto_id, sku, nome: item.nome, quantidade, valor: toReais(liquidoCentavos) };
+    });
+
+    const skus = linhas.map(linha => linha.sku);
+    if (new Set(skus).size !== skus.length) throw new Error('Reembolso inválido: SKU repetido');
+
+    const incluirFrete = solicitacao.incluir_frete !== undefined ? Boolean(solicitacao.incluir_frete) : tudo;
+    if (incluirFrete && jaReembolsado.frete) throw new Error('Reembolso inválido: o frete já foi reembolsado');
+    const freteCentavos = incluirFrete ? toCentavos(pedido.frete) : 0;
+
+    const completo = itens.every(item => {
+        const linha = linhas.find(l => l.pedido_item_id === item.id);
+        return restante(item) === (linha ? linha.quantidade : 0);
+    }) && (jaReembolsado.frete || incluirFrete || toCentavos(pedido.frete) === 0);
+
+    // O último reembolso fecha o total exato do pedido (sem sobras de arredondamento do rateio)
+    const disponivelCentavos = toCentavos(pedido.total) - toCentavos(jaReembolsado.valor);
+    const somaCentavos = linhas.reduce((soma, linha) => soma + toCentavos(linha.valor), 0) + freteCentavos;
+    const valorCentavos = completo ? disponivelCentavos : Math.min(somaCentavos, disponivelCentavos);
+
+    if (linhas.length === 0 && freteCentavos === 0) throw new Error('Reembolso inválido: nada a reembolsar neste pedido');
+    if (valorCentavos <= 0) throw new Error('Reembolso inválido: valor a reembolsar é zero');
+
+    return { linhas, valor_frete: toReais(freteCentavos), valor: toReais(valorCentavos), completo };
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    calcularReembolso,
+    prazoReembolso,
+    clientePodeSolicitar,
+    REEMBOLSO_PRAZO_DIAS,
+    STATUS_CANCELAVEIS,
+    STATUS_NAO_PAGOS,
+    STATUS_REEMBOLSAVEIS,
+    STATUS_ENVIADOS
+};
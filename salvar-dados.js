@@ -27,9 +27,9 @@ function salvarUsuario() {
     return usuario.id;
 }
 
-// SQL equivalente:
-// INSERT INTO usuarios (uuid, nome, email, cpf, senha_hash, telefone)
-// VALUES ('uuid-aqui', 'João Silva', 'joao@email.com', '12345678901', 'hash-aqui', '(11) 99999-8888')
+// SQL equivalente (cpf e telefone vão cifrados e cpf_indice é o índice cego do CPF; ver criptografia.js):
+// INSERT INTO usuarios (uuid, nome, email, cpf, cpf_indice, senha_hash, telefone)
+// VALUES ('uuid-aqui', 'João Silva', 'joao@email.com', 'v1:...', 'hmac-do-cpf', 'hash-aqui', 'v1:...')
 
 
 // ============================================================
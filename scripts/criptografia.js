@@ -0,0 +1,68 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - CLI DE CRIPTOGRAFIA
+ * ============================================================
+ *   npm run cripto:chave        # gera uma chave nova (32 bytes em base64)
+ *   npm run cripto:status       # quantos valores cifrados com cada chave
+ *   npm run cripto:rotacionar   # regrava tudo com CRIPTO_CHAVE e CRIPTO_CHAVE_INDICE
+ *
+ * Rotação: a chave nova vai para CRIPTO_CHAVE e a antiga para
+ * CRIPTO_CHAVES_ANTERIORES; depois de rotacionar (usuários e cópias de
+ * cpf/telefone nos audit_logs), o status mostra só a nova e a antiga
+ * pode sair do ambiente. Usa o mesmo DB_PATH do servidor.
+ * ============================================================
+ */
+
+require('dotenv').config();
+
+const { gerarChave, verificarConfiguracao } = require('../criptografia');
+
+function imprimirUso(repo, chaveAtual) {
+    Object.entries(repo.getEncryptionKeyUsage()).forEach(([coluna, uso]) => {
+        const chaves = Object.entries(uso);
+        console.log(`   ${coluna}: ${chaves.length > 0 ? '' : 'vazio'}`);
+        chaves.forEach(([chave, total]) => {
+            const atual = chave === chaveAtual;
+            console.log(`      ${atual ? '✅' : '⚠️'} ${chave}${atual ? ' (atual)' : ''}: ${total}`);
+        });
+    });
+}
+
+function main() {
+    const [comando] = process.argv.slice(2);
+
+    if (comando === 'chave') {
+        console.log(gerarChave());
+        return;
+    }
+    if (!['status', 'rotacionar'].includes(comando)) {
+        throw new Error('Uso: node scripts/criptografia.js <chave | status | rotacionar>');
+    }
+
+    // Sem chaves válidas não adianta abrir o banco
+    const { chave_atual: chaveAtual } = verificarConfiguracao();
+    // O status só lê: não aplica migrações pendentes
+    if (comando === 'status') process.env.DB_MIGRAR_AO_INICIAR = 'false';
+    const { db, Repository } = require('../db');
+    const repo = new Repository(db);
+
+    try {
+        if (comando === 'rotacionar') {
+            const { usuarios, regravados, audit_logs: auditLogs } = repo.reencryptUsers();
+            console.log(`\n🔑 ${regravados} de ${usuarios} usuário(s) e ${auditLogs} log(s) de auditoria regravado(s) com a chave ${chaveAtual}\n`);
+        } else {
+            console.log(`\n🔑 Chave atual: ${chaveAtual}\n`);
+        }
+        imprimirUso(repo, chaveAtual);
+        console.log('');
+    } finally {
+        db.close();
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,60 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - CLI DE MIGRAÇÕES
+ * ============================================================
+ *   npm run db:migrate          # aplica as migrações pendentes
+ *   npm run db:rollback         # desfaz a última migração
+ *   npm run db:rollback -- 3    # desfaz as 3 últimas
+ *   npm run db:status           # lista aplicadas e pendentes
+ *
+ * Usa o mesmo DB_PATH do servidor.
+ * ============================================================
+ */
+
+require('dotenv').config();
+
+// O módulo do banco não migra sozinho: cada comando decide o que aplicar
+process.env.DB_MIGRAR_AO_INICIAR = 'false';
+
+const { db } = require('../db');
+const { migrar, reverter, statusMigracoes } = require('../migrations');
+
+const ICONES = { aplicada: '✅', pendente: '⏳', alterada: '⚠️', ausente: '❓' };
+
+function imprimirStatus() {
+    const status = statusMigracoes(db);
+    console.log('\n📋 Migrações\n');
+    status.forEach((m) => {
+        const quando = m.aplicada_em ? ` (${m.aplicada_em})` : '';
+        console.log(`   ${ICONES[m.status]} ${m.nome} - ${m.status}${quando}${m.descricao ? `\n      ${m.descricao}` : ''}`);
+    });
+    const pendentes = status.filter(m => m.status === 'pendente').length;
+    console.log(`\n   ${status.length - pendentes} aplicada(s), ${pendentes} pendente(s)\n`);
+}
+
+function main() {
+    const [comando, argumento] = process.argv.slice(2);
+
+    if (comando === 'up') {
+        const aplicadas = migrar(db);
+        console.log(aplicadas.length > 0 ? `\n✅ ${aplicadas.length} migração(ões) aplicada(s)\n` : '\n✅ Banco já está atualizado\n');
+    } else if (comando === 'down') {
+        const passos = argumento === undefined ? 1 : parseInt(argumento, 10);
+        if (!Number.isInteger(passos) || passos < 1) throw new Error(`Número de migrações inválido: ${argumento}`);
+        const desfeitas = reverter(db, passos);
+        console.log(desfeitas.length > 0 ? `\n↩️  ${desfeitas.length} migração(ões) desfeita(s)\n` : '\nNenhuma migração aplicada\n');
+    } else if (comando === 'status') {
+        imprimirStatus();
+    } else {
+        throw new Error('Uso: node scripts/migrate.js <up | down [quantidade] | status>');
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
@@ -0,0 +1,173 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - TESTE DE CARGA DA NUMERAÇÃO DE PEDIDOS
+ * ============================================================
+ * Dispara checkouts em paralelo, cada worker com a própria conexão
+ * SQLite (como vários processos do servidor no mesmo banco), e confere
+ * que os números de pedido saem únicos e sem buracos.
+ *
+ * Usa um banco temporário; o database.sqlite do projeto não é tocado.
+ *
+ *   npm run stress:pedidos
+ *   STRESS_WORKERS=8 STRESS_PEDIDOS=50 npm run stress:pedidos
+ * ============================================================
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { gerarChave } = require('../criptografia');
+
+const WORKERS = parseInt(process.env.STRESS_WORKERS, 10) || 4;
+const PEDIDOS_POR_WORKER = parseInt(process.env.STRESS_PEDIDOS, 10) || 25;
+const SKU = 'BLUESHIELD-PRO-001';
+const EMAIL = 'carga@blueshield.test';
+
+// ============================================================
+// WORKER: UM CHECKOUT POR VEZ, NA MESMA TRANSAÇÃO DO SERVIDOR
+// ============================================================
+
+function executarWorker() {
+    const { withTransaction } = require('../db');
+    const numeros = [];
+    const erros = [];
+
+    parentPort.postMessage({ tipo: 'pronto' });
+    parentPort.once('message', () => {
+        for (let i = 0; i < workerData.pedidos; i++) {
+            try {
+                const pedido = withTransaction((repo) => {
+                    const usuario = repo.getUserByEmail(EMAIL);
+                    const endereco = repo.getDefaultAddress(usuario.id);
+                    const produto = repo.getProductBySku(SKU);
+
+                    const pedido = repo.createOrder({
+                        usuario_id: usuario.id, endereco_id: endereco.id,
+                        subtotal: produto.preco_unitario, frete: 0, desconto: 0, total: produto.preco_unitario,
+                        metodo_pagamento: 'pix', observacoes_cliente: null
+                    });
+                    repo.addOrderItem({
+                        pedido_id: pedido.id, produto_id: produto.id, sku: produto.sku,
+                        nome: produto.nome, quantidade: 1, preco_unitario: produto.preco_unitario, variacao: null
+                    });
+                    repo.reserveStock(pedido.id, produto.id, 1);
+                    return pedido;
+                });
+                numeros.push(pedido.numero_pedido);
+            } catch (error) {
+                erros.push(error.message);
+            }
+        }
+        parentPort.postMessage({ tipo: 'fim', numeros, erros });
+    });
+}
+
+// ============================================================
+// PRINCIPAL
+// ============================================================
+
+function iniciarWorker(dbPath) {
+    const worker = new Worker(__filename, {
+        workerData: { pedidos: PEDIDOS_POR_WORKER },
+        env: { ...process.env, DB_PATH: dbPath },
+        stdout: true // Silencia os logs de inicialização do banco em cada worker
+    });
+    worker.stdout.resume();
+    return worker;
+}
+
+function aguardarMensagem(worker, tipo) {
+    return new Promise((resolve, reject) => {
+        const onMessage = (msg) => {
+            if (msg.tipo !== tipo) return;
+            worker.off('message', onMessage);
+            resolve(msg);
+        };
+        worker.on('message', onMessage);
+        worker.once('error', reject);
+    });
+}
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueshield-stress-'));
+    const dbPath = path.join(dir, 'stress.sqlite');
+    process.env.DB_PATH = dbPath;
+    // Banco descartável: sem chaves no ambiente, usa chaves descartáveis também
+    if (!process.env.CRIPTO_CHAVE) process.env.CRIPTO_CHAVE = gerarChave();
+    if (!process.env.CRIPTO_CHAVE_INDICE) process.env.CRIPTO_CHAVE_INDICE = gerarChave();
+
+    try {
+        // Cria o schema uma vez antes dos workers abrirem suas conexões
+        const { db, Repository } = require('../db');
+        const repo = new Repository(db);
+        const usuario = repo.createUser({ nome: 'Teste de Carga', email: EMAIL, cpf: '52998224725', senha_hash: '-', telefone: null });
+        repo.createAddress({
+            usuario_id: usuario.id, cep: '01310100', logradouro: 'Av. Paulista', numero: '1000',
+            complemento: null, bairro: 'Bela Vista', cidade: 'São Paulo', estado: 'SP', padrao: 1
+        });
+        const total = WORKERS * PEDIDOS_POR_WORKER;
+        db.prepare('UPDATE produtos SET estoque = ? WHERE sku = ?').run(total, SKU);
+
+        console.log(`\n🔥 ${WORKERS} workers × ${PEDIDOS_POR_WORKER} pedidos (${dbPath})`);
+
+        const workers = Array.from({ length: WORKERS }, () => iniciarWorker(dbPath));
+        await Promise.all(workers.map(w => aguardarMensagem(w, 'pronto')));
+
+        // Pedido numerado fora do contador (ex.: importado manualmente): algum checkout
+        // vai receber este número e precisa seguir para o próximo
+        const { numero_pedido: primeiro } = repo.createOrder({
+            usuario_id: usuario.id, endereco_id: repo.getDefaultAddress(usuario.id).id,
+            subtotal: 0, frete: 0, desconto: 0, total: 0, metodo_pagamento: 'pix', observacoes_cliente: null
+        });
+        const [prefixo, data] = primeiro.split('-');
+        db.prepare('UPDATE pedidos SET numero_pedido = ? WHERE numero_pedido = ?').run(`${prefixo}-${data}-0003`, primeiro);
+        db.prepare('UPDATE pedido_sequencias SET ultimo = 0 WHERE prefixo = ? AND data = ?').run(prefixo, data);
+
+        const inicio = Date.now();
+        const finais = workers.map(w => aguardarMensagem(w, 'fim'));
+        workers.forEach(w => w.postMessage('iniciar'));
+        const resultados = await Promise.all(finais);
+        await Promise.all(workers.map(w => w.terminate()));
+        const duracao = Date.now() - inicio;
+
+        const numeros = resultados.flatMap(r => r.numeros);
+        const erros = resultados.flatMap(r => r.erros);
+        const sequenciais = db.prepare('SELECT numero_pedido FROM pedidos WHERE numero_pedido LIKE ?')
+            .all(`${prefixo}-${data}-%`)
+            .map(p => parseInt(p.numero_pedido.split('-').pop(), 10))
+            .sort((a, b) => a - b);
+        const buracos = sequenciais.filter((n, i) => n !== i + 1);
+        const estoque = repo.getProductBySku(SKU);
+
+        const falhas = [];
+        if (erros.length > 0) falhas.push(`${erros.length} checkouts falharam: ${[...new Set(erros)].join('; ')}`);
+        if (numeros.length !== total) falhas.push(`esperados ${total} pedidos, criados ${numeros.length}`);
+        if (new Set(numeros).size !== numeros.length) falhas.push('números de pedido repetidos');
+        if (numeros.includes(`${prefixo}-${data}-0003`)) falhas.push('número já existente foi reutilizado');
+        if (sequenciais.length !== total + 1 || buracos.length > 0) falhas.push('sequência do dia com buracos');
+        if (estoque.estoque_disponivel !== 0) falhas.push(`estoque disponível deveria ser 0, está ${estoque.estoque_disponivel}`);
+
+        console.log(`   ${numeros.length} pedidos em ${duracao}ms (${sequenciais[0]} a ${sequenciais[sequenciais.length - 1]})`);
+
+        if (falhas.length > 0) {
+            falhas.forEach(f => console.error(`   ❌ ${f}`));
+            process.exitCode = 1;
+        } else {
+            console.log('   ✅ Números únicos e contíguos, estoque reservado sem sobras\n');
+        }
+
+        db.close();
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+if (isMainThread) {
+    main().catch((error) => {
+        console.error('❌ Teste de carga falhou:', error);
+        process.exit(1);
+    });
+} else {
+    executarWorker();
+}
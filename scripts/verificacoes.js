@@ -0,0 +1,683 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - VERIFICAÇÕES DAS REGRAS CRÍTICAS
+ * ============================================================
+ * Confere as regras que mexem com dinheiro e com a integridade dos
+ * dados, sem servidor: CPF e CNPJ, cálculo de reembolsos parciais, a cadeia de
+ * hashes dos audit_logs, a autenticação do webhook de pagamento, a
+ * numeração dos pedidos, os limites e a validade dos cupons, as migrações (banco novo e o database.sqlite do
+ * projeto, copiado) e a rotação das chaves de criptografia.
+ *
+ * As que precisam de banco usam um banco e chaves temporários; o
+ * database.sqlite do projeto não é tocado.
+ *
+ *   npm test
+ *
+ * Sai com código 1 se alguma verificação falhar.
+ * ============================================================
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { calcularReembolso } = require('../reembolsos');
+const { Validators } = require('../validadores');
+const { validarCupom, calcularDesconto } = require('../cupons');
+const { hashConteudo, encadear, verificarCadeia } = require('../auditoria');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { gerarChave, verificarConfiguracao, estaCifrado, decifrar } = require('../criptografia');
+const InfinitePayProvider = require('../payments/infinitepay');
+const { migrar, reverter, statusMigracoes } = require('../migrations');
+
+const verificacoes = [];
+
+function verificacao(grupo, nome, fn) {
+    verificacoes.push({ grupo, nome, fn });
+}
+
+// ============================================================
+// DOCUMENTOS
+// ============================================================
+
+verificacao('Documentos', 'CPF válido com e sem pontuação', () => {
+    ['529.982.247-25', '52998224725', '111.444.777-35'].forEach((cpf) => {
+        assert.ok(Validators.cpf(cpf), cpf);
+        assert.ok(Validators.documento(cpf), cpf);
+    });
+});
+
+verificacao('Documentos', 'CNPJ válido com e sem pontuação', () => {
+    ['11.222.333/0001-81', '11222333000181'].forEach((cnpj) => {
+        assert.ok(Validators.cnpj(cnpj), cnpj);
+        assert.ok(Validators.documento(cnpj), cnpj);
+    });
+    assert.strictEqual(Validators.cpf('11.222.333/0001-81'), false);
+});
+
+verificacao('Documentos', 'dígito verificador errado é recusado', () => {
+    ['529.982.247-24', '529.982.247-15', '52998224735'].forEach(cpf => assert.strictEqual(Validators.cpf(cpf), false, cpf));
+    ['11.222.333/0001-82', '11.222.333/0001-91'].forEach(cnpj => assert.strictEqual(Validators.cnpj(cnpj), false, cnpj));
+    assert.strictEqual(Validators.documento('11.222.333/0001-82'), false);
+});
+
+verificacao('Documentos', 'dígitos repetidos, tamanho errado e vazio são recusados', () => {
+    // 111.111.111-11 e 00.000.000/0000-00 passam no cálculo dos dígitos
+    ['111.111.111-11', '000.000.000-00', '99999999999', '5299822472', '529982247250', '', null].forEach((cpf) => {
+        assert.strictEqual(Validators.cpf(cpf), false, String(cpf));
+        assert.strictEqual(Validators.documento(cpf), false, String(cpf));
+    });
+    ['00.000.000/0000-00', '11111111111111', '1122233300018'].forEach(cnpj => assert.strictEqual(Validators.cnpj(cnpj), false, cnpj));
+});
+
+// ============================================================
+// REEMBOLSOS
+// ============================================================
+
+// 3 × R$ 50 + 1 × R$ 150, 10% de desconto (R$ 30) e R$ 20 de frete: total R$ 290
+const PEDIDO = { subtotal: 300, desconto: 30, frete: 20, total: 290 };
+const ITENS = [
+    { id: 1, produto_id: 1, sku: 'CAPA-A', nome: 'Capa A', quantidade: 3, preco_unitario: 50 },
+    { id: 2, produto_id: 2, sku: 'CAPA-B', nome: 'Capa B', quantidade: 1, preco_unitario: 150 }
+];
+const NADA_REEMBOLSADO = { quantidades: {}, frete: false, valor: 0 };
+
+/**
+ * Soma o reembolso aos totais já reembolsados (como repo.getRefundTotals depois de gravá-lo)
+ */
+function acumular(jaReembolsado, reembolso) {
+    const quantidades = { ...jaReembolsado.quantidades };
+    reembolso.linhas.forEach((linha) => {
+        quantidades[linha.pedido_item_id] = (quantidades[linha.pedido_item_id] || 0) + linha.quantidade;
+    });
+    return {
+        quantidades,
+        frete: jaReembolsado.frete || reembolso.valor_frete > 0,
+        valor: Math.round((jaReembolsado.valor + reembolso.valor) * 100) / 100
+    };
+}
+
+verificacao('Reembolsos', 'desconto rateado na linha e frete só quando pedido', () => {
+    const reembolso = calcularReembolso(PEDIDO, ITENS, NADA_REEMBOLSADO, { itens: [{ sku: 'CAPA-A', quantidade: 2 }] });
+    assert.deepStrictEqual(reembolso.linhas.map(l => [l.sku, l.quantidade, l.valor]), [['CAPA-A', 2, 90]]);
+    assert.strictEqual(reembolso.valor_frete, 0);
+    assert.strictEqual(reembolso.valor, 90);
+    assert.strictEqual(reembolso.completo, false);
+
+    const comFrete = calcularReembolso(PEDIDO, ITENS, NADA_REEMBOLSADO, { itens: [{ sku: 'CAPA-A', quantidade: 1 }], incluir_frete: true });
+    assert.strictEqual(comFrete.valor, 65);
+});
+
+verificacao('Reembolsos', 'parciais somam exatamente o total pago', () => {
+    // R$ 10 × 3 com R$ 10 de desconto: cada linha rateada dá R$ 6,67 (3 × 6,67 passaria do total)
+    const pedido = { subtotal: 30, desconto: 10, frete: 0, total: 20 };
+    const itens = [{ id: 1, produto_id: 1, sku: 'PELICULA', nome: 'Película', quantidade: 3, preco_unitario: 10 }];
+    let jaReembolsado = NADA_REEMBOLSADO;
+    const valores = [1, 1, 1].map((quantidade) => {
+        const reembolso = calcularReembolso(pedido, itens, jaReembolsado, { itens: [{ sku: 'PELICULA', quantidade }] });
+        jaReembolsado = acumular(jaReembolsado, reembolso);
+        return reembolso.valor;
+    });
+    assert.deepStrictEqual(valores, [6.67, 6.67, 6.66]);
+    assert.strictEqual(jaReembolsado.valor, pedido.total);
+});
+
+verificacao('Reembolsos', 'reembolso do restante fecha o total com o frete', () => {
+    const primeiro = calcularReembolso(PEDIDO, ITENS, NADA_REEMBOLSADO, { itens: [{ sku: 'CAPA-A', quantidade: 1 }] });
+    const jaReembolsado = acumular(NADA_REEMBOLSADO, primeiro);
+    const restante = calcularReembolso(PEDIDO, ITENS, jaReembolsado);
+    assert.deepStrictEqual(restante.linhas.map(l => [l.sku, l.quantidade]), [['CAPA-A', 2], ['CAPA-B', 1]]);
+    assert.strictEqual(restante.valor_frete, 20);
+    assert.strictEqual(restante.completo, true);
+    assert.strictEqual(primeiro.valor + restante.valor, PEDIDO.total);
+});
+
+verificacao('Reembolsos', 'valor limitado ao que ainda não foi reembolsado', () => {
+    // Ajuste manual já devolveu R$ 280: sobra R$ 10, mesmo pedindo R$ 110
+    const jaReembolsado = { quantidades: {}, frete: false, valor: 280 };
+    const reembolso = calcularReembolso(PEDIDO, ITENS, jaReembolsado, { itens: [{ sku: 'CAPA-A', quantidade: 2 }], incluir_frete: true });
+    assert.strictEqual(reembolso.valor, 10);
+
+    const pago = { quantidades: {}, frete: false, valor: 290 };
+    assert.throws(() => calcularReembolso(PEDIDO, ITENS, pago, { itens: [{ sku: 'CAPA-B', quantidade: 1 }] }), /valor a reembolsar é zero/);
+});
+
+verificacao('Reembolsos', 'recusa quantidade acima do restante e frete repetido', () => {
+    const jaReembolsado = { quantidades: { 1: 2 }, frete: true, valor: 110 };
+    assert.throws(() => calcularReembolso(PEDIDO, ITENS, jaReembolsado, { itens: [{ sku: 'CAPA-A', quantidade: 2 }] }), /restam 1 unidade/);
+    assert.throws(() => calcularReembolso(PEDIDO, ITENS, jaReembolsado, { itens: [], incluir_frete: true }), /frete já foi reembolsado/);
+});
+
+// ============================================================
+// AUDITORIA
+// ============================================================
+
+/**
+ * Linhas de audit_logs encadeadas como o logAudit grava
+ */
+function cadeia(registros) {
+    let hashAnterior = null;
+    return registros.map((registro, i) => {
+        const linha = {
+            id: i + 1, uuid: `uuid-${i + 1}`, registro_id: null, dados_anteriores: null, usuario_id: null, ip_address: null,
+            user_agent: null, endpoint: null, metodo_http: null, criado_em: '2025-03-01 12:00:00', anonimizado_em: null, ...registro
+        };
+        linha.hash_conteudo = hashConteudo(linha);
+        linha.hash = encadear(hashAnterior, linha.hash_conteudo);
+        hashAnterior = linha.hash;
+        return linha;
+    });
+}
+
+function problemas(linhas, ultimoIdEmitido) {
+    return verificarCadeia(linhas, ultimoIdEmitido).problemas.map(p => [p.id, p.tipo]);
+}
+
+const REGISTROS = [
+    { tabela: 'pedidos', registro_id: 1, acao: 'INSERT', dados_novos: '{"status":"pendente","total":290}' },
+    { tabela: 'pedidos', registro_id: 1, acao: 'UPDATE', dados_anteriores: '{"status":"pendente"}', dados_novos: '{"status":"pago"}' },
+    { tabela: 'reembolsos', registro_id: 1, acao: 'INSERT', dados_novos: '{"valor":90}' }
+];
+
+verificacao('Auditoria', 'cadeia íntegra não aponta problemas', () => {
+    const linhas = cadeia(REGISTROS);
+    assert.deepStrictEqual(problemas(linhas, 3), []);
+    assert.strictEqual(verificarCadeia(linhas, 3).ultimo_hash, linhas[2].hash);
+});
+
+verificacao('Auditoria', 'registro editado aparece como alterado', () => {
+    const linhas = cadeia(REGISTROS);
+    linhas[2].dados_novos = '{"valor":900}';
+    assert.deepStrictEqual(problemas(linhas, 3), [[3, 'alterado']]);
+});
+
+verificacao('Auditoria', 'registro editado com hashes recalculados quebra o encadeamento do seguinte', () => {
+    const linhas = cadeia(REGISTROS);
+    linhas[1].dados_novos = '{"status":"cancelado"}';
+    linhas[1].hash_conteudo = hashConteudo(linhas[1]);
+    linhas[1].hash = encadear(linhas[0].hash, linhas[1].hash_conteudo);
+    assert.deepStrictEqual(problemas(linhas, 3), [[3, 'encadeamento']]);
+});
+
+verificacao('Auditoria', 'registros apagados no meio e no final aparecem como removidos', () => {
+    const linhas = cadeia(REGISTROS);
+    assert.deepStrictEqual(problemas([linhas[0], linhas[2]], 3), [[3, 'removido']]);
+    assert.deepStrictEqual(problemas(linhas.slice(0, 2), 3), [[null, 'removido']]);
+});
+
+verificacao('Auditoria', 'reescrito só é aceito se um registro de anonimização o listar', () => {
+    const linhas = cadeia([...REGISTROS, {
+        tabela: 'usuarios', registro_id: 7, acao: 'UPDATE', dados_novos: JSON.stringify({ lgpd: 'anonimizacao', audit_logs: [1] })
+    }]);
+    linhas[0].dados_novos = '{"status":"pendente","total":29}';
+    linhas[0].anonimizado_em = '2025-03-02 12:00:00';
+    assert.deepStrictEqual(problemas(linhas, 4), []);
+    assert.deepStrictEqual(problemas(linhas.slice(0, 3), 3), [[1, 'alterado']]);
+});
+
+verificacao('Auditoria', 'registro de anonimização forjado ou editado não libera nada', () => {
+    const anonimizacao = audit => JSON.stringify({ lgpd: 'anonimizacao', audit_logs: audit });
+
+    // Editado para se liberar junto com o registro adulterado
+    const forjado = cadeia(REGISTROS);
+    forjado[0].dados_novos = '{"status":"pendente","total":29}';
+    forjado[0].anonimizado_em = '2025-03-02 12:00:00';
+    Object.assign(forjado[1], { tabela: 'usuarios', dados_novos: anonimizacao([1, 2]), anonimizado_em: '2025-03-02 12:00:00' });
+    assert.deepStrictEqual(problemas(forjado, 3), [[1, 'alterado'], [2, 'alterado']]);
+
+    // Editado sem anonimizado_em: o conteúdo não confere, então a lista dele não vale
+    const editado = cadeia(REGISTROS);
+    editado[0].anonimizado_em = '2025-03-02 12:00:00';
+    editado[0].dados_novos = '{}';
+    Object.assign(editado[1], { tabela: 'usuarios', dados_novos: anonimizacao([1]) });
+    assert.deepStrictEqual(problemas(editado, 3), [[1, 'alterado'], [2, 'alterado']]);
+
+    // Íntegro, mas listando um registro posterior a ele
+    const posterior = cadeia([{ tabela: 'usuarios', registro_id: 7, acao: 'UPDATE', dados_novos: anonimizacao([3]) }, ...REGISTROS.slice(1)]);
+    posterior[2].dados_novos = '{"valor":9}';
+    posterior[2].anonimizado_em = '2025-03-02 12:00:00';
+    assert.deepStrictEqual(problemas(posterior, 3), [[3, 'alterado']]);
+});
+
+verificacao('Auditoria', 'registro de criptografia só libera com a marcação exata e se estiver íntegro', () => {
+    const criptografia = (tipo, audit) => JSON.stringify({ criptografia: tipo, audit_logs: audit });
+    const linhas = registro => cadeia([...REGISTROS, { tabela: 'usuarios', acao: 'UPDATE', dados_novos: registro }]);
+    const reescrever = (cadeiaAtual) => {
+        cadeiaAtual[0].dados_novos = '{"status":"pendente","total":29}';
+        cadeiaAtual[0].anonimizado_em = '2025-03-02 12:00:00';
+        return cadeiaAtual;
+    };
+
+    assert.deepStrictEqual(problemas(reescrever(linhas(criptografia('rotacao', [1]))), 4), []);
+    assert.deepStrictEqual(problemas(reescrever(linhas(criptografia('qualquer', [1]))), 4), [[1, 'alterado']]);
+    assert.deepStrictEqual(problemas(reescrever(linhas(criptografia(true, [1]))), 4), [[1, 'alterado']]);
+
+    // Registro íntegro de rotação editado para listar também um registro adulterado
+    const editado = reescrever(linhas(criptografia('rotacao', [1])));
+    editado[1].dados_novos = '{"status":"estornado"}';
+    editado[1].anonimizado_em = '2025-03-02 12:00:00';
+    editado[3].dados_novos = criptografia('rotacao', [1, 2]);
+    assert.deepStrictEqual(problemas(editado, 4), [[1, 'alterado'], [2, 'alterado'], [4, 'alterado']]);
+});
+
+verificacao('Auditoria', 'adulteração escondida atrás de um registro que se libera continua aparecendo', () => {
+    // Registro 1 adulterado e registro 2 transformado em "rotação" que lista os dois, sem recalcular hashes
+    const linhas = cadeia(REGISTROS);
+    Object.assign(linhas[0], { dados_novos: '{"status":"pendente","total":1}', anonimizado_em: '2025-03-02 12:00:00' });
+    Object.assign(linhas[1], {
+        tabela: 'usuarios', dados_novos: '{"criptografia":"rotacao","audit_logs":[1,2]}', anonimizado_em: '2025-03-02 12:00:00'
+    });
+    assert.deepStrictEqual(problemas(linhas, 3), [[1, 'alterado'], [2, 'alterado']]);
+
+    // Com os hashes do registro 2 recalculados ele passa a conferir, mas o encadeamento do 3 denuncia
+    linhas[1].anonimizado_em = null;
+    linhas[1].hash_conteudo = hashConteudo(linhas[1]);
+    linhas[1].hash = encadear(linhas[0].hash, linhas[1].hash_conteudo);
+    assert.deepStrictEqual(problemas(linhas, 3), [[3, 'encadeamento']]);
+});
+
+// ============================================================
+// PAGAMENTOS
+// ============================================================
+
+/**
+ * Executa fn com as variáveis de ambiente trocadas (undefined remove)
+ */
+function comAmbiente(variaveis, fn) {
+    const anteriores = Object.fromEntries(Object.keys(variaveis).map(nome => [nome, process.env[nome]]));
+    const aplicar = valores => Object.entries(valores).forEach(([nome, valor]) => {
+        if (valor === undefined) delete process.env[nome];
+        else process.env[nome] = valor;
+    });
+    aplicar(variaveis);
+    try {
+        return fn();
+    } finally {
+        aplicar(anteriores);
+    }
+}
+
+/**
+ * Executa fn sem os logs do código verificado
+ */
+function emSilencio(fn) {
+    const originais = ['log', 'warn', 'error'].map(metodo => [metodo, console[metodo]]);
+    originais.forEach(([metodo]) => { console[metodo] = () => {}; });
+    try {
+        return fn();
+    } finally {
+        originais.forEach(([metodo, original]) => { console[metodo] = original; });
+    }
+}
+
+function webhookInfinitePay(variaveis, req = {}) {
+    return emSilencio(() => comAmbiente(variaveis, () => new InfinitePayProvider().verificarAssinatura({ headers: {}, query: {}, ...req })));
+}
+
+verificacao('Pagamentos', 'webhook da InfinitePay sem segredo é recusado fora de testes locais', () => {
+    const semSegredo = { INFINITEPAY_WEBHOOK_SECRET: undefined, INFINITEPAY_WEBHOOK_SEM_VERIFICACAO: undefined };
+    assert.strictEqual(webhookInfinitePay({ ...semSegredo, NODE_ENV: undefined }), false);
+    assert.strictEqual(webhookInfinitePay({ ...semSegredo, NODE_ENV: 'development' }), false);
+    assert.strictEqual(webhookInfinitePay({ ...semSegredo, INFINITEPAY_WEBHOOK_SEM_VERIFICACAO: 'true', NODE_ENV: 'development' }), true);
+    assert.strictEqual(webhookInfinitePay({ ...semSegredo, INFINITEPAY_WEBHOOK_SEM_VERIFICACAO: 'true', NODE_ENV: 'production' }), false);
+});
+
+verificacao('Pagamentos', 'webhook da InfinitePay com segredo exige assinatura ou token', () => {
+    const ambiente = { INFINITEPAY_WEBHOOK_SECRET: 'segredo', INFINITEPAY_WEBHOOK_SEM_VERIFICACAO: 'true', NODE_ENV: 'development' };
+    const rawBody = Buffer.from('{"order_nsu":"BSP-20250301-0001"}');
+    const assinatura = `sha256=${crypto.createHmac('sha256', 'segredo').update(rawBody).digest('hex')}`;
+    assert.strictEqual(webhookInfinitePay(ambiente), false);
+    assert.strictEqual(webhookInfinitePay(ambiente, { query: { token: 'outro' } }), false);
+    assert.strictEqual(webhookInfinitePay(ambiente, { query: { token: 'segredo' } }), true);
+    assert.strictEqual(webhookInfinitePay(ambiente, { headers: { 'x-webhook-signature': assinatura }, rawBody }), true);
+    assert.strictEqual(webhookInfinitePay(ambiente, { headers: { 'x-webhook-signature': assinatura }, rawBody: Buffer.from('{}') }), false);
+});
+
+// ============================================================
+// BANCO TEMPORÁRIO
+// ============================================================
+
+let banco = null;
+
+/**
+ * Banco descartável das verificações, criado na primeira vez que uma delas precisa (o módulo
+ * db abre um único banco por processo, então todas compartilham este)
+ */
+function bancoTemporario() {
+    if (banco) return banco;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueshield-verificacoes-'));
+    Object.assign(process.env, { DB_PATH: path.join(dir, 'verificacoes.sqlite'), DB_MIGRAR_AO_INICIAR: 'true' });
+    const { db, Repository } = require('../db');
+    banco = { dir, db, repo: new Repository(db) };
+    return banco;
+}
+
+// ============================================================
+// PEDIDOS
+// ============================================================
+
+/**
+ * Cliente com endereço padrão (criado na primeira vez)
+ */
+function cliente(repo, email, cpf) {
+    let usuario = repo.getUserByEmail(email);
+    if (!usuario) {
+        usuario = repo.createUser({ nome: 'Cliente de Teste', email, cpf, senha_hash: '-', telefone: null });
+        repo.createAddress({
+            usuario_id: usuario.id, cep: '01310100', logradouro: 'Av. Paulista', numero: '1000',
+            complemento: null, bairro: 'Bela Vista', cidade: 'São Paulo', estado: 'SP', padrao: 1
+        });
+    }
+    return usuario;
+}
+
+function pedidoVazio(repo, usuario = cliente(repo, 'numeracao@blueshield.test', '11144477735')) {
+    return repo.createOrder({
+        usuario_id: usuario.id, endereco_id: repo.getDefaultAddress(usuario.id).id,
+        subtotal: 0, frete: 0, desconto: 0, total: 0, metodo_pagamento: 'pix', observacoes_cliente: null
+    });
+}
+
+/**
+ * Prefixo e data do número de hoje e o último número do contador
+ */
+function contadorDoDia(db, numero) {
+    const [prefixo, data] = numero.split('-');
+    const { ultimo } = db.prepare('SELECT ultimo FROM pedido_sequencias WHERE prefixo = ? AND data = ?').get(prefixo, data);
+    return { prefixo, data, ultimo, numero: n => `${prefixo}-${data}-${String(n).padStart(4, '0')}` };
+}
+
+verificacao('Pedidos', 'números sequenciais do contador do dia', () => {
+    const { db, repo } = bancoTemporario();
+    const numeros = [1, 2, 3].map(() => pedidoVazio(repo).numero_pedido);
+    const contador = contadorDoDia(db, numeros[0]);
+    const primeiro = contador.ultimo - 2;
+    assert.deepStrictEqual(numeros, [primeiro, primeiro + 1, primeiro + 2].map(contador.numero));
+});
+
+verificacao('Pedidos', 'contador já existente continua de onde parou', () => {
+    const { db, repo } = bancoTemporario();
+    const { prefixo, data, numero } = contadorDoDia(db, pedidoVazio(repo).numero_pedido);
+    db.prepare('UPDATE pedido_sequencias SET ultimo = 41 WHERE prefixo = ? AND data = ?').run(prefixo, data);
+    assert.strictEqual(pedidoVazio(repo).numero_pedido, numero(42));
+    assert.strictEqual(contadorDoDia(db, numero(42)).ultimo, 42);
+});
+
+verificacao('Pedidos', 'número já usado é pulado e o limite de tentativas é respeitado', () => {
+    const { db, repo } = bancoTemporario();
+    const { prefixo, data, ultimo, numero } = contadorDoDia(db, pedidoVazio(repo).numero_pedido);
+    const ocupar = (...ns) => ns.forEach(n => db.prepare('UPDATE pedidos SET numero_pedido = ? WHERE id = ?').run(numero(n), pedidoVazio(repo).id));
+    const avisos = [];
+    const avisar = console.warn;
+    console.warn = mensagem => avisos.push(mensagem);
+    try {
+        // Pedidos numerados fora do contador (importação manual) ocupam os próximos números
+        db.prepare('UPDATE pedido_sequencias SET ultimo = ? WHERE prefixo = ? AND data = ?').run(ultimo, prefixo, data);
+        ocupar(ultimo + 101, ultimo + 102);
+        db.prepare('UPDATE pedido_sequencias SET ultimo = ? WHERE prefixo = ? AND data = ?').run(ultimo + 100, prefixo, data);
+        assert.strictEqual(pedidoVazio(repo).numero_pedido, numero(ultimo + 103));
+        assert.strictEqual(avisos.length, 2);
+
+        // Todos os números das tentativas ocupados: desiste (e o contador volta com a transação)
+        ocupar(ultimo + 201, ultimo + 202, ultimo + 203, ultimo + 204, ultimo + 205);
+        db.prepare('UPDATE pedido_sequencias SET ultimo = ? WHERE prefixo = ? AND data = ?').run(ultimo + 200, prefixo, data);
+        assert.throws(() => pedidoVazio(repo), /UNIQUE constraint failed: pedidos.numero_pedido/);
+        assert.strictEqual(contadorDoDia(db, numero(1)).ultimo, ultimo + 200);
+    } finally {
+        console.warn = avisar;
+        // Os próximos pedidos das verificações saem depois dos números ocupados
+        db.prepare('UPDATE pedido_sequencias SET ultimo = ? WHERE prefixo = ? AND data = ?').run(ultimo + 205, prefixo, data);
+    }
+});
+
+// ============================================================
+// CUPONS
+// ============================================================
+
+const AGORA = new Date('2026-06-15T12:00:00Z');
+
+/**
+ * Pedido do cliente com o cupom (como o checkout grava o uso)
+ */
+function usarCupom(repo, cupom, usuario) {
+    const pedido = pedidoVazio(repo, usuario);
+    repo.recordCouponUse({ cupom_id: cupom.id, pedido_id: pedido.id, usuario_id: usuario.id, valor_desconto: 10 });
+    return pedido;
+}
+
+verificacao('Cupons', 'desconto percentual, valor fixo e frete grátis', () => {
+    assert.deepStrictEqual(calcularDesconto({ tipo: 'percentual', valor: 10 }, 300), { desconto: 30, frete_gratis: false });
+    // 15% de R$ 99,99 = R$ 14,9985: arredonda no centavo
+    assert.deepStrictEqual(calcularDesconto({ tipo: 'percentual', valor: 15 }, 99.99), { desconto: 15, frete_gratis: false });
+    assert.deepStrictEqual(calcularDesconto({ tipo: 'valor_fixo', valor: 25.5 }, 300), { desconto: 25.5, frete_gratis: false });
+    // Valor fixo maior que o subtotal não deixa o pedido negativo
+    assert.deepStrictEqual(calcularDesconto({ tipo: 'valor_fixo', valor: 80 }, 49.9), { desconto: 49.9, frete_gratis: false });
+    assert.deepStrictEqual(calcularDesconto({ tipo: 'frete_gratis', valor: 0 }, 300), { desconto: 0, frete_gratis: true });
+});
+
+verificacao('Cupons', 'validade, cupom inativo e pedido mínimo', () => {
+    const { repo } = bancoTemporario();
+    const cupom = repo.createCoupon({
+        codigo: 'VERIF-JANELA', tipo: 'frete_gratis', pedido_minimo: 100,
+        valido_de: '2026-06-01T00:00:00Z', valido_ate: '2026-06-30T23:59:59Z', limite_uso_cliente: null
+    });
+    const validar = (opcoes, codigo = 'verif-janela ') => validarCupom(repo, codigo, { subtotal: 150, agora: AGORA, ...opcoes });
+
+    assert.strictEqual(validar({}).id, cupom.id);
+    assert.throws(() => validar({ agora: new Date('2026-05-31T23:00:00Z') }), /ainda não está disponível/);
+    assert.throws(() => validar({ agora: new Date('2026-07-01T00:00:00Z') }), /Cupom expirado/);
+    assert.throws(() => validar({ subtotal: 99.99 }), /a partir de R\$ 100,00/);
+    assert.throws(() => validar({}, 'NAO-EXISTE'), /Cupom inválido/);
+    repo.updateCoupon(cupom.id, { ativo: 0 });
+    assert.throws(() => validar({}), /Cupom inválido/);
+});
+
+verificacao('Cupons', 'limite total esgota e pedido cancelado devolve o uso', () => {
+    const { repo } = bancoTemporario();
+    const cupom = repo.createCoupon({ codigo: 'VERIF-TOTAL', tipo: 'percentual', valor: 10, limite_uso_total: 2, limite_uso_cliente: null });
+    const ana = cliente(repo, 'cupom-ana@blueshield.test', '98765432100');
+    const validar = () => validarCupom(repo, 'VERIF-TOTAL', { subtotal: 150, usuario_id: ana.id, agora: AGORA });
+
+    usarCupom(repo, cupom, ana);
+    assert.strictEqual(validar().id, cupom.id);
+    const segundo = usarCupom(repo, cupom, ana);
+    assert.throws(validar, /Cupom esgotado/);
+    assert.throws(() => validarCupom(repo, 'VERIF-TOTAL', { subtotal: 150, agora: AGORA }), /Cupom esgotado/);
+
+    repo.updateOrderStatus(segundo.id, 'cancelado');
+    assert.strictEqual(validar().id, cupom.id);
+});
+
+verificacao('Cupons', 'limite por cliente vale só para o cliente informado', () => {
+    const { repo } = bancoTemporario();
+    const cupom = repo.createCoupon({ codigo: 'VERIF-CLIENTE', tipo: 'valor_fixo', valor: 20 });
+    assert.strictEqual(cupom.limite_uso_cliente, 1);
+    const ana = cliente(repo, 'cupom-ana@blueshield.test', '98765432100');
+    const bia = cliente(repo, 'cupom-bia@blueshield.test', '12345678909');
+    const validar = usuario_id => validarCupom(repo, 'VERIF-CLIENTE', { subtotal: 150, usuario_id, agora: AGORA });
+
+    const pedido = usarCupom(repo, cupom, ana);
+    assert.throws(() => validar(ana.id), /já utilizado por este cliente/);
+    assert.strictEqual(validar(bia.id).id, cupom.id);
+    // Sem sessão (cotação de visitante) o limite por cliente não é conferido; o checkout confere com o usuário do pedido
+    assert.strictEqual(validar(null).id, cupom.id);
+
+    repo.updateOrderStatus(pedido.id, 'cancelado');
+    assert.strictEqual(validar(ana.id).id, cupom.id);
+});
+
+// ============================================================
+// MIGRAÇÕES
+// ============================================================
+
+const MIGRACOES = fs.readdirSync(path.join(__dirname, '..', 'migrations')).filter(arquivo => /^\d{3}_.+\.js$/.test(arquivo))
+    .map(arquivo => arquivo.replace(/\.js$/, '')).sort();
+const BANCO_DO_PROJETO = path.join(__dirname, '..', 'database.sqlite');
+
+/**
+ * Executa fn com uma conexão a um banco avulso (vazio ou cópia de origem), apagado no final
+ */
+function comBancoAvulso(origem, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blueshield-migracoes-'));
+    const caminho = path.join(dir, 'migracoes.sqlite');
+    if (origem) fs.copyFileSync(origem, caminho);
+    const db = new Database(caminho);
+    db.pragma('foreign_keys = ON');
+    try {
+        return fn(db);
+    } finally {
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function situacoes(db) {
+    return statusMigracoes(db).map(m => `${m.nome}: ${m.status}`);
+}
+
+function tabelas(db) {
+    return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'schema_migrations%'")
+        .all().map(t => t.name);
+}
+
+verificacao('Migrações', 'banco novo sobe, desce por inteiro e sobe de novo', () => comBancoAvulso(null, (db) => {
+    assert.deepStrictEqual(emSilencio(() => migrar(db)), MIGRACOES);
+    assert.deepStrictEqual(situacoes(db), MIGRACOES.map(nome => `${nome}: aplicada`));
+    assert.ok(db.prepare('PRAGMA table_info(usuarios)').all().some(c => c.name === 'cpf_indice'), 'usuarios.cpf_indice não foi criada');
+    assert.deepStrictEqual(emSilencio(() => migrar(db)), []);
+
+    assert.deepStrictEqual(emSilencio(() => reverter(db, MIGRACOES.length)), [...MIGRACOES].reverse());
+    assert.deepStrictEqual(tabelas(db), []);
+    assert.deepStrictEqual(situacoes(db), MIGRACOES.map(nome => `${nome}: pendente`));
+
+    assert.deepStrictEqual(emSilencio(() => migrar(db)), MIGRACOES);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS total FROM schema_migrations_lock').get().total, 0);
+}));
+
+verificacao('Migrações', 'database.sqlite do projeto é atualizado sem perder dados', () => comBancoAvulso(BANCO_DO_PROJETO, (db) => {
+    const contar = () => Object.fromEntries(['usuarios', 'pedidos', 'pedido_itens', 'produtos', 'audit_logs']
+        .map(tabela => [tabela, db.prepare(`SELECT COUNT(*) AS total FROM ${tabela}`).get().total]));
+    const cpfs = () => db.prepare('SELECT id, cpf FROM usuarios ORDER BY id').all();
+    const antes = contar();
+    const cpfsOriginais = cpfs();
+
+    assert.deepStrictEqual(emSilencio(() => migrar(db)), MIGRACOES);
+    assert.deepStrictEqual(situacoes(db), MIGRACOES.map(nome => `${nome}: aplicada`));
+    // audit_logs ganha o registro da criptografia (migração 006) se algum log tinha CPF ou telefone
+    const depois = contar();
+    assert.deepStrictEqual({ ...depois, audit_logs: antes.audit_logs }, antes);
+    assert.ok(depois.audit_logs - antes.audit_logs <= 1);
+    assert.ok(cpfs().every(({ cpf }) => estaCifrado(cpf)), 'CPF em texto puro depois da 006');
+    const auditoria = verificarCadeia(db.prepare('SELECT * FROM audit_logs ORDER BY id').all());
+    assert.deepStrictEqual(auditoria.problemas, []);
+
+    // Desfazer e refazer a 006 nos dados reais devolve os mesmos CPFs
+    assert.deepStrictEqual(emSilencio(() => reverter(db)), [MIGRACOES[MIGRACOES.length - 1]]);
+    assert.deepStrictEqual(cpfs(), cpfsOriginais);
+    emSilencio(() => migrar(db));
+    assert.deepStrictEqual(cpfs().map(({ id, cpf }) => ({ id, cpf: decifrar(cpf, 'usuarios.cpf') })), cpfsOriginais);
+}));
+
+verificacao('Migrações', 'status aponta arquivo alterado e migração sem arquivo', () => comBancoAvulso(null, (db) => {
+    emSilencio(() => migrar(db));
+    const [primeira, segunda] = MIGRACOES;
+    db.prepare("UPDATE schema_migrations SET checksum = 'outro' WHERE nome = ?").run(segunda);
+    db.prepare("INSERT INTO schema_migrations (versao, nome, checksum) VALUES ('999', '999_removida', 'x')").run();
+    const status = situacoes(db);
+    assert.deepStrictEqual([status[0], status[1], status[status.length - 1]], [`${primeira}: aplicada`, `${segunda}: alterada`, '999_removida: ausente']);
+    assert.throws(() => emSilencio(() => reverter(db)), /999_removida não pode ser desfeita: arquivo não encontrado/);
+}));
+
+verificacao('Migrações', 'bloqueio de outro processo impede migrar até expirar', () => comBancoAvulso(null, (db) => {
+    statusMigracoes(db); // Cria as tabelas de controle
+    db.prepare("INSERT INTO schema_migrations_lock (id, dono) VALUES (1, 'outro-processo')").run();
+    assert.throws(() => emSilencio(() => migrar(db)), /Migrações bloqueadas por outro processo \(outro-processo/);
+    assert.deepStrictEqual(tabelas(db), []);
+
+    // Processo que morreu migrando: o bloqueio vencido é descartado
+    db.prepare("UPDATE schema_migrations_lock SET bloqueado_em = datetime('now', '-11 minutes')").run();
+    assert.deepStrictEqual(emSilencio(() => migrar(db)), MIGRACOES);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS total FROM schema_migrations_lock').get().total, 0);
+}));
+
+// ============================================================
+// CRIPTOGRAFIA
+// ============================================================
+
+verificacao('Criptografia', 'rotação regrava usuários e auditoria com a chave nova', () => {
+    const { db, repo } = bancoTemporario();
+    const [chaveAntiga, chaveNova] = [process.env.CRIPTO_CHAVE, gerarChave()];
+
+    try {
+        const usuarios = db.prepare('SELECT COUNT(*) AS total FROM usuarios').get().total + 1;
+        const cpf = '52998224725';
+        const telefone = '(11) 98765-4321';
+        const usuario = repo.createUser({ nome: 'Rotação', email: 'rotacao@blueshield.test', cpf, senha_hash: '-', telefone });
+        const idAntiga = verificarConfiguracao().chave_atual;
+
+        // Chave nova em CRIPTO_CHAVE, antiga em CRIPTO_CHAVES_ANTERIORES: lê as duas enquanto a rotação não termina
+        Object.assign(process.env, { CRIPTO_CHAVE: chaveNova, CRIPTO_CHAVES_ANTERIORES: chaveAntiga });
+        const idNova = verificarConfiguracao().chave_atual;
+        assert.strictEqual(repo.getUserByCPF(cpf).telefone, telefone);
+        assert.deepStrictEqual(Object.keys(repo.getEncryptionKeyUsage()['usuarios.cpf']), [idAntiga]);
+
+        const rotacao = repo.reencryptUsers();
+        assert.strictEqual(rotacao.regravados, usuarios);
+        assert.ok(rotacao.audit_logs > 0, 'a cópia do cadastro na auditoria não foi regravada');
+        assert.deepStrictEqual(repo.reencryptUsers(), { usuarios, regravados: 0, audit_logs: 0, chave: idNova });
+
+        // Sem a antiga no ambiente, tudo continua legível (inclusive a auditoria exportada) e a cadeia, válida
+        process.env.CRIPTO_CHAVES_ANTERIORES = '';
+        const lido = repo.getUserByCPF(cpf);
+        assert.deepStrictEqual([lido.id, lido.cpf, lido.telefone], [usuario.id, cpf, telefone]);
+        assert.deepStrictEqual(Object.keys(repo.getEncryptionKeyUsage()['usuarios.telefone']), [idNova]);
+        const cadastro = repo.exportUserData(usuario.id).auditoria.find(log => log.acao === 'INSERT');
+        assert.strictEqual(JSON.parse(cadastro.dados_novos).cpf, cpf);
+        const { linhas, ultimoIdEmitido } = repo.getAuditChain();
+        assert.deepStrictEqual(verificarCadeia(linhas, ultimoIdEmitido).problemas, []);
+
+        // Só com a antiga, os valores regravados não decifram
+        process.env.CRIPTO_CHAVE = chaveAntiga;
+        assert.throws(() => repo.getUserById(usuario.id), new RegExp(`Chave ${idNova} de usuarios.cpf não configurada`));
+    } finally {
+        // Como depois de uma rotação concluída: só a chave nova no ambiente
+        Object.assign(process.env, { CRIPTO_CHAVE: chaveNova, CRIPTO_CHAVES_ANTERIORES: '' });
+    }
+});
+
+// ============================================================
+// PRINCIPAL
+// ============================================================
+
+function main() {
+    // Chaves descartáveis, como o banco temporário: as do ambiente nunca são usadas aqui
+    Object.assign(process.env, { CRIPTO_CHAVE: gerarChave(), CRIPTO_CHAVES_ANTERIORES: '', CRIPTO_CHAVE_INDICE: gerarChave() });
+    // O teste do bloqueio de migrações não precisa esperar os 30s padrão
+    process.env.DB_MIGRACAO_ESPERA_MS = '300';
+    let grupoAtual = null;
+    let falhas = 0;
+    verificacoes.forEach(({ grupo, nome, fn }) => {
+        if (grupo !== grupoAtual) {
+            console.log(`\n🔎 ${grupo}`);
+            grupoAtual = grupo;
+        }
+        try {
+            fn();
+            console.log(`   ✅ ${nome}`);
+        } catch (error) {
+            falhas++;
+            console.error(`   ❌ ${nome}: ${error.message}`);
+        }
+    });
+
+    if (banco) {
+        banco.db.close();
+        fs.rmSync(banco.dir, { recursive: true, force: true });
+    }
+
+    console.log(falhas > 0 ? `\n❌ ${falhas} de ${verificacoes.length} verificação(ões) falharam\n` : `\n✅ ${verificacoes.length} verificação(ões) ok\n`);
+    if (falhas > 0) process.exitCode = 1;
+}
+
+main();
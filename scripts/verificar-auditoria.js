@@ -0,0 +1,58 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - VERIFICAÇÃO DOS LOGS DE AUDITORIA
+ * ============================================================
+ * Recalcula a cadeia de hashes de audit_logs e aponta registros
+ * alterados, removidos ou gravados fora do logAudit (os reescritos por
+ * uma anonimização ou criptografia registrada não contam como alterados).
+ *
+ *   npm run auditoria:verificar
+ *
+ * Sai com código 1 se encontrar problemas. Guarde o "último hash"
+ * exibido fora do banco: ele denuncia uma cadeia reescrita inteira.
+ * Usa o mesmo DB_PATH do servidor.
+ * ============================================================
+ */
+
+require('dotenv').config();
+
+// Só leitura: não aplica migrações pendentes
+process.env.DB_MIGRAR_AO_INICIAR = 'false';
+
+const { db, Repository } = require('../db');
+const { verificarCadeia } = require('../auditoria');
+
+const MAX_PROBLEMAS_EXIBIDOS = 50;
+
+function main() {
+    const { linhas, ultimoIdEmitido } = new Repository(db).getAuditChain();
+    const { total, anonimizados, ultimo_hash, problemas } = verificarCadeia(linhas, ultimoIdEmitido);
+
+    console.log(`\n🔍 Auditoria: ${total} registro(s) verificados`);
+    if (anonimizados > 0) console.log(`   ${anonimizados} reescrito(s): conteúdo alterado por uma anonimização (LGPD) ou criptografia registrada`);
+    if (ultimo_hash) console.log(`   Último hash: ${ultimo_hash}`);
+
+    if (problemas.length === 0) {
+        console.log('\n✅ Cadeia íntegra\n');
+        return;
+    }
+
+    console.log(`\n❌ ${problemas.length} problema(s):\n`);
+    problemas.slice(0, MAX_PROBLEMAS_EXIBIDOS).forEach((problema) => {
+        console.log(`   [${problema.tipo}] ${problema.id !== null ? `id ${problema.id}: ` : ''}${problema.detalhe}`);
+    });
+    if (problemas.length > MAX_PROBLEMAS_EXIBIDOS) {
+        console.log(`   ... e mais ${problemas.length - MAX_PROBLEMAS_EXIBIDOS}`);
+    }
+    console.log('');
+    process.exitCode = 1;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
@@ -6,11 +6,28 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
 // Importar módulo de banco de dados
-const { db, withTransaction, Repository } = require('./db');
+const {
+    db, withTransaction, Repository, comContextoAuditoria, definirUsuarioAuditoria, ORDER_STATUS_TRANSITIONS, canTransitionOrderStatus
+} = require('./db');
+const { calcularCotacao, itensCarrinho, formatCotacao, toCentavos, toReais } = require('./pricing');
+const { cotarFrete, escolherServico, nomeTransportadora, validarCodigoRastreio, urlRastreio, SERVICOS } = require('./frete');
+const { validarCupom, calcularDesconto, normalizarCodigo, TIPOS_CUPOM } = require('./cupons');
+const { Validators, normalizarDocumento } = require('./validadores');
+const {
+    calcularReembolso, prazoReembolso, clientePodeSolicitar, REEMBOLSO_PRAZO_DIAS,
+    STATUS_CANCELAVEIS, STATUS_NAO_PAGOS, STATUS_REEMBOLSAVEIS, STATUS_ENVIADOS
+} = require('./reembolsos');
+const { getPaymentProvider } = require('./payments');
+const outbox = require('./outbox');
+const { linhaCsv, COLUNAS_CSV } = require('./auditoria');
+const { verificarConfiguracao: verificarCriptografia } = require('./criptografia');
+const emailTemplates = require('./emails/templates');
+const { getEmailTransport } = require('./emails/transports');
 
 // ============================================================
 // CONFIGURAÇÃO DO SERVIDOR
@@ -20,7 +37,7 @@ const app = express();
 app.set('trust proxy', 1);
 app.use((req, res, next) => {
     res.header("Access-Control-Allow-Origin", "https://blueshieldpro.onrender.com");
-    res.header("Access-Control-Allow-Methods", 'GET,PUT,POST,DELETE');
+    res.header("Access-Control-Allow-Methods", 'GET,PUT,PATCH,POST,DELETE');
     res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
     
     if (req.method === 'OPTIONS') {
@@ -30,12 +47,38 @@ app.use((req, res, next) => {
 });
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
+const SKU_PADRAO = 'BLUESHIELD-PRO-001'; // Produto usado quando o checkout não informa SKU
+const paymentProvider = getPaymentProvider(); // PAYMENT_PROVIDER (infinitepay | fake)
+const emailTransport = getEmailTransport(); // EMAIL_TRANSPORT (brevo | smtp | arquivo)
+// Emails com acesso ao painel administrativo (separados por vírgula)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+// Segredo das chaves de consulta de pedido (links de rastreio). Sem ele, uma chave aleatória vale até o processo reiniciar
+const PEDIDO_LINK_SECRET = process.env.PEDIDO_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.PEDIDO_LINK_SECRET) {
+    console.warn('[CONFIG] ⚠️ PEDIDO_LINK_SECRET não configurado: links de rastreio deixam de valer quando o servidor reinicia');
+}
+// CPF e telefone ficam cifrados no banco: sem as chaves não há como gravar nem ler clientes
+try {
+    const { chave_atual, chaves } = verificarCriptografia();
+    if (chaves.length > 1) {
+        console.warn(`[CONFIG] ⚠️ ${chaves.length - 1} chave(s) anterior(es) em CRIPTO_CHAVES_ANTERIORES: só servem para decifrar; depois de npm run cripto:rotacionar (tudo com ${chave_atual}), remova-as`);
+    }
+} catch (error) {
+    console.error(`[CONFIG] ❌ ${error.message}`);
+    process.exit(1);
+}
 
 // ============================================================
 // MIDDLEWARES
 // ============================================================
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Webhooks precisam do corpo bruto para conferir a assinatura HMAC
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhook/')) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 const cors = require('cors');
@@ -76,51 +119,220 @@ const authLimiter = rateLimit({
     message: { success: false, message: 'Muitas tentativas de login. Tente novamente em 15 minutos.' }
 });
 
+// Consulta pública de pedido: limita tentativas de adivinhar número + chave/email
+const consultaPedidoLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: { success: false, message: 'Muitas consultas de pedido. Tente novamente em 15 minutos.' }
+});
+
+const senhaLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { success: false, message: 'Muitas solicitações de redefinição de senha. Tente novamente em 15 minutos.' }
+});
+
+// Encerrar a conta confere a senha de novo: limita por conta (depois do requireAuth), para um
+// token roubado não servir para adivinhar a senha trocando de IP
+const encerrarContaLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    keyGenerator: req => `usuario:${req.usuario.id}`,
+    message: { success: false, message: 'Muitas tentativas de encerrar a conta. Tente novamente em 15 minutos.' }
+});
+
+// Evita tentativa e erro de códigos de cupom
+const cupomLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: { success: false, message: 'Muitas tentativas de cupom. Tente novamente em 15 minutos.' }
+});
+
 app.use((req, res, next) => {
     const timestamp = new Date().toISOString();
     console.log(`[${timestamp}] ${req.method} ${req.path} - IP: ${req.ip}`);
     next();
 });
 
+// Contexto dos logs de auditoria gravados pelo Repository (o usuário é definido na autenticação).
+// Depois dos body parsers: o callback deles roda fora do contexto assíncrono da requisição
+app.use((req, res, next) => {
+    comContextoAuditoria({
+        ip_address: req.ip, user_agent: req.headers['user-agent'] || null, endpoint: req.path, metodo_http: req.method
+    }, next);
+});
+
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ============================================================
-// CONFIGURAÇÃO DE EMAIL (Via API Brevo)
+// CONFIGURAÇÃO DE EMAIL (transporte em EMAIL_TRANSPORT)
 // ============================================================
 
-async function enviarEmailBrevo(destinatario, assunto, conteudoHtml) {
-    if (!process.env.BREVO_API_KEY) {
-        console.error('[EMAIL API] ⚠️ Chave BREVO_API_KEY não configurada no .env/Render');
-        return;
+/**
+ * Envia um email pelo transporte configurado e registra o envio em emails_enviados.
+ * Lança erro em caso de falha (os envios passam pela outbox, que tenta de novo)
+ * @param {Object} mensagem - { para, assunto, html, texto }
+ * @param {Object} origem - { outbox_id, pedido_id }
+ */
+async function enviarEmail(mensagem, origem = {}) {
+    const registro = {
+        ...origem, transporte: emailTransport.nome, destinatario: mensagem.para || '', assunto: mensagem.assunto
+    };
+    const repo = new Repository(db);
+    
+    try {
+        if (!mensagem.para) throw new Error('Destinatário não informado');
+        const { message_id } = await emailTransport.send(mensagem);
+        repo.recordEmailSent({ ...registro, status: 'enviado', message_id });
+        console.log(`[EMAIL] ✅ Enviado via ${emailTransport.nome} para ${mensagem.para}`);
+    } catch (error) {
+        repo.recordEmailSent({ ...registro, status: 'falhou', erro: error.message });
+        throw error;
     }
+}
 
-    try {
-        const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-            method: 'POST',
-            headers: {
-                'accept': 'application/json',
-                'api-key': process.env.BREVO_API_KEY,
-                'content-type': 'application/json'
-            },
-            body: JSON.stringify({
-                sender: { name: 'BlueShield Pro', email: process.env.EMAIL_USER },
-                to: [{ email: destinatario }],
-                subject: assunto,
-                htmlContent: conteudoHtml
-            })
-        });
+// Email enviado ao cliente quando o pedido entra em cada status
+const EMAIL_POR_STATUS = {
+    pago: 'pagamento_aprovado',
+    enviado: 'pedido_enviado',
+    entregue: 'pedido_entregue',
+    cancelado: 'pedido_cancelado'
+};
 
-        if (!response.ok) {
-            const err = await response.text();
-            console.error('[BREVO ERROR]', err);
-        } else {
-            console.log(`[EMAIL] ✅ Enviado com sucesso via API para ${destinatario}`);
-        }
-    } catch (error) {
-        console.error('[EMAIL API] Erro crítico:', error.message);
+/**
+ * Enfileira, na transação do chamador, o email de mudança de status para o cliente
+ * @returns {number|null} id do evento na outbox (null se o status não tem email)
+ */
+function enfileirarEmailStatus(repo, pedidoId, status, dados = {}) {
+    const template = EMAIL_POR_STATUS[status];
+    if (!template) return null;
+
+    const pedido = repo.getOrderByNumber(repo.getOrderById(pedidoId).numero_pedido);
+    const email = emailTemplates.renderEmail(template, {
+        pedido, itens: repo.getOrderItems(pedidoId), linkRastreio: linkRastreioPedido(pedido.numero_pedido), ...dados
+    });
+    return repo.enqueueOutbox('email', { para: pedido.cliente_email, ...email }, { pedido_id: pedidoId });
+}
+
+/**
+ * Enfileira, na transação do chamador, os emails de um reembolso
+ * @param {Object} emails - { cliente: template do email ao cliente, admin: tipo do aviso ao administrador
+ *                          (solicitado, manual ou processado), instrucao: texto do provedor para estorno manual }
+ * @returns {Array<number>} ids dos eventos na outbox
+ */
+function enfileirarEmailsReembolso(repo, reembolsoId, { cliente = null, admin = null, instrucao = null }) {
+    const reembolso = repo.getRefundById(reembolsoId);
+    const pedido = repo.getOrderByNumber(reembolso.numero_pedido);
+    const dados = {
+        pedido, itens: repo.getOrderItems(pedido.id), linkRastreio: linkRastreioPedido(pedido.numero_pedido),
+        reembolso: { ...reembolso, itens: repo.getRefundItems(reembolsoId) }
+    };
+    
+    const ids = [];
+    if (cliente) {
+        ids.push(repo.enqueueOutbox('email', { para: pedido.cliente_email, ...emailTemplates.renderEmail(cliente, dados) }, { pedido_id: pedido.id }));
+    }
+    const emailAdmin = process.env.EMAIL_ADMIN || process.env.EMAIL_USER;
+    if (admin && emailAdmin) {
+        ids.push(repo.enqueueOutbox('email', {
+            para: emailAdmin, ...emailTemplates.renderEmail('reembolso_admin', { ...dados, tipo: admin, instrucao })
+        }, { pedido_id: pedido.id }));
     }
+    return ids;
 }
 
+// ============================================================
+// OUTBOX (EFEITOS COLATERAIS)
+// ============================================================
+
+outbox.registrarHandler('email', (mensagem, evento) => enviarEmail(mensagem, { outbox_id: evento.id, pedido_id: evento.pedido_id }));
+
+/**
+ * Gera o link de pagamento do pedido; só depois disso os emails do pedido são enfileirados
+ * (o cliente nunca recebe "Pedido Recebido" de um pedido sem link)
+ */
+outbox.registrarHandler('pagamento.link', async ({ pedido_id, usuario_novo, ip_address, user_agent }) => {
+    const repo = new Repository(db);
+    const pedidoAtual = repo.getOrderById(pedido_id);
+    if (!pedidoAtual) throw new Error('Pedido não encontrado');
+    // Pedido cancelado (ex.: prazo de pagamento expirado) enquanto o link era tentado de novo
+    if (!['pendente', 'aguardando_pagamento'].includes(pedidoAtual.status)) return { url: null };
+
+    const pedido = repo.getOrderByNumber(pedidoAtual.numero_pedido);
+    const itens = repo.getOrderItems(pedido.id);
+    const link = await paymentProvider.createCheckoutLink({
+        pedido,
+        usuario: { nome: pedido.cliente_nome, email: pedido.cliente_email, telefone: pedido.cliente_telefone },
+        linhas: itens.map(({ sku, nome, quantidade, preco_unitario }) => ({ sku, nome, quantidade, preco_unitario })),
+        total: pedido.total
+    });
+
+    const emails = withTransaction((txRepo) => {
+        // O webhook de pagamento pode ter chegado antes; só avança se o pedido ainda estiver pendente
+        if (txRepo.getOrderById(pedido.id).status === 'pendente') {
+            txRepo.updateOrderStatus(pedido.id, 'aguardando_pagamento', `Link de pagamento gerado (${paymentProvider.nome})`, null, { ip_address, user_agent });
+        }
+
+        const ids = [txRepo.enqueueOutbox('email', {
+            para: pedido.cliente_email,
+            ...emailTemplates.renderEmail('pedido_recebido', { pedido, itens, usuarioNovo: usuario_novo, linkPagamento: link.url })
+        }, { pedido_id: pedido.id })];
+        
+        const emailAdmin = process.env.EMAIL_ADMIN || process.env.EMAIL_USER;
+        if (emailAdmin) {
+            ids.push(txRepo.enqueueOutbox('email', {
+                para: emailAdmin,
+                ...emailTemplates.renderEmail('nova_venda', { pedido, itens, usuarioNovo: usuario_novo })
+            }, { pedido_id: pedido.id }));
+        }
+        return ids;
+    });
+    outbox.dispararEventos(emails);
+
+    return link;
+});
+
+/**
+ * Estorna um reembolso no provedor de pagamento e avisa cliente e administrador
+ * (provedor sem estorno pela API: o reembolso fica 'manual' e o administrador recebe a instrução)
+ */
+outbox.registrarHandler('pagamento.reembolso', async ({ reembolso_id }) => {
+    const repo = new Repository(db);
+    const reembolso = repo.getRefundById(reembolso_id);
+    if (!reembolso) throw new Error('Reembolso não encontrado');
+    if (reembolso.status !== 'processando') return { status: reembolso.status };
+
+    const pedido = repo.getOrderById(reembolso.pedido_id);
+    // reembolso_id serve de chave de idempotência: uma nova tentativa não estorna duas vezes
+    const estorno = await paymentProvider.refund({
+        numero_pedido: reembolso.numero_pedido,
+        transacao_id: pedido.pagamento_transacao_id,
+        valor_centavos: toCentavos(reembolso.valor),
+        motivo: reembolso.motivo,
+        reembolso_id: reembolso.id
+    });
+
+    const emails = withTransaction((txRepo) => {
+        const finalizado = txRepo.finishRefund(reembolso.id, {
+            status: estorno.status, provedor: paymentProvider.nome, provedor_reembolso_id: estorno.reembolso_id
+        });
+        if (!finalizado) return [];
+
+        if (valorReembolsado(txRepo, pedido.id, ['concluido', 'manual']) >= toCentavos(pedido.total)) {
+            txRepo.setPaymentStatus(pedido.id, 'estornado');
+        }
+        return enfileirarEmailsReembolso(txRepo, reembolso.id, {
+            cliente: 'reembolso_processado',
+            admin: estorno.status === 'manual' ? 'manual' : 'processado',
+            instrucao: estorno.status === 'manual' ? estorno.descricao : null
+        });
+    });
+    outbox.dispararEventos(emails);
+
+    console.log(`[REEMBOLSO] ${estorno.status === 'manual' ? '⚠️ Estorno manual pendente' : '✅ Estornado'}: ${reembolso.numero_pedido} (${reembolso.valor}) via ${paymentProvider.nome}`);
+    return estorno;
+});
+
 // ============================================================
 // UTILITÁRIOS
 // ============================================================
@@ -136,31 +348,180 @@ class ApiResponse {
     }
 }
 
-const Validators = {
-    email(email) { return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email); },
-    cpf(cpf) { return true; }, 
-    cep(cep) { return /^\d{5}-?\d{3}$/.test(cep); },
-    telefone(tel) { return /^\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4}$/.test(tel); },
-};
+/**
+ * Formata um produto do banco para a resposta pública da API
+ * (especificacoes é armazenado como texto JSON)
+ */
+function formatProduto(produto) {
+    let especificacoes = {};
+    try {
+        especificacoes = produto.especificacoes ? JSON.parse(produto.especificacoes) : {};
+    } catch (error) {
+        console.error(`[PRODUTOS] Especificações inválidas no SKU ${produto.sku}:`, error.message);
+    }
 
-function validateCheckout(req, res, next) {
+    return {
+        sku: produto.sku,
+        nome: produto.nome,
+        descricao: produto.descricao,
+        preco_unitario: produto.preco_unitario,
+        estoque: produto.estoque_disponivel,
+        em_estoque: produto.estoque_disponivel > 0,
+        imagem_url: produto.imagem_url,
+        especificacoes
+    };
+}
+
+const QUANTIDADE_MAXIMA_ITEM = 20;
+
+function isQuantidadeValida(quantidade) {
+    return Number.isInteger(quantidade) && quantidade >= 1 && quantidade <= QUANTIDADE_MAXIMA_ITEM;
+}
+
+/**
+ * Valida os campos de endereço (checkout e Minha Conta)
+ * @returns {Array<{field: string, message: string}>}
+ */
+function validarEndereco(dados) {
     const errors = [];
-    const { nome, email, cpf, telefone, cep, endereco, numero, cidade, estado } = req.body;
+    const { cep, endereco, numero, cidade, estado } = dados;
     
-    if (!nome || nome.trim().length < 3) errors.push({ field: 'nome', message: 'Nome deve ter pelo menos 3 caracteres' });
-    if (!email || !Validators.email(email)) errors.push({ field: 'email', message: 'Email inválido' });
-    if (!cpf || !Validators.cpf(cpf)) errors.push({ field: 'cpf', message: 'CPF inválido' });
-    if (!telefone || !Validators.telefone(telefone)) errors.push({ field: 'telefone', message: 'Telefone inválido' });
     if (!cep || !Validators.cep(cep)) errors.push({ field: 'cep', message: 'CEP inválido' });
     if (!endereco || endereco.trim().length < 3) errors.push({ field: 'endereco', message: 'Endereço é obrigatório' });
     if (!numero || numero.trim().length === 0) errors.push({ field: 'numero', message: 'Número é obrigatório' });
     if (!cidade || cidade.trim().length < 2) errors.push({ field: 'cidade', message: 'Cidade é obrigatória' });
     if (!estado || estado.trim().length !== 2) errors.push({ field: 'estado', message: 'Estado é obrigatório (2 caracteres)' });
+    return errors;
+}
+
+/**
+ * Normaliza os campos de endereço do formulário para o formato da tabela enderecos
+ */
+function normalizarEndereco(dados) {
+    return {
+        cep: dados.cep.replace(/\D/g, ''),
+        logradouro: dados.endereco.trim(),
+        numero: dados.numero.trim(),
+        complemento: dados.complemento?.trim() || null,
+        bairro: dados.bairro?.trim() || 'Não informado',
+        cidade: dados.cidade.trim(),
+        estado: dados.estado.trim().toUpperCase()
+    };
+}
+
+function validateCheckout(req, res, next) {
+    const errors = [];
+    const { nome, email, cpf, telefone, endereco_id } = req.body;
+    
+    if (!nome || nome.trim().length < 3) errors.push({ field: 'nome', message: 'Nome deve ter pelo menos 3 caracteres' });
+    if (!email || !Validators.email(email)) errors.push({ field: 'email', message: 'Email inválido' });
+    if (!cpf || !Validators.documento(cpf)) errors.push({ field: 'cpf', message: 'CPF ou CNPJ inválido' });
+    if (!telefone || !Validators.telefone(telefone)) errors.push({ field: 'telefone', message: 'Telefone inválido' });
+    
+    // Endereço salvo (cliente logado) ou endereço digitado no formulário
+    if (endereco_id !== undefined && endereco_id !== null && endereco_id !== '') {
+        if (!req.usuario) errors.push({ field: 'endereco_id', message: 'Faça login para usar um endereço salvo' });
+        else if (!Number.isInteger(Number(endereco_id))) errors.push({ field: 'endereco_id', message: 'Endereço inválido' });
+    } else {
+        errors.push(...validarEndereco(req.body));
+    }
+    
+    if (!req.body.carrinho_token && req.body.quantidade !== undefined && !isQuantidadeValida(req.body.quantidade)) {
+        errors.push({ field: 'quantidade', message: `Quantidade deve ser um inteiro entre 1 e ${QUANTIDADE_MAXIMA_ITEM}` });
+    }
+    if (req.body.frete_servico && !SERVICOS[req.body.frete_servico]) {
+        errors.push({ field: 'frete_servico', message: `Serviço de frete deve ser um de: ${Object.keys(SERVICOS).join(', ')}` });
+    }
+    if (req.body.cupom && (typeof req.body.cupom !== 'string' || req.body.cupom.length > 40)) {
+        errors.push({ field: 'cupom', message: 'Código de cupom inválido' });
+    }
     
     if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
     next();
 }
 
+// ============================================================
+// AUTENTICAÇÃO (SESSÕES)
+// ============================================================
+
+const SESSAO_LIMPEZA_MINUTOS = parseInt(process.env.SESSAO_LIMPEZA_MINUTOS, 10) || 15;
+const RESERVA_LIMPEZA_MINUTOS = parseInt(process.env.RESERVA_LIMPEZA_MINUTOS, 10) || 5;
+
+function extrairBearerToken(req) {
+    const [tipo, token] = (req.headers.authorization || '').split(' ');
+    return tipo === 'Bearer' && token ? token.trim() : null;
+}
+
+/**
+ * Exige um token de sessão válido (Authorization: Bearer <token>)
+ * Define req.sessao e req.usuario
+ */
+function requireAuth(req, res, next) {
+    try {
+        const token = extrairBearerToken(req);
+        if (!token) return ApiResponse.error(res, 'Autenticação necessária', 401);
+        
+        const repo = new Repository(db);
+        const sessao = repo.getSessionByToken(token);
+        if (!sessao) return ApiResponse.error(res, 'Sessão inválida ou expirada', 401);
+        
+        repo.touchSession(sessao.id);
+        req.sessao = sessao;
+        req.usuario = { id: sessao.usuario_id, uuid: sessao.usuario_uuid, nome: sessao.usuario_nome, email: sessao.usuario_email };
+        definirUsuarioAuditoria(sessao.usuario_id);
+        next();
+    } catch (error) {
+        console.error('[AUTH] Erro:', error);
+        ApiResponse.error(res, 'Erro ao autenticar', 500);
+    }
+}
+
+/**
+ * Como requireAuth, mas sem exigir login: com um token válido define req.usuario,
+ * caso contrário segue como visitante
+ */
+function optionalAuth(req, res, next) {
+    const token = extrairBearerToken(req);
+    if (!token) return next();
+    
+    try {
+        const sessao = new Repository(db).getSessionByToken(token);
+        if (sessao) {
+            req.sessao = sessao;
+            req.usuario = { id: sessao.usuario_id, uuid: sessao.usuario_uuid, nome: sessao.usuario_nome, email: sessao.usuario_email };
+            definirUsuarioAuditoria(sessao.usuario_id);
+        }
+    } catch (error) {
+        console.error('[AUTH] Erro:', error);
+    }
+    next();
+}
+
+/**
+ * Exige sessão de um usuário cujo email esteja em ADMIN_EMAILS. Define req.admin.
+ */
+function requireAdmin(req, res, next) {
+    requireAuth(req, res, () => {
+        if (!ADMIN_EMAILS.includes(req.usuario.email.toLowerCase())) {
+            return ApiResponse.error(res, 'Acesso restrito a administradores', 403);
+        }
+        req.admin = req.usuario;
+        next();
+    });
+}
+
+/**
+ * Formato público de uma sessão recém-emitida/renovada
+ */
+function formatSessao(sessao) {
+    return {
+        token: sessao.token,
+        refresh_token: sessao.refresh_token,
+        expira_em: sessao.expira_em,
+        refresh_expira_em: sessao.refresh_expira_em
+    };
+}
+
 // ============================================================
 // ROTAS DA API
 // ============================================================
@@ -180,282 +541,2022 @@ app.get('/api/stats', (req, res) => {
     }
 });
 
-// ==================== CHECKOUT ====================
+// ==================== PRODUTOS ====================
 
-app.post('/api/checkout', validateCheckout, async (req, res) => {
-    const startTime = Date.now();
-    const clientInfo = { ip: req.ip, userAgent: req.headers['user-agent'] };
-    
+// Campos de especificações que podem ser usados como filtro na listagem
+const FILTROS_ESPECIFICACOES = ['material_armacao', 'material_lente', 'protecao'];
+
+app.get('/api/produtos', (req, res) => {
     try {
-        const { nome, email, cpf, telefone, cep, endereco, numero, complemento, bairro, cidade, estado, quantidade = 1 } = req.body;
-        
-        const cpfLimpo = cpf.replace(/\D/g, '');
-        const cepLimpo = cep.replace(/\D/g, '');
-        
-        const resultado = withTransaction((repo) => {
-            let usuario = repo.getUserByEmail(email);
-            let usuarioExistente = false;
-            
-            if (usuario) {
-                if (usuario.cpf !== cpfLimpo) throw new Error('Email já cadastrado com outro CPF');
-                usuarioExistente = true;
-            } else {
-                usuario = repo.getUserByCPF(cpfLimpo);
-                if (usuario) throw new Error('CPF já cadastrado com outro email');
-            }
-            
-            if (!usuarioExistente) {
-                const senhaTemp = Math.random().toString(36).slice(-10);
-                const senhaHash = bcrypt.hashSync(senhaTemp, 10);
-                
-                const novoUsuario = repo.createUser({ nome: nome.trim(), email: email.toLowerCase().trim(), cpf: cpfLimpo, senha_hash: senhaHash, telefone });
-                usuario = repo.getUserById(novoUsuario.id);
-                
-                repo.logAudit({
-                    tabela: 'usuarios', registro_id: usuario.id, acao: 'INSERT',
-                    dados_novos: { nome, email, cpf: cpfLimpo },
-                    ip_address: clientInfo.ip, user_agent: clientInfo.userAgent,
-                    endpoint: '/api/checkout', metodo_http: 'POST'
-                });
-            }
-            
-            const enderecoResult = repo.createAddress({
-                usuario_id: usuario.id, cep: cepLimpo, logradouro: endereco.trim(), numero: numero.trim(),
-                complemento: complemento?.trim(), bairro: bairro?.trim() || 'Não informado',
-                cidade: cidade.trim(), estado: estado.toUpperCase(), tipo: 'entrega', padrao: 1
-            });
-            
-            const produto = repo.getProductBySku('BLUESHIELD-PRO-001');
-            if (!produto) throw new Error('Produto não encontrado');
-            
-            // 👉 FORÇANDO O NOVO PREÇO AQUI (Isso resolve tudo de uma vez)
-            produto.preco_unitario = 269.00;
-            
-            if (produto.estoque < quantidade) throw new Error('Estoque insuficiente');
-            
-            const precoUnitario = produto.preco_unitario;
-            const subtotal = precoUnitario * quantidade;
-            const frete = 0;
-            const desconto = 0;
-            const total = subtotal + frete - desconto;
-            
-            const pedido = repo.createOrder({
-                usuario_id: usuario.id, endereco_id: enderecoResult.id,
-                subtotal, frete, desconto, total, metodo_pagamento: 'pix', observacoes_cliente: null
-            });
-            
-            repo.addOrderItem({
-                pedido_id: pedido.id, produto_id: produto.id, sku: produto.sku,
-                nome: produto.nome, quantidade, preco_unitario: precoUnitario, variacao: null
-            });
-            
-            repo.updateStock(produto.id, quantidade);
-            
-            repo.logAudit({
-                tabela: 'pedidos', registro_id: pedido.id, acao: 'INSERT',
-                dados_novos: { numero_pedido: pedido.numero_pedido, total, quantidade },
-                usuario_id: usuario.id, ip_address: clientInfo.ip,
-                user_agent: clientInfo.userAgent, endpoint: '/api/checkout', metodo_http: 'POST'
-            });
-            
-            return { usuario, pedido, produto, quantidade, total, usuarioNovo: !usuarioExistente };
+        const { busca, preco_min, preco_max, em_estoque, ordenar, ordem } = req.query;
+        const errors = [];
+
+        const pagina = req.query.pagina !== undefined ? parseInt(req.query.pagina, 10) : 1;
+        const limite = req.query.limite !== undefined ? parseInt(req.query.limite, 10) : 12;
+        if (!Number.isInteger(pagina) || pagina < 1) errors.push({ field: 'pagina', message: 'Página deve ser um inteiro maior que zero' });
+        if (!Number.isInteger(limite) || limite < 1 || limite > 50) errors.push({ field: 'limite', message: 'Limite deve estar entre 1 e 50' });
+
+        const precoMin = preco_min !== undefined ? Number(preco_min) : undefined;
+        const precoMax = preco_max !== undefined ? Number(preco_max) : undefined;
+        if (precoMin !== undefined && (isNaN(precoMin) || precoMin < 0)) errors.push({ field: 'preco_min', message: 'Preço mínimo inválido' });
+        if (precoMax !== undefined && (isNaN(precoMax) || precoMax < 0)) errors.push({ field: 'preco_max', message: 'Preço máximo inválido' });
+        if (ordenar && !['nome', 'preco', 'estoque', 'criado_em'].includes(ordenar)) errors.push({ field: 'ordenar', message: 'Ordenação inválida (nome, preco, estoque, criado_em)' });
+        if (ordem && !['asc', 'desc'].includes(ordem)) errors.push({ field: 'ordem', message: 'Ordem inválida (asc, desc)' });
+
+        if (errors.length > 0) return ApiResponse.error(res, 'Parâmetros inválidos', 400, errors);
+
+        const especificacoes = {};
+        FILTROS_ESPECIFICACOES.forEach(campo => {
+            if (req.query[campo]) especificacoes[campo] = String(req.query[campo]);
+        });
+
+        const repo = new Repository(db);
+        const { produtos, total } = repo.listProducts({
+            busca: busca ? String(busca).trim() : undefined,
+            preco_min: precoMin,
+            preco_max: precoMax,
+            em_estoque: em_estoque === 'true' || em_estoque === '1',
+            especificacoes, ordenar, ordem, pagina, limite
         });
-        
-        // ==========================================
-        // EMAILS (Brevo)
-        // ==========================================
-        try {
-            const htmlCliente = `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
-                    <h2 style="color: #0ea5e9;">Olá, ${resultado.usuario.nome.split(' ')[0]}!</h2>
-                    <p style="font-size: 16px; line-height: 1.5;"><strong>Pagamento em análise.</strong> O envio será realizado assim que a transação for aprovada na plataforma de pagamento.</p>
-                    <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #e2e8f0;">
-                        <h3 style="margin-top: 0; color: #0ea5e9;">Resumo do seu pedido</h3>
-                        <p><strong>Número do Pedido:</strong> ${resultado.pedido.numero_pedido}</p>
-                        <p><strong>Produto:</strong> ${resultado.produto.nome}</p>
-                        <p><strong>Quantidade:</strong> ${resultado.quantidade}</p>
-                        <p><strong>Total:</strong> R$ ${resultado.total.toFixed(2).replace('.', ',')}</p>
-                    </div>
-                    <p>Você receberá novas atualizações por email assim que o pagamento for confirmado e o seu pedido for despachado.</p>
-                </div>
-            `;
-            
-            const textoAdmin = `
-NOVA VENDA CONFIRMADA
 
-Pedido: ${resultado.pedido.numero_pedido}
-Data: ${new Date().toLocaleString('pt-BR')}
+        ApiResponse.success(res, {
+            produtos: produtos.map(formatProduto),
+            paginacao: { pagina, limite, total, paginas: Math.ceil(total / limite) }
+        });
+    } catch (error) {
+        console.error('[PRODUTOS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao listar produtos', 500);
+    }
+});
 
-CLIENTE:
-Nome: ${resultado.usuario.nome}
-Email: ${resultado.usuario.email}
-Telefone: ${resultado.usuario.telefone || 'Não informado'}
-CPF: ${resultado.usuario.cpf}
+app.get('/api/produtos/:sku', (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const produto = repo.getProductBySku(req.params.sku);
+        if (!produto) return ApiResponse.error(res, 'Produto não encontrado', 404);
 
-ENDEREÇO DE ENTREGA:
-Logradouro: ${endereco}, Número: ${numero}
-Complemento: ${complemento || 'Não informado'}
-Bairro: ${bairro || 'Não informado'}
-Cidade/UF: ${cidade} - ${estado}
-CEP: ${cep}
+        ApiResponse.success(res, formatProduto(produto));
+    } catch (error) {
+        console.error('[PRODUTOS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao consultar produto', 500);
+    }
+});
 
-PRODUTO:
-${resultado.produto.nome} x ${resultado.quantidade}
+// ==================== CARRINHO ====================
 
-VALOR TOTAL: R$ ${resultado.total.toFixed(2)}
+/**
+ * Monta a resposta pública do carrinho com itens e totais
+ */
+function formatCarrinho(carrinho, itens) {
+    const linhas = itens.map(item => ({
+        sku: item.sku,
+        nome: item.nome,
+        imagem_url: item.imagem_url,
+        preco_unitario: item.preco_unitario,
+        quantidade: item.quantidade,
+        subtotal: toReais(toCentavos(item.preco_unitario) * item.quantidade),
+        disponivel: Boolean(item.disponivel) && item.estoque_disponivel >= item.quantidade
+    }));
 
-${resultado.usuarioNovo ? '⚠️ NOVO CLIENTE CADASTRADO' : '✓ Cliente existente'}
-            `.trim();
-            
-            enviarEmailBrevo(resultado.usuario.email, `Pedido Recebido - ${resultado.pedido.numero_pedido}`, htmlCliente);
-            enviarEmailBrevo(process.env.EMAIL_ADMIN || process.env.EMAIL_USER, `Nova Venda - ${resultado.pedido.numero_pedido}`, `<pre style="font-family: sans-serif; font-size: 14px;">${textoAdmin}</pre>`);
-            
-        } catch (emailError) {
-            console.log('[EMAIL] Erro ao preparar emails:', emailError.message);
-        }
-        
-        const duration = Date.now() - startTime;
-        console.log(`[CHECKOUT] ✅ Pedido ${resultado.pedido.numero_pedido} criado em ${duration}ms`);
-        
-        // ==========================================
-        // INTEGRAÇÃO INFINITEPAY
-        // ==========================================
-        let checkoutUrl = '';
-        try {
-            const apenasNumeros = resultado.usuario.telefone.replace(/\D/g, '');
-            const phoneFormatado = apenasNumeros.startsWith('55') ? '+' + apenasNumeros : '+55' + apenasNumeros;
-
-            const infinitePayPayload = {
-                handle: process.env.INFINITEPAY_HANDLE,
-                order_nsu: resultado.pedido.numero_pedido,
-                redirect_url: `${process.env.BASE_URL || 'http://localhost:3000'}/?pago=true`,
-                webhook_url: `${process.env.BASE_URL || 'http://localhost:3000'}/api/webhook/infinitepay`,
-                items: [
-                    {
-                        quantity: resultado.quantidade,
-                        price: Math.round(resultado.produto.preco_unitario * 100),
-                        description: resultado.produto.nome
-                    }
-                ],
-                customer: {
-                    name: resultado.usuario.nome,
-                    email: resultado.usuario.email,
-                    phone_number: phoneFormatado
-                }
-            };
+    return {
+        token: carrinho.token,
+        status: carrinho.status,
+        itens: linhas,
+        quantidade_total: linhas.reduce((soma, item) => soma + item.quantidade, 0),
+        subtotal: toReais(linhas.reduce((soma, item) => soma + toCentavos(item.subtotal), 0)),
+        expira_em: carrinho.expira_em
+    };
+}
 
-            const responseIP = await fetch('https://api.infinitepay.io/invoices/public/checkout/links', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(infinitePayPayload)
-            });
-            
-            const ipData = await responseIP.json();
-            checkoutUrl = ipData.url || ipData.link || (ipData.data && ipData.data.url) || (ipData.data && ipData.data.link); 
-            
-            if (!checkoutUrl) {
-                throw new Error('A API não devolveu um link válido. Veja o erro no terminal.');
-            }
+/**
+ * Carrega o carrinho ativo do token da URL (404 se não existir ou expirou)
+ */
+function loadCarrinho(req, res, next) {
+    const repo = new Repository(db);
+    const carrinho = repo.getCartByToken(req.params.token);
+    if (!carrinho) return ApiResponse.error(res, 'Carrinho não encontrado ou expirado', 404);
 
-        } catch (ipError) {
-            console.error('[INFINITEPAY ERROR]', ipError.message);
-            return ApiResponse.error(res, 'Erro na comunicação com a InfinitePay.', 500);
-        }
+    req.carrinho = carrinho;
+    next();
+}
 
-        ApiResponse.success(res, {
-            numero_pedido: resultado.pedido.numero_pedido,
-            checkout_url: checkoutUrl 
-        }, 'Redirecionando para pagamento...', 201);
+/**
+ * Valida sku/quantidade e estoque para uma linha do carrinho
+ * @returns {{ produto?: Object, error?: string }}
+ */
+function validarItemCarrinho(repo, sku, quantidadeFinal) {
+    if (!sku) return { error: 'SKU é obrigatório' };
+    if (!isQuantidadeValida(quantidadeFinal)) return { error: `Quantidade deve ser um inteiro entre 1 e ${QUANTIDADE_MAXIMA_ITEM}` };
+
+    const produto = repo.getProductBySku(sku);
+    if (!produto) return { error: 'Produto não encontrado' };
+    if (produto.estoque_disponivel < quantidadeFinal) return { error: 'Estoque insuficiente' };
+
+    return { produto };
+}
 
+app.post('/api/carrinho', (req, res) => {
+    try {
+        const itens = Array.isArray(req.body.itens) ? req.body.itens : [];
+
+        const carrinho = withTransaction((repo) => {
+            const novo = repo.createCart();
+            itens.forEach(({ sku, quantidade = 1 }) => {
+                const { produto, error } = validarItemCarrinho(repo, sku, quantidade);
+                if (error) throw new Error(`${error}: ${sku}`);
+                repo.addCartItem(novo.id, produto.id, quantidade);
+            });
+            return repo.getCartByToken(novo.token);
+        });
+
+        const repo = new Repository(db);
+        ApiResponse.success(res, formatCarrinho(carrinho, repo.getCartItems(carrinho.id)), 'Carrinho criado', 201);
     } catch (error) {
-        console.error('[CHECKOUT] ❌ Erro:', error.message);
-        if (error.message.includes('Email já cadastrado')) return ApiResponse.error(res, 'Este email já está cadastrado com outro CPF', 400);
-        if (error.message.includes('CPF já cadastrado')) return ApiResponse.error(res, 'Este CPF já está cadastrado com outro email', 400);
-        if (error.message.includes('Estoque insuficiente')) return ApiResponse.error(res, 'Produto temporariamente indisponível', 400);
-        
-        ApiResponse.error(res, 'Erro ao processar pedido. Tente novamente.', 500);
+        if (/^(SKU|Quantidade|Produto|Estoque)/.test(error.message)) return ApiResponse.error(res, error.message, 400);
+        console.error('[CARRINHO] Erro:', error);
+        ApiResponse.error(res, 'Erro ao criar carrinho', 500);
     }
 });
 
-// ==================== PEDIDOS E AUTENTICAÇÃO ====================
+app.get('/api/carrinho/:token', loadCarrinho, (req, res) => {
+    const repo = new Repository(db);
+    ApiResponse.success(res, formatCarrinho(req.carrinho, repo.getCartItems(req.carrinho.id)));
+});
 
-app.get('/api/pedidos/:numero', async (req, res) => {
+app.post('/api/carrinho/:token/itens', loadCarrinho, (req, res) => {
     try {
-        const { numero } = req.params;
+        const { sku, quantidade = 1 } = req.body;
         const repo = new Repository(db);
-        const pedido = db.prepare(`SELECT p.*, u.nome as cliente_nome, u.email as cliente_email FROM pedidos p JOIN usuarios u ON p.usuario_id = u.id WHERE p.numero_pedido = ?`).get(numero);
-        
-        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
-        
-        const itens = repo.getOrderItems(pedido.id);
-        const historico = db.prepare(`SELECT * FROM pedido_historico WHERE pedido_id = ? ORDER BY criado_em DESC`).all(pedido.id);
-        
-        ApiResponse.success(res, { ...pedido, itens, historico });
+
+        const existente = repo.getCartItems(req.carrinho.id).find(item => item.sku === sku);
+        const quantidadeFinal = isQuantidadeValida(quantidade) ? quantidade + (existente ? existente.quantidade : 0) : quantidade;
+
+        const { produto, error } = validarItemCarrinho(repo, sku, quantidadeFinal);
+        if (error) return ApiResponse.error(res, error, error === 'Produto não encontrado' ? 404 : 400);
+
+        repo.addCartItem(req.carrinho.id, produto.id, quantidade);
+        ApiResponse.success(res, formatCarrinho(req.carrinho, repo.getCartItems(req.carrinho.id)), 'Item adicionado', 201);
     } catch (error) {
-        console.error('[PEDIDO] Erro:', error);
-        ApiResponse.error(res, 'Erro ao consultar pedido', 500);
+        console.error('[CARRINHO] Erro:', error);
+        ApiResponse.error(res, 'Erro ao adicionar item', 500);
     }
 });
 
-app.post('/api/auth/login', authLimiter, async (req, res) => {
+app.patch('/api/carrinho/:token/itens/:sku', loadCarrinho, (req, res) => {
+    try {
+        const { quantidade } = req.body;
+        const repo = new Repository(db);
+
+        const item = repo.getCartItems(req.carrinho.id).find(i => i.sku === req.params.sku);
+        if (!item) return ApiResponse.error(res, 'Item não está no carrinho', 404);
+
+        // Quantidade 0 remove o item
+        if (quantidade === 0) {
+            repo.removeCartItem(req.carrinho.id, item.produto_id);
+        } else {
+            const { error } = validarItemCarrinho(repo, req.params.sku, quantidade);
+            if (error) return ApiResponse.error(res, error, 400);
+            repo.setCartItemQuantity(req.carrinho.id, item.produto_id, quantidade);
+        }
+
+        ApiResponse.success(res, formatCarrinho(req.carrinho, repo.getCartItems(req.carrinho.id)), 'Carrinho atualizado');
+    } catch (error) {
+        console.error('[CARRINHO] Erro:', error);
+        ApiResponse.error(res, 'Erro ao atualizar item', 500);
+    }
+});
+
+app.delete('/api/carrinho/:token/itens/:sku', loadCarrinho, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const item = repo.getCartItems(req.carrinho.id).find(i => i.sku === req.params.sku);
+        if (!item) return ApiResponse.error(res, 'Item não está no carrinho', 404);
+
+        repo.removeCartItem(req.carrinho.id, item.produto_id);
+        ApiResponse.success(res, formatCarrinho(req.carrinho, repo.getCartItems(req.carrinho.id)), 'Item removido');
+    } catch (error) {
+        console.error('[CARRINHO] Erro:', error);
+        ApiResponse.error(res, 'Erro ao remover item', 500);
+    }
+});
+
+app.delete('/api/carrinho/:token', loadCarrinho, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        repo.clearCart(req.carrinho.id);
+        ApiResponse.success(res, formatCarrinho(req.carrinho, []), 'Carrinho esvaziado');
+    } catch (error) {
+        console.error('[CARRINHO] Erro:', error);
+        ApiResponse.error(res, 'Erro ao esvaziar carrinho', 500);
+    }
+});
+
+// ==================== CHECKOUT ====================
+
+/**
+ * Regras de frete grátis da tabela config
+ */
+function configFrete(repo) {
+    return {
+        frete_gratis: repo.getConfig('frete_gratis', 'true') === 'true',
+        frete_gratis_minimo: Number(repo.getConfig('frete_gratis_minimo', '0'))
+    };
+}
+
+/**
+ * Itens do pedido: carrinho inteiro (carrinho_token) ou produto único (sku + quantidade)
+ * @returns {{ carrinho: Object|null, itens: Array<{sku: string, quantidade: number}> }}
+ */
+function itensDaRequisicao(repo, { carrinho_token, sku = SKU_PADRAO, quantidade = 1 }) {
+    if (!carrinho_token) return { carrinho: null, itens: [{ sku, quantidade }] };
+    
+    const carrinho = repo.getCartByToken(carrinho_token);
+    if (!carrinho) throw new Error('Carrinho não encontrado');
+    return { carrinho, itens: itensCarrinho(repo, carrinho) };
+}
+
+/**
+ * Cotação do pedido com o frete do serviço escolhido (sem CEP, apenas os produtos) e o cupom informado
+ * @param {Object} opcoes - { cep, frete_servico, cupom (código), usuario_id (limite de uso por cliente) }
+ * @returns {Object} - Cotação de calcularCotacao +
+ *   envio ({ servico, nome, valor, gratis, prazo_dias_uteis, entrega_prevista } ou null) +
+ *   cupom ({ id, codigo, tipo, descricao, frete_gratis, economia } ou null)
+ */
+function cotarPedido(repo, itens, { cep, frete_servico, cupom: codigoCupom, usuario_id = null } = {}) {
+    const cotacaoItens = calcularCotacao(repo, itens);
+    const cupom = codigoCupom ? validarCupom(repo, codigoCupom, { subtotal: cotacaoItens.subtotal, usuario_id }) : null;
+    const { desconto, frete_gratis } = cupom ? calcularDesconto(cupom, cotacaoItens.subtotal) : { desconto: 0, frete_gratis: false };
+    
+    let envio = null;
+    let freteDispensado = 0;
+    if (cep) {
+        const cotacaoFrete = cotarFrete({ cep, linhas: cotacaoItens.linhas, subtotal: cotacaoItens.subtotal, config: configFrete(repo) });
+        envio = escolherServico(cotacaoFrete, frete_servico || undefined);
+        if (frete_gratis && !envio.gratis) {
+            freteDispensado = envio.valor;
+            envio = { ...envio, valor: 0, gratis: true };
+        }
+    }
+    
+    const cotacao = calcularCotacao(repo, itens, { frete: envio ? envio.valor : 0, desconto });
+    return {
+        ...cotacao,
+        envio,
+        cupom: cupom && {
+            id: cupom.id, codigo: cupom.codigo, tipo: cupom.tipo, descricao: cupom.descricao, frete_gratis,
+            economia: toReais(toCentavos(cotacao.desconto) + toCentavos(freteDispensado))
+        }
+    };
+}
+
+/**
+ * Formato público do cupom aplicado (sem o id interno)
+ */
+function formatCupom(cupom) {
+    if (!cupom) return null;
+    const { id, ...publico } = cupom;
+    return publico;
+}
+
+/**
+ * Cotação do checkout calculada no servidor (mesmos valores cobrados no pedido)
+ * GET /api/checkout/quote?carrinho_token=...  ou  ?sku=...&quantidade=1
+ * Com &cep=...&frete_servico=... o frete entra no total; com &cupom=... o desconto também
+ */
+app.get('/api/checkout/quote', (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const { carrinho_token, sku = SKU_PADRAO, cep, frete_servico, cupom } = req.query;
+        
+        const quantidade = req.query.quantidade !== undefined ? Number(req.query.quantidade) : 1;
+        if (!carrinho_token && !isQuantidadeValida(quantidade)) {
+            return ApiResponse.error(res, `Quantidade deve ser um inteiro entre 1 e ${QUANTIDADE_MAXIMA_ITEM}`, 400);
+        }
+        if (frete_servico && !SERVICOS[frete_servico]) return ApiResponse.error(res, 'Serviço de frete inválido', 400);
+        
+        const { itens } = itensDaRequisicao(repo, { carrinho_token, sku, quantidade });
+        const cotacao = cotarPedido(repo, itens, { cep, frete_servico, cupom });
+        
+        ApiResponse.success(res, { ...formatCotacao(cotacao), envio: cotacao.envio, cupom: formatCupom(cotacao.cupom) });
+    } catch (error) {
+        if (error.message.includes('Carrinho não encontrado')) return ApiResponse.error(res, 'Carrinho não encontrado ou expirado', 404);
+        if (error.message.includes('Produto não encontrado')) return ApiResponse.error(res, 'Produto não encontrado ou indisponível', 404);
+        if (error.message.includes('Estoque insuficiente')) return ApiResponse.error(res, 'Quantidade indisponível em estoque', 400);
+        if (error.message.includes('CEP')) return ApiResponse.error(res, error.message, 400);
+        if (error.message.includes('Cupom')) return ApiResponse.error(res, error.message, 400, [{ field: 'cupom', message: error.message }]);
+        console.error('[QUOTE] Erro:', error);
+        ApiResponse.error(res, 'Erro ao calcular valores', 500);
+    }
+});
+
+// ==================== FRETE ====================
+
+/**
+ * Opções de entrega para o CEP
+ * Body: { cep, carrinho_token } ou { cep, sku, quantidade }
+ */
+app.post('/api/frete/cotacao', (req, res) => {
+    try {
+        const { cep, carrinho_token, sku = SKU_PADRAO, quantidade = 1 } = req.body;
+        if (!cep || String(cep).replace(/\D/g, '').length !== 8) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'cep', message: 'CEP deve ter 8 dígitos' }]);
+        }
+        if (!carrinho_token && !isQuantidadeValida(quantidade)) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'quantidade', message: `Quantidade deve ser um inteiro entre 1 e ${QUANTIDADE_MAXIMA_ITEM}` }]);
+        }
+        
+        const repo = new Repository(db);
+        const { itens } = itensDaRequisicao(repo, { carrinho_token, sku, quantidade });
+        if (itens.length === 0) return ApiResponse.error(res, 'Seu carrinho está vazio', 400);
+        
+        const cotacaoItens = calcularCotacao(repo, itens);
+        const cotacaoFrete = cotarFrete({ cep, linhas: cotacaoItens.linhas, subtotal: cotacaoItens.subtotal, config: configFrete(repo) });
+        
+        ApiResponse.success(res, { ...cotacaoFrete, subtotal: cotacaoItens.subtotal });
+    } catch (error) {
+        if (error.message.includes('Carrinho não encontrado')) return ApiResponse.error(res, 'Carrinho não encontrado ou expirado', 404);
+        if (error.message.includes('Produto não encontrado')) return ApiResponse.error(res, 'Produto não encontrado ou indisponível', 404);
+        if (error.message.includes('Estoque insuficiente')) return ApiResponse.error(res, 'Quantidade indisponível em estoque', 400);
+        if (error.message.includes('CEP')) return ApiResponse.error(res, error.message, 400);
+        console.error('[FRETE] Erro:', error);
+        ApiResponse.error(res, 'Erro ao calcular o frete', 500);
+    }
+});
+
+// ==================== CUPONS ====================
+
+/**
+ * Confere o cupom para o pedido e devolve a cotação com o desconto
+ * Body: { codigo, carrinho_token } ou { codigo, sku, quantidade }; opcionais: cep, frete_servico
+ * O limite por cliente só vale com sessão: aceitar um email qualquer revelaria se ele tem conta
+ * e se já usou o cupom. Para visitantes, o checkout confere o limite dentro da transação
+ */
+app.post('/api/cupons/validar', cupomLimiter, optionalAuth, (req, res) => {
+    try {
+        const { codigo, carrinho_token, sku = SKU_PADRAO, quantidade = 1, cep, frete_servico } = req.body;
+        const errors = [];
+        
+        if (!codigo || typeof codigo !== 'string' || codigo.trim().length === 0 || codigo.length > 40) {
+            errors.push({ field: 'codigo', message: 'Informe o código do cupom' });
+        }
+        if (!carrinho_token && !isQuantidadeValida(quantidade)) {
+            errors.push({ field: 'quantidade', message: `Quantidade deve ser um inteiro entre 1 e ${QUANTIDADE_MAXIMA_ITEM}` });
+        }
+        if (frete_servico && !SERVICOS[frete_servico]) {
+            errors.push({ field: 'frete_servico', message: `Serviço de frete deve ser um de: ${Object.keys(SERVICOS).join(', ')}` });
+        }
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const repo = new Repository(db);
+        const { itens } = itensDaRequisicao(repo, { carrinho_token, sku, quantidade });
+        if (itens.length === 0) return ApiResponse.error(res, 'Seu carrinho está vazio', 400);
+        
+        const cotacao = cotarPedido(repo, itens, { cep, frete_servico, cupom: codigo, usuario_id: req.usuario ? req.usuario.id : null });
+        
+        ApiResponse.success(res, {
+            cupom: formatCupom(cotacao.cupom),
+            cotacao: { ...formatCotacao(cotacao), envio: cotacao.envio }
+        }, 'Cupom aplicado');
+    } catch (error) {
+        if (error.message.includes('Cupom')) return ApiResponse.error(res, error.message, 400, [{ field: 'codigo', message: error.message }]);
+        if (error.message.includes('Carrinho não encontrado')) return ApiResponse.error(res, 'Carrinho não encontrado ou expirado', 404);
+        if (error.message.includes('Produto não encontrado')) return ApiResponse.error(res, 'Produto não encontrado ou indisponível', 404);
+        if (error.message.includes('Estoque insuficiente')) return ApiResponse.error(res, 'Quantidade indisponível em estoque', 400);
+        if (error.message.includes('CEP')) return ApiResponse.error(res, error.message, 400);
+        console.error('[CUPOM] Erro:', error);
+        ApiResponse.error(res, 'Erro ao validar o cupom', 500);
+    }
+});
+
+app.post('/api/checkout', optionalAuth, validateCheckout, async (req, res) => {
+    const startTime = Date.now();
+    const clientInfo = { ip: req.ip, userAgent: req.headers['user-agent'] };
+    
+    try {
+        const { nome, email, cpf, telefone, endereco_id, carrinho_token, quantidade = 1, sku = SKU_PADRAO, frete_servico, cupom } = req.body;
+        
+        const cpfLimpo = normalizarDocumento(cpf);
+        
+        const resultado = withTransaction((repo) => {
+            // Cliente logado compra com a própria conta; visitante é identificado por email/CPF
+            let usuario = req.usuario ? repo.getUserById(req.usuario.id) : repo.getUserByEmail(email.toLowerCase().trim());
+            let usuarioExistente = false;
+            
+            if (req.usuario) {
+                if (!usuario) throw new Error('Sessão inválida');
+                usuarioExistente = true;
+            } else if (usuario) {
+                if (usuario.cpf !== cpfLimpo) throw new Error('Email já cadastrado com outro CPF');
+                usuarioExistente = true;
+            } else {
+                usuario = repo.getUserByCPF(cpfLimpo);
+                if (usuario) throw new Error('CPF já cadastrado com outro email');
+            }
+            
+            if (!usuarioExistente) {
+                const senhaTemp = Math.random().toString(36).slice(-10);
+                const senhaHash = bcrypt.hashSync(senhaTemp, 10);
+                
+                const novoUsuario = repo.createUser({ nome: nome.trim(), email: email.toLowerCase().trim(), cpf: cpfLimpo, senha_hash: senhaHash, telefone });
+                usuario = repo.getUserById(novoUsuario.id);
+            }
+            // O pedido, os itens e o endereço ficam registrados em nome do comprador
+            definirUsuarioAuditoria(usuario.id);
+            
+            // Endereço salvo, endereço idêntico já cadastrado ou um novo (padrão se for o primeiro)
+            let enderecoEntrega;
+            if (endereco_id) {
+                enderecoEntrega = repo.getAddressById(Number(endereco_id), usuario.id);
+                if (!enderecoEntrega) throw new Error('Endereço não encontrado');
+            } else {
+                const dadosEndereco = normalizarEndereco(req.body);
+                enderecoEntrega = repo.findAddress(usuario.id, dadosEndereco);
+                if (!enderecoEntrega) {
+                    const novoEndereco = repo.createAddress({
+                        ...dadosEndereco, usuario_id: usuario.id, tipo: 'entrega',
+                        padrao: repo.getDefaultAddress(usuario.id) ? 0 : 1
+                    });
+                    enderecoEntrega = repo.getAddressById(novoEndereco.id, usuario.id);
+                }
+            }
+            
+            // Itens do pedido: carrinho inteiro ou produto único (fluxo legado)
+            // Valores sempre calculados no servidor a partir de produtos.preco_unitario e da tabela de frete
+            const { carrinho, itens } = itensDaRequisicao(repo, { carrinho_token, sku, quantidade });
+            if (itens.length === 0) throw new Error('Carrinho vazio');
+            
+            // Cupom validado na mesma transação que registra o uso (limites não estouram com pedidos simultâneos)
+            const cotacao = cotarPedido(repo, itens, { cep: enderecoEntrega.cep, frete_servico, cupom, usuario_id: usuario.id });
+            const { linhas, subtotal, frete, desconto, total, envio } = cotacao;
+            
+            const pedido = repo.createOrder({
+                usuario_id: usuario.id, endereco_id: enderecoEntrega.id,
+                subtotal, frete, desconto, total, metodo_pagamento: 'pix', observacoes_cliente: null,
+                frete_servico: envio.servico, entrega_prevista: envio.entrega_prevista
+            });
+            
+            linhas.forEach(({ produto, quantidade, preco_unitario }) => {
+                repo.addOrderItem({
+                    pedido_id: pedido.id, produto_id: produto.id, sku: produto.sku,
+                    nome: produto.nome, quantidade, preco_unitario, variacao: null
+                });
+                
+                // Estoque fica reservado até o pagamento; a baixa definitiva acontece no webhook
+                repo.reserveStock(pedido.id, produto.id, quantidade);
+            });
+            
+            if (cotacao.cupom) {
+                repo.recordCouponUse({
+                    cupom_id: cotacao.cupom.id, pedido_id: pedido.id, usuario_id: usuario.id, valor_desconto: cotacao.cupom.economia
+                });
+            }
+            
+            if (carrinho) repo.markCartConverted(carrinho.id, pedido.id, usuario.id);
+            
+            // Link de pagamento (e, depois dele, os emails) entregue pela outbox
+            const linkEventoId = repo.enqueueOutbox('pagamento.link', {
+                pedido_id: pedido.id, usuario_novo: !usuarioExistente,
+                ip_address: clientInfo.ip, user_agent: clientInfo.userAgent
+            }, { pedido_id: pedido.id });
+            
+            return { pedido, linkEventoId };
+        });
+        
+        const duration = Date.now() - startTime;
+        console.log(`[CHECKOUT] ✅ Pedido ${resultado.pedido.numero_pedido} criado em ${duration}ms`);
+        
+        // Primeira tentativa na hora; se o provedor falhar, a outbox tenta de novo e o link chega por email
+        const link = await outbox.processarEvento(resultado.linkEventoId);
+        if (link.status !== 'concluido' || !link.resultado.url) {
+            console.error(`[PAGAMENTO] ⚠️ Link do pedido ${resultado.pedido.numero_pedido} não gerado agora (${paymentProvider.nome}): ${link.erro || link.status}`);
+            return ApiResponse.success(res, {
+                numero_pedido: resultado.pedido.numero_pedido,
+                checkout_url: null
+            }, 'Pedido recebido! Enviaremos o link de pagamento para o seu email.', 202);
+        }
+
+        ApiResponse.success(res, {
+            numero_pedido: resultado.pedido.numero_pedido,
+            checkout_url: link.resultado.url
+        }, 'Redirecionando para pagamento...', 201);
+
+    } catch (error) {
+        console.error('[CHECKOUT] ❌ Erro:', error.message);
+        if (error.message.includes('Email já cadastrado')) return ApiResponse.error(res, 'Este email já está cadastrado com outro CPF', 400);
+        if (error.message.includes('CPF já cadastrado')) return ApiResponse.error(res, 'Este CPF já está cadastrado com outro email', 400);
+        if (error.message.includes('Endereço não encontrado')) return ApiResponse.error(res, 'Endereço não encontrado', 404);
+        if (error.message.includes('Sessão inválida')) return ApiResponse.error(res, 'Sessão inválida ou expirada', 401);
+        if (error.message.includes('Carrinho não encontrado')) return ApiResponse.error(res, 'Carrinho não encontrado ou expirado', 404);
+        if (error.message.includes('Carrinho vazio')) return ApiResponse.error(res, 'Seu carrinho está vazio', 400);
+        if (error.message.includes('Produto não encontrado')) return ApiResponse.error(res, 'Produto não encontrado ou indisponível', 404);
+        if (error.message.includes('Estoque insuficiente')) return ApiResponse.error(res, 'Produto temporariamente indisponível', 400);
+        if (error.message.includes('CEP')) return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'cep', message: error.message }]);
+        if (error.message.includes('Cupom')) return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'cupom', message: error.message }]);
+        if (error.code === 'SQLITE_BUSY') return ApiResponse.error(res, 'Muitos pedidos ao mesmo tempo. Tente novamente em instantes.', 503);
+        
+        ApiResponse.error(res, 'Erro ao processar pedido. Tente novamente.', 500);
+    }
+});
+
+// ==================== PEDIDOS E AUTENTICAÇÃO ====================
+
+/**
+ * Dados de envio do pedido com o link de rastreio da transportadora
+ */
+function dadosRastreio(pedido) {
+    return {
+        transportadora: pedido.transportadora,
+        codigo_rastreio: pedido.codigo_rastreio,
+        url: urlRastreio(pedido.transportadora, pedido.codigo_rastreio),
+        envio_data: pedido.envio_data,
+        entrega_prevista: pedido.entrega_prevista,
+        entrega_realizada: pedido.entrega_realizada
+    };
+}
+
+/**
+ * Etapas do pedido em ordem cronológica, da criação ao status atual
+ * (sem as observações do histórico, que são internas)
+ */
+function linhaDoTempo(pedido, historico) {
+    return [
+        { status: 'pendente', data: pedido.criado_em },
+        ...historico.slice().reverse().map(({ status_novo, criado_em }) => ({ status: status_novo, data: criado_em }))
+    ];
+}
+
+/**
+ * Chave de consulta do pedido: HMAC do número com PEDIDO_LINK_SECRET (não fica gravada no banco)
+ */
+function chavePedido(numeroPedido) {
+    return crypto.createHmac('sha256', PEDIDO_LINK_SECRET).update(`pedido:${numeroPedido}`).digest('base64url').slice(0, 22);
+}
+
+function linkRastreioPedido(numeroPedido) {
+    const params = new URLSearchParams({ pedido: numeroPedido, chave: chavePedido(numeroPedido) });
+    return `${process.env.BASE_URL || 'http://localhost:3000'}/rastreio?${params}`;
+}
+
+function compararSegredo(recebido, esperado) {
+    const a = Buffer.from(String(recebido || ''));
+    const b = Buffer.from(String(esperado));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Quem pode consultar o pedido: o dono (sessão), quem tem a chave do link ou quem confirma o email da compra
+ */
+function podeConsultarPedido(req, pedido) {
+    if (req.usuario && req.usuario.id === pedido.usuario_id) return true;
+    if (req.query.chave) return compararSegredo(req.query.chave, chavePedido(pedido.numero_pedido));
+    if (req.query.email) return compararSegredo(String(req.query.email).trim().toLowerCase(), pedido.cliente_email.toLowerCase());
+    return false;
+}
+
+/**
+ * Formato público do pedido: sem dados internos (observações, ids, pagamento) e com o mínimo do cliente
+ */
+function formatPedidoPublico(pedido, itens, historico) {
+    return {
+        numero_pedido: pedido.numero_pedido,
+        status: pedido.status,
+        pagamento_status: pedido.pagamento_status,
+        criado_em: pedido.criado_em,
+        cliente: { primeiro_nome: (pedido.cliente_nome || '').split(' ')[0] },
+        entrega: { cidade: pedido.cidade, estado: pedido.estado },
+        subtotal: pedido.subtotal,
+        frete: pedido.frete,
+        desconto: pedido.desconto,
+        total: pedido.total,
+        frete_servico: pedido.frete_servico,
+        itens: itens.map(({ sku, nome, quantidade, preco_unitario, subtotal }) => ({ sku, nome, quantidade, preco_unitario, subtotal })),
+        rastreio: dadosRastreio(pedido),
+        linha_do_tempo: linhaDoTempo(pedido, historico)
+    };
+}
+
+/**
+ * Consulta pública do pedido (página de rastreio)
+ * Exige sessão do dono, ?chave= (link dos emails) ou ?email= da compra.
+ * Pedido inexistente e credencial errada têm a mesma resposta (404), para não revelar quais números existem.
+ */
+app.get('/api/pedidos/:numero', consultaPedidoLimiter, optionalAuth, (req, res) => {
+    try {
+        if (!req.usuario && !req.query.chave && !req.query.email) {
+            return ApiResponse.error(res, 'Informe o email usado na compra ou acesse pelo link enviado por email', 401);
+        }
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(String(req.params.numero).toUpperCase());
+        if (!pedido || !podeConsultarPedido(req, pedido)) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        ApiResponse.success(res, formatPedidoPublico(pedido, repo.getOrderItems(pedido.id), repo.getOrderHistory(pedido.id)));
+    } catch (error) {
+        console.error('[PEDIDO] Erro:', error);
+        ApiResponse.error(res, 'Erro ao consultar pedido', 500);
+    }
+});
+
+app.post('/api/auth/login', authLimiter, async (req, res) => {
     try {
         const { email, senha } = req.body;
         if (!email || !senha) return ApiResponse.error(res, 'Email e senha são obrigatórios', 400);
         
         const repo = new Repository(db);
-        const usuario = repo.getUserByEmail(email);
+        const usuario = repo.getUserByEmail(email);
+        
+        if (!usuario) return ApiResponse.error(res, 'Email ou senha incorretos', 401);
+        if (usuario.status === 'bloqueado') return ApiResponse.error(res, 'Conta bloqueada. Entre em contato com o suporte.', 403);
+        if (usuario.deletado_em) return ApiResponse.error(res, 'Conta não encontrada', 401);
+        
+        const senhaValida = await bcrypt.compare(senha, usuario.senha_hash);
+        
+        if (!senhaValida) {
+            repo.incrementLoginAttempts(usuario.id);
+            if (usuario.tentativas_login >= 4) {
+                db.prepare("UPDATE usuarios SET status = 'bloqueado' WHERE id = ?").run(usuario.id);
+                return ApiResponse.error(res, 'Conta bloqueada por múltiplas tentativas incorretas', 403);
+            }
+            return ApiResponse.error(res, 'Email ou senha incorretos', 401);
+        }
+        
+        const sessao = withTransaction((txRepo) => {
+            txRepo.updateUserLogin(usuario.id);
+            const novaSessao = txRepo.createSession(usuario.id, { ip_address: req.ip, user_agent: req.headers['user-agent'] });
+            txRepo.logAudit({
+                tabela: 'usuarios', registro_id: usuario.id, acao: 'LOGIN', usuario_id: usuario.id,
+                ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: '/api/auth/login', metodo_http: 'POST'
+            });
+            return novaSessao;
+        });
+        
+        ApiResponse.success(res, {
+            usuario: { id: usuario.uuid, nome: usuario.nome, email: usuario.email, ultimo_login: new Date().toISOString() },
+            ...formatSessao(sessao)
+        }, 'Login realizado com sucesso');
+    } catch (error) {
+        console.error('[LOGIN] Erro:', error);
+        ApiResponse.error(res, 'Erro ao realizar login', 500);
+    }
+});
+
+const SENHA_TAMANHO_MINIMO = 8;
+
+// Sempre responde com a mesma mensagem para não revelar quais emails têm conta
+app.post('/api/auth/esqueci-senha', senhaLimiter, async (req, res) => {
+    const mensagem = 'Se o email estiver cadastrado, você receberá um link para redefinir a senha.';
+    try {
+        const { email } = req.body;
+        if (!email || !Validators.email(email)) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'email', message: 'Email inválido' }]);
+        }
+        
+        const repo = new Repository(db);
+        const usuario = repo.getUserByEmail(email.trim().toLowerCase());
+        if (!usuario) return ApiResponse.success(res, null, mensagem);
+        
+        const eventoId = withTransaction((txRepo) => {
+            const token = txRepo.createPasswordReset(usuario.id, req.ip);
+            txRepo.logAudit({
+                tabela: 'password_resets', registro_id: usuario.id, acao: 'INSERT', usuario_id: usuario.id,
+                ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: '/api/auth/esqueci-senha', metodo_http: 'POST'
+            });
+            
+            const email = emailTemplates.renderEmail('redefinicao_senha', {
+                nome: usuario.nome,
+                link: `${process.env.BASE_URL || 'http://localhost:3000'}/redefinir-senha?token=${token}`,
+                validadeMinutos: parseInt(process.env.RESET_SENHA_TTL_MINUTOS, 10) || 60
+            });
+            return txRepo.enqueueOutbox('email', { para: usuario.email, ...email });
+        });
+        outbox.dispararEventos([eventoId]);
+        
+        console.log(`[AUTH] ✅ Link de redefinição de senha gerado para usuário ${usuario.id}`);
+        ApiResponse.success(res, null, mensagem);
+    } catch (error) {
+        console.error('[AUTH] Erro em esqueci-senha:', error);
+        ApiResponse.error(res, 'Erro ao solicitar redefinição de senha', 500);
+    }
+});
+
+app.post('/api/auth/redefinir-senha', senhaLimiter, async (req, res) => {
+    try {
+        const { token, senha } = req.body;
+        if (!token) return ApiResponse.error(res, 'Token é obrigatório', 400);
+        if (!senha || senha.length < SENHA_TAMANHO_MINIMO) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'senha', message: `Senha deve ter pelo menos ${SENHA_TAMANHO_MINIMO} caracteres` }]);
+        }
+        
+        const reset = new Repository(db).getValidPasswordReset(token);
+        if (!reset) return ApiResponse.error(res, 'Link inválido ou expirado. Solicite um novo.', 400);
+        
+        const senhaHash = await bcrypt.hash(senha, 10);
+        
+        const sessoesEncerradas = withTransaction((repo) => {
+            // Uso único: se outra requisição consumiu o token no meio tempo, nada é alterado
+            if (!repo.markPasswordResetUsed(reset.id)) throw new Error('Token já utilizado');
+            
+            definirUsuarioAuditoria(reset.usuario_id);
+            repo.updateUserPassword(reset.usuario_id, senhaHash);
+            return repo.endUserSessions(reset.usuario_id, 'troca_senha');
+        });
+        
+        console.log(`[AUTH] ✅ Senha redefinida para usuário ${reset.usuario_id} (${sessoesEncerradas} sessão(ões) encerrada(s))`);
+        ApiResponse.success(res, null, 'Senha redefinida com sucesso. Faça login com a nova senha.');
+    } catch (error) {
+        console.error('[AUTH] Erro em redefinir-senha:', error.message);
+        if (error.message.includes('Token já utilizado')) return ApiResponse.error(res, 'Link inválido ou expirado. Solicite um novo.', 400);
+        ApiResponse.error(res, 'Erro ao redefinir senha', 500);
+    }
+});
+
+app.post('/api/auth/refresh', (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+        if (!refresh_token) return ApiResponse.error(res, 'refresh_token é obrigatório', 400);
+        
+        const sessao = new Repository(db).refreshSession(refresh_token);
+        if (!sessao) return ApiResponse.error(res, 'Sessão inválida ou expirada', 401);
+        
+        ApiResponse.success(res, formatSessao(sessao), 'Sessão renovada');
+    } catch (error) {
+        console.error('[AUTH] Erro ao renovar sessão:', error);
+        ApiResponse.error(res, 'Erro ao renovar sessão', 500);
+    }
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        repo.endSession(req.sessao.id, 'logout');
+        repo.logAudit({
+            tabela: 'sessoes', registro_id: req.sessao.id, acao: 'LOGOUT', usuario_id: req.usuario.id,
+            ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: '/api/auth/logout', metodo_http: 'POST'
+        });
+        ApiResponse.success(res, null, 'Logout realizado com sucesso');
+    } catch (error) {
+        console.error('[AUTH] Erro no logout:', error);
+        ApiResponse.error(res, 'Erro ao realizar logout', 500);
+    }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    ApiResponse.success(res, {
+        usuario: { id: req.usuario.uuid, nome: req.usuario.nome, email: req.usuario.email },
+        sessao: { id: req.sessao.id, expira_em: req.sessao.expira_em, refresh_expira_em: req.sessao.refresh_expira_em }
+    });
+});
+
+app.get('/api/auth/sessoes', requireAuth, (req, res) => {
+    try {
+        const sessoes = new Repository(db).getSessionsByUser(req.usuario.id)
+            .map(sessao => ({ ...sessao, atual: sessao.id === req.sessao.id }));
+        ApiResponse.success(res, sessoes);
+    } catch (error) {
+        console.error('[AUTH] Erro ao listar sessões:', error);
+        ApiResponse.error(res, 'Erro ao listar sessões', 500);
+    }
+});
+
+// Revoga uma sessão do próprio usuário (ex.: "sair deste dispositivo")
+app.delete('/api/auth/sessoes/:id', requireAuth, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const revogada = repo.endSession(Number(req.params.id), 'revogado', req.usuario.id);
+        if (!revogada) return ApiResponse.error(res, 'Sessão não encontrada', 404);
+        
+        repo.logAudit({
+            tabela: 'sessoes', registro_id: Number(req.params.id), acao: 'UPDATE', usuario_id: req.usuario.id,
+            dados_novos: { ativo: 0, motivo_encerramento: 'revogado' },
+            ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: req.originalUrl, metodo_http: 'DELETE'
+        });
+        ApiResponse.success(res, null, 'Sessão encerrada');
+    } catch (error) {
+        console.error('[AUTH] Erro ao revogar sessão:', error);
+        ApiResponse.error(res, 'Erro ao encerrar sessão', 500);
+    }
+});
+
+// Encerra todas as outras sessões do usuário
+app.delete('/api/auth/sessoes', requireAuth, (req, res) => {
+    try {
+        const encerradas = new Repository(db).endUserSessions(req.usuario.id, 'revogado', req.sessao.id);
+        ApiResponse.success(res, { encerradas }, 'Outras sessões encerradas');
+    } catch (error) {
+        console.error('[AUTH] Erro ao revogar sessões:', error);
+        ApiResponse.error(res, 'Erro ao encerrar sessões', 500);
+    }
+});
+
+// ==================== CANCELAMENTOS E REEMBOLSOS ====================
+
+const STATUS_REEMBOLSO = ['solicitado', 'recusado', 'processando', 'concluido', 'manual'];
+const MOTIVO_MAX = 500;
+
+function normalizarMotivo(motivo) {
+    return typeof motivo === 'string' ? motivo.trim() : '';
+}
+
+/**
+ * Valida o formato de { itens: [{ sku, quantidade }], incluir_frete } (quantidades e saldo são checados por calcularReembolso)
+ */
+function validarSolicitacaoReembolso({ itens, incluir_frete }) {
+    const errors = [];
+    const itemInvalido = item => !item || typeof item.sku !== 'string' || !Number.isInteger(item.quantidade) || item.quantidade < 1;
+    if (itens !== undefined && (!Array.isArray(itens) || itens.length === 0 || itens.some(itemInvalido))) {
+        errors.push({ field: 'itens', message: 'Itens devem ser uma lista de { sku, quantidade } com quantidade inteira maior que zero' });
+    }
+    if (incluir_frete !== undefined && typeof incluir_frete !== 'boolean') {
+        errors.push({ field: 'incluir_frete', message: 'incluir_frete deve ser true ou false' });
+    }
+    return errors;
+}
+
+/**
+ * Reembolso com as linhas (formato de repo.getRefundsByOrder); o painel recebe também os dados de estoque e do provedor
+ */
+function formatReembolso(reembolso, { admin = false } = {}) {
+    const dados = {
+        id: reembolso.id,
+        status: reembolso.status,
+        valor: reembolso.valor,
+        valor_frete: reembolso.valor_frete,
+        motivo: reembolso.motivo,
+        resposta: reembolso.resposta,
+        criado_em: reembolso.criado_em,
+        processado_em: reembolso.processado_em,
+        itens: reembolso.itens.map(({ sku, nome, quantidade, valor }) => ({ sku, nome, quantidade, valor }))
+    };
+    if (!admin) return dados;
+    
+    return {
+        ...dados,
+        origem: reembolso.origem,
+        repor_estoque: reembolso.repor_estoque === 1,
+        estoque_reposto: reembolso.estoque_reposto === 1,
+        provedor: reembolso.provedor,
+        provedor_reembolso_id: reembolso.provedor_reembolso_id,
+        solicitado_por: reembolso.solicitado_por,
+        analisado_por: reembolso.analisado_por
+    };
+}
+
+/**
+ * Soma, em centavos, dos reembolsos do pedido com um dos status
+ */
+function valorReembolsado(repo, pedidoId, status) {
+    return repo.getRefundsByOrder(pedidoId)
+        .filter(reembolso => status.includes(reembolso.status))
+        .reduce((soma, reembolso) => soma + toCentavos(reembolso.valor), 0);
+}
+
+/**
+ * O que o cliente pode fazer com o pedido em Minha Conta
+ */
+function acoesPedidoCliente(repo, pedido) {
+    const reembolsos = repo.getRefundsByOrder(pedido.id);
+    const prazo = prazoReembolso(pedido);
+    return {
+        pode_cancelar: STATUS_CANCELAVEIS.includes(pedido.status),
+        pode_solicitar_reembolso: clientePodeSolicitar(pedido) && !reembolsos.some(r => r.status === 'solicitado'),
+        prazo_reembolso: prazo ? prazo.toISOString() : null,
+        reembolsos: reembolsos.map(reembolso => formatReembolso(reembolso))
+    };
+}
+
+/**
+ * Efetiva, na transação do chamador, um reembolso 'processando': devolve o estoque, fecha o pedido
+ * quitado por inteiro (cancelado antes do envio, reembolsado depois) e enfileira o estorno no provedor
+ * @returns {{ estornoId: number, emails: Array<number> }}
+ */
+function efetivarReembolso(repo, reembolsoId, usuarioId, contexto) {
+    const reembolso = repo.getRefundById(reembolsoId);
+    const pedido = repo.getOrderById(reembolso.pedido_id);
+    repo.restockRefund(reembolsoId);
+    
+    const emails = [];
+    if (valorReembolsado(repo, pedido.id, ['processando', 'concluido', 'manual']) >= toCentavos(pedido.total)) {
+        const novoStatus = STATUS_ENVIADOS.includes(pedido.status) ? 'reembolsado' : 'cancelado';
+        repo.updateOrderStatus(pedido.id, novoStatus, reembolso.motivo, usuarioId, contexto);
+        const emailId = enfileirarEmailStatus(repo, pedido.id, novoStatus);
+        if (emailId) emails.push(emailId);
+    }
+    
+    const estornoId = repo.enqueueOutbox('pagamento.reembolso', { reembolso_id: reembolsoId }, { pedido_id: pedido.id });
+    return { estornoId, emails };
+}
+
+/**
+ * Pagamento aprovado de um pedido já cancelado (ex.: prazo de pagamento vencido antes da notificação chegar),
+ * na transação do chamador: registra o pagamento, estorna o valor inteiro sem repor estoque (as reservas
+ * já foram liberadas no cancelamento) e avisa o administrador
+ * @returns {{ estornoId: number, emails: Array<number> }}
+ */
+function estornarPagamentoAposCancelamento(repo, pedido, { transaction_nsu, metodo_pagamento }) {
+    repo.registerPayment(pedido.id, { status: 'aprovado', transacao_id: transaction_nsu, metodo_pagamento });
+    
+    const calculo = calcularReembolso(pedido, repo.getOrderItems(pedido.id), repo.getRefundTotals(pedido.id));
+    const { id } = repo.createRefund({
+        pedido_id: pedido.id, origem: 'admin', valor: calculo.valor, valor_frete: calculo.valor_frete,
+        motivo: 'Pagamento aprovado depois do cancelamento do pedido', repor_estoque: false, linhas: calculo.linhas
+    });
+    const estornoId = repo.enqueueOutbox('pagamento.reembolso', { reembolso_id: id }, { pedido_id: pedido.id });
+    return { estornoId, emails: enfileirarEmailsReembolso(repo, id, { admin: 'pago_apos_cancelamento' }) };
+}
+
+/**
+ * Cancela, na transação do chamador, um pedido ainda não enviado; pedido pago recebe o reembolso total do que resta
+ * @returns {{ reembolsoId: number|null, estornoId: number|null, emails: Array<number> }}
+ */
+function cancelarPedido(repo, pedidoId, { origem, motivo, usuarioId, contexto }) {
+    const pedido = repo.getOrderById(pedidoId);
+    if (!STATUS_CANCELAVEIS.includes(pedido.status)) {
+        throw new Error(`Pedido com status ${pedido.status} não pode ser cancelado`);
+    }
+    
+    if (STATUS_NAO_PAGOS.includes(pedido.status)) {
+        repo.updateOrderStatus(pedido.id, 'cancelado', motivo, usuarioId, contexto);
+        return { reembolsoId: null, estornoId: null, emails: [enfileirarEmailStatus(repo, pedido.id, 'cancelado')] };
+    }
+    
+    const calculo = calcularReembolso(pedido, repo.getOrderItems(pedido.id), repo.getRefundTotals(pedido.id));
+    const { id } = repo.createRefund({
+        pedido_id: pedido.id, origem, valor: calculo.valor, valor_frete: calculo.valor_frete, motivo,
+        solicitado_por: usuarioId, analisado_por: origem === 'admin' ? usuarioId : null, linhas: calculo.linhas
+    });
+    return { reembolsoId: id, ...efetivarReembolso(repo, id, usuarioId, contexto) };
+}
+
+/**
+ * Dispara os emails e faz a primeira tentativa de estorno na hora (se falhar, a outbox tenta de novo)
+ */
+async function processarEstorno({ estornoId, emails }) {
+    outbox.dispararEventos(emails);
+    if (!estornoId) return null;
+    
+    const estorno = await outbox.processarEvento(estornoId);
+    if (estorno.status !== 'concluido') {
+        console.error(`[REEMBOLSO] ⚠️ Estorno não concluído agora (${paymentProvider.nome}): ${estorno.erro || estorno.status}`);
+    }
+    return estorno;
+}
+
+function responderErroReembolso(res, error, mensagem) {
+    if (error.message.includes('Reembolso inválido')) return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'itens', message: error.message }]);
+    if (error.message.includes('não pode ser cancelado') || error.message.includes('não pode ser reembolsado')) return ApiResponse.error(res, error.message, 409);
+    if (error.message.includes('Reembolso já solicitado') || error.message.includes('não está aguardando análise')) return ApiResponse.error(res, error.message, 409);
+    if (error.message.includes('Transição de status inválida')) return ApiResponse.error(res, error.message, 409);
+    ApiResponse.error(res, mensagem, 500);
+}
+
+/**
+ * Resposta dos endpoints que efetivam um reembolso: 201 com o estorno concluído
+ * ou pendente de ação manual, 202 enquanto a outbox ainda tenta o provedor
+ */
+function responderReembolso(res, repo, pedidoId, reembolsoId) {
+    const pedido = repo.getOrderById(pedidoId);
+    const reembolso = repo.getRefundsByOrder(pedidoId).find(r => r.id === reembolsoId);
+    const mensagens = {
+        concluido: 'Reembolso estornado',
+        manual: 'Reembolso registrado: estorne o valor pelo painel do provedor de pagamento',
+        processando: 'Reembolso registrado; o estorno será tentado novamente'
+    };
+    ApiResponse.success(res, {
+        numero_pedido: pedido.numero_pedido,
+        status: pedido.status,
+        pagamento_status: pedido.pagamento_status,
+        reembolso: formatReembolso(reembolso, { admin: true })
+    }, mensagens[reembolso.status], reembolso.status === 'processando' ? 202 : 201);
+}
+
+// ==================== LGPD ====================
+
+/**
+ * Responde com a exportação dos dados do titular (JSON para download); a exportação
+ * fica registrada antes, para já aparecer nela
+ */
+function enviarDadosTitular(req, res, usuarioId) {
+    const repo = new Repository(db);
+    // Id inexistente não deixa rastro de exportação na auditoria
+    if (!repo.getUserById(usuarioId, true)) throw new Error('Usuário não encontrado');
+    
+    repo.logAudit({
+        tabela: 'usuarios', registro_id: usuarioId, acao: 'SELECT', usuario_id: req.usuario.id, dados_novos: { lgpd: 'exportacao' },
+        ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: req.originalUrl, metodo_http: 'GET'
+    });
+    
+    const dados = repo.exportUserData(usuarioId);
+    res.setHeader('Content-Disposition', `attachment; filename="dados-${dados.usuario.uuid}.json"`);
+    ApiResponse.success(res, { gerado_em: new Date().toISOString(), ...dados, auditoria: dados.auditoria.map(formatAuditLog) });
+}
+
+/**
+ * Anonimiza o titular e registra a anonimização com os ids de audit_logs alterados: é esse
+ * registro que aceita os hashes que deixaram de conferir (verificarCadeia, em auditoria.js).
+ * O registro não guarda IP nem user agent: se fosse reescrito por uma anonimização futura
+ * (a do administrador que o gravou), deixaria de valer para a cadeia.
+ */
+function anonimizarTitular(req, usuarioId, { origem, motivo = null }) {
+    return withTransaction((txRepo) => {
+        const resultado = txRepo.anonymizeUser(usuarioId);
+        txRepo.logAudit({
+            tabela: 'usuarios', registro_id: usuarioId, acao: 'UPDATE', usuario_id: req.usuario.id,
+            dados_novos: { lgpd: 'anonimizacao', origem, motivo, ...resultado },
+            ip_address: null, user_agent: null, endpoint: req.originalUrl, metodo_http: 'POST'
+        });
+        return resultado;
+    });
+}
+
+function responderErroLgpd(res, error, mensagem) {
+    if (error.message.includes('Usuário não encontrado')) return ApiResponse.error(res, 'Usuário não encontrado', 404);
+    if (error.message.includes('já anonimizado')) return ApiResponse.error(res, 'Os dados deste usuário já foram anonimizados', 409);
+    if (error.message.includes('Pedidos em andamento')) {
+        return ApiResponse.error(res, `${error.message}. Aguarde a entrega ou o cancelamento para anonimizar os dados.`, 409);
+    }
+    ApiResponse.error(res, mensagem, 500);
+}
+
+// ==================== MINHA CONTA ====================
+
+function formatEndereco(endereco) {
+    return {
+        id: endereco.id,
+        cep: endereco.cep,
+        logradouro: endereco.logradouro,
+        numero: endereco.numero,
+        complemento: endereco.complemento,
+        bairro: endereco.bairro,
+        cidade: endereco.cidade,
+        estado: endereco.estado,
+        padrao: endereco.padrao === 1
+    };
+}
+
+app.get('/api/conta', requireAuth, (req, res) => {
+    try {
+        const usuario = new Repository(db).getUserById(req.usuario.id);
+        ApiResponse.success(res, {
+            id: usuario.uuid, nome: usuario.nome, email: usuario.email, cpf: usuario.cpf,
+            telefone: usuario.telefone, criado_em: usuario.criado_em
+        });
+    } catch (error) {
+        console.error('[CONTA] Erro:', error);
+        ApiResponse.error(res, 'Erro ao carregar conta', 500);
+    }
+});
+
+app.get('/api/conta/pedidos', requireAuth, (req, res) => {
+    try {
+        const pagina = req.query.pagina !== undefined ? Number(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? Number(req.query.limite) : 10;
+        if (!Number.isInteger(pagina) || pagina < 1 || !Number.isInteger(limite) || limite < 1 || limite > 50) {
+            return ApiResponse.error(res, 'Parâmetros de paginação inválidos', 400);
+        }
+        
+        const repo = new Repository(db);
+        const { pedidos, total } = repo.getOrdersByUser(req.usuario.id, { pagina, limite });
+        
+        ApiResponse.success(res, {
+            pedidos: pedidos.map(({ id, ...pedido }) => ({
+                ...pedido,
+                itens: repo.getOrderItems(id).map(({ sku, nome, quantidade, preco_unitario, subtotal }) => ({ sku, nome, quantidade, preco_unitario, subtotal })),
+                ...acoesPedidoCliente(repo, { id, ...pedido })
+            })),
+            paginacao: { pagina, limite, total, paginas: Math.ceil(total / limite) }
+        });
+    } catch (error) {
+        console.error('[CONTA] Erro ao listar pedidos:', error);
+        ApiResponse.error(res, 'Erro ao listar pedidos', 500);
+    }
+});
+
+app.get('/api/conta/pedidos/:numero', requireAuth, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido || pedido.usuario_id !== req.usuario.id) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        ApiResponse.success(res, {
+            numero_pedido: pedido.numero_pedido,
+            status: pedido.status,
+            pagamento_status: pedido.pagamento_status,
+            subtotal: pedido.subtotal,
+            frete: pedido.frete,
+            desconto: pedido.desconto,
+            total: pedido.total,
+            frete_servico: pedido.frete_servico,
+            codigo_rastreio: pedido.codigo_rastreio,
+            entrega_prevista: pedido.entrega_prevista,
+            criado_em: pedido.criado_em,
+            endereco: {
+                cep: pedido.cep, logradouro: pedido.logradouro, numero: pedido.numero, complemento: pedido.complemento,
+                bairro: pedido.bairro, cidade: pedido.cidade, estado: pedido.estado
+            },
+            itens: repo.getOrderItems(pedido.id).map(({ sku, nome, quantidade, preco_unitario, subtotal }) => ({ sku, nome, quantidade, preco_unitario, subtotal })),
+            historico: repo.getOrderHistory(pedido.id).map(({ status_anterior, status_novo, criado_em }) => ({ status_anterior, status_novo, criado_em })),
+            ...acoesPedidoCliente(repo, pedido)
+        });
+    } catch (error) {
+        console.error('[CONTA] Erro ao consultar pedido:', error);
+        ApiResponse.error(res, 'Erro ao consultar pedido', 500);
+    }
+});
+
+// Cancelamento pelo cliente antes do envio (pedido pago: reembolso total automático)
+app.post('/api/conta/pedidos/:numero/cancelamento', requireAuth, async (req, res) => {
+    try {
+        const motivo = normalizarMotivo(req.body.motivo);
+        if (motivo.length > MOTIVO_MAX) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'motivo', message: `Motivo deve ter no máximo ${MOTIVO_MAX} caracteres` }]);
+        }
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido || pedido.usuario_id !== req.usuario.id) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        const contexto = { ip_address: req.ip, user_agent: req.headers['user-agent'] };
+        const resultado = withTransaction(txRepo => cancelarPedido(txRepo, pedido.id, {
+            origem: 'cliente', motivo: motivo || 'Cancelado pelo cliente', usuarioId: req.usuario.id, contexto
+        }));
+        await processarEstorno(resultado);
+        
+        console.log(`[CONTA] ❌ Pedido ${pedido.numero_pedido} cancelado pelo cliente`);
+        ApiResponse.success(res, {
+            numero_pedido: pedido.numero_pedido,
+            status: 'cancelado',
+            reembolso: resultado.reembolsoId ? formatReembolso(repo.getRefundsByOrder(pedido.id).find(r => r.id === resultado.reembolsoId)) : null
+        }, resultado.reembolsoId ? 'Pedido cancelado. O valor pago será estornado.' : 'Pedido cancelado');
+    } catch (error) {
+        console.error('[CONTA] Erro ao cancelar pedido:', error.message);
+        responderErroReembolso(res, error, 'Erro ao cancelar pedido');
+    }
+});
+
+// Pedido de reembolso do cliente (pedido enviado ou entregue há até REEMBOLSO_PRAZO_DIAS); fica aguardando análise
+app.post('/api/conta/pedidos/:numero/reembolso', requireAuth, (req, res) => {
+    try {
+        const motivo = normalizarMotivo(req.body.motivo);
+        const errors = validarSolicitacaoReembolso({ itens: req.body.itens });
+        if (motivo.length < 3 || motivo.length > MOTIVO_MAX) {
+            errors.push({ field: 'motivo', message: `Conte o motivo do reembolso (3 a ${MOTIVO_MAX} caracteres)` });
+        }
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido || pedido.usuario_id !== req.usuario.id) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        if (STATUS_CANCELAVEIS.includes(pedido.status)) {
+            return ApiResponse.error(res, 'Pedido ainda não foi enviado: cancele o pedido para receber o reembolso', 409);
+        }
+        if (!clientePodeSolicitar(pedido)) {
+            return ApiResponse.error(res, STATUS_ENVIADOS.includes(pedido.status)
+                ? `O prazo para pedir reembolso (${REEMBOLSO_PRAZO_DIAS} dias após a entrega) terminou`
+                : `Pedido com status ${pedido.status} não pode ser reembolsado`, 409);
+        }
+        
+        const contexto = { ip_address: req.ip, user_agent: req.headers['user-agent'] };
+        const resultado = withTransaction((txRepo) => {
+            if (txRepo.getOpenRefundRequest(pedido.id)) throw new Error('Reembolso já solicitado: aguarde a análise');
+            
+            const calculo = calcularReembolso(txRepo.getOrderById(pedido.id), txRepo.getOrderItems(pedido.id), txRepo.getRefundTotals(pedido.id), {
+                itens: req.body.itens
+            });
+            const { id } = txRepo.createRefund({
+                pedido_id: pedido.id, origem: 'cliente', status: 'solicitado', valor: calculo.valor, valor_frete: calculo.valor_frete,
+                motivo, solicitado_por: req.usuario.id, linhas: calculo.linhas
+            });
+            return { id, emails: enfileirarEmailsReembolso(txRepo, id, { cliente: 'reembolso_solicitado', admin: 'solicitado' }) };
+        });
+        outbox.dispararEventos(resultado.emails);
+        
+        console.log(`[CONTA] 💸 Reembolso solicitado: ${pedido.numero_pedido}`);
+        ApiResponse.success(res, {
+            numero_pedido: pedido.numero_pedido,
+            reembolso: formatReembolso(repo.getRefundsByOrder(pedido.id).find(r => r.id === resultado.id))
+        }, 'Reembolso solicitado. Vamos analisar e responder por email.', 201);
+    } catch (error) {
+        console.error('[CONTA] Erro ao solicitar reembolso:', error.message);
+        responderErroReembolso(res, error, 'Erro ao solicitar reembolso');
+    }
+});
+
+app.get('/api/conta/enderecos', requireAuth, (req, res) => {
+    try {
+        const enderecos = new Repository(db).getAddressesByUser(req.usuario.id);
+        ApiResponse.success(res, enderecos.map(formatEndereco));
+    } catch (error) {
+        console.error('[CONTA] Erro ao listar endereços:', error);
+        ApiResponse.error(res, 'Erro ao listar endereços', 500);
+    }
+});
+
+app.post('/api/conta/enderecos', requireAuth, (req, res) => {
+    try {
+        const errors = validarEndereco(req.body);
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const endereco = withTransaction((repo) => {
+            const dados = normalizarEndereco(req.body);
+            // O primeiro endereço cadastrado vira o padrão
+            const padrao = req.body.padrao || !repo.getDefaultAddress(req.usuario.id) ? 1 : 0;
+            const { id } = repo.createAddress({ ...dados, usuario_id: req.usuario.id, tipo: 'entrega', padrao });
+            return repo.getAddressById(id, req.usuario.id);
+        });
+        
+        ApiResponse.success(res, formatEndereco(endereco), 'Endereço cadastrado', 201);
+    } catch (error) {
+        console.error('[CONTA] Erro ao cadastrar endereço:', error);
+        ApiResponse.error(res, 'Erro ao cadastrar endereço', 500);
+    }
+});
+
+app.put('/api/conta/enderecos/:id', requireAuth, (req, res) => {
+    try {
+        const errors = validarEndereco(req.body);
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const endereco = withTransaction((repo) => {
+            const dados = normalizarEndereco(req.body);
+            const { id } = repo.updateAddress(Number(req.params.id), req.usuario.id, { ...dados, padrao: req.body.padrao });
+            return repo.getAddressById(id, req.usuario.id);
+        });
+        
+        ApiResponse.success(res, formatEndereco(endereco), 'Endereço atualizado');
+    } catch (error) {
+        console.error('[CONTA] Erro ao atualizar endereço:', error.message);
+        if (error.message.includes('Endereço não encontrado')) return ApiResponse.error(res, 'Endereço não encontrado', 404);
+        ApiResponse.error(res, 'Erro ao atualizar endereço', 500);
+    }
+});
+
+app.patch('/api/conta/enderecos/:id/padrao', requireAuth, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const endereco = repo.getAddressById(Number(req.params.id), req.usuario.id);
+        if (!endereco) return ApiResponse.error(res, 'Endereço não encontrado', 404);
+        
+        withTransaction((txRepo) => txRepo.setDefaultAddress(endereco.id, req.usuario.id));
+        ApiResponse.success(res, formatEndereco({ ...endereco, padrao: 1 }), 'Endereço padrão atualizado');
+    } catch (error) {
+        console.error('[CONTA] Erro ao definir endereço padrão:', error);
+        ApiResponse.error(res, 'Erro ao atualizar endereço', 500);
+    }
+});
+
+app.delete('/api/conta/enderecos/:id', requireAuth, (req, res) => {
+    try {
+        const removido = withTransaction(repo => repo.softDeleteAddress(Number(req.params.id), req.usuario.id));
+        
+        if (!removido) return ApiResponse.error(res, 'Endereço não encontrado', 404);
+        ApiResponse.success(res, null, 'Endereço removido');
+    } catch (error) {
+        console.error('[CONTA] Erro ao remover endereço:', error);
+        ApiResponse.error(res, 'Erro ao remover endereço', 500);
+    }
+});
+
+// Cópia de todos os dados da conta (LGPD, art. 18)
+app.get('/api/conta/dados', requireAuth, (req, res) => {
+    try {
+        enviarDadosTitular(req, res, req.usuario.id);
+    } catch (error) {
+        console.error('[CONTA] Erro ao exportar dados:', error);
+        ApiResponse.error(res, 'Erro ao exportar seus dados', 500);
+    }
+});
+
+// Encerra a conta anonimizando os dados pessoais (LGPD); pede a senha de novo
+app.post('/api/conta/anonimizacao', requireAuth, encerrarContaLimiter, async (req, res) => {
+    try {
+        const { senha } = req.body;
+        if (typeof senha !== 'string' || !senha) return ApiResponse.error(res, 'Informe sua senha para confirmar', 400);
+        
+        const usuario = new Repository(db).getUserById(req.usuario.id);
+        // 403, não 401: o cliente trataria 401 como sessão expirada
+        if (!await bcrypt.compare(senha, usuario.senha_hash)) return ApiResponse.error(res, 'Senha incorreta', 403);
+        
+        const resultado = anonimizarTitular(req, req.usuario.id, { origem: 'titular' });
+        
+        console.log(`[CONTA] 🗑️ Usuário ${req.usuario.id} anonimizado a pedido do titular (${resultado.audit_logs.length} log(s) de auditoria)`);
+        ApiResponse.success(res, null, 'Conta encerrada e dados pessoais anonimizados');
+    } catch (error) {
+        console.error('[CONTA] Erro ao anonimizar:', error.message);
+        responderErroLgpd(res, error, 'Erro ao encerrar a conta');
+    }
+});
+
+// ==================== ADMIN: PEDIDOS ====================
+
+const STATUS_PEDIDO = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+app.get('/api/admin/pedidos', requireAdmin, (req, res) => {
+    try {
+        const { status, de, ate, cliente } = req.query;
+        const pagina = req.query.pagina !== undefined ? Number(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? Number(req.query.limite) : 20;
+        const errors = [];
+        
+        if (status && !STATUS_PEDIDO.includes(status)) errors.push({ field: 'status', message: `Status deve ser um de: ${STATUS_PEDIDO.join(', ')}` });
+        if (de && !/^\d{4}-\d{2}-\d{2}$/.test(de)) errors.push({ field: 'de', message: 'Data inicial deve estar no formato AAAA-MM-DD' });
+        if (ate && !/^\d{4}-\d{2}-\d{2}$/.test(ate)) errors.push({ field: 'ate', message: 'Data final deve estar no formato AAAA-MM-DD' });
+        if (!Number.isInteger(pagina) || pagina < 1) errors.push({ field: 'pagina', message: 'Página deve ser um inteiro maior que zero' });
+        if (!Number.isInteger(limite) || limite < 1 || limite > 100) errors.push({ field: 'limite', message: 'Limite deve ser um inteiro entre 1 e 100' });
+        if (errors.length > 0) return ApiResponse.error(res, 'Parâmetros inválidos', 400, errors);
+        
+        const repo = new Repository(db);
+        const { pedidos, total } = repo.listOrders({ status, de, ate, cliente: cliente && cliente.trim(), pagina, limite });
+        
+        ApiResponse.success(res, {
+            pedidos,
+            paginacao: { pagina, limite, total, paginas: Math.ceil(total / limite) }
+        });
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao listar pedidos', 500);
+    }
+});
+
+app.get('/api/admin/pedidos/:numero', requireAdmin, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        ApiResponse.success(res, {
+            ...pedido,
+            itens: repo.getOrderItems(pedido.id),
+            historico: repo.getOrderHistory(pedido.id),
+            emails: repo.getEmailsByOrder(pedido.id),
+            cupom: repo.getCouponUseByOrder(pedido.id),
+            reservas_estoque: repo.getStockReservations(pedido.id),
+            reembolsos: repo.getRefundsByOrder(pedido.id).map(reembolso => formatReembolso(reembolso, { admin: true })),
+            proximos_status: ORDER_STATUS_TRANSITIONS[pedido.status] || []
+        });
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao consultar pedido', 500);
+    }
+});
+
+// Consulta a situação do pagamento diretamente no provedor
+app.get('/api/admin/pedidos/:numero/pagamento', requireAdmin, async (req, res) => {
+    try {
+        const pedido = new Repository(db).getOrderByNumber(req.params.numero);
+        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        const situacao = await paymentProvider.getStatus({
+            numero_pedido: pedido.numero_pedido, transacao_id: pedido.pagamento_transacao_id, slug: req.query.slug
+        });
+        ApiResponse.success(res, {
+            provedor: paymentProvider.nome,
+            numero_pedido: pedido.numero_pedido,
+            pagamento_status_local: pedido.pagamento_status,
+            ...situacao
+        });
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro ao consultar pagamento:', error.message);
+        ApiResponse.error(res, 'Erro ao consultar o provedor de pagamento', 502);
+    }
+});
+
+app.patch('/api/admin/pedidos/:numero/status', requireAdmin, (req, res) => {
+    try {
+        const { status, observacao } = req.body;
+        if (!status || !STATUS_PEDIDO.includes(status)) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'status', message: `Status deve ser um de: ${STATUS_PEDIDO.join(', ')}` }]);
+        }
+        // Reembolso e cancelamento de pedido pago passam pelo provedor de pagamento
+        if (status === 'reembolsado') {
+            return ApiResponse.error(res, 'Use POST /api/admin/pedidos/:numero/reembolsos para reembolsar o pedido', 409);
+        }
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        if (status === 'cancelado' && pedido.pagamento_status === 'aprovado') {
+            return ApiResponse.error(res, 'Pedido pago: use POST /api/admin/pedidos/:numero/cancelamento para cancelar com reembolso', 409);
+        }
         
-        if (!usuario) return ApiResponse.error(res, 'Email ou senha incorretos', 401);
-        if (usuario.status === 'bloqueado') return ApiResponse.error(res, 'Conta bloqueada. Entre em contato com o suporte.', 403);
-        if (usuario.deletado_em) return ApiResponse.error(res, 'Conta não encontrada', 401);
+        const resultado = withTransaction((txRepo) => {
+            const mudanca = txRepo.updateOrderStatus(pedido.id, status, observacao || null, req.admin.id, {
+                ip_address: req.ip, user_agent: req.headers['user-agent']
+            });
+            // A observação é interna: o email ao cliente não a inclui
+            return { ...mudanca, emailId: enfileirarEmailStatus(txRepo, pedido.id, mudanca.novoStatus) };
+        });
+        if (resultado.emailId) outbox.dispararEventos([resultado.emailId]);
         
-        const senhaValida = await bcrypt.compare(senha, usuario.senha_hash);
+        console.log(`[ADMIN PEDIDOS] ✅ Pedido ${pedido.numero_pedido}: ${resultado.statusAnterior} → ${resultado.novoStatus} (${req.admin.email})`);
+        ApiResponse.success(res, {
+            numero_pedido: pedido.numero_pedido,
+            status_anterior: resultado.statusAnterior,
+            status: resultado.novoStatus,
+            proximos_status: ORDER_STATUS_TRANSITIONS[resultado.novoStatus]
+        }, 'Status do pedido atualizado');
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro:', error.message);
+        if (error.message.includes('Transição de status inválida')) return ApiResponse.error(res, error.message, 409);
+        ApiResponse.error(res, 'Erro ao atualizar status do pedido', 500);
+    }
+});
+
+// Envio: grava transportadora e código de rastreio, move o pedido para 'enviado' e avisa o cliente
+// (pedido 'pago' passa por 'processando'; em pedido já enviado, corrige o rastreio e reenvia o email)
+app.post('/api/admin/pedidos/:numero/envio', requireAdmin, (req, res) => {
+    try {
+        const { transportadora, codigo_rastreio, entrega_prevista, observacao } = req.body;
+        const nome = typeof transportadora === 'string' ? nomeTransportadora(transportadora) : '';
+        const codigo = typeof codigo_rastreio === 'string' ? codigo_rastreio.trim() : '';
+        const codigoFinal = nome === 'Correios' ? codigo.toUpperCase() : codigo;
+        const errors = [];
         
-        if (!senhaValida) {
-            repo.incrementLoginAttempts(usuario.id);
-            if (usuario.tentativas_login >= 4) {
-                db.prepare("UPDATE usuarios SET status = 'bloqueado' WHERE id = ?").run(usuario.id);
-                return ApiResponse.error(res, 'Conta bloqueada por múltiplas tentativas incorretas', 403);
+        if (nome.length < 2 || nome.length > 60) errors.push({ field: 'transportadora', message: 'Transportadora é obrigatória' });
+        if (!codigoFinal || !validarCodigoRastreio(nome, codigoFinal)) {
+            errors.push({ field: 'codigo_rastreio', message: nome === 'Correios' ? 'Código dos Correios deve ter o formato AA123456789BR' : 'Código de rastreio inválido' });
+        }
+        if (entrega_prevista !== undefined && entrega_prevista !== null && !/^\d{4}-\d{2}-\d{2}$/.test(entrega_prevista)) {
+            errors.push({ field: 'entrega_prevista', message: 'Previsão de entrega deve estar no formato AAAA-MM-DD' });
+        }
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        if (!['pago', 'processando', 'enviado'].includes(pedido.status)) {
+            return ApiResponse.error(res, `Pedido com status ${pedido.status} não pode ser enviado`, 409);
+        }
+        
+        const contexto = { ip_address: req.ip, user_agent: req.headers['user-agent'] };
+        const emailId = withTransaction((txRepo) => {
+            txRepo.registerShipment(pedido.id, { transportadora: nome, codigo_rastreio: codigoFinal, entrega_prevista: entrega_prevista || null });
+            
+            const etapas = pedido.status === 'pago' ? ['processando', 'enviado'] : pedido.status === 'processando' ? ['enviado'] : [];
+            etapas.forEach(status => txRepo.updateOrderStatus(pedido.id, status, observacao || null, req.admin.id, contexto));
+            return enfileirarEmailStatus(txRepo, pedido.id, 'enviado');
+        });
+        outbox.dispararEventos([emailId]);
+        
+        console.log(`[ADMIN PEDIDOS] 🚚 Pedido ${pedido.numero_pedido} enviado por ${nome} (${codigoFinal}) (${req.admin.email})`);
+        ApiResponse.success(res, {
+            numero_pedido: pedido.numero_pedido,
+            status: 'enviado',
+            rastreio: dadosRastreio(repo.getOrderByNumber(pedido.numero_pedido))
+        }, pedido.status === 'enviado' ? 'Rastreio atualizado' : 'Pedido enviado');
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro ao registrar envio:', error.message);
+        if (error.message.includes('Transição de status inválida')) return ApiResponse.error(res, error.message, 409);
+        ApiResponse.error(res, 'Erro ao registrar envio', 500);
+    }
+});
+
+// Entrega: grava a data (padrão: agora), move o pedido para 'entregue' e avisa o cliente
+app.post('/api/admin/pedidos/:numero/entrega', requireAdmin, (req, res) => {
+    try {
+        const { entregue_em, observacao } = req.body;
+        const dataEntrega = entregue_em ? new Date(entregue_em) : new Date();
+        if (Number.isNaN(dataEntrega.getTime()) || dataEntrega > new Date()) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'entregue_em', message: 'Data de entrega inválida (ISO 8601, não pode estar no futuro)' }]);
+        }
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        const contexto = { ip_address: req.ip, user_agent: req.headers['user-agent'] };
+        // Mesmo formato de CURRENT_TIMESTAMP (UTC)
+        const entregaRealizada = dataEntrega.toISOString().replace('T', ' ').slice(0, 19);
+        const emailId = withTransaction((txRepo) => {
+            txRepo.registerDelivery(pedido.id, entregaRealizada);
+            txRepo.updateOrderStatus(pedido.id, 'entregue', observacao || null, req.admin.id, contexto);
+            return enfileirarEmailStatus(txRepo, pedido.id, 'entregue');
+        });
+        outbox.dispararEventos([emailId]);
+        
+        console.log(`[ADMIN PEDIDOS] 📦 Pedido ${pedido.numero_pedido} entregue em ${entregaRealizada} (${req.admin.email})`);
+        ApiResponse.success(res, {
+            numero_pedido: pedido.numero_pedido,
+            status: 'entregue',
+            entrega_realizada: entregaRealizada
+        }, 'Entrega registrada');
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro ao registrar entrega:', error.message);
+        if (error.message.includes('Transição de status inválida')) return ApiResponse.error(res, error.message, 409);
+        ApiResponse.error(res, 'Erro ao registrar entrega', 500);
+    }
+});
+
+// Cancelamento antes do envio: pedido sem pagamento só é cancelado; pedido pago é reembolsado por inteiro
+app.post('/api/admin/pedidos/:numero/cancelamento', requireAdmin, async (req, res) => {
+    try {
+        const motivo = normalizarMotivo(req.body.motivo);
+        if (motivo.length > MOTIVO_MAX) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'motivo', message: `Motivo deve ter no máximo ${MOTIVO_MAX} caracteres` }]);
+        }
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        const contexto = { ip_address: req.ip, user_agent: req.headers['user-agent'] };
+        const resultado = withTransaction(txRepo => cancelarPedido(txRepo, pedido.id, {
+            origem: 'admin', motivo: motivo || null, usuarioId: req.admin.id, contexto
+        }));
+        await processarEstorno(resultado);
+        
+        console.log(`[ADMIN PEDIDOS] ❌ Pedido ${pedido.numero_pedido} cancelado (${req.admin.email})`);
+        if (resultado.reembolsoId) return responderReembolso(res, repo, pedido.id, resultado.reembolsoId);
+        ApiResponse.success(res, { numero_pedido: pedido.numero_pedido, status: 'cancelado', reembolso: null }, 'Pedido cancelado');
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro ao cancelar pedido:', error.message);
+        responderErroReembolso(res, error, 'Erro ao cancelar pedido');
+    }
+});
+
+// Reembolso total ou parcial (por linha do pedido, frete opcional); sem itens, reembolsa tudo o que resta
+app.post('/api/admin/pedidos/:numero/reembolsos', requireAdmin, async (req, res) => {
+    try {
+        const { itens, incluir_frete, repor_estoque } = req.body;
+        const motivo = normalizarMotivo(req.body.motivo);
+        const errors = validarSolicitacaoReembolso({ itens, incluir_frete });
+        if (repor_estoque !== undefined && typeof repor_estoque !== 'boolean') {
+            errors.push({ field: 'repor_estoque', message: 'repor_estoque deve ser true ou false' });
+        }
+        if (motivo.length > MOTIVO_MAX) errors.push({ field: 'motivo', message: `Motivo deve ter no máximo ${MOTIVO_MAX} caracteres` });
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const repo = new Repository(db);
+        const pedido = repo.getOrderByNumber(req.params.numero);
+        if (!pedido) return ApiResponse.error(res, 'Pedido não encontrado', 404);
+        
+        const contexto = { ip_address: req.ip, user_agent: req.headers['user-agent'] };
+        const resultado = withTransaction((txRepo) => {
+            const atual = txRepo.getOrderById(pedido.id);
+            if (!STATUS_REEMBOLSAVEIS.includes(atual.status)) throw new Error(`Pedido com status ${atual.status} não pode ser reembolsado`);
+            
+            const calculo = calcularReembolso(atual, txRepo.getOrderItems(pedido.id), txRepo.getRefundTotals(pedido.id), { itens, incluir_frete });
+            // Antes do envio os itens não saíram do depósito: sempre voltam ao estoque
+            const reporEstoque = !STATUS_ENVIADOS.includes(atual.status) || repor_estoque !== false;
+            const { id } = txRepo.createRefund({
+                pedido_id: pedido.id, origem: 'admin', valor: calculo.valor, valor_frete: calculo.valor_frete, motivo: motivo || null,
+                repor_estoque: reporEstoque, solicitado_por: req.admin.id, analisado_por: req.admin.id, linhas: calculo.linhas
+            });
+            return { reembolsoId: id, ...efetivarReembolso(txRepo, id, req.admin.id, contexto) };
+        });
+        await processarEstorno(resultado);
+        
+        console.log(`[ADMIN PEDIDOS] 💸 Reembolso #${resultado.reembolsoId} do pedido ${pedido.numero_pedido} (${req.admin.email})`);
+        responderReembolso(res, repo, pedido.id, resultado.reembolsoId);
+    } catch (error) {
+        console.error('[ADMIN PEDIDOS] Erro ao reembolsar pedido:', error.message);
+        responderErroReembolso(res, error, 'Erro ao reembolsar pedido');
+    }
+});
+
+// ==================== ADMIN: REEMBOLSOS ====================
+
+// Fila de reembolsos (padrão: todos; ?status=solicitado para os pedidos dos clientes aguardando análise)
+app.get('/api/admin/reembolsos', requireAdmin, (req, res) => {
+    try {
+        const { status } = req.query;
+        const pagina = req.query.pagina !== undefined ? Number(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? Number(req.query.limite) : 20;
+        const errors = [];
+        
+        if (status && !STATUS_REEMBOLSO.includes(status)) errors.push({ field: 'status', message: `Status deve ser um de: ${STATUS_REEMBOLSO.join(', ')}` });
+        if (!Number.isInteger(pagina) || pagina < 1) errors.push({ field: 'pagina', message: 'Página deve ser um inteiro maior que zero' });
+        if (!Number.isInteger(limite) || limite < 1 || limite > 100) errors.push({ field: 'limite', message: 'Limite deve ser um inteiro entre 1 e 100' });
+        if (errors.length > 0) return ApiResponse.error(res, 'Parâmetros inválidos', 400, errors);
+        
+        const { reembolsos, total } = new Repository(db).listRefunds({ status, pagina, limite });
+        ApiResponse.success(res, {
+            reembolsos,
+            paginacao: { pagina, limite, total, paginas: Math.ceil(total / limite) }
+        });
+    } catch (error) {
+        console.error('[ADMIN REEMBOLSOS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao listar reembolsos', 500);
+    }
+});
+
+app.post('/api/admin/reembolsos/:id/aprovar', requireAdmin, async (req, res) => {
+    try {
+        const { repor_estoque } = req.body;
+        if (repor_estoque !== undefined && typeof repor_estoque !== 'boolean') {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'repor_estoque', message: 'repor_estoque deve ser true ou false' }]);
+        }
+        
+        const id = Number(req.params.id);
+        const repo = new Repository(db);
+        const reembolso = Number.isInteger(id) ? repo.getRefundById(id) : null;
+        if (!reembolso) return ApiResponse.error(res, 'Reembolso não encontrado', 404);
+        
+        const contexto = { ip_address: req.ip, user_agent: req.headers['user-agent'] };
+        const resultado = withTransaction((txRepo) => {
+            const pedido = txRepo.getOrderById(reembolso.pedido_id);
+            if (!STATUS_REEMBOLSAVEIS.includes(pedido.status)) throw new Error(`Pedido com status ${pedido.status} não pode ser reembolsado`);
+            if (!txRepo.reviewRefund(id, { status: 'processando', analisado_por: req.admin.id, repor_estoque })) {
+                throw new Error('Reembolso não está aguardando análise');
             }
-            return ApiResponse.error(res, 'Email ou senha incorretos', 401);
+            return efetivarReembolso(txRepo, id, req.admin.id, contexto);
+        });
+        await processarEstorno(resultado);
+        
+        console.log(`[ADMIN REEMBOLSOS] ✅ Reembolso #${id} do pedido ${reembolso.numero_pedido} aprovado (${req.admin.email})`);
+        responderReembolso(res, repo, reembolso.pedido_id, id);
+    } catch (error) {
+        console.error('[ADMIN REEMBOLSOS] Erro ao aprovar:', error.message);
+        responderErroReembolso(res, error, 'Erro ao aprovar reembolso');
+    }
+});
+
+app.post('/api/admin/reembolsos/:id/recusar', requireAdmin, (req, res) => {
+    try {
+        const motivo = normalizarMotivo(req.body.motivo);
+        if (motivo.length < 3 || motivo.length > MOTIVO_MAX) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'motivo', message: `Informe ao cliente o motivo da recusa (3 a ${MOTIVO_MAX} caracteres)` }]);
+        }
+        
+        const id = Number(req.params.id);
+        const repo = new Repository(db);
+        const reembolso = Number.isInteger(id) ? repo.getRefundById(id) : null;
+        if (!reembolso) return ApiResponse.error(res, 'Reembolso não encontrado', 404);
+        
+        const emails = withTransaction((txRepo) => {
+            if (!txRepo.reviewRefund(id, { status: 'recusado', analisado_por: req.admin.id, resposta: motivo })) {
+                throw new Error('Reembolso não está aguardando análise');
+            }
+            return enfileirarEmailsReembolso(txRepo, id, { cliente: 'reembolso_recusado' });
+        });
+        outbox.dispararEventos(emails);
+        
+        console.log(`[ADMIN REEMBOLSOS] ❌ Reembolso #${id} do pedido ${reembolso.numero_pedido} recusado (${req.admin.email})`);
+        ApiResponse.success(res, {
+            numero_pedido: reembolso.numero_pedido,
+            reembolso: formatReembolso(repo.getRefundsByOrder(reembolso.pedido_id).find(r => r.id === id), { admin: true })
+        }, 'Reembolso recusado');
+    } catch (error) {
+        console.error('[ADMIN REEMBOLSOS] Erro ao recusar:', error.message);
+        responderErroReembolso(res, error, 'Erro ao recusar reembolso');
+    }
+});
+
+// ==================== ADMIN: CUPONS ====================
+
+/**
+ * Valida os campos de um cupom (parcial: apenas os campos enviados, para o PATCH)
+ */
+function validarDadosCupom(dados, { parcial = false } = {}) {
+    const errors = [];
+    const informado = campo => dados[campo] !== undefined && dados[campo] !== null;
+    const isValorValido = valor => typeof valor === 'number' && Number.isFinite(valor) && valor >= 0;
+    const isLimiteValido = valor => valor === null || (Number.isInteger(valor) && valor > 0);
+    const isDataValida = valor => valor === null || (typeof valor === 'string' && !Number.isNaN(new Date(valor).getTime()));
+    
+    if (!parcial) {
+        if (!dados.codigo || !/^[A-Za-z0-9_-]{3,40}$/.test(dados.codigo)) {
+            errors.push({ field: 'codigo', message: 'Código deve ter de 3 a 40 letras, números, _ ou -' });
+        }
+        if (!TIPOS_CUPOM.includes(dados.tipo)) errors.push({ field: 'tipo', message: `Tipo deve ser um de: ${TIPOS_CUPOM.join(', ')}` });
+        if (dados.tipo !== 'frete_gratis' && !informado('valor')) errors.push({ field: 'valor', message: 'Valor é obrigatório' });
+    }
+    
+    if (informado('valor') && !isValorValido(dados.valor)) errors.push({ field: 'valor', message: 'Valor deve ser um número maior ou igual a zero' });
+    if (dados.tipo === 'percentual' && isValorValido(dados.valor) && (dados.valor <= 0 || dados.valor > 100)) {
+        errors.push({ field: 'valor', message: 'Percentual deve estar entre 0 e 100' });
+    }
+    if (informado('pedido_minimo') && !isValorValido(dados.pedido_minimo)) errors.push({ field: 'pedido_minimo', message: 'Pedido mínimo deve ser um número maior ou igual a zero' });
+    if (dados.valido_de !== undefined && !isDataValida(dados.valido_de)) errors.push({ field: 'valido_de', message: 'Data inicial inválida (use ISO 8601)' });
+    if (dados.valido_ate !== undefined && !isDataValida(dados.valido_ate)) errors.push({ field: 'valido_ate', message: 'Data final inválida (use ISO 8601)' });
+    if (dados.limite_uso_total !== undefined && !isLimiteValido(dados.limite_uso_total)) errors.push({ field: 'limite_uso_total', message: 'Limite total deve ser um inteiro maior que zero ou null' });
+    if (dados.limite_uso_cliente !== undefined && !isLimiteValido(dados.limite_uso_cliente)) errors.push({ field: 'limite_uso_cliente', message: 'Limite por cliente deve ser um inteiro maior que zero ou null' });
+    if (dados.ativo !== undefined && typeof dados.ativo !== 'boolean') errors.push({ field: 'ativo', message: 'Ativo deve ser true ou false' });
+    return errors;
+}
+
+/**
+ * Datas de validade gravadas em ISO 8601 (UTC)
+ */
+function normalizarDatasCupom(dados) {
+    const normalizada = valor => (valor ? new Date(valor).toISOString() : valor);
+    return { ...dados, valido_de: normalizada(dados.valido_de), valido_ate: normalizada(dados.valido_ate) };
+}
+
+app.get('/api/admin/cupons', requireAdmin, (req, res) => {
+    try {
+        ApiResponse.success(res, new Repository(db).listCoupons());
+    } catch (error) {
+        console.error('[ADMIN CUPONS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao listar cupons', 500);
+    }
+});
+
+app.post('/api/admin/cupons', requireAdmin, (req, res) => {
+    try {
+        const errors = validarDadosCupom(req.body);
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const dados = normalizarDatasCupom({ ...req.body, codigo: normalizarCodigo(req.body.codigo) });
+        const cupom = withTransaction((repo) => {
+            if (repo.getCouponByCode(dados.codigo)) throw new Error('Cupom já existe');
+            return repo.createCoupon(dados);
+        });
+        
+        console.log(`[ADMIN CUPONS] ✅ Cupom ${cupom.codigo} criado (${req.admin.email})`);
+        ApiResponse.success(res, cupom, 'Cupom criado', 201);
+    } catch (error) {
+        if (error.message.includes('Cupom já existe')) return ApiResponse.error(res, 'Já existe um cupom com este código', 409);
+        console.error('[ADMIN CUPONS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao criar cupom', 500);
+    }
+});
+
+// Altera validade, limites, valores ou desativa o cupom (código e tipo não mudam)
+app.patch('/api/admin/cupons/:codigo', requireAdmin, (req, res) => {
+    try {
+        const repo = new Repository(db);
+        const cupom = repo.getCouponByCode(normalizarCodigo(req.params.codigo));
+        if (!cupom) return ApiResponse.error(res, 'Cupom não encontrado', 404);
+        
+        const errors = validarDadosCupom({ ...req.body, tipo: cupom.tipo }, { parcial: true });
+        if (req.body.codigo !== undefined || req.body.tipo !== undefined) {
+            errors.push({ field: 'codigo', message: 'Código e tipo não podem ser alterados; crie um novo cupom' });
         }
+        if (errors.length > 0) return ApiResponse.error(res, 'Dados inválidos', 400, errors);
+        
+        const atualizado = repo.updateCoupon(cupom.id, normalizarDatasCupom(req.body));
+        
+        ApiResponse.success(res, atualizado, 'Cupom atualizado');
+    } catch (error) {
+        console.error('[ADMIN CUPONS] Erro:', error);
+        ApiResponse.error(res, 'Erro ao atualizar cupom', 500);
+    }
+});
+
+// ==================== ADMIN: OUTBOX ====================
+
+const STATUS_OUTBOX = ['pendente', 'processando', 'concluido', 'falhou'];
+
+// Fila de emails/links: contagem por status e eventos (status=falhou lista a fila de falhas)
+app.get('/api/admin/outbox', requireAdmin, (req, res) => {
+    try {
+        const { status, tipo } = req.query;
+        const pagina = req.query.pagina !== undefined ? Number(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? Number(req.query.limite) : 20;
+        const errors = [];
+        
+        if (status && !STATUS_OUTBOX.includes(status)) errors.push({ field: 'status', message: `Status deve ser um de: ${STATUS_OUTBOX.join(', ')}` });
+        if (!Number.isInteger(pagina) || pagina < 1) errors.push({ field: 'pagina', message: 'Página deve ser um inteiro maior que zero' });
+        if (!Number.isInteger(limite) || limite < 1 || limite > 100) errors.push({ field: 'limite', message: 'Limite deve ser um inteiro entre 1 e 100' });
+        if (errors.length > 0) return ApiResponse.error(res, 'Parâmetros inválidos', 400, errors);
+        
+        const { eventos, total, resumo } = new Repository(db).listOutbox({ status, tipo, pagina, limite });
+        ApiResponse.success(res, {
+            resumo,
+            eventos,
+            paginacao: { pagina, limite, total, paginas: Math.ceil(total / limite) }
+        });
+    } catch (error) {
+        console.error('[ADMIN OUTBOX] Erro:', error);
+        ApiResponse.error(res, 'Erro ao listar a outbox', 500);
+    }
+});
+
+// Devolve um evento da fila de falhas para a fila e tenta entregá-lo na hora
+app.post('/api/admin/outbox/:id/reprocessar', requireAdmin, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const repo = new Repository(db);
+        const evento = Number.isInteger(id) ? repo.getOutboxEvent(id) : null;
+        if (!evento) return ApiResponse.error(res, 'Evento não encontrado', 404);
+        if (!repo.retryOutboxEvent(id)) return ApiResponse.error(res, 'Apenas eventos com status falhou podem ser reprocessados', 409);
         
-        repo.updateUserLogin(usuario.id);
         repo.logAudit({
-            tabela: 'usuarios', registro_id: usuario.id, acao: 'LOGIN', usuario_id: usuario.id,
-            ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: '/api/auth/login', metodo_http: 'POST'
+            tabela: 'outbox', registro_id: id, acao: 'UPDATE', usuario_id: req.admin.id,
+            dados_anteriores: { status: evento.status, tentativas: evento.tentativas }, dados_novos: { status: 'pendente' },
+            ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: req.originalUrl, metodo_http: 'POST'
         });
         
-        ApiResponse.success(res, { id: usuario.uuid, nome: usuario.nome, email: usuario.email, ultimo_login: new Date().toISOString() }, 'Login realizado com sucesso');
+        const envio = await outbox.processarEvento(id);
+        ApiResponse.success(res, { id, status: envio.status, erro: envio.erro || null }, 'Evento reprocessado');
     } catch (error) {
-        console.error('[LOGIN] Erro:', error);
-        ApiResponse.error(res, 'Erro ao realizar login', 500);
+        console.error('[ADMIN OUTBOX] Erro:', error);
+        ApiResponse.error(res, 'Erro ao reprocessar evento', 500);
     }
 });
 
-// ==================== WEBHOOK E ROTAS LEGACY ====================
+// ==================== ADMIN: USUÁRIOS (LGPD) ====================
 
-app.post('/api/webhook/infinitepay', async (req, res) => {
+// Pedidos de titulares que chegam por outros canais (email, SAC); :id é o usuario_id dos pedidos e da auditoria
+app.get('/api/admin/usuarios/:id/dados', requireAdmin, (req, res) => {
     try {
-        const { order_nsu, capture_method, transaction_nsu } = req.body;
-        console.log(`\n[WEBHOOK] Pagamento recebido para o pedido: ${order_nsu}`);
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id)) return ApiResponse.error(res, 'Usuário não encontrado', 404);
+        
+        enviarDadosTitular(req, res, id);
+        console.log(`[ADMIN USUÁRIOS] 📦 Dados do usuário ${id} exportados (${req.admin.email})`);
+    } catch (error) {
+        console.error('[ADMIN USUÁRIOS] Erro ao exportar dados:', error.message);
+        responderErroLgpd(res, error, 'Erro ao exportar dados do usuário');
+    }
+});
+
+app.post('/api/admin/usuarios/:id/anonimizacao', requireAdmin, (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (!Number.isInteger(id)) return ApiResponse.error(res, 'Usuário não encontrado', 404);
+        
+        const motivo = normalizarMotivo(req.body.motivo);
+        if (motivo.length > MOTIVO_MAX) {
+            return ApiResponse.error(res, 'Dados inválidos', 400, [{ field: 'motivo', message: `Motivo deve ter no máximo ${MOTIVO_MAX} caracteres` }]);
+        }
+        
+        const resultado = anonimizarTitular(req, id, { origem: 'admin', motivo: motivo || null });
+        
+        console.log(`[ADMIN USUÁRIOS] 🗑️ Usuário ${id} anonimizado (${req.admin.email})`);
+        ApiResponse.success(res, {
+            usuario_id: id,
+            pedidos_mantidos: resultado.pedidos,
+            enderecos: resultado.enderecos,
+            sessoes: resultado.sessoes,
+            audit_logs: resultado.audit_logs.length
+        }, 'Dados pessoais anonimizados');
+    } catch (error) {
+        console.error('[ADMIN USUÁRIOS] Erro ao anonimizar:', error.message);
+        responderErroLgpd(res, error, 'Erro ao anonimizar usuário');
+    }
+});
+
+// ==================== ADMIN: AUDITORIA ====================
 
-        if (!order_nsu) return res.status(400).send('Bad Request: Falta order_nsu');
+const ACOES_AUDITORIA = ['INSERT', 'UPDATE', 'DELETE', 'SELECT', 'LOGIN', 'LOGOUT', 'ERROR'];
+const AUDITORIA_CSV_MAX = 50000; // A exportação roda inteira no processo: acima disso, refine os filtros
 
+function formatAuditLog(log) {
+    return {
+        ...log,
+        dados_anteriores: log.dados_anteriores ? JSON.parse(log.dados_anteriores) : null,
+        dados_novos: log.dados_novos ? JSON.parse(log.dados_novos) : null
+    };
+}
+
+// Busca por tabela, registro, usuário, ação e período; ?formato=csv exporta tudo o que bate com os filtros
+app.get('/api/admin/auditoria', requireAdmin, (req, res) => {
+    try {
+        const { tabela, acao, de, ate, formato } = req.query;
+        const registroId = req.query.registro_id !== undefined ? Number(req.query.registro_id) : undefined;
+        const usuarioId = req.query.usuario_id !== undefined ? Number(req.query.usuario_id) : undefined;
+        const pagina = req.query.pagina !== undefined ? Number(req.query.pagina) : 1;
+        const limite = req.query.limite !== undefined ? Number(req.query.limite) : 50;
+        const errors = [];
+        
+        if (tabela !== undefined && !/^[a-z_]{1,40}$/.test(tabela)) errors.push({ field: 'tabela', message: 'Tabela inválida' });
+        if (registroId !== undefined && !Number.isInteger(registroId)) errors.push({ field: 'registro_id', message: 'registro_id deve ser um número inteiro' });
+        if (usuarioId !== undefined && !Number.isInteger(usuarioId)) errors.push({ field: 'usuario_id', message: 'usuario_id deve ser um número inteiro' });
+        if (acao && !ACOES_AUDITORIA.includes(acao)) errors.push({ field: 'acao', message: `Ação deve ser uma de: ${ACOES_AUDITORIA.join(', ')}` });
+        if (de && !/^\d{4}-\d{2}-\d{2}$/.test(de)) errors.push({ field: 'de', message: 'Data inicial deve estar no formato AAAA-MM-DD' });
+        if (ate && !/^\d{4}-\d{2}-\d{2}$/.test(ate)) errors.push({ field: 'ate', message: 'Data final deve estar no formato AAAA-MM-DD' });
+        if (formato !== undefined && !['json', 'csv'].includes(formato)) errors.push({ field: 'formato', message: 'Formato deve ser json ou csv' });
+        if (!Number.isInteger(pagina) || pagina < 1) errors.push({ field: 'pagina', message: 'Página deve ser um inteiro maior que zero' });
+        if (!Number.isInteger(limite) || limite < 1 || limite > 200) errors.push({ field: 'limite', message: 'Limite deve ser um inteiro entre 1 e 200' });
+        if (errors.length > 0) return ApiResponse.error(res, 'Parâmetros inválidos', 400, errors);
+        
         const repo = new Repository(db);
-        const pedido = db.prepare('SELECT id FROM pedidos WHERE numero_pedido = ?').get(order_nsu);
+        const filtros = { tabela, registro_id: registroId, usuario_id: usuarioId, acao, de, ate };
+        
+        if (formato !== 'csv') {
+            const { logs, total } = repo.searchAuditLogs({ ...filtros, pagina, limite });
+            return ApiResponse.success(res, {
+                logs: logs.map(formatAuditLog),
+                paginacao: { pagina, limite, total, paginas: Math.ceil(total / limite) }
+            });
+        }
         
-        if (pedido) {
-            repo.updateOrderStatus(pedido.id, 'pago', `Pago via InfinitePay (${capture_method}). Transação: ${transaction_nsu}.`, null);
+        const total = repo.countAuditLogs(filtros);
+        if (total > AUDITORIA_CSV_MAX) {
+            return ApiResponse.error(res, `A exportação é limitada a ${AUDITORIA_CSV_MAX} registros (${total} encontrados): refine os filtros`, 400);
+        }
+        
+        // A própria exportação fica registrada (antes do CSV, para já aparecer nele)
+        repo.logAudit({
+            tabela: 'audit_logs', registro_id: null, acao: 'SELECT', usuario_id: req.admin.id, dados_novos: { formato: 'csv', filtros, total },
+            ip_address: req.ip, user_agent: req.headers['user-agent'], endpoint: req.originalUrl, metodo_http: 'GET'
+        });
+        
+        const arquivo = `auditoria-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${arquivo}"`);
+        // BOM: o Excel só reconhece UTF-8 com ele
+        res.write(`\uFEFF${linhaCsv(COLUNAS_CSV)}`);
+        for (const log of repo.iterateAuditLogs(filtros)) {
+            res.write(linhaCsv(COLUNAS_CSV.map(coluna => log[coluna])));
+        }
+        res.end();
+        
+        console.log(`[ADMIN AUDITORIA] 📄 Exportação CSV com ${total} registro(s) (${req.admin.email})`);
+    } catch (error) {
+        console.error('[ADMIN AUDITORIA] Erro:', error);
+        if (res.headersSent) return res.end();
+        ApiResponse.error(res, 'Erro ao consultar auditoria', 500);
+    }
+});
+
+// ==================== DEV: PRÉ-VISUALIZAÇÃO DE EMAILS ====================
+
+// Apenas fora de produção: /dev/emails/pedido_enviado?idioma=en&formato=texto
+if (NODE_ENV !== 'production') {
+    app.get('/dev/emails', (req, res) => {
+        res.json({ templates: emailTemplates.TEMPLATES, idiomas: emailTemplates.IDIOMAS });
+    });
+    
+    app.get('/dev/emails/:template', (req, res) => {
+        if (!emailTemplates.TEMPLATES.includes(req.params.template)) return res.status(404).send('Template não encontrado');
+        
+        const email = emailTemplates.renderEmail(req.params.template, emailTemplates.EXEMPLOS[req.params.template], { idioma: req.query.idioma });
+        if (req.query.formato === 'texto') return res.type('text/plain').send(`Assunto: ${email.assunto}\n\n${email.texto}`);
+        res.type('html').send(email.html);
+    });
+}
+
+// ==================== WEBHOOK E ROTAS LEGACY ====================
+
+// Notificações do provedor de pagamento ativo (ex.: /api/webhook/infinitepay)
+app.post('/api/webhook/:provedor', (req, res) => {
+    try {
+        if (req.params.provedor !== paymentProvider.nome) return res.status(404).send('Not Found');
+        
+        let evento;
+        try {
+            evento = paymentProvider.parseWebhook(req);
+        } catch (parseError) {
+            console.error(`[WEBHOOK] ❌ Notificação rejeitada: ${parseError.message} (IP ${req.ip})`);
+            return parseError.message.includes('Assinatura inválida')
+                ? res.status(401).send('Unauthorized')
+                : res.status(400).send('Bad Request');
+        }
+        
+        const { order_nsu, transaction_nsu, valor_centavos } = evento;
+        console.log(`\n[WEBHOOK] Pagamento recebido para o pedido: ${order_nsu}`);
+
+        const resultado = withTransaction((repo) => {
+            const registro = repo.recordPaymentEvent({
+                provedor: paymentProvider.nome, transaction_nsu, order_nsu, valor_centavos,
+                payload: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body), ip_address: req.ip
+            });
+            if (registro.duplicado) return { status: 'duplicado' };
+            
+            const pedido = repo.getOrderByNumber(order_nsu);
+            const finalizar = (status, motivo = null) => {
+                repo.finishPaymentEvent(registro.id, { status, motivo, pedido_id: pedido ? pedido.id : null });
+                return { status, motivo };
+            };
+            
+            if (!pedido) return finalizar('ignorado', 'Pedido não encontrado');
+            if (valor_centavos === null || valor_centavos !== toCentavos(pedido.total)) {
+                return finalizar('rejeitado', `Valor divergente: recebido ${valor_centavos}, esperado ${toCentavos(pedido.total)} centavos`);
+            }
+            if (!evento.aprovado) {
+                // Recusa atrasada (ex.: outra tentativa que falhou) não apaga um pagamento aprovado nem a transação dele
+                if (pedido.pagamento_status === 'aprovado' || !STATUS_NAO_PAGOS.includes(pedido.status)) {
+                    return finalizar('ignorado', `Pagamento recusado com o pedido em '${pedido.status}' (pagamento ${pedido.pagamento_status})`);
+                }
+                repo.registerPayment(pedido.id, { status: 'recusado', transacao_id: transaction_nsu, metodo_pagamento: evento.metodo_pagamento });
+                return finalizar('processado', 'Pagamento recusado');
+            }
+            if (pedido.status === 'cancelado' && pedido.pagamento_status !== 'aprovado') {
+                return {
+                    ...finalizar('processado', 'Pagamento aprovado com o pedido cancelado: valor em estorno'),
+                    estorno: estornarPagamentoAposCancelamento(repo, pedido, evento)
+                };
+            }
+            if (!canTransitionOrderStatus(pedido.status, 'pago')) {
+                return finalizar('ignorado', `Pedido já está em '${pedido.status}'`);
+            }
+            
+            repo.updateOrderStatus(pedido.id, 'pago', evento.descricao, null, {
+                ip_address: req.ip, user_agent: req.headers['user-agent']
+            });
+            repo.registerPayment(pedido.id, { status: 'aprovado', transacao_id: transaction_nsu, metodo_pagamento: evento.metodo_pagamento });
+            return { ...finalizar('processado'), emailId: enfileirarEmailStatus(repo, pedido.id, 'pago') };
+        });
+        if (resultado.emailId) outbox.dispararEventos([resultado.emailId]);
+        if (resultado.estorno) {
+            processarEstorno(resultado.estorno).catch(error => console.error(`[WEBHOOK] ❌ Estorno do pedido ${order_nsu}:`, error.message));
+        }
+        
+        if (resultado.status === 'processado' && !resultado.motivo) {
             console.log(`[WEBHOOK] ✅ Pedido ${order_nsu} atualizado para PAGO na base de dados!`);
+        } else if (resultado.status === 'duplicado') {
+            console.log(`[WEBHOOK] ⚠️ Transação ${transaction_nsu} já recebida. Notificação ignorada.`);
         } else {
-            console.log(`[WEBHOOK] ⚠️ Pedido ${order_nsu} não encontrado.`);
+            console.log(`[WEBHOOK] ⚠️ Pedido ${order_nsu}: ${resultado.motivo}`);
         }
 
+        // 200 mesmo quando ignorado/rejeitado: o evento fica gravado para análise e o gateway não reenvia
         res.status(200).send('OK');
     } catch (error) {
         console.error('[WEBHOOK ERROR]', error);
-        res.status(400).send('Erro');
+        res.status(500).send('Erro');
     }
 });
 
@@ -474,6 +2575,18 @@ app.get('/pagamento', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'pagamento.html'));
 });
 
+app.get('/minha-conta', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'minha-conta.html'));
+});
+
+app.get('/redefinir-senha', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'redefinir-senha.html'));
+});
+
+app.get('/rastreio', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'rastreio.html'));
+});
+
 // ============================================================
 // TRATAMENTO DE ERROS E INICIALIZAÇÃO
 // ============================================================
@@ -508,6 +2621,52 @@ app.listen(PORT, () => {
     `);
 });
 
+// Encerra periodicamente as sessões vencidas (unref: não impede o processo de terminar)
+setInterval(() => {
+    try {
+        const expiradas = new Repository(db).expireSessions();
+        if (expiradas > 0) console.log(`[SESSOES] ✅ ${expiradas} sessão(ões) marcada(s) como expirada(s)`);
+    } catch (error) {
+        console.error('[SESSOES] Erro na limpeza:', error.message);
+    }
+}, SESSAO_LIMPEZA_MINUTOS * 60 * 1000).unref();
+
+/**
+ * Cancela pedidos cujo prazo de pagamento venceu e devolve o estoque reservado
+ * (cada pedido em sua própria transação: uma falha não trava os demais)
+ */
+function cancelarPedidosExpirados() {
+    const expirados = new Repository(db).getExpiredUnpaidOrders();
+    let cancelados = 0;
+    
+    expirados.forEach(pedido => {
+        try {
+            const emailId = withTransaction((repo) => {
+                repo.releaseStockReservations(pedido.id, 'expirada');
+                repo.updateOrderStatus(pedido.id, 'cancelado', 'Cancelado automaticamente: prazo de pagamento expirado');
+                return enfileirarEmailStatus(repo, pedido.id, 'cancelado', { motivo: 'Prazo de pagamento expirado' });
+            });
+            outbox.dispararEventos([emailId]);
+            cancelados++;
+        } catch (error) {
+            console.error(`[RESERVAS] Erro ao cancelar o pedido ${pedido.numero_pedido}:`, error.message);
+        }
+    });
+    
+    return cancelados;
+}
+
+setInterval(() => {
+    try {
+        const cancelados = cancelarPedidosExpirados();
+        if (cancelados > 0) console.log(`[RESERVAS] ✅ ${cancelados} pedido(s) sem pagamento cancelado(s) e estoque liberado`);
+    } catch (error) {
+        console.error('[RESERVAS] Erro na limpeza:', error.message);
+    }
+}, RESERVA_LIMPEZA_MINUTOS * 60 * 1000).unref();
+
+outbox.iniciarWorker();
+
 process.on('SIGTERM', () => { console.log('[SERVER] Encerrando servidor...'); db.close(); process.exit(0); });
 process.on('SIGINT', () => { console.log('[SERVER] Encerrando servidor...'); db.close(); process.exit(0); });
 
@@ -0,0 +1,71 @@
+/**
+ * ============================================================
+ * BLUE SHIELD PRO - VALIDADORES
+ * ============================================================
+ * Validação dos campos de cadastro e checkout:
+ * - CPF e CNPJ com dígitos verificadores (módulo 11); sequências de
+ *   um só dígito (111.111.111-11) são recusadas
+ * - Documento: CNPJ com 14 dígitos, CPF nos demais casos
+ * - Email, CEP e telefone apenas pelo formato
+ * ============================================================
+ */
+
+// ============================================================
+// FUNÇÕES AUXILIARES
+// ============================================================
+
+/**
+ * Remove pontuação de CPF/CNPJ (formato armazenado em usuarios.cpf)
+ */
+function normalizarDocumento(documento) {
+    return String(documento || '').replace(/\D/g, '');
+}
+
+/**
+ * Calcula um dígito verificador (módulo 11) a partir dos pesos informados
+ */
+function digitoVerificador(digitos, pesos) {
+    const soma = pesos.reduce((total, peso, i) => total + Number(digitos[i]) * peso, 0);
+    const resto = soma % 11;
+    return resto < 2 ? 0 : 11 - resto;
+}
+
+// ============================================================
+// VALIDADORES
+// ============================================================
+
+const Validators = {
+    email(email) { return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email); },
+    cpf(cpf) {
+        const digitos = normalizarDocumento(cpf);
+        if (digitos.length !== 11 || /^(\d)\1{10}$/.test(digitos)) return false;
+        
+        const dv1 = digitoVerificador(digitos, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+        const dv2 = digitoVerificador(digitos, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+        return dv1 === Number(digitos[9]) && dv2 === Number(digitos[10]);
+    },
+    cnpj(cnpj) {
+        const digitos = normalizarDocumento(cnpj);
+        if (digitos.length !== 14 || /^(\d)\1{13}$/.test(digitos)) return false;
+        
+        const dv1 = digitoVerificador(digitos, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+        const dv2 = digitoVerificador(digitos, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+        return dv1 === Number(digitos[12]) && dv2 === Number(digitos[13]);
+    },
+    // CPF (pessoa física) ou CNPJ (compras corporativas)
+    documento(documento) {
+        const digitos = normalizarDocumento(documento);
+        return digitos.length === 14 ? Validators.cnpj(digitos) : Validators.cpf(digitos);
+    },
+    cep(cep) { return /^\d{5}-?\d{3}$/.test(cep); },
+    telefone(tel) { return /^\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4}$/.test(tel); },
+};
+
+// ============================================================
+// EXPORTS
+// ============================================================
+
+module.exports = {
+    Validators,
+    normalizarDocumento
+};